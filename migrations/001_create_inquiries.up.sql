@@ -0,0 +1,70 @@
+-- Core inquiry record, as originally created by scripts/database_setup.js
+CREATE TABLE IF NOT EXISTS inquiries (
+    id VARCHAR(50) PRIMARY KEY,
+    first_name VARCHAR(100) NOT NULL,
+    family_surname VARCHAR(100) NOT NULL,
+    parent_email VARCHAR(255) NOT NULL,
+    age_group VARCHAR(20) NOT NULL,
+    entry_year VARCHAR(10) NOT NULL,
+
+    -- Academic interests
+    sciences BOOLEAN DEFAULT FALSE,
+    mathematics BOOLEAN DEFAULT FALSE,
+    english BOOLEAN DEFAULT FALSE,
+    languages BOOLEAN DEFAULT FALSE,
+    humanities BOOLEAN DEFAULT FALSE,
+    business BOOLEAN DEFAULT FALSE,
+
+    -- Creative interests
+    drama BOOLEAN DEFAULT FALSE,
+    music BOOLEAN DEFAULT FALSE,
+    art BOOLEAN DEFAULT FALSE,
+    creative_writing BOOLEAN DEFAULT FALSE,
+
+    -- Co-curricular interests
+    sport BOOLEAN DEFAULT FALSE,
+    leadership BOOLEAN DEFAULT FALSE,
+    community_service BOOLEAN DEFAULT FALSE,
+    outdoor_education BOOLEAN DEFAULT FALSE,
+
+    -- Family priorities
+    academic_excellence BOOLEAN DEFAULT FALSE,
+    pastoral_care BOOLEAN DEFAULT FALSE,
+    university_preparation BOOLEAN DEFAULT FALSE,
+    personal_development BOOLEAN DEFAULT FALSE,
+    career_guidance BOOLEAN DEFAULT FALSE,
+    extracurricular_opportunities BOOLEAN DEFAULT FALSE,
+
+    -- System fields
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(50) DEFAULT 'received',
+    prospectus_generated BOOLEAN DEFAULT FALSE,
+    prospectus_filename VARCHAR(255),
+    prospectus_url VARCHAR(500),
+    prospectus_generated_at TIMESTAMP,
+
+    -- Request metadata
+    user_agent TEXT,
+    referrer VARCHAR(500),
+    ip_address INET,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inquiries_received_at ON inquiries(received_at);
+CREATE INDEX IF NOT EXISTS idx_inquiries_status ON inquiries(status);
+CREATE INDEX IF NOT EXISTS idx_inquiries_entry_year ON inquiries(entry_year);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_inquiries_updated_at ON inquiries;
+CREATE TRIGGER update_inquiries_updated_at
+    BEFORE UPDATE ON inquiries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
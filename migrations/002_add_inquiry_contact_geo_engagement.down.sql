@@ -0,0 +1,23 @@
+DROP INDEX IF EXISTS idx_inquiries_school_id;
+DROP INDEX IF EXISTS idx_inquiries_slug;
+
+ALTER TABLE inquiries
+    DROP COLUMN IF EXISTS parent_name,
+    DROP COLUMN IF EXISTS contact_number,
+    DROP COLUMN IF EXISTS hear_about_us,
+    DROP COLUMN IF EXISTS debating,
+    DROP COLUMN IF EXISTS small_classes,
+    DROP COLUMN IF EXISTS london_location,
+    DROP COLUMN IF EXISTS values_based,
+    DROP COLUMN IF EXISTS university_prep,
+    DROP COLUMN IF EXISTS slug,
+    DROP COLUMN IF EXISTS dwell_ms,
+    DROP COLUMN IF EXISTS return_visits,
+    DROP COLUMN IF EXISTS school_id,
+    DROP COLUMN IF EXISTS country,
+    DROP COLUMN IF EXISTS region,
+    DROP COLUMN IF EXISTS city,
+    DROP COLUMN IF EXISTS latitude,
+    DROP COLUMN IF EXISTS longitude,
+    DROP COLUMN IF EXISTS timezone,
+    DROP COLUMN IF EXISTS isp;
@@ -0,0 +1,35 @@
+-- Columns server.js reads and writes that the original setup script never created
+ALTER TABLE inquiries
+    -- Contact details from the inquiry form
+    ADD COLUMN IF NOT EXISTS parent_name VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS contact_number VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS hear_about_us VARCHAR(255),
+
+    -- Priorities from the earlier form, still returned by /api/family/:id
+    ADD COLUMN IF NOT EXISTS debating BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS small_classes BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS london_location BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS values_based BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS university_prep BOOLEAN DEFAULT FALSE,
+
+    -- Pretty prospectus URL (/the-<surname>-family-<id>)
+    ADD COLUMN IF NOT EXISTS slug VARCHAR(255),
+
+    -- Engagement rollups maintained by the tracking endpoints
+    ADD COLUMN IF NOT EXISTS dwell_ms BIGINT DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS return_visits INTEGER DEFAULT 0,
+
+    -- The analytics database is shared; More House is school 2
+    ADD COLUMN IF NOT EXISTS school_id INTEGER DEFAULT 2,
+
+    -- IP geolocation captured on the webhook
+    ADD COLUMN IF NOT EXISTS country VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS region VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS isp VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_inquiries_slug ON inquiries(slug);
+CREATE INDEX IF NOT EXISTS idx_inquiries_school_id ON inquiries(school_id);
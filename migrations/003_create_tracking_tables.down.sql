@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS session_summaries;
+DROP TABLE IF EXISTS video_engagement_tracking;
+DROP TABLE IF EXISTS engagement_metrics;
+DROP TABLE IF EXISTS tracking_events;
@@ -0,0 +1,87 @@
+-- Raw prospectus events from public/tracking.js (/api/track-engagement)
+CREATE TABLE IF NOT EXISTS tracking_events (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50),
+    session_id VARCHAR(100),
+    event_type VARCHAR(100),
+    event_data JSONB,
+    page_url TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    "timestamp" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Per-event metrics read by /api/family/:id
+    current_section VARCHAR(100),
+    time_on_page INTEGER DEFAULT 0,
+    scroll_depth INTEGER DEFAULT 0,
+    conversion_signals INTEGER DEFAULT 0
+);
+
+-- Older databases stored the page as "url"
+ALTER TABLE tracking_events ADD COLUMN IF NOT EXISTS page_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tracking_events_inquiry_id ON tracking_events(inquiry_id);
+CREATE INDEX IF NOT EXISTS idx_tracking_events_session_id ON tracking_events(session_id);
+CREATE INDEX IF NOT EXISTS idx_tracking_events_event_type ON tracking_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_tracking_events_timestamp ON tracking_events("timestamp");
+
+-- One row per inquiry and session, upserted by updateEngagementMetrics
+CREATE TABLE IF NOT EXISTS engagement_metrics (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50),
+    session_id VARCHAR(100),
+    prospectus_filename VARCHAR(255),
+    time_on_page INTEGER DEFAULT 0,
+    pages_viewed INTEGER DEFAULT 1,
+    scroll_depth INTEGER DEFAULT 0,
+    clicks_on_links INTEGER DEFAULT 0,
+    device_type VARCHAR(50),
+    browser VARCHAR(100),
+    operating_system VARCHAR(100),
+    total_visits INTEGER DEFAULT 1,
+    last_visit TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_engagement_metrics_inquiry_id ON engagement_metrics(inquiry_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_engagement_metrics_inquiry_session ON engagement_metrics(inquiry_id, session_id);
+
+-- YouTube play/pause/progress rows written by insertVideoTrackingRow
+CREATE TABLE IF NOT EXISTS video_engagement_tracking (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50),
+    session_id VARCHAR(100),
+    section_label VARCHAR(100),
+    event_type VARCHAR(100),
+    video_id VARCHAR(100),
+    video_title VARCHAR(255),
+    current_time_sec INTEGER DEFAULT 0,
+    watched_sec INTEGER DEFAULT 0,
+    page_url TEXT,
+    "timestamp" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older databases kept one aggregated row per video instead of one per event
+ALTER TABLE video_engagement_tracking
+    ADD COLUMN IF NOT EXISTS section_label VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS event_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS current_time_sec INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS watched_sec INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS page_url TEXT,
+    ADD COLUMN IF NOT EXISTS "timestamp" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_video_engagement_inquiry ON video_engagement_tracking(inquiry_id);
+CREATE INDEX IF NOT EXISTS idx_video_engagement_video ON video_engagement_tracking(video_id);
+
+-- Per-visit rollup, read by the visit-count debug route
+CREATE TABLE IF NOT EXISTS session_summaries (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50) NOT NULL,
+    session_id VARCHAR(100) NOT NULL,
+    start_time TIMESTAMP,
+    end_time TIMESTAMP,
+    duration_seconds INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_summaries_inquiry_id ON session_summaries(inquiry_id);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS inquiry_ai_summary;
+DROP TABLE IF EXISTS ai_family_insights;
@@ -0,0 +1,26 @@
+-- One row per inquiry and analysis type (engagement_summary, family_profile, ...)
+CREATE TABLE IF NOT EXISTS ai_family_insights (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50) NOT NULL,
+    analysis_type VARCHAR(50) NOT NULL,
+    insights_json JSONB,
+    confidence_score NUMERIC(5,2),
+    recommendations TEXT[],
+    lead_score INTEGER,
+    urgency_level VARCHAR(20),
+    lead_temperature VARCHAR(20),
+    generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (inquiry_id, analysis_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_family_insights_inquiry ON ai_family_insights(inquiry_id);
+
+-- Overall AI summary saved from the analytics dashboard
+CREATE TABLE IF NOT EXISTS inquiry_ai_summary (
+    inquiry_id VARCHAR(50) PRIMARY KEY,
+    overview TEXT,
+    recommendations JSONB DEFAULT '[]'::jsonb,
+    strategy TEXT,
+    generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+DROP VIEW IF EXISTS follow_ups_summary;
+DROP TABLE IF EXISTS follow_ups;
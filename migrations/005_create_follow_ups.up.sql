@@ -0,0 +1,24 @@
+CREATE TABLE IF NOT EXISTS follow_ups (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50),
+    family_name VARCHAR(200) NOT NULL,
+    note TEXT NOT NULL,
+    due_date DATE NOT NULL,
+    priority VARCHAR(10) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+    completed BOOLEAN DEFAULT FALSE,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_ups_due_date ON follow_ups(due_date);
+CREATE INDEX IF NOT EXISTS idx_follow_ups_inquiry_id ON follow_ups(inquiry_id);
+
+-- Counts for the stat cards on follow-up.html (/api/follow-ups/stats)
+CREATE OR REPLACE VIEW follow_ups_summary AS
+SELECT
+    COUNT(*) FILTER (WHERE NOT completed AND due_date < CURRENT_DATE) AS overdue_count,
+    COUNT(*) FILTER (WHERE NOT completed AND due_date = CURRENT_DATE) AS today_count,
+    COUNT(*) FILTER (WHERE NOT completed AND due_date > CURRENT_DATE) AS upcoming_count,
+    COUNT(*) FILTER (WHERE completed) AS completed_count
+FROM follow_ups;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS email_learning_rules;
+DROP TABLE IF EXISTS email_generation_history;
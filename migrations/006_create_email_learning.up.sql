@@ -0,0 +1,34 @@
+-- Every AI-drafted email, plus the staff correction when one is made
+CREATE TABLE IF NOT EXISTS email_generation_history (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50),
+    parent_email VARCHAR(255),
+    parent_name VARCHAR(200),
+    template_type VARCHAR(50),
+    original_email_text TEXT,
+    generated_email TEXT,
+    ai_service VARCHAR(50),
+    corrected_email TEXT,
+    correction_notes TEXT,
+    correction_type VARCHAR(50),
+    approved_for_training BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_history_created_at ON email_generation_history(created_at);
+
+-- Phrase rules learned from corrections and fed back into generation
+CREATE TABLE IF NOT EXISTS email_learning_rules (
+    id SERIAL PRIMARY KEY,
+    rule_type VARCHAR(50),
+    original_phrase TEXT,
+    replacement_phrase TEXT,
+    context_hint TEXT,
+    times_used INTEGER DEFAULT 0,
+    confidence_score NUMERIC(4,2) DEFAULT 0.5,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_rules_active ON email_learning_rules(active, confidence_score);
@@ -0,0 +1,11 @@
+-- Dashboard accounts (server/auth.js)
+CREATE TABLE IF NOT EXISTS staff_users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE, -- stored lower-case
+    name VARCHAR(200),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('registrar', 'admissions', 'admin')),
+    password_hash TEXT NOT NULL, -- scrypt$<salt>$<hash>
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP
+);
@@ -0,0 +1,5 @@
+ALTER TABLE inquiries
+    DROP COLUMN IF EXISTS link_version,
+    DROP COLUMN IF EXISTS link_issued_at,
+    DROP COLUMN IF EXISTS link_expires_at,
+    DROP COLUMN IF EXISTS link_revoked_at;
@@ -0,0 +1,7 @@
+-- Signed prospectus links (server/prospectus-links.js). Bumping link_version
+-- invalidates every link issued before; 0 means a legacy unsigned slug.
+ALTER TABLE inquiries
+    ADD COLUMN IF NOT EXISTS link_version INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS link_issued_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS link_expires_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS link_revoked_at TIMESTAMP;
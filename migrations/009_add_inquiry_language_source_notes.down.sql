@@ -0,0 +1,4 @@
+ALTER TABLE inquiries
+    DROP COLUMN IF EXISTS language,
+    DROP COLUMN IF EXISTS source,
+    DROP COLUMN IF EXISTS notes;
@@ -0,0 +1,7 @@
+-- Fields the JSON records always carried but the table could not hold, so the
+-- Postgres and JSON inquiry backends (server/services/inquiry-repository.js)
+-- store the same record
+ALTER TABLE inquiries
+    ADD COLUMN IF NOT EXISTS language VARCHAR(10) DEFAULT 'en',
+    ADD COLUMN IF NOT EXISTS source VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS notes TEXT;
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS prospectus_content_versions;
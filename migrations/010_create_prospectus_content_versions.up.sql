@@ -0,0 +1,15 @@
+-- Prospectus content edited in the dashboard (server/services/prospectus-content.js).
+-- Every save is a version; the newest is the draft and the most recently
+-- published one is live.
+CREATE TABLE IF NOT EXISTS prospectus_content_versions (
+    version SERIAL PRIMARY KEY,
+    document JSONB NOT NULL,
+    saved_by VARCHAR(255),
+    saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    published_by VARCHAR(255),
+    published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prospectus_content_published
+    ON prospectus_content_versions (published_at DESC)
+    WHERE published_at IS NOT NULL;
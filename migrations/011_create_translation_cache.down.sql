@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS translation_glossary;
+DROP TABLE IF EXISTS translation_cache;
@@ -0,0 +1,30 @@
+-- Cached DeepL translations and the glossary applied before translating
+-- (translation-cache.js, server/services/translation-store.js)
+CREATE TABLE IF NOT EXISTS translation_cache (
+    cache_key CHAR(64) PRIMARY KEY, -- sha256 of language, context and source text
+    language VARCHAR(10) NOT NULL,
+    context VARCHAR(100),
+    source_length INTEGER,
+    translated TEXT NOT NULL,
+    glossary_version VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_cache_language ON translation_cache(language, context);
+CREATE INDEX IF NOT EXISTS idx_translation_cache_last_used ON translation_cache(last_used_at);
+
+CREATE TABLE IF NOT EXISTS translation_glossary (
+    term VARCHAR(200) PRIMARY KEY,
+    translations JSONB NOT NULL DEFAULT '{}', -- { "<lang>": "<text>" }; none means keep as written
+    note TEXT,
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- translator.js's BRAND_TOKENS
+INSERT INTO translation_glossary (term, note) VALUES
+    ('More House School', 'School name'),
+    ('More House', 'School name'),
+    ('Knightsbridge', 'Place name')
+ON CONFLICT (term) DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE translation_cache DROP COLUMN IF EXISTS provider;
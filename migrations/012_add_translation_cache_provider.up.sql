@@ -0,0 +1,4 @@
+-- Which translation provider made each cached translation
+-- (server/services/translation-providers.js); earlier rows all came from DeepL
+ALTER TABLE translation_cache
+    ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'deepl';
@@ -0,0 +1,12 @@
+-- Translators' own translations of prospectus segments, used in place of the
+-- machine translation (server/services/prospectus-translation.js)
+CREATE TABLE IF NOT EXISTS translation_overrides (
+    language VARCHAR(10) NOT NULL,
+    segment VARCHAR(64) NOT NULL,
+    source_hash CHAR(16) NOT NULL, -- the English it was written for
+    source TEXT NOT NULL,
+    translated TEXT NOT NULL,
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (language, segment)
+);
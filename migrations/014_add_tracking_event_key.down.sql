@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS uq_tracking_events_inquiry_event_key;
+ALTER TABLE tracking_events DROP COLUMN IF EXISTS event_key;
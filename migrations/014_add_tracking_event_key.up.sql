@@ -0,0 +1,6 @@
+-- Idempotency key per tracked event (server/services/tracking-events.js), so
+-- a batch public/tracking.js sends twice is only stored once. Earlier rows
+-- have none, and NULLs never clash.
+ALTER TABLE tracking_events ADD COLUMN IF NOT EXISTS event_key VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tracking_events_inquiry_event_key ON tracking_events(inquiry_id, event_key);
@@ -0,0 +1,23 @@
+-- Background work (server/services/job-queue.js): AI summaries, family
+-- analysis and translation, run by workers outside the HTTP request
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, done, failed
+    batch_id VARCHAR(40), -- jobs queued together, e.g. one per family
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- not before; pushed back between retries
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(100),
+    last_error TEXT,
+    result JSONB,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(type, status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs(batch_id);
@@ -0,0 +1,17 @@
+DROP TABLE IF EXISTS rollup_watermarks;
+DROP TABLE IF EXISTS family_engagement_summary;
+DROP INDEX IF EXISTS uq_session_summaries_inquiry_session;
+
+ALTER TABLE session_summaries
+    DROP COLUMN IF EXISTS total_events,
+    DROP COLUMN IF EXISTS sections_visited,
+    DROP COLUMN IF EXISTS max_scroll_depth,
+    DROP COLUMN IF EXISTS section_times,
+    DROP COLUMN IF EXISTS videos_played,
+    DROP COLUMN IF EXISTS videos_completed,
+    DROP COLUMN IF EXISTS total_video_time,
+    DROP COLUMN IF EXISTS contact_actions,
+    DROP COLUMN IF EXISTS engagement_score,
+    DROP COLUMN IF EXISTS visit_number,
+    DROP COLUMN IF EXISTS ended_by,
+    DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,53 @@
+-- Per-visit and per-family rollups of tracking_events, kept up to date by
+-- server/services/session-rollup.js so the dashboard reads a row per session
+-- or family instead of re-aggregating raw events
+ALTER TABLE session_summaries
+    ADD COLUMN IF NOT EXISTS total_events INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sections_visited INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS max_scroll_depth INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS section_times JSONB DEFAULT '{}', -- { section: { dwell_sec, max_scroll_pct, clicks, video_sec } }
+    ADD COLUMN IF NOT EXISTS videos_played INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS videos_completed INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS total_video_time INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS contact_actions INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS engagement_score INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS visit_number INTEGER DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS ended_by VARCHAR(10), -- unload, idle; NULL while the visit may still be going
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- One row per visit; nothing wrote the table before, but keep the newest if
+-- something did
+DELETE FROM session_summaries s
+USING session_summaries newer
+WHERE s.inquiry_id = newer.inquiry_id
+  AND s.session_id = newer.session_id
+  AND s.id < newer.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_session_summaries_inquiry_session ON session_summaries(inquiry_id, session_id);
+
+CREATE TABLE IF NOT EXISTS family_engagement_summary (
+    inquiry_id VARCHAR(50) PRIMARY KEY,
+    total_sessions INTEGER DEFAULT 0,
+    total_duration_seconds INTEGER DEFAULT 0,
+    total_events INTEGER DEFAULT 0,
+    sections_visited INTEGER DEFAULT 0,
+    section_times JSONB DEFAULT '{}', -- section_times of every session added up
+    max_scroll_depth INTEGER DEFAULT 0,
+    videos_played INTEGER DEFAULT 0,
+    videos_completed INTEGER DEFAULT 0,
+    total_video_time INTEGER DEFAULT 0,
+    contact_actions INTEGER DEFAULT 0,
+    engagement_score INTEGER DEFAULT 0,
+    first_seen TIMESTAMP,
+    last_seen TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- How far through tracking_events each rollup has got
+CREATE TABLE IF NOT EXISTS rollup_watermarks (
+    name VARCHAR(50) PRIMARY KEY,
+    last_event_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO rollup_watermarks (name) VALUES ('sessions') ON CONFLICT (name) DO NOTHING;
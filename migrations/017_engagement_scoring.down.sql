@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS engagement_score_history;
+
+ALTER TABLE family_engagement_summary
+    DROP COLUMN IF EXISTS tier_expansions,
+    DROP COLUMN IF EXISTS score_factors,
+    DROP COLUMN IF EXISTS score_model_version;
+
+ALTER TABLE session_summaries
+    DROP COLUMN IF EXISTS tier_expansions;
+
+DROP TABLE IF EXISTS engagement_score_models;
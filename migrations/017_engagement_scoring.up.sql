@@ -0,0 +1,28 @@
+-- One engagement score (server/services/engagement-scoring.js): the weights
+-- staff set, each family's current score with its per-factor breakdown, and
+-- every change to it
+CREATE TABLE IF NOT EXISTS engagement_score_models (
+    version SERIAL PRIMARY KEY,
+    factors JSONB NOT NULL, -- { factor: { weight, fullAt } }
+    saved_by VARCHAR(255),
+    saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE session_summaries
+    ADD COLUMN IF NOT EXISTS tier_expansions INTEGER DEFAULT 0;
+
+ALTER TABLE family_engagement_summary
+    ADD COLUMN IF NOT EXISTS tier_expansions INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS score_factors JSONB DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS score_model_version INTEGER;
+
+CREATE TABLE IF NOT EXISTS engagement_score_history (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50) NOT NULL,
+    score INTEGER NOT NULL,
+    model_version INTEGER NOT NULL DEFAULT 0, -- 0: the built-in weights
+    factors JSONB NOT NULL DEFAULT '[]',
+    scored_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_engagement_score_history_inquiry ON engagement_score_history(inquiry_id, scored_at);
@@ -0,0 +1,40 @@
+-- Staff alert rules (server/services/alerts.js) and every alert they have
+-- fired. An alert is fired once per rule, family and dedupe_key (a return
+-- visit's session, a score threshold, ...).
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    trigger JSONB NOT NULL, -- { type, ...settings }
+    channel VARCHAR(20) NOT NULL, -- email | webhook | dashboard
+    target JSONB NOT NULL DEFAULT '{}', -- { to } for email, { url } for webhook
+    cooldown_minutes INTEGER NOT NULL DEFAULT 1440,
+    respect_quiet_hours BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id SERIAL PRIMARY KEY,
+    rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+    rule_name VARCHAR(200) NOT NULL,
+    inquiry_id VARCHAR(50) NOT NULL,
+    dedupe_key VARCHAR(200) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    message TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    -- email / webhook: pending | held (quiet hours) | sent | failed
+    -- dashboard: unread | read
+    status VARCHAR(20) NOT NULL,
+    deliver_after TIMESTAMP,
+    delivered_at TIMESTAMP,
+    error TEXT,
+    read_by VARCHAR(255),
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_alerts_rule_inquiry_key ON alerts(rule_id, inquiry_id, dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_alerts_inquiry ON alerts(inquiry_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_alerts_unread ON alerts(status) WHERE status = 'unread';
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS family_email_events;
+DROP TABLE IF EXISTS family_emails;
@@ -0,0 +1,40 @@
+-- Emails staff send a family from the server (server/services/family-emails.js)
+-- and the opens and clicks recorded through their tracking pixel and links.
+CREATE TABLE IF NOT EXISTS family_emails (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50) NOT NULL,
+    history_id VARCHAR(64), -- the email_generation_history draft, if AI-drafted
+    to_address VARCHAR(255) NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT NOT NULL,
+    prospectus_url TEXT,
+    links JSONB NOT NULL DEFAULT '[]', -- the URLs its tracked links redirect to
+    tracking_token VARCHAR(64) NOT NULL UNIQUE,
+    message_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL, -- sending | sent | failed
+    error TEXT,
+    sent_by VARCHAR(255),
+    sent_at TIMESTAMP,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    first_opened_at TIMESTAMP,
+    last_opened_at TIMESTAMP,
+    click_count INTEGER NOT NULL DEFAULT 0,
+    last_clicked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_emails_inquiry ON family_emails(inquiry_id, created_at);
+
+CREATE TABLE IF NOT EXISTS family_email_events (
+    id SERIAL PRIMARY KEY,
+    email_id INTEGER NOT NULL REFERENCES family_emails(id) ON DELETE CASCADE,
+    inquiry_id VARCHAR(50) NOT NULL,
+    event_type VARCHAR(10) NOT NULL, -- open | click
+    url TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_email_events_inquiry ON family_email_events(inquiry_id, created_at);
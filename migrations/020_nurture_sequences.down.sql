@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS nurture_step_runs;
+DROP TABLE IF EXISTS nurture_enrollments;
+DROP TABLE IF EXISTS nurture_sequences;
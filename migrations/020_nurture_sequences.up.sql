@@ -0,0 +1,46 @@
+-- Nurture sequences (server/services/nurture.js): timed emails to a family,
+-- each step gated on their engagement and pipeline status, and a log of what
+-- each step did.
+CREATE TABLE IF NOT EXISTS nurture_sequences (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    auto_enrol BOOLEAN NOT NULL DEFAULT FALSE, -- every new enquiry joins it
+    steps JSONB NOT NULL, -- [{ day, subject, body, when }]
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS nurture_enrollments (
+    id SERIAL PRIMARY KEY,
+    sequence_id INTEGER NOT NULL REFERENCES nurture_sequences(id) ON DELETE CASCADE,
+    inquiry_id VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL, -- active | paused | completed | stopped
+    next_step INTEGER NOT NULL DEFAULT 0,
+    next_run_at TIMESTAMP,
+    attempts INTEGER NOT NULL DEFAULT 0, -- failed sends of the next step
+    pause_reason TEXT,
+    enrolled_by VARCHAR(255),
+    enrolled_at TIMESTAMP NOT NULL,
+    paused_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (sequence_id, inquiry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_nurture_enrollments_due ON nurture_enrollments(next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_nurture_enrollments_inquiry ON nurture_enrollments(inquiry_id);
+
+CREATE TABLE IF NOT EXISTS nurture_step_runs (
+    id SERIAL PRIMARY KEY,
+    enrollment_id INTEGER NOT NULL REFERENCES nurture_enrollments(id) ON DELETE CASCADE,
+    inquiry_id VARCHAR(50) NOT NULL,
+    step INTEGER NOT NULL,
+    outcome VARCHAR(20) NOT NULL, -- sent | skipped | failed
+    reason TEXT,
+    email_id INTEGER REFERENCES family_emails(id) ON DELETE SET NULL,
+    ran_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_nurture_step_runs_enrollment ON nurture_step_runs(enrollment_id, ran_at);
@@ -0,0 +1,44 @@
+-- Open mornings, tours and taster days (server/services/events.js) and the
+-- families booked onto them, with the waitlist and who came.
+CREATE TABLE IF NOT EXISTS events (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(30) NOT NULL, -- open_morning | tour | taster_day
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    location VARCHAR(200),
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP,
+    capacity INTEGER NOT NULL, -- places, counting each person who comes
+    booking_open BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_starts_at ON events(starts_at);
+
+CREATE TABLE IF NOT EXISTS event_bookings (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    inquiry_id VARCHAR(50), -- set when booked from the family's link or by staff
+    parent_name VARCHAR(200) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),
+    attendees INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL, -- booked | waitlisted | cancelled
+    attended BOOLEAN, -- null until staff mark it
+    manage_token VARCHAR(64) NOT NULL UNIQUE, -- the family's link to see or cancel it
+    source VARCHAR(20) NOT NULL, -- family | staff
+    created_by VARCHAR(255),
+    confirmation_sent_at TIMESTAMP,
+    waitlisted_at TIMESTAMP, -- set when it went on the waitlist
+    promoted_at TIMESTAMP, -- and when it was then given a place
+    cancelled_at TIMESTAMP,
+    attendance_marked_at TIMESTAMP,
+    attendance_marked_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_bookings_event ON event_bookings(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_event_bookings_inquiry ON event_bookings(inquiry_id);
@@ -0,0 +1,15 @@
+-- Every change to a family's pipeline status (server/services/pipeline.js):
+-- who moved them, from where to where, when and why.
+CREATE TABLE IF NOT EXISTS inquiry_status_changes (
+    id SERIAL PRIMARY KEY,
+    inquiry_id VARCHAR(50) NOT NULL,
+    from_status VARCHAR(50), -- as it was stored, e.g. received
+    to_status VARCHAR(50) NOT NULL,
+    changed_by VARCHAR(255), -- staff email; NULL when the system moved them
+    source VARCHAR(30) NOT NULL DEFAULT 'staff', -- staff | event_booking
+    note TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inquiry_status_changes_inquiry ON inquiry_status_changes(inquiry_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_inquiry_status_changes_changed_at ON inquiry_status_changes(changed_at);
@@ -0,0 +1,3 @@
+ALTER TABLE inquiry_status_changes DROP COLUMN IF EXISTS fields;
+ALTER TABLE inquiry_status_changes DROP COLUMN IF EXISTS pipeline_id;
+DROP TABLE IF EXISTS pipelines;
@@ -0,0 +1,19 @@
+-- Admissions pipelines per entry point (server/services/pipeline-config.js).
+-- The default pipeline is added by the app the first time it reads the table.
+CREATE TABLE IF NOT EXISTS pipelines (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    age_groups JSONB NOT NULL DEFAULT '[]', -- e.g. ["16-18"]; none for the default
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    stages JSONB NOT NULL, -- ordered [{ key, label, colour, terminal, won, lost, requiredFields, pauseNurture, eventKinds }]
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_one_default ON pipelines(is_default) WHERE is_default;
+
+-- Which pipeline each status change was made in, and the required fields
+-- staff gave with it
+ALTER TABLE inquiry_status_changes ADD COLUMN IF NOT EXISTS pipeline_id INTEGER;
+ALTER TABLE inquiry_status_changes ADD COLUMN IF NOT EXISTS fields JSONB;
@@ -1,32 +1,34 @@
 // precache-translations.js
+// Fills the translation cache (see translation-cache.js) with every segment of
+// the published prospectus, so the first families in each language don't wait
+// on the translation provider.
+// Run with: node precache-translations.js
+require('dotenv').config();
 const translationCache = require('./translation-cache');
+const { initializeDatabase, closeDatabase } = require('./server/services/database');
+const { TRANSLATED_LANGUAGES } = require('./server/services/languages');
+const { prospectusPages } = require('./server/services/prospectus-generator');
+const { precacheSegments } = require('./server/services/prospectus-translation');
 
-async function precacheCommonTexts() {
-    const languages = ['zh', 'ar', 'ru', 'fr', 'es', 'de', 'it'];
-    
-    // Define all your common texts
-    const commonTexts = {
-        'form_title': 'Create Your Personalised Prospectus',
-        'form_welcome': 'Welcome to More House School',
-        'form_family_info': 'Family Information',
-        'form_parent_name': 'Parent/Guardian Name',
-        'form_first_name': "Daughter's First Name",
-        'form_surname': 'Family Surname',
-        'prospectus_title': 'Your Personalised Prospectus',
-        'prospectus_welcome': 'Welcome to More House School',
-        'prospectus_academics': 'Academic Excellence',
-        'prospectus_pastoral': 'Pastoral Care',
-        // Add all your static texts here
-    };
+async function precacheProspectus() {
+    await initializeDatabase();
+    try {
+        const pages = await prospectusPages();
+        for (const lang of TRANSLATED_LANGUAGES) {
+            console.log(`\nPre-caching for ${lang}...`);
+            const summary = await precacheSegments(pages, lang);
+            console.log(`${lang}: ${summary.segments} segments - ${summary.translated} translated, ${summary.cached} already cached, ${summary.failed} failed`);
+        }
 
-    for (const lang of languages) {
-        console.log(`\nPre-caching for ${lang}...`);
-        await translationCache.precache(commonTexts, lang);
+        const stats = await translationCache.getStats();
+        console.log('\n✅ Pre-caching complete!', stats);
+    } finally {
+        await closeDatabase();
     }
-
-    const stats = await translationCache.getStats();
-    console.log('\n✅ Pre-caching complete!', stats);
 }
 
 // Run it
-precacheCommonTexts();
\ No newline at end of file
+precacheProspectus().catch(error => {
+    console.error('Pre-caching failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,165 @@
+/* public/live-activity.js — Live view for the staff dashboards
+   - Listens to /api/stream/activity (Server-Sent Events; the browser reconnects by itself)
+   - Fills <div id="live-activity"> with who is viewing their prospectus now, the latest activity and unread staff alerts
+   - Fires window 'pp:activity' (detail: the item), 'pp:viewing' (detail: the list) and 'pp:alert' (detail: the alert)
+     so pages can refresh their own data
+*/
+
+(function () {
+  'use strict';
+  if (window.__PP_LIVE_ACTIVITY__) return;
+  window.__PP_LIVE_ACTIVITY__ = true;
+
+  const STREAM_URL = '/api/stream/activity';
+  const MAX_FEED_ITEMS = 8;
+  const ICONS = { opened: '👀', returned: '🔁', openmorning_click: '🎓', video: '🎬' };
+
+  let viewing = [];
+  const feed = [];
+  let alerts = [];
+
+  const escapeHtml = s => String(s == null ? '' : s).replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+  const timeOf = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const sinceOf = iso => {
+    const mins = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+    return mins < 1 ? 'just now' : `${mins} min`;
+  };
+  const sectionName = s => s ? s.replace(/_/g, ' ') : '';
+
+  function injectStyles() {
+    if (document.getElementById('live-activity-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'live-activity-styles';
+    style.textContent = `
+      #live-activity { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin: 16px 0; }
+      #live-activity .la-panel { background: #fff; border-radius: 12px; padding: 14px 16px; box-shadow: 0 2px 8px rgba(0,0,0,.06); }
+      #live-activity h3 { margin: 0 0 8px; font-size: 14px; text-transform: uppercase; letter-spacing: .04em; color: #555; }
+      #live-activity .la-dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: #bbb; margin-right: 6px; }
+      #live-activity.la-live .la-dot { background: #2e9e5b; }
+      #live-activity ul { list-style: none; margin: 0; padding: 0; }
+      #live-activity li { padding: 6px 0; border-top: 1px solid #f0f0f0; font-size: 14px; }
+      #live-activity li:first-child { border-top: 0; }
+      #live-activity .la-meta { color: #888; font-size: 12px; }
+      #live-activity .la-empty { color: #999; font-size: 13px; }
+      #live-activity .la-read { float: right; border: 0; background: none; color: #888; cursor: pointer; font-size: 12px; }
+      @media (max-width: 1000px) { #live-activity { grid-template-columns: 1fr; } }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function render() {
+    const root = document.getElementById('live-activity');
+    if (!root) return;
+    injectStyles();
+
+    const viewingHtml = viewing.length
+      ? viewing.map(v => `
+          <li>
+            <strong>${escapeHtml(v.familyName || v.inquiryId)}</strong>${v.childName ? ` (${escapeHtml(v.childName)})` : ''}
+            <div class="la-meta">${v.section ? `Reading ${escapeHtml(sectionName(v.section))} · ` : ''}${escapeHtml(sinceOf(v.since))}</div>
+          </li>`).join('')
+      : '<li class="la-empty">Nobody is viewing a prospectus right now</li>';
+
+    const feedHtml = feed.length
+      ? feed.map(item => `
+          <li>
+            ${ICONS[item.type] || '•'} ${escapeHtml(item.message)}
+            <div class="la-meta">${escapeHtml(timeOf(item.at))}</div>
+          </li>`).join('')
+      : '<li class="la-empty">Activity will appear here as it happens</li>';
+
+    const alertsHtml = alerts.length
+      ? alerts.map(a => `
+          <li>
+            <button class="la-read" data-alert="${a.id}" title="Mark as read">✓</button>
+            🔔 ${escapeHtml(a.message)}
+            <div class="la-meta">${escapeHtml(a.ruleName)} · ${escapeHtml(timeOf(a.createdAt))}</div>
+          </li>`).join('')
+      : '<li class="la-empty">No unread alerts</li>';
+
+    root.innerHTML = `
+      <div class="la-panel">
+        <h3><span class="la-dot"></span>Currently viewing (${viewing.length})</h3>
+        <ul>${viewingHtml}</ul>
+      </div>
+      <div class="la-panel">
+        <h3>Live activity</h3>
+        <ul>${feedHtml}</ul>
+      </div>
+      <div class="la-panel">
+        <h3>Alerts (${alerts.length})</h3>
+        <ul>${alertsHtml}</ul>
+      </div>`;
+
+    root.querySelectorAll('[data-alert]').forEach(btn => {
+      btn.addEventListener('click', () => markRead(Number(btn.dataset.alert)));
+    });
+  }
+
+  async function loadAlerts() {
+    try {
+      const res = await fetch('/api/alerts?channel=dashboard&status=unread&limit=20', { cache: 'no-store' });
+      const data = await res.json();
+      alerts = data.success ? data.alerts : [];
+      render();
+    } catch (e) {
+      console.warn('Could not load alerts:', e.message);
+    }
+  }
+
+  async function markRead(id) {
+    alerts = alerts.filter(a => a.id !== id);
+    render();
+    try {
+      await fetch(`/api/alerts/${id}/read`, { method: 'POST' });
+    } catch (e) {
+      console.warn('Could not mark alert read:', e.message);
+    }
+  }
+
+  function setLive(live) {
+    const root = document.getElementById('live-activity');
+    if (root) root.classList.toggle('la-live', live);
+  }
+
+  function connect() {
+    if (!window.EventSource) return;
+    const source = new EventSource(STREAM_URL);
+
+    source.onopen = () => setLive(true);
+    source.onerror = () => setLive(false);
+
+    source.addEventListener('viewing', e => {
+      viewing = JSON.parse(e.data);
+      render();
+      window.dispatchEvent(new CustomEvent('pp:viewing', { detail: viewing }));
+    });
+
+    source.addEventListener('activity', e => {
+      const item = JSON.parse(e.data);
+      feed.unshift(item);
+      feed.length = Math.min(feed.length, MAX_FEED_ITEMS);
+      render();
+      window.dispatchEvent(new CustomEvent('pp:activity', { detail: item }));
+    });
+
+    source.addEventListener('alert', e => {
+      const alert = JSON.parse(e.data);
+      alerts.unshift(alert);
+      render();
+      window.dispatchEvent(new CustomEvent('pp:alert', { detail: alert }));
+    });
+  }
+
+  // Only once signed in: a 401 sends staff-auth.js to the login page
+  const ready = window.staffReady || Promise.resolve(true);
+  ready.then(user => {
+    if (!user) return;
+    render();
+    loadAlerts();
+    connect();
+    setInterval(render, 60000); // keeps "n min" current
+  });
+})();
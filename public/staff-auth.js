@@ -0,0 +1,52 @@
+/* public/staff-auth.js — Session handling for the staff dashboard pages
+   - Sends the top-level window to /login.html when an API call returns 401
+   - Exposes window.STAFF_USER (from /api/auth/me) and window.staffLogout()
+*/
+
+(function () {
+  'use strict';
+  if (window.__STAFF_AUTH_ACTIVE__) return;
+  window.__STAFF_AUTH_ACTIVE__ = true;
+
+  const topWindow = (function () {
+    try { return window.top.location.href ? window.top : window; } catch { return window; }
+  })();
+
+  function goToLogin() {
+    const next = topWindow.location.pathname + topWindow.location.search;
+    topWindow.location.href = '/login.html?next=' + encodeURIComponent(next);
+  }
+
+  // Wrap fetch so an expired session on any dashboard call lands on the login page
+  const originalFetch = window.fetch.bind(window);
+  window.fetch = async function (input, init) {
+    const res = await originalFetch(input, init);
+    const url = typeof input === 'string' ? input : (input && input.url) || '';
+    if (res.status === 401 && !/\/api\/auth\/login$/.test(url)) goToLogin();
+    return res;
+  };
+
+  window.staffLogout = async function () {
+    try {
+      await originalFetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+      topWindow.location.href = '/login.html';
+    }
+  };
+
+  window.STAFF_USER = null;
+  window.staffReady = originalFetch('/api/auth/me', { cache: 'no-store' })
+    .then(res => {
+      if (res.status === 401) { goToLogin(); return null; }
+      return res.ok ? res.json() : null;
+    })
+    .then(data => {
+      window.STAFF_USER = data && data.user ? data.user : null;
+      const badge = document.getElementById('staff-user');
+      if (badge && window.STAFF_USER) {
+        badge.textContent = `${window.STAFF_USER.name || window.STAFF_USER.email} · ${window.STAFF_USER.roleLabel}`;
+      }
+      return window.STAFF_USER;
+    })
+    .catch(() => null);
+})();
@@ -27,6 +27,7 @@
   // ===== State =====
   const queue = [];
   let flushTimer = null;
+  let eventSeq = 0;                       // eventId: the server drops events it has already stored
 
   let currentSection = null;
   let lastSectionEnterTs = null;
@@ -67,6 +68,7 @@
     queue.push({
       inquiryId: INQUIRY_ID,
       sessionId:  SESSION_ID,
+      eventId:    SESSION_ID + '-' + (++eventSeq),
       eventType,
       data: { ...data, name: data.name || eventType },
       timestamp: nowIso()
@@ -95,17 +97,21 @@
       if (navigator.sendBeacon && document.visibilityState === 'hidden') {
         navigator.sendBeacon(POST_URL, payload);
       } else {
-        await fetch(POST_URL, { 
+        const res = await fetch(POST_URL, { 
           method: 'POST', 
           headers: { 'Content-Type': 'application/json' }, 
           body: payload 
         });
+        // Rejected events won't be accepted next time either; only retry server failures
+        if (res.status >= 500) throw new Error('tracking ' + res.status);
       }
     } catch {
-      // Best-effort retry: put events back to the front of the queue
+      // Best-effort retry: put events back to the front of the queue.
+      // Resending is safe as events keep their eventId
       batch.unshift(...queue);
       queue.length = 0;
       queue.push(...batch);
+      scheduleFlush();
     }
   }
 
@@ -4,7 +4,7 @@
   // ---------------------------- Config ----------------------------
   const PICKER_ID   = 'prospectus-lang';
   const STORE_KEY   = 'penai_prospectus_lang';
-  const ALLOWED     = new Set(['en','zh','ar','ru','fr','es','de','it']); // DeepL codes (we'll .toUpperCase() before sending)
+  let ALLOWED       = new Set(['en']); // filled in by init() from allowedLanguages()
 
   // Phrases to preserve anywhere they appear
   const BRAND_TOKENS = [
@@ -19,11 +19,20 @@
   // ---------------------- State & Utilities -----------------------
   let ORIGINAL_HTML = null;
   let isTranslating = false;
+  let BUILT_LANG = null; // set for prospectuses the server translated
 
   function getPicker() {
     return document.getElementById(PICKER_ID);
   }
 
+  // The supported languages come from /languages.js (server/services/languages.js);
+  // prospectuses saved before it existed only have their picker's options
+  function allowedLanguages() {
+    if (window.MH_LANGUAGES) return new Set(window.MH_LANGUAGES.codes);
+    const picker = getPicker();
+    return new Set(picker ? Array.from(picker.options, o => o.value) : ['en']);
+  }
+
   function getInitialLang() {
     // URL ?lang= takes priority; then last saved; default 'en'
     try {
@@ -32,12 +41,33 @@
       if (ALLOWED.has(fromURL)) return fromURL;
     } catch (_) {}
     const fromLS = (localStorage.getItem(STORE_KEY) || '').trim().toLowerCase();
-    return ALLOWED.has(fromLS) ? fromLS : 'en';
+    if (ALLOWED.has(fromLS)) return fromLS;
+    // Generated prospectuses are marked with the family's language
+    const fromPage = (document.documentElement.lang || '').trim().toLowerCase();
+    return ALLOWED.has(fromPage) ? fromPage : 'en';
+  }
+
+  // Prospectuses are now built in the family's language on the server and say
+  // which; older ones are English pages translated here
+  function builtLanguage() {
+    const meta = document.querySelector('meta[name="prospectus-translated"]');
+    const lang = meta ? (meta.getAttribute('content') || '').trim().toLowerCase() : '';
+    return ALLOWED.has(lang) ? lang : null;
+  }
+
+  // Ask the server for the page in another language
+  function loadBuiltPage(lang) {
+    try {
+      const u = new URL(window.location.href);
+      u.searchParams.set('lang', lang);
+      localStorage.setItem(STORE_KEY, lang);
+      window.location.assign(u.toString());
+    } catch (_) {}
   }
 
   function setLangAttrs(lang) {
     document.documentElement.lang = lang || 'en';
-    document.documentElement.dir  = (lang === 'ar') ? 'rtl' : 'ltr';
+    document.documentElement.dir  = window.MH_LANGUAGES ? window.MH_LANGUAGES.dir(lang) : (lang === 'ar' ? 'rtl' : 'ltr');
   }
 
   function writeLangToURL(lang) {
@@ -225,15 +255,26 @@
     clone.addEventListener('change', e => {
       const lang = String((e.target.value || 'en')).trim().toLowerCase();
       if (!ALLOWED.has(lang)) return;
+      if (BUILT_LANG) {
+        if (lang !== BUILT_LANG) loadBuiltPage(lang);
+        return;
+      }
       translateTo(lang);
     });
 
     // Keep picker showing the current choice
-    const current = getInitialLang();
+    const current = BUILT_LANG || getInitialLang();
     if (clone.value !== current) clone.value = current;
   }
 
   function init() {
+    ALLOWED = allowedLanguages();
+    BUILT_LANG = builtLanguage();
+    if (BUILT_LANG) {
+      // Already in its language, laid out for it by the server
+      bindPicker();
+      return;
+    }
     ORIGINAL_HTML = document.body.innerHTML; // snapshot English baseline
     const initial = getInitialLang();
     setLangAttrs(initial);
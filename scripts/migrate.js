@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * More House School - Database Migrations
+ *
+ * Usage:
+ *   npm run migrate                 apply every pending migration
+ *   npm run migrate -- up [version] apply pending migrations up to a version
+ *   npm run migrate -- down [steps] roll back the last migration (or N)
+ *   npm run migrate -- status       list applied and pending migrations
+ *
+ * Uses the same DATABASE_URL / DB_* settings as server.js.
+ */
+
+require('dotenv').config();
+const { Client } = require('pg');
+const migrations = require('../server/migrations');
+
+function createClient() {
+    if (!process.env.DATABASE_URL && !(process.env.DB_HOST && process.env.DB_USER && process.env.DB_NAME)) {
+        throw new Error('No DB credentials - set DATABASE_URL or DB_HOST/DB_USER/DB_NAME');
+    }
+    return new Client({
+        connectionString: process.env.DATABASE_URL || undefined,
+        host: process.env.DB_HOST || undefined,
+        port: process.env.DB_PORT ? Number(process.env.DB_PORT) : 5432,
+        database: process.env.DB_NAME || undefined,
+        user: process.env.DB_USER || undefined,
+        password: process.env.DB_PASSWORD || undefined,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+}
+
+function parseCount(value, label) {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${label} must be a positive whole number`);
+    return n;
+}
+
+async function printStatus(client) {
+    const { migrations: all, unknown } = await migrations.migrationStatus(client);
+    for (const m of all) {
+        const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'PENDING';
+        console.log(`   ${m.appliedAt ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+    }
+    for (const r of unknown) {
+        console.log(`   ⚠️  ${String(r.version).padStart(3, '0')}_${r.name}  applied but missing from migrations/`);
+    }
+    const pending = all.filter(m => !m.appliedAt).length;
+    console.log(`\n${pending} pending, ${all.length - pending} applied`);
+}
+
+const main = async () => {
+    const [command = 'up', arg] = process.argv.slice(2);
+    let client;
+
+    try {
+        client = createClient();
+        await client.connect();
+
+        if (command === 'up') {
+            const ran = await migrations.migrateUp(client, { to: parseCount(arg, 'Version') });
+            console.log(ran.length ? `✅ Applied ${ran.length} migration(s)` : '✅ Database is up to date');
+        } else if (command === 'down') {
+            const ran = await migrations.migrateDown(client, { steps: parseCount(arg, 'Steps') || 1 });
+            console.log(ran.length ? `✅ Rolled back ${ran.length} migration(s)` : 'Nothing to roll back');
+        } else if (command === 'status') {
+            await printStatus(client);
+        } else {
+            throw new Error(`Unknown command "${command}". Use up, down or status.`);
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (client) await client.end().catch(() => {});
+    }
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,363 @@
+// Staff authentication and role-based access for the admissions dashboard.
+// Accounts live in Postgres (staff_users) when a database is connected and in
+// data/staff-users.json otherwise, mirroring how initializeDatabase degrades.
+// Sessions are HMAC-signed cookies so they work the same in both modes; the
+// account behind one is looked up on every request, so deactivating or
+// demoting someone takes effect straight away rather than when it expires.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { DATA_DIR } = require('./paths');
+const { getDb } = require('./services/database');
+const USERS_FILE = path.join(DATA_DIR, 'staff-users.json');
+
+const SESSION_COOKIE = 'mh_staff';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Roles, lowest privilege first. A route that requires a role also admits
+// every role ranked above it.
+const ROLES = ['registrar', 'admissions', 'admin'];
+const ROLE_LABELS = {
+  registrar: 'Registrar (read-only)',
+  admissions: 'Admissions Officer',
+  admin: 'Administrator'
+};
+
+let sessionSecret = process.env.SESSION_SECRET || null;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET not set - staff sessions will not survive a restart.');
+}
+
+// ===================== PASSWORDS =====================
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, salt, hex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hex) return resolve(false);
+    crypto.scrypt(String(password), salt, 64, (err, key) => {
+      if (err) return resolve(false);
+      const expected = Buffer.from(hex, 'hex');
+      resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+  });
+}
+
+// ===================== SESSIONS =====================
+function sign(value) {
+  return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+function createSessionToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    uid: user.id,
+    email: user.email,
+    name: user.name || null,
+    role: user.role,
+    exp: Date.now() + SESSION_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function readSessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.exp || session.exp < Date.now()) return null;
+    if (!ROLES.includes(session.role)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      out[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[key] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+function setSessionCookie(res, user) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  const maxAge = Math.floor(SESSION_TTL_MS / 1000);
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${createSessionToken(user)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+// ===================== MIDDLEWARE =====================
+// Attach the signed-in staff member (if any) to every request as req.staff,
+// with the role their account has now. A session whose account has gone or
+// been deactivated counts as signed out.
+async function attachStaff(req, _res, next) {
+  req.staff = null;
+  const session = readSessionToken(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (session) {
+    try {
+      const user = await findStaffUserById(getDb(), session.uid);
+      if (user && user.active !== false && ROLES.includes(user.role)) {
+        req.staff = { ...session, email: user.email, name: user.name || null, role: user.role };
+      }
+    } catch (e) {
+      console.warn('Failed to look up staff session:', e.message);
+    }
+  }
+  next();
+}
+
+function hasRole(staff, minRole) {
+  if (!staff) return false;
+  return ROLES.indexOf(staff.role) >= ROLES.indexOf(minRole);
+}
+
+// Guard for JSON API routes: 401 when signed out, 403 when the role is too low
+function requireRole(minRole) {
+  if (!ROLES.includes(minRole)) throw new Error(`Unknown role: ${minRole}`);
+  return (req, res, next) => {
+    if (!req.staff) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!hasRole(req.staff, minRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        requiredRole: minRole,
+        role: req.staff.role
+      });
+    }
+    next();
+  };
+}
+
+// Guard for dashboard HTML pages: send signed-out visitors to the login page
+function requireStaffPage(pages) {
+  const protectedPages = new Set(pages.map(p => `/${p}`));
+  return (req, res, next) => {
+    if (req.method !== 'GET' || !protectedPages.has(decodeURIComponent(req.path))) return next();
+    if (req.staff) return next();
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+// ===================== STAFF ACCOUNTS =====================
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function publicUser(u) {
+  if (!u) return null;
+  return {
+    id: u.id,
+    email: u.email,
+    name: u.name || null,
+    role: u.role,
+    active: u.active !== false,
+    createdAt: u.created_at || u.createdAt || null,
+    lastLoginAt: u.last_login_at || u.lastLoginAt || null
+  };
+}
+
+async function readUsersFile() {
+  try {
+    return JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+async function writeUsersFile(users) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+}
+
+async function findStaffUserByEmail(db, email) {
+  const e = normaliseEmail(email);
+  if (db) {
+    const r = await db.query('SELECT * FROM staff_users WHERE email = $1 LIMIT 1', [e]);
+    return r.rows[0] || null;
+  }
+  return (await readUsersFile()).find(u => u.email === e) || null;
+}
+
+async function findStaffUserById(db, id) {
+  if (db) {
+    const r = await db.query('SELECT * FROM staff_users WHERE id = $1 LIMIT 1', [id]);
+    return r.rows[0] || null;
+  }
+  return (await readUsersFile()).find(u => String(u.id) === String(id)) || null;
+}
+
+async function listStaffUsers(db) {
+  if (db) {
+    const r = await db.query('SELECT * FROM staff_users ORDER BY created_at ASC');
+    return r.rows.map(publicUser);
+  }
+  return (await readUsersFile()).map(publicUser);
+}
+
+async function createStaffUser(db, { email, name, role, password }) {
+  const e = normaliseEmail(email);
+  if (!e || !password) throw new Error('Email and password are required');
+  if (!ROLES.includes(role)) throw new Error(`Invalid role. Allowed: ${ROLES.join(', ')}`);
+  if (String(password).length < 10) throw new Error('Password must be at least 10 characters');
+  if (await findStaffUserByEmail(db, e)) throw new Error('A staff account with that email already exists');
+
+  const passwordHash = await hashPassword(password);
+
+  if (db) {
+    const r = await db.query(`
+      INSERT INTO staff_users (email, name, role, password_hash, active, created_at)
+      VALUES ($1, $2, $3, $4, true, NOW())
+      RETURNING *
+    `, [e, name || null, role, passwordHash]);
+    return publicUser(r.rows[0]);
+  }
+
+  const users = await readUsersFile();
+  const user = {
+    id: users.reduce((max, u) => Math.max(max, Number(u.id) || 0), 0) + 1,
+    email: e,
+    name: name || null,
+    role,
+    password_hash: passwordHash,
+    active: true,
+    created_at: new Date().toISOString(),
+    last_login_at: null
+  };
+  users.push(user);
+  await writeUsersFile(users);
+  return publicUser(user);
+}
+
+async function updateStaffUser(db, id, { name, role, password, active }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Invalid role. Allowed: ${ROLES.join(', ')}`);
+  }
+  if (password !== undefined && String(password).length < 10) {
+    throw new Error('Password must be at least 10 characters');
+  }
+  const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+
+  if (db) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) { updates.push(`name = $${paramCount++}`); values.push(name); }
+    if (role !== undefined) { updates.push(`role = $${paramCount++}`); values.push(role); }
+    if (active !== undefined) { updates.push(`active = $${paramCount++}`); values.push(!!active); }
+    if (passwordHash) { updates.push(`password_hash = $${paramCount++}`); values.push(passwordHash); }
+    if (!updates.length) throw new Error('No fields to update');
+
+    values.push(id);
+    const r = await db.query(
+      `UPDATE staff_users SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return publicUser(r.rows[0]);
+  }
+
+  const users = await readUsersFile();
+  const user = users.find(u => String(u.id) === String(id));
+  if (!user) return null;
+  if (name !== undefined) user.name = name;
+  if (role !== undefined) user.role = role;
+  if (active !== undefined) user.active = !!active;
+  if (passwordHash) user.password_hash = passwordHash;
+  await writeUsersFile(users);
+  return publicUser(user);
+}
+
+async function recordStaffLogin(db, id) {
+  try {
+    if (db) {
+      await db.query('UPDATE staff_users SET last_login_at = NOW() WHERE id = $1', [id]);
+      return;
+    }
+    const users = await readUsersFile();
+    const user = users.find(u => String(u.id) === String(id));
+    if (user) {
+      user.last_login_at = new Date().toISOString();
+      await writeUsersFile(users);
+    }
+  } catch (e) {
+    console.warn('Failed to record staff login:', e.message);
+  }
+}
+
+// Returns the account on a correct email/password pair, otherwise null
+async function authenticateStaff(db, email, password) {
+  const user = await findStaffUserByEmail(db, email);
+  if (!user || user.active === false) return null;
+  if (!(await verifyPassword(password, user.password_hash))) return null;
+  await recordStaffLogin(db, user.id);
+  return publicUser(user);
+}
+
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no accounts exist
+async function seedAdminFromEnv(db) {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  try {
+    const users = await listStaffUsers(db);
+    if (users.length > 0) return null;
+    if (!email || !password) {
+      console.warn('No staff accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+      return null;
+    }
+    const admin = await createStaffUser(db, { email, name: 'Administrator', role: 'admin', password });
+    console.log(`Created initial admin account: ${admin.email}`);
+    return admin;
+  } catch (e) {
+    console.warn('Failed to seed admin account:', e.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  SESSION_COOKIE,
+  attachStaff,
+  requireRole,
+  requireStaffPage,
+  hasRole,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticateStaff,
+  listStaffUsers,
+  createStaffUser,
+  updateStaffUser,
+  seedAdminFromEnv
+};
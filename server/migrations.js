@@ -0,0 +1,148 @@
+// Versioned schema migrations. Each change lives in migrations/ as a numbered
+// pair of files, e.g. 003_create_tracking_tables.up.sql / .down.sql. Applied
+// versions are recorded in schema_migrations; every migration runs in its own
+// transaction so a failure leaves the database at the previous version.
+// migrateUp / migrateDown take a single connection (a pg.Client), not the
+// server's pool: the lock and the transactions belong to one session.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so two deploys never migrate the same database at once
+const LOCK_KEY = 804217;
+
+async function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of (await fs.readdir(MIGRATIONS_DIR)).sort()) {
+    const m = file.match(FILE_PATTERN);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2] };
+    if (entry.name !== m[2]) {
+      throw new Error(`Migration ${m[1]} has two names: ${entry.name} and ${m[2]}`);
+    }
+    entry[m[3]] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.up || !m.down) {
+      throw new Error(`Migration ${m.version}_${m.name} needs both .up.sql and .down.sql`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const r = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return r.rows;
+}
+
+// Every known migration with its applied state, plus applied versions whose
+// files no longer exist (a sign the code is older than the database)
+async function migrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = await appliedVersions(db);
+  const appliedMap = new Map(applied.map(r => [Number(r.version), r]));
+
+  return {
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedMap.has(m.version) ? appliedMap.get(m.version).applied_at : null
+    })),
+    unknown: applied.filter(r => !migrations.some(m => m.version === Number(r.version)))
+  };
+}
+
+async function pendingMigrations(db) {
+  const { migrations } = await migrationStatus(db);
+  return migrations.filter(m => !m.appliedAt);
+}
+
+async function runInTransaction(db, fn) {
+  await db.query('BEGIN');
+  try {
+    await fn();
+    await db.query('COMMIT');
+  } catch (e) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw e;
+  }
+}
+
+async function withLock(db, fn) {
+  await db.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await db.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+  }
+}
+
+// Apply pending migrations in order, up to and including `to` when given
+async function migrateUp(db, { to = Infinity, log = console.log } = {}) {
+  return withLock(db, async () => {
+    const migrations = await loadMigrations();
+    const done = new Set((await appliedVersions(db)).map(r => Number(r.version)));
+    const ran = [];
+
+    for (const m of migrations) {
+      if (done.has(m.version) || m.version > to) continue;
+      const sql = await fs.readFile(m.up, 'utf8');
+      log(`⬆️  Applying ${m.version}_${m.name}`);
+      await runInTransaction(db, async () => {
+        await db.query(sql);
+        await db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+      });
+      ran.push(m);
+    }
+    return ran;
+  });
+}
+
+// Roll back the most recently applied migrations, newest first
+async function migrateDown(db, { steps = 1, log = console.log } = {}) {
+  return withLock(db, async () => {
+    const migrations = await loadMigrations();
+    const applied = (await appliedVersions(db)).map(r => Number(r.version)).sort((a, b) => b - a);
+    const ran = [];
+
+    for (const version of applied.slice(0, steps)) {
+      const m = migrations.find(x => x.version === version);
+      if (!m) throw new Error(`No migration files for applied version ${version}; cannot roll back`);
+      const sql = await fs.readFile(m.down, 'utf8');
+      log(`⬇️  Reverting ${m.version}_${m.name}`);
+      await runInTransaction(db, async () => {
+        await db.query(sql);
+        await db.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+      });
+      ran.push(m);
+    }
+    return ran;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,14 @@
+// Where inquiry JSON, the slug index and generated prospectuses are written.
+// Both default to folders next to server.js; DATA_DIR / PROSPECTUS_DIR move
+// them elsewhere (the test suite points them at a temporary directory).
+// ROOT_DIR is the repository root, for public/ and other bundled files.
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+module.exports = {
+  ROOT_DIR,
+  DATA_DIR: path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data')),
+  PROSPECTUS_DIR: path.resolve(process.env.PROSPECTUS_DIR || path.join(ROOT_DIR, 'prospectuses'))
+};
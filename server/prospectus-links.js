@@ -0,0 +1,179 @@
+// Signed prospectus links. A family's link is /<slug>?t=<token>, where the
+// token is an HMAC over the inquiry id, the link version and an optional
+// expiry. The slug alone is no longer enough to open a prospectus.
+//
+// Each inquiry stores its current link version. Re-issuing or revoking a link
+// bumps the version, so every token handed out before stops working. Tokens are
+// derived from stored state, so the current link can be rebuilt at any time.
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 (the default) means links never expire unless staff set an expiry
+const LINK_TTL_DAYS = Number(process.env.PROSPECTUS_LINK_TTL_DAYS) || 0;
+
+// Inquiries created before signed links existed have no link version. Their
+// bare /<slug> links keep working until this date (e.g. 2026-12-31).
+const LEGACY_LINKS_UNTIL = (() => {
+  const raw = process.env.LEGACY_LINKS_UNTIL;
+  if (!raw) return null;
+  const t = Date.parse(raw);
+  if (Number.isNaN(t)) {
+    console.warn(`LEGACY_LINKS_UNTIL is not a valid date (${raw}) - unsigned links are disabled.`);
+    return null;
+  }
+  return t;
+})();
+
+let linkSecret = process.env.PROSPECTUS_LINK_SECRET || process.env.SESSION_SECRET || null;
+if (!linkSecret) {
+  linkSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('PROSPECTUS_LINK_SECRET not set - prospectus links will stop working after a restart.');
+}
+
+// ===================== TOKENS =====================
+function sign(value) {
+  return crypto.createHmac('sha256', linkSecret).update(`prospectus:${value}`).digest('base64url');
+}
+
+function createLinkToken(inquiryId, version, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({
+    i: inquiryId,
+    v: version,
+    e: expiresAt ? new Date(expiresAt).getTime() : 0
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { inquiryId, version, expiresAt } for a well-formed, correctly signed
+// token; expiry and revocation are checked against the inquiry separately
+function readLinkToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const t = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!t.i || !Number.isInteger(t.v)) return null;
+    return { inquiryId: t.i, version: t.v, expiresAt: t.e || null };
+  } catch {
+    return null;
+  }
+}
+
+// ===================== LINK STATE =====================
+function linkState(inquiry) {
+  return {
+    version: Number(inquiry.linkVersion || inquiry.link_version || 0),
+    issuedAt: inquiry.linkIssuedAt || inquiry.link_issued_at || null,
+    expiresAt: inquiry.linkExpiresAt || inquiry.link_expires_at || null,
+    revokedAt: inquiry.linkRevokedAt || inquiry.link_revoked_at || null
+  };
+}
+
+function defaultExpiry(now = Date.now()) {
+  return LINK_TTL_DAYS > 0 ? new Date(now + LINK_TTL_DAYS * DAY_MS).toISOString() : null;
+}
+
+// State for a freshly issued link. expiresInDays: undefined = default TTL,
+// 0/null = never expires
+function nextLinkState(inquiry, { expiresInDays } = {}) {
+  const now = Date.now();
+  let expiresAt;
+  if (expiresInDays === undefined) {
+    expiresAt = defaultExpiry(now);
+  } else if (!expiresInDays) {
+    expiresAt = null;
+  } else {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days < 0) throw new Error('expiresInDays must be a positive number');
+    expiresAt = new Date(now + days * DAY_MS).toISOString();
+  }
+
+  return {
+    version: linkState(inquiry).version + 1,
+    issuedAt: new Date(now).toISOString(),
+    expiresAt,
+    revokedAt: null
+  };
+}
+
+function revokedLinkState(inquiry) {
+  const current = linkState(inquiry);
+  return {
+    version: current.version + 1,
+    issuedAt: current.issuedAt,
+    expiresAt: current.expiresAt,
+    revokedAt: new Date().toISOString()
+  };
+}
+
+function legacyGraceActive(now = Date.now()) {
+  return LEGACY_LINKS_UNTIL !== null && now < LEGACY_LINKS_UNTIL;
+}
+
+// Paths for the inquiry's current link, or null if it has none
+function signedLinkPaths(inquiry) {
+  const state = linkState(inquiry);
+  if (!inquiry.slug || !state.version || state.revokedAt) return null;
+
+  const token = createLinkToken(inquiry.id, state.version, state.expiresAt);
+  return {
+    token,
+    path: `/${inquiry.slug}?t=${token}`,
+    downloadPath: `/download/${inquiry.slug}?t=${token}`,
+    expiresAt: state.expiresAt
+  };
+}
+
+// ===================== ACCESS CHECK =====================
+// Returns { ok: true, via } or { ok: false, reason } where reason is one of
+// missing | invalid | expired | revoked
+function checkLinkAccess(inquiry, token, now = Date.now()) {
+  const state = linkState(inquiry);
+  if (state.revokedAt) return { ok: false, reason: 'revoked' };
+
+  if (!token) {
+    if (!state.version && legacyGraceActive(now)) return { ok: true, via: 'legacy' };
+    return { ok: false, reason: 'missing' };
+  }
+
+  const t = readLinkToken(token);
+  if (!t || t.inquiryId !== inquiry.id) return { ok: false, reason: 'invalid' };
+  if (t.version !== state.version) return { ok: false, reason: 'revoked' };
+  if (t.expiresAt && t.expiresAt <= now) return { ok: false, reason: 'expired' };
+  return { ok: true, via: 'token' };
+}
+
+function publicLinkStatus(inquiry, base = '') {
+  const state = linkState(inquiry);
+  const paths = signedLinkPaths(inquiry);
+  const expired = !!(state.expiresAt && Date.parse(state.expiresAt) <= Date.now());
+  return {
+    version: state.version,
+    issuedAt: state.issuedAt,
+    expiresAt: state.expiresAt,
+    revokedAt: state.revokedAt,
+    status: state.revokedAt ? 'revoked' : !state.version ? 'legacy' : expired ? 'expired' : 'active',
+    url: paths ? `${base}${paths.path}` : null,
+    downloadUrl: paths ? `${base}${paths.downloadPath}` : null
+  };
+}
+
+module.exports = {
+  LEGACY_LINKS_UNTIL,
+  createLinkToken,
+  readLinkToken,
+  linkState,
+  nextLinkState,
+  revokedLinkState,
+  legacyGraceActive,
+  signedLinkPaths,
+  checkLinkAccess,
+  publicLinkStatus
+};
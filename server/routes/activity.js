@@ -0,0 +1,51 @@
+// The dashboards' live view (services/activity-feed.js): a Server-Sent Events
+// stream of what families are doing and who is viewing right now.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { currentlyViewing, subscribe, itemsSince } = require('../services/activity-feed');
+
+const router = express.Router();
+
+// Keeps proxies from closing a quiet stream
+const KEEPALIVE_MS = 25 * 1000;
+
+// event: viewing  - the whole "currently viewing" list, on connecting and
+//                   whenever it changes
+// event: activity - { id, type: opened | returned | openmorning_click | video,
+//                   inquiryId, familyName, childName, message, at, ... }
+// event: alert    - a dashboard alert as it fires (services/alerts.js)
+// A dashboard reconnecting with Last-Event-ID is sent the items it missed.
+router.get('/api/stream/activity', requireRole('registrar'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  res.write('retry: 5000\n\n');
+
+  const lastId = Number(req.get('Last-Event-ID'));
+  if (Number.isInteger(lastId) && lastId > 0) {
+    for (const item of itemsSince(lastId)) send('activity', item, item.id);
+  }
+  send('viewing', currentlyViewing());
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  const unsubscribe = subscribe({ send, close: () => res.end() });
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+});
+
+router.get('/api/activity/viewing', requireRole('registrar'), (req, res) => {
+  res.json({ success: true, viewing: currentlyViewing() });
+});
+
+module.exports = router;
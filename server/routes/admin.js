@@ -0,0 +1,716 @@
+// Staff sign-in and accounts, admin maintenance and debug endpoints, and the
+// service's own pages (/, /health, /config.json).
+
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const auth = require('../auth');
+const { requireRole } = auth;
+const { PROSPECTUS_DIR } = require('../paths');
+const { getDb } = require('../services/database');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { rebuildSlugIndexFromData, saveSlugIndex, slugIndex } = require('../services/inquiry-store');
+const { buildEngagementSnapshot } = require('../services/engagement');
+const renders = require('../services/prospectus-renders');
+const { summariseFamilyEngagement } = require('../services/ai-client');
+const { getBaseUrl } = require('../utils');
+
+const router = express.Router();
+
+// Staff authentication
+router.post('/api/auth/login', async (req, res) => {
+  const db = getDb();
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'Email and password are required' });
+    }
+
+    const user = await auth.authenticateStaff(db, email, password);
+    if (!user) {
+      console.warn(`Failed staff login for ${String(email).toLowerCase()}`);
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    auth.setSessionCookie(res, user);
+    console.log(`Staff login: ${user.email} (${user.role})`);
+    return res.json({ success: true, user });
+  } catch (e) {
+    console.error('Login error:', e);
+    return res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+router.post('/api/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+router.get('/api/auth/me', requireRole('registrar'), (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.staff.uid,
+      email: req.staff.email,
+      name: req.staff.name,
+      role: req.staff.role,
+      roleLabel: auth.ROLE_LABELS[req.staff.role]
+    }
+  });
+});
+
+// Staff account management (admin only)
+router.get('/api/staff-users', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const users = await auth.listStaffUsers(db);
+    res.json({ success: true, users, roles: auth.ROLES });
+  } catch (e) {
+    console.error('List staff users error:', e);
+    res.status(500).json({ success: false, error: 'Failed to list staff users' });
+  }
+});
+
+router.post('/api/staff-users', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { email, name, role, password } = req.body || {};
+    const user = await auth.createStaffUser(db, { email, name, role, password });
+    console.log(`Staff account created by ${req.staff.email}: ${user.email} (${user.role})`);
+    res.json({ success: true, user });
+  } catch (e) {
+    console.error('Create staff user error:', e.message);
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/api/staff-users/:id', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { name, role, password, active } = req.body || {};
+    if (String(req.params.id) === String(req.staff.uid) && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({ success: false, error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const user = await auth.updateStaffUser(db, req.params.id, { name, role, password, active });
+    if (!user) return res.status(404).json({ success: false, error: 'Staff user not found' });
+
+    console.log(`Staff account updated by ${req.staff.email}: ${user.email} (${user.role})`);
+    res.json({ success: true, user });
+  } catch (e) {
+    console.error('Update staff user error:', e.message);
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+// Debug endpoints
+router.get('/api/debug/check-ai-summary/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    // Check what's in the database
+    const aiData = await db.query(`
+      SELECT analysis_type, insights_json, generated_at
+      FROM ai_family_insights
+      WHERE inquiry_id = $1
+      ORDER BY analysis_type
+    `, [inquiryId]);
+    
+    // Check inquiry dwell time
+    const inquiryData = await db.query(`
+      SELECT first_name, family_surname, dwell_ms, return_visits
+      FROM inquiries
+      WHERE id = $1
+    `, [inquiryId]);
+    
+    // Check tracking events
+    const trackingStats = await db.query(`
+      SELECT 
+        COUNT(*) as total_events,
+        COUNT(DISTINCT session_id) as sessions,
+        COUNT(CASE WHEN event_type = 'section_exit' THEN 1 END) as section_exits
+      FROM tracking_events
+      WHERE inquiry_id = $1
+    `, [inquiryId]);
+    
+    const response = {
+      inquiry: inquiryData.rows[0] || null,
+      trackingStats: trackingStats.rows[0] || null,
+      aiSummaries: {}
+    };
+    
+    aiData.rows.forEach(row => {
+      response.aiSummaries[row.analysis_type] = {
+        generated_at: row.generated_at,
+        narrative: row.insights_json?.narrative || 'No narrative',
+        highlights: row.insights_json?.highlights || [],
+        isFallback: row.insights_json?.narrative?.includes('Limited tracking available') || false
+      };
+    });
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Check AI summary error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/api/debug/regenerate-ai-summary/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  const forceRegenerate = req.query.force === 'true';
+  
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    // Get inquiry data
+    const inquiryData = await db.query(`
+      SELECT * FROM inquiries WHERE id = $1
+    `, [inquiryId]);
+    
+    // Check if current summary is fallback text
+    const currentSummary = await db.query(`
+      SELECT insights_json FROM ai_family_insights 
+      WHERE inquiry_id = $1 AND analysis_type = 'engagement_summary'
+    `, [inquiryId]);
+    
+    const hasFallback = currentSummary.rows[0]?.insights_json?.narrative?.includes('Limited tracking available');
+    
+    if (!hasFallback && !forceRegenerate) {
+      return res.json({
+        success: false,
+        message: 'Summary already has good data. Use ?force=true to regenerate anyway.',
+        current: currentSummary.rows[0]?.insights_json
+      });
+    }
+    
+    // Regenerate the summary
+    const result = await summariseFamilyEngagement(db, inquiryData.rows[0]);
+    
+    // Store it
+    await db.query(`
+      INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json, generated_at)
+      VALUES ($1, 'engagement_summary', $2::jsonb, NOW())
+      ON CONFLICT (inquiry_id, analysis_type)
+      DO UPDATE SET insights_json = EXCLUDED.insights_json, generated_at = NOW()
+    `, [inquiryId, JSON.stringify(result)]);
+    
+    res.json({
+      success: true,
+      regenerated: true,
+      wasFallback: hasFallback,
+      newSummary: result
+    });
+  } catch (error) {
+    console.error('Regenerate AI summary error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api/debug/engagement/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    if (!db) return res.status(500).json({ error: 'Database not available' });
+    
+    const eventTypes = await db.query(`
+      SELECT DISTINCT event_type, COUNT(*) as count
+      FROM tracking_events
+      WHERE inquiry_id = $1
+      GROUP BY event_type
+      ORDER BY count DESC
+    `, [inquiryId]);
+    
+    const sampleEvents = await db.query(`
+      SELECT event_type, event_data, timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1
+      ORDER BY timestamp DESC
+      LIMIT 5
+    `, [inquiryId]);
+    
+    const sectionsCheck = await db.query(`
+      SELECT 
+        event_type,
+        event_data->>'currentSection' as current_section,
+        event_data->>'timeInSectionSec' as time_in_section,
+        event_data->>'maxScrollPct' as max_scroll,
+        timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_data IS NOT NULL
+      ORDER BY timestamp DESC
+      LIMIT 10
+    `, [inquiryId]);
+    
+    const summaryQuery = await db.query(`
+      WITH sec AS (
+        SELECT 
+          COALESCE(event_data->>'currentSection','unknown') AS section,
+          SUM(COALESCE((event_data->>'timeInSectionSec')::int,0)) AS dwell_seconds,
+          MAX(COALESCE((event_data->>'maxScrollPct')::int,0)) AS max_scroll_pct
+        FROM tracking_events
+        WHERE inquiry_id = $1
+          AND event_type = 'section_exit'
+          AND event_data IS NOT NULL
+        GROUP BY 1
+      )
+      SELECT * FROM sec
+      ORDER BY dwell_seconds DESC
+    `, [inquiryId]);
+    
+    const engagementMetrics = await db.query(`
+      SELECT time_on_page, scroll_depth, clicks_on_links, total_visits, last_visit
+      FROM engagement_metrics
+      WHERE inquiry_id = $1
+    `, [inquiryId]);
+    
+    const inquiryData = await db.query(`
+      SELECT dwell_ms, return_visits FROM inquiries WHERE id = $1
+    `, [inquiryId]);
+    
+    const debugInfo = {
+      inquiryId,
+      diagnostics: {
+        eventTypeCounts: eventTypes.rows,
+        sampleRawEvents: sampleEvents.rows.map(r => ({
+          type: r.event_type,
+          data: r.event_data,
+          timestamp: r.timestamp
+        })),
+        sectionExitEvents: sectionsCheck.rows,
+        aggregatedSections: summaryQuery.rows,
+        engagementMetrics: engagementMetrics.rows[0] || null,
+        inquiryTableData: inquiryData.rows[0] || null
+      },
+      analysis: {
+        hasTrackingEvents: eventTypes.rows.length > 0,
+        hasSectionExitEvents: eventTypes.rows.some(r => r.event_type === 'section_exit'),
+        sectionsWithData: summaryQuery.rows.filter(r => Number(r.dwell_seconds) > 0).length,
+        problemIdentified: null
+      }
+    };
+    
+    if (!debugInfo.diagnostics.eventTypeCounts.length) {
+      debugInfo.analysis.problemIdentified = "NO_TRACKING_EVENTS: No events in tracking_events table";
+    } else if (!debugInfo.analysis.hasSectionExitEvents) {
+      debugInfo.analysis.problemIdentified = "NO_SECTION_EXIT_EVENTS: Events exist but no 'section_exit' type";
+    } else if (debugInfo.diagnostics.sectionExitEvents.length === 0) {
+      debugInfo.analysis.problemIdentified = "EVENT_DATA_NULL: section_exit events exist but event_data is NULL";
+    } else if (debugInfo.analysis.sectionsWithData === 0) {
+      debugInfo.analysis.problemIdentified = "NO_DWELL_TIME: section_exit events exist but timeInSectionSec is 0 or missing";
+    } else {
+      debugInfo.analysis.problemIdentified = "DATA_EXISTS: Data exists and should trigger AI";
+    }
+    
+    res.json(debugInfo);
+  } catch (error) {
+    console.error('Debug endpoint error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api/debug/snapshot/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  if (!db) return res.status(500).json({ error: 'No database' });
+  
+  try {
+    const inquiryId = req.params.inquiryId;
+    const snapshot = await buildEngagementSnapshot(db, inquiryId);
+    
+    res.json({
+      inquiryId,
+      snapshot,
+      hasData: snapshot.totals.time_on_page_ms > 0 || snapshot.sections.length > 0
+    });
+  } catch (error) {
+    console.error('Snapshot debug error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/admin/rebuild-slugs', requireRole('admin'), async (req, res) => {
+  try {
+    console.log('Manual slug rebuild requested...');
+    const added = await rebuildSlugIndexFromData();
+    
+    const summary = {
+      success: true,
+      message: `Rebuilt slug index successfully`,
+      details: {
+        newMappings: added,
+        totalMappings: Object.keys(slugIndex).length,
+        currentSlugs: Object.keys(slugIndex).slice(0, 10)
+      }
+    };
+    
+    console.log('Manual slug rebuild complete:', summary);
+    res.json(summary);
+  } catch (error) {
+    console.error('Manual slug rebuild failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Slug rebuild failed',
+      message: error.message
+    });
+  }
+});
+
+router.get('/admin/debug-database', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    if (!db) {
+      return res.json({ error: 'Database not connected' });
+    }
+    
+    const columns = await db.query(`
+      SELECT column_name, data_type 
+      FROM information_schema.columns 
+      WHERE table_name = 'inquiries'
+      ORDER BY column_name
+    `);
+    
+    const sample = await db.query(`
+      SELECT id, first_name, family_surname, slug, prospectus_url, 
+             prospectus_filename, prospectus_generated, status
+      FROM inquiries
+      LIMIT 5
+    `);
+    
+    const [{ count }] = (await db.query(`SELECT COUNT(*) as count FROM inquiries WHERE school_id = 2`)).rows;
+    
+    let aiCount = 0;
+    try {
+      const [{ count: aiInsights }] = (await db.query(`SELECT COUNT(*) as count FROM ai_family_insights`)).rows;
+      aiCount = aiInsights;
+    } catch (e) {
+      console.warn('AI insights table not found:', e.message);
+    }
+    
+    res.json({
+      totalInquiries: count,
+      aiInsights: aiCount,
+      columns: columns.rows.map(r => ({ name: r.column_name, type: r.data_type })),
+      sampleData: sample.rows
+    });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
+
+// Additional test endpoints
+router.get('/api/test/section-data/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  if (!db) return res.status(500).json({ error: 'No DB' });
+  
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    // Simple query to see what section data exists
+    const result = await db.query(`
+      SELECT 
+        event_type,
+        event_data->>'currentSection' as section,
+        event_data->>'timeInSectionSec' as time_sec,
+        event_data->>'maxScrollPct' as scroll_pct,
+        timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_data->>'currentSection' IS NOT NULL
+      ORDER BY timestamp DESC
+      LIMIT 10
+    `, [inquiryId]);
+    
+    res.json({
+      inquiryId,
+      rawSectionData: result.rows,
+      count: result.rows.length,
+      status: result.rows.length > 0 ? 'SECTION_DATA_FOUND' : 'NO_SECTION_DATA'
+    });
+  } catch (error) {
+    console.error('Test section data error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api/debug/visit-times/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    // Calculate duration for each session from tracking_events
+    const result = await db.query(`
+      SELECT 
+        session_id,
+        MIN(timestamp) as start_time,
+        MAX(timestamp) as end_time,
+        EXTRACT(EPOCH FROM (MAX(timestamp) - MIN(timestamp))) as duration_seconds,
+        COUNT(*) as events
+      FROM tracking_events 
+      WHERE inquiry_id = $1 AND session_id IS NOT NULL
+      GROUP BY session_id
+      ORDER BY start_time DESC
+    `, [req.params.inquiryId]);
+    
+    const totalSeconds = result.rows.reduce((sum, row) => sum + parseFloat(row.duration_seconds || 0), 0);
+    
+    res.json({
+      sessions: result.rows,
+      total_seconds: totalSeconds,
+      total_minutes: Math.round(totalSeconds / 60)
+    });
+  } catch (err) {
+    res.json({ error: err.message });
+  }
+});
+
+router.get('/api/debug/barbara', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = 'INQ-1756192540364116'; // Barbara's ID
+    
+    // 1. Check what events exist for Barbara
+    const eventTypes = await db.query(`
+      SELECT event_type, COUNT(*) as count, MIN(timestamp) as first_event, MAX(timestamp) as last_event
+      FROM tracking_events
+      WHERE inquiry_id = $1
+      GROUP BY event_type
+    `, [inquiryId]);
+    
+    // 2. Look at the actual event data structure for section_exit events
+    const sectionEvents = await db.query(`
+      SELECT 
+        event_type,
+        event_data,
+        timestamp,
+        session_id
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_type LIKE '%section%'
+      ORDER BY timestamp DESC
+      LIMIT 10
+    `, [inquiryId]);
+    
+    // 3. Test the exact query used by the section-data endpoint
+    const sectionQuery = await db.query(`
+      SELECT
+        COALESCE(event_data->>'currentSection', 'unknown') AS section_id,
+        SUM(COALESCE((event_data->>'timeInSectionSec')::int, 0)) AS dwell_seconds,
+        MAX(COALESCE((event_data->>'maxScrollPct')::int, 0)) AS max_scroll_pct,
+        COUNT(CASE WHEN event_type = 'link_click' THEN 1 END) AS clicks,
+        event_data->>'timeInSectionSec' as raw_time,
+        event_data->>'maxScrollPct' as raw_scroll
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_type IN ('section_exit_enhanced', 'section_exit', 'link_click')
+      GROUP BY 1, event_data->>'timeInSectionSec', event_data->>'maxScrollPct'
+      ORDER BY 2 DESC
+    `, [inquiryId]);
+    
+    // 4. Check what's in the inquiries table for Barbara
+    const inquiryData = await db.query(`
+      SELECT id, first_name, family_surname, dwell_ms, return_visits, status
+      FROM inquiries
+      WHERE id = $1
+    `, [inquiryId]);
+    
+    // 5. Check AI insights
+    const aiInsights = await db.query(`
+      SELECT analysis_type, insights_json, generated_at
+      FROM ai_family_insights
+      WHERE inquiry_id = $1
+    `, [inquiryId]);
+    
+    res.json({
+      inquiryId,
+      eventTypeCounts: eventTypes.rows,
+      diagnosis: {
+        inquiry: inquiryData.rows[0] || null,
+        eventTypes: eventTypes.rows,
+        sampleSectionEvents: sectionEvents.rows.map(row => ({
+          type: row.event_type,
+          data: row.event_data,
+          timestamp: row.timestamp,
+          session: row.session_id
+        })),
+        sectionQueryResults: sectionQuery.rows,
+        aiInsights: aiInsights.rows.map(row => ({
+          type: row.analysis_type,
+          generated: row.generated_at,
+          summary: row.insights_json?.narrative?.substring(0, 100) + '...' || 'No narrative'
+        }))
+      },
+      recommendations: {
+        hasSectionExitEvents: eventTypes.rows.some(r => r.event_type.includes('section')),
+        sectionDataAvailable: sectionQuery.rows.length > 0,
+        totalDwellTime: inquiryData.rows[0]?.dwell_ms || 0,
+        issue: sectionQuery.rows.length === 0 ? 'NO_SECTION_DATA_FOUND' : 'SECTION_DATA_EXISTS'
+      }
+    });
+  } catch (error) {
+    console.error('Barbara diagnostic error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// System routes
+router.get('/config.json', (req, res) => {
+  const base = getBaseUrl(req);
+  res.json({ 
+    baseUrl: base, 
+    webhook: `${base}/webhook`, 
+    health: `${base}/health` 
+  });
+});
+
+router.get('/health', (req, res) => {
+  const db = getDb();
+  const base = getBaseUrl(req);
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+    version: '5.0.0-COMPLETE',
+    features: {
+      analytics: 'enabled',
+      tracking: 'enabled',
+      dashboard: 'enabled',
+      database: db ? 'connected' : 'json-only',
+      prettyUrls: true,
+      selfHealing: true,
+      aiAnalysis: 'WORKING',
+      aiEndpoints: {
+        engagementSummary: '/api/ai/engagement-summary/:inquiryId',
+        analyzeAllFamilies: '/api/ai/analyze-all-families',
+        analyzeFamily: '/api/ai/analyze-family/:inquiryId'
+      }
+    }
+  });
+});
+
+router.get('/api/debug/ip', requireRole('admin'), (req, res) => {
+  res.json({
+    ip: req.clientIp || null,
+    geo: req.geo || {},
+    headers: {
+      'x-forwarded-for': req.headers['x-forwarded-for'] || null,
+      'cf-connecting-ip': req.headers['cf-connecting-ip'] || null,
+      'x-real-ip': req.headers['x-real-ip'] || null
+    }
+  });
+});
+
+router.get('/', (req, res) => {
+  const db = getDb();
+  const base = getBaseUrl(req);
+  res.type('html').send(`<!doctype html>
+<html><head><meta charset="utf-8"><title>More House Prospectus Service</title>
+<style>body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;padding:24px;max-width:780px;margin:auto;line-height:1.55}</style></head>
+<body>
+  <h1>More House Prospectus Service</h1>
+  <p><strong>Version 5.0.0 - COMPLETE</strong></p>
+  <ul>
+    <li>Health: <a href="${base}/health">${base}/health</a></li>
+    <li>Webhook (POST JSON): <code>${base}/webhook</code></li>
+    <li>Dashboard: <a href="${base}/dashboard.html">${base}/dashboard.html</a></li>
+    <li>Inquiries (JSON): <a href="${base}/api/analytics/inquiries">${base}/api/analytics/inquiries</a></li>
+    <li>Dashboard data (JSON): <a href="${base}/api/dashboard-data">${base}/api/dashboard-data</a></li>
+    <li>AI Engagement Summary: <code>POST ${base}/api/ai/engagement-summary/:inquiryId</code></li>
+    <li>AI Analyze All: <code>POST ${base}/api/ai/analyze-all-families</code></li>
+    <li>Rebuild slugs: <a href="${base}/admin/rebuild-slugs">${base}/admin/rebuild-slugs</a></li>
+  </ul>
+  <h3>System Status:</h3>
+  <ul>
+    <li>Database: ${db ? 'Connected' : 'JSON-only mode'}</li>
+    <li>Environment: ${process.env.NODE_ENV || 'development'}</li>
+    <li>All endpoints operational</li>
+  </ul>
+  <p>Pretty links: <code>${base}/the-smith-family-abc123</code></p>
+</body></html>`);
+});
+
+router.get('/api/debug/sessions/:inquiryId', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const sessionSummaries = await db.query('SELECT COUNT(*) as count, SUM(duration_seconds) as total FROM session_summaries WHERE inquiry_id = $1', [req.params.inquiryId]);
+    const trackingEvents = await db.query('SELECT COUNT(*) as count, COUNT(DISTINCT session_id) as sessions FROM tracking_events WHERE inquiry_id = $1', [req.params.inquiryId]);
+    
+    res.json({
+      session_summaries: sessionSummaries.rows[0],
+      tracking_events: trackingEvents.rows[0],
+      inquiry_id: req.params.inquiryId
+    });
+  } catch (err) {
+    res.json({ error: err.message });
+  }
+});
+
+
+// Delete inquiry endpoint
+router.delete('/api/analytics/inquiries/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const inquiryId = req.params.id;
+    
+    if (!inquiryId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing inquiry ID' 
+      });
+    }
+
+    // Removes the record and, in Postgres, its tracking and AI rows
+    const repository = getInquiryRepository();
+    const inquiry = await repository.remove(inquiryId);
+    
+    if (!inquiry) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Inquiry not found' 
+      });
+    }
+    
+    // Try to delete the prospectus file if it exists
+    if (inquiry.prospectusFilename) {
+      try {
+        await fs.unlink(path.join(PROSPECTUS_DIR, inquiry.prospectusFilename));
+        console.log(`Deleted prospectus file: ${inquiry.prospectusFilename}`);
+      } catch (prospectusError) {
+        console.warn(`Failed to delete prospectus file: ${prospectusError.message}`);
+      }
+    }
+    
+    const removedRenders = await renders.removeRenders(inquiryId);
+    if (removedRenders) console.log(`Deleted ${removedRenders} prospectus render(s)`);
+    
+    // Remove from slug index
+    if (inquiry.slug && slugIndex[inquiry.slug]) {
+      delete slugIndex[inquiry.slug];
+      await saveSlugIndex();
+      console.log(`Removed slug mapping: ${inquiry.slug}`);
+    }
+    
+    console.log(`Successfully deleted inquiry ${inquiryId} (${inquiry.firstName} ${inquiry.familySurname}) and all related data`);
+    
+    return res.json({ 
+      success: true, 
+      message: `Successfully deleted inquiry for ${inquiry.firstName} ${inquiry.familySurname}`,
+      deletedId: inquiryId,
+      source: repository.kind
+    });
+    
+  } catch (error) {
+    console.error('Delete inquiry error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete inquiry',
+      details: error.message 
+    });
+  }
+});
+
+// Dashboard redirect
+router.get('/dashboard', (req, res) => {
+  res.redirect('/dashboard.html');
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// The admissions funnel, cohort and summary figures
+// (services/admissions-analytics.js) behind the Smart Charts page. All take
+// ?from, ?to, ?ageGroup, ?entryYear, ?hearAboutUs and ?pipeline.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getDb } = require('../services/database');
+const { familyScores } = require('../services/engagement-scoring');
+const { COHORTS, parseFilters, loadFamilies, funnelFor, cohortsFor, summaryFor } = require('../services/admissions-analytics');
+
+const router = express.Router();
+
+// The filters as they were applied, for the charts to say what they show
+const appliedFilters = f => ({
+  from: f.from ? f.from.toISOString() : null,
+  to: f.to ? f.to.toISOString() : null,
+  ageGroup: f.ageGroup,
+  entryYear: f.entryYear,
+  hearAboutUs: f.hearAboutUs,
+  pipeline: f.pipelineId
+});
+
+// One pipeline's funnel: ?pipeline=<id>, else the default pipeline's
+router.get('/api/analytics/funnel', requireRole('registrar'), async (req, res) => {
+  const { errors, filters } = parseFilters(req.query);
+  if (errors.length) return res.status(400).json({ success: false, error: 'Invalid filters', errors });
+  try {
+    const loaded = await loadFamilies(filters);
+    if (!loaded) return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    const pipeline = filters.pipelineId
+      ? loaded.pipelines.find(p => p.id === filters.pipelineId)
+      : loaded.pipelines.find(p => p.isDefault) || loaded.pipelines[0];
+    const families = loaded.families.filter(f => f.pipeline.id === pipeline.id);
+    res.json({
+      success: true,
+      pipeline: { id: pipeline.id, name: pipeline.name, ageGroups: pipeline.ageGroups },
+      filters: appliedFilters(filters),
+      ...funnelFor(pipeline, families)
+    });
+  } catch (e) {
+    console.error('❌ Failed to work out the funnel:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ?by=month (default) | day | hear_about_us | entry_year; every pipeline's
+// families unless ?pipeline is given
+router.get('/api/analytics/cohorts', requireRole('registrar'), async (req, res) => {
+  const by = req.query.by === undefined ? 'month' : req.query.by;
+  if (typeof by !== 'string' || !Object.hasOwn(COHORTS, by)) return res.status(400).json({ success: false, error: `by must be one of ${Object.keys(COHORTS).join(', ')}` });
+  const { errors, filters } = parseFilters(req.query);
+  if (errors.length) return res.status(400).json({ success: false, error: 'Invalid filters', errors });
+  try {
+    const loaded = await loadFamilies(filters);
+    if (!loaded) return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    res.json({
+      success: true,
+      by,
+      filters: appliedFilters(filters),
+      families: loaded.families.length,
+      cohorts: cohortsFor(by, loaded.families, filters)
+    });
+  } catch (e) {
+    console.error('❌ Failed to work out cohorts:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// The summary cards, lead temperatures and subject interests; engagement
+// scores come from the family rollups, so without a database every family is
+// cold
+router.get('/api/analytics/summary', requireRole('registrar'), async (req, res) => {
+  const { errors, filters } = parseFilters(req.query);
+  if (errors.length) return res.status(400).json({ success: false, error: 'Invalid filters', errors });
+  try {
+    const loaded = await loadFamilies(filters);
+    if (!loaded) return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    const db = getDb();
+    const scores = db ? await familyScores(db) : new Map();
+    res.json({
+      success: true,
+      filters: appliedFilters(filters),
+      ...summaryFor(loaded.families, scores)
+    });
+  } catch (e) {
+    console.error('❌ Failed to work out the summary:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,952 @@
+// AI summaries, family analysis and the email assistant with its learning rules.
+
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const { requireRole } = require('../auth');
+const { ROOT_DIR } = require('../paths');
+const { getDb, withTransaction } = require('../services/database');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { enqueueBatch } = require('../services/job-queue');
+const {
+  analyseFamilyProfile,
+  buildLearningPrompt,
+  generateAiEngagementStory,
+  loadLearningRules,
+  openai,
+  saveEmailGeneration,
+  summariseFamilyEngagement
+} = require('../services/ai-client');
+
+const router = express.Router();
+
+// AI endpoints
+router.post('/api/ai/engagement-summary/all', requireRole('admissions'), (req, res) => {
+  return res.redirect(307, '/api/ai/analyze-all-families');
+});
+
+router.post('/api/ai/engagement-summary/:inquiryId', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  const inquiryId = req.params.inquiryId;
+  
+  if (inquiryId === 'all') {
+    return res.status(400).json({ success: false, error: "Use POST /api/ai/analyze-all-families for bulk analysis." });
+  }
+  
+  if (!db) {
+    return res.status(500).json({ success: false, error: 'Database not available' });
+  }
+
+  try {
+    const q = await db.query(`SELECT * FROM inquiries WHERE id = $1`, [inquiryId]);
+    const inquiry = q?.rows?.[0];
+    
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    
+    const result = await summariseFamilyEngagement(db, inquiry);
+    
+    await db.query(`
+      INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json, confidence_score, generated_at)
+      VALUES ($1, 'engagement_summary', $2::jsonb, 1.0, NOW())
+      ON CONFLICT (inquiry_id, analysis_type)
+      DO UPDATE SET insights_json = EXCLUDED.insights_json,
+                    confidence_score = EXCLUDED.confidence_score,
+                    generated_at = EXCLUDED.generated_at
+    `, [ inquiryId, JSON.stringify(result) ]);
+    
+    return res.json({ success: true, result });
+  } catch (e) {
+    console.error('Engagement summary error:', e);
+    return res.status(500).json({ success: false, error: 'Failed to generate engagement summary' });
+  }
+});
+
+router.get('/api/ai/engagement-summary/:inquiryId', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  if (!db) return res.status(500).json({ error: 'Database not available' });
+  
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    const stored = await db.query(`
+      SELECT insights_json
+      FROM ai_family_insights
+      WHERE inquiry_id = $1 AND analysis_type = 'engagement_summary'
+    `, [inquiryId]);
+    
+    const inquiryData = await db.query(`
+      SELECT dwell_ms, return_visits
+      FROM inquiries
+      WHERE id = $1
+    `, [inquiryId]);
+    
+    const sectionData = await db.query(`
+      SELECT
+        COALESCE(event_data->>'currentSection', 'unknown') AS section,
+        SUM(COALESCE((event_data->>'timeInSectionSec')::int, 0)) AS dwell_seconds,
+        MAX(COALESCE((event_data->>'maxScrollPct')::int, 0)) AS max_scroll_pct
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_type = 'section_exit'
+      GROUP BY 1
+      ORDER BY 2 DESC
+    `, [inquiryId]);
+    
+    // Sum actual section engagement time from section_exit events
+    const sessionTotals = await db.query(`
+      SELECT 
+        COUNT(DISTINCT session_id) as session_count,
+        SUM(COALESCE((event_data->>'dwellSec')::int, 0)) as total_seconds
+      FROM tracking_events 
+      WHERE inquiry_id = $1 AND event_type = 'section_exit'
+    `, [inquiryId]);
+
+    const totalSeconds = parseInt(sessionTotals.rows[0]?.total_seconds || 0);
+    const dwellMs = totalSeconds * 1000; // For location 1
+    const totalDwellMs = totalSeconds * 1000; // For location 2
+    const score = Math.min(100, Math.round((dwellMs / 1000) / 10) + 50);
+    const visitCount = Math.max(parseInt(sessionTotals.rows[0]?.session_count || 0), 1);
+    
+    let summaryText = 'No summary available';
+    let highlights = [];
+    
+    if (stored.rows[0]?.insights_json) {
+      const insights = stored.rows[0].insights_json;
+      summaryText = insights.narrative || summaryText;
+      highlights = insights.highlights || [];
+    } else {
+      // Generate if not exists
+      try {
+        const genResponse = await fetch(`http://localhost:${req.socket.localPort}/api/ai/force-summary/${inquiryId}`, {
+          method: 'POST',
+          headers: { cookie: req.headers.cookie || '' }
+        });
+        if (genResponse.ok) {
+          const generated = await genResponse.json();
+          summaryText = generated.aiSummary?.narrative || summaryText;
+          highlights = generated.aiSummary?.highlights || [];
+        }
+      } catch (genError) {
+        console.warn('Failed to generate summary:', genError.message);
+      }
+    }
+    
+    res.json({
+      dwellMs,
+      visits: visitCount,
+      score,
+      sections: sectionData.rows,
+      summaryText,
+      highlights,
+      total_dwell_ms: dwellMs
+    });
+  } catch (error) {
+    console.error('Get engagement summary error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get summary',
+      message: error.message 
+    });
+  }
+});
+
+// Queues the work per family (see server/services/job-handlers.js) and answers
+// straight away; poll statusUrl for progress. { analysisType } picks what is
+// worked out: 'engagement_summary' (the default) or 'family_profile'.
+const BULK_JOB_TYPES = { engagement_summary: 'engagement_summary', family_profile: 'family_analysis' };
+
+function queuedResponse(res, { batchId, jobs }, message) {
+  return res.status(202).json({
+    success: true,
+    message,
+    batchId,
+    queued: jobs.length,
+    statusUrl: `/api/jobs?batch=${batchId}`
+  });
+}
+
+router.post('/api/ai/analyze-all-families', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  const analysisType = (req.body || {}).analysisType || 'engagement_summary';
+  if (!BULK_JOB_TYPES[analysisType]) {
+    return res.status(400).json({ success: false, error: `analysisType must be one of ${Object.keys(BULK_JOB_TYPES).join(', ')}` });
+  }
+  if (!db) {
+    return res.status(500).json({ success: false, error: 'Database not available' });
+  }
+
+  try {
+    const q = await db.query(`SELECT id FROM inquiries WHERE school_id = 2 ORDER BY created_at DESC NULLS LAST`);
+    const batch = await enqueueBatch(BULK_JOB_TYPES[analysisType], q.rows.map(r => ({ inquiryId: r.id })), { createdBy: req.staff.email });
+    console.log(`🧰 Queued ${analysisType} for ${batch.jobs.length} families (${batch.batchId})`);
+    return queuedResponse(res, batch, `Queued ${batch.jobs.length} families`);
+  } catch (e) {
+    console.error('Bulk analyse error:', e);
+    return res.status(500).json({ success: false, error: 'Bulk analysis failed' });
+  }
+});
+
+router.post('/api/ai/analyze-family/:inquiryId', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    console.log(`Starting individual AI analysis for family: ${inquiryId}`);
+    
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Family not found',
+        inquiryId: inquiryId
+      });
+    }
+    
+    console.log(`Processing ${inquiry.firstName} ${inquiry.familySurname} (${inquiry.id})`);
+    
+    const analysis = await analyseFamilyProfile(db, inquiry);
+    
+    if (!analysis) {
+      return res.status(500).json({
+        success: false,
+        error: 'AI analysis failed',
+        inquiryId: inquiryId
+      });
+    }
+    
+    console.log(`Individual analysis completed for ${inquiry.firstName || inquiry.first_name} ${inquiry.familySurname || inquiry.family_surname} (score: ${analysis.leadScore})`);
+    
+    res.json({
+      success: true,
+      message: `AI analysis completed for ${inquiry.firstName || inquiry.first_name} ${inquiry.familySurname || inquiry.family_surname}`,
+      inquiryId: inquiry.id,
+      analysis: {
+        leadScore: analysis.leadScore,
+        urgencyLevel: analysis.urgencyLevel,
+        leadTemperature: analysis.leadTemperature,
+        confidence: analysis.confidence_score,
+        conversationStarters: analysis.conversationStarters,
+        sellingPoints: analysis.sellingPoints,
+        nextActions: analysis.nextActions,
+        insights: analysis.insights
+      }
+    });
+  } catch (error) {
+    console.error(`Individual AI analysis error for ${req.params.inquiryId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Individual AI analysis failed',
+      message: error.message,
+      inquiryId: req.params.inquiryId
+    });
+  }
+});
+
+// AI narrative route
+router.get('/api/family/:inquiryId/ai-summary', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+  
+  try {
+    // Step 1: fetch the snapshot
+    const snapshotRes = await fetch(`http://localhost:${req.socket.localPort}/api/family/${inquiryId}`, {
+      headers: { cookie: req.headers.cookie || '' }
+    });
+    const snapshot = await snapshotRes.json();
+    
+    // Step 2: admissions-style AI prompt
+    const prompt = `
+You are a member of the Admissions Team at a leading independent school in the United Kingdom.
+Your role is to analyse parent engagement with a personalised school prospectus and report back to your colleagues. 
+Always use British spelling, professional admissions language, and write as if you are giving trusted advice to the team.
+
+Write a clear, detailed narrative that covers:
+- Overall behaviour (time spent, visits, device context)
+- Section-by-section commentary (what was read carefully, skimmed, or ignored)
+- Video engagement (started, completed, abandoned)
+- Conversion signals (e.g. clicked "Book a Visit", enquired further)
+- Declared interests (academic and co-curricular)
+- Geographical context (from IP/region if available)
+- Your professional recommendation for follow-up (next best action)
+
+Avoid bullet points; write in natural flowing sentences and paragraphs. Be concise but insightful, giving the admissions team a real sense of the family's engagement.
+
+Snapshot data:
+${JSON.stringify(snapshot, null, 2)}
+`;
+    
+    // Step 3: call GPT
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.2
+    });
+    
+    const aiNarrative = completion.choices[0].message.content.trim();
+    
+    // Step 4: save to ai_family_insights
+    if (db) {
+      const upsertQ = `
+        INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (inquiry_id, analysis_type)
+        DO UPDATE SET insights_json = EXCLUDED.insights_json
+      `;
+      
+      await db.query(upsertQ, [
+        inquiryId,
+        'engagement_summary',
+        JSON.stringify({
+          snapshot,
+          narrative: aiNarrative
+        })
+      ]);
+    }
+    
+    // Step 5: return both
+    res.json({ inquiry_id: inquiryId, snapshot, narrative: aiNarrative });
+  } catch (err) {
+    console.error("Error generating AI narrative:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/ai/force-summary/:inquiryId', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    const inquiryResult = await db.query(`
+      SELECT 
+        id,
+        first_name,
+        family_surname,
+        entry_year,
+        dwell_ms,
+        return_visits
+      FROM inquiries
+      WHERE id = $1
+    `, [inquiryId]);
+    
+    if (!inquiryResult.rows[0]) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    
+    const inquiry = inquiryResult.rows[0];
+    const dwellMs = Number(inquiry.dwell_ms || 0);
+    const minutes = Math.round(dwellMs / 60000);
+    const visits = Number(inquiry.return_visits || 1);
+    
+    const sectionData = await db.query(`
+      SELECT
+        COALESCE(event_data->>'currentSection', 'unknown') AS section,
+        SUM(COALESCE((event_data->>'timeInSectionSec')::int, 0)) AS dwell_seconds,
+        MAX(COALESCE((event_data->>'maxScrollPct')::int, 0)) AS scroll_pct
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND event_type = 'section_exit'
+      GROUP BY 1
+      ORDER BY 2 DESC
+    `, [inquiryId]);
+    
+    const sections = sectionData.rows;
+    
+    let narrative = `${inquiry.first_name} ${inquiry.family_surname}'s family has spent ${minutes} minutes exploring their personalised prospectus`;
+    if (visits > 1) {
+      narrative += ` across ${visits} visits`;
+    }
+    narrative += '. ';
+    
+    if (sections.length > 0) {
+      const topSections = sections
+        .slice(0, 3)
+        .filter(s => s.dwell_seconds > 0)
+        .map(s => s.section.replace(/_/g, ' '));
+        
+      if (topSections.length > 0) {
+        narrative += `They showed strong interest in ${topSections.join(', ')}, `;
+        
+        const fullScroll = sections.filter(s => s.scroll_pct >= 100);
+        if (fullScroll.length > 0) {
+          narrative += `thoroughly reviewing ${fullScroll.length} section${fullScroll.length > 1 ? 's' : ''} completely. `;
+        }
+      }
+    }
+    
+    narrative += `This level of engagement indicates genuine interest in More House. A personalised follow-up discussing their areas of interest would be valuable.`;
+    
+    const highlights = [
+      `• ${minutes} minutes of focused engagement`,
+      `• ${sections.length} sections explored`,
+      visits > 1 ? `• ${visits} visits showing sustained interest` : `• Initial exploration completed`,
+      `• Ready for targeted follow-up`,
+      `• Strong candidate for admission`
+    ];
+    
+    // Try AI generation if available
+    if (process.env.ANTHROPIC_API_KEY || process.env.OPENAI_API_KEY) {
+      try {
+        const snapshot = {
+          sections: [],
+          totals: {
+            time_on_page_ms: dwellMs,
+            video_ms: 0,
+            clicks: 0,
+            total_visits: visits
+          },
+          sections: sections.map(s => ({
+            section: s.section,
+            dwell_ms: s.dwell_seconds * 1000,
+            video_ms: 0,
+            clicks: 0
+          }))
+        };
+        
+        const aiResult = await generateAiEngagementStory(snapshot, {
+          first_name: inquiry.first_name,
+          family_surname: inquiry.family_surname,
+          entry_year: inquiry.entry_year
+        });
+        
+        if (aiResult && aiResult.narrative && !aiResult.narrative.includes('Limited tracking')) {
+          narrative = aiResult.narrative;
+          if (aiResult.highlights) {
+            highlights.length = 0;
+            highlights.push(...aiResult.highlights);
+          }
+        } else {
+          console.log('AI generation failed, using deterministic summary');
+        }
+      } catch (aiError) {
+        console.log('AI generation failed, using deterministic summary');
+      }
+    }
+    
+    await db.query(`
+      INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json, generated_at)
+      VALUES ($1, 'engagement_summary', $2::jsonb, NOW())
+      ON CONFLICT (inquiry_id, analysis_type)
+      DO UPDATE SET 
+        insights_json = EXCLUDED.insights_json,
+        generated_at = NOW()
+    `, [inquiryId, JSON.stringify({ narrative, highlights })]);
+    
+    res.json({
+      success: true,
+      aiSummary: { narrative, highlights },
+      summary: { narrative, highlights },
+      data: {
+        dwellMinutes: minutes,
+        visits,
+        sectionCount: sections.length
+      }
+    });
+  } catch (error) {
+    console.error('Force summary error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/api/fix-all-summaries', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  if (!db) {
+    return res.status(500).json({ success: false, error: 'Database not available' });
+  }
+  try {
+    const problematic = await db.query(`
+      SELECT i.id
+      FROM inquiries i
+      LEFT JOIN ai_family_insights afi 
+        ON i.id = afi.inquiry_id 
+        AND afi.analysis_type = 'engagement_summary'
+      WHERE i.dwell_ms > 0
+        AND (
+          afi.insights_json->>'narrative' LIKE '%Limited tracking%'
+          OR afi.insights_json->>'narrative' LIKE '%awaiting%'
+          OR afi.insights_json->>'narrative' IS NULL
+        )
+    `);
+    
+    const batch = await enqueueBatch('summary_repair', problematic.rows.map(r => ({ inquiryId: r.id })), { createdBy: req.staff.email });
+    return queuedResponse(res, batch, `Queued ${batch.jobs.length} summaries to fix`);
+  } catch (error) {
+    console.error('Fix summaries error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// ENHANCED EMAIL GENERATION ENDPOINT - REPLACE your existing one with this
+// ============================================================================
+
+router.post('/api/ai/generate-email', requireRole('admissions'), async (req, res) => {
+  try {
+    const { originalEmail, templateType, instructions } = req.body;
+
+    if (!originalEmail || !originalEmail.text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing email content'
+      });
+    }
+
+    // Check which AI service to use
+    const useAnthropic = !!process.env.ANTHROPIC_API_KEY;
+    const useOpenAI = !!process.env.OPENAI_API_KEY;
+    
+    if (!useAnthropic && !useOpenAI) {
+      return res.status(500).json({
+        success: false,
+        error: 'No AI service configured'
+      });
+    }
+
+    // Load knowledge base files (same as before)
+    let knowledgeContext = '';
+    
+    try {
+      const chunksFile = await fs.readFile(path.join(ROOT_DIR, 'chunks.jsonl'), 'utf8');
+      const chunks = chunksFile.split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .slice(0, 20);
+      
+      knowledgeContext += '\n\nSCHOOL INFORMATION:\n';
+      chunks.forEach(chunk => {
+        if (chunk.text) {
+          knowledgeContext += chunk.text + '\n\n';
+        }
+      });
+    } catch (e) {
+      console.warn('Could not load chunks.jsonl:', e.message);
+    }
+
+    // Template instructions
+    const templateInstructions = {
+      'initial': 'Write a warm initial response welcoming their enquiry. Provide key information and invite them to an open day.',
+      'followup': 'Write a nurturing follow-up email checking in and offering to answer questions.',
+      'open_day': 'Write an invitation to an upcoming open day with details and how to register.',
+      'sixth_form': 'Write about sixth form opportunities, A Levels, and university preparation.',
+      'custom': instructions || 'Write a helpful, personalized response.'
+    };
+
+    // LOAD LEARNING RULES from previous corrections
+    const learningData = await loadLearningRules();
+
+    const basePrompt = `You are an admissions officer at More House School, an all-girls day school in the UK, responding to a parent enquiry.
+
+ORIGINAL EMAIL FROM ${originalEmail.from || 'Parent'}:
+${originalEmail.text}
+
+TEMPLATE TYPE: ${templateType || 'initial'}
+INSTRUCTIONS: ${templateInstructions[templateType] || templateInstructions['custom']}
+
+${instructions ? `ADDITIONAL INSTRUCTIONS: ${instructions}` : ''}
+
+SCHOOL KNOWLEDGE BASE:
+${knowledgeContext.substring(0, 6000)}
+
+Write a warm, professional email response that:
+- Addresses the parent naturally by name
+- References specific points from their email in a conversational way
+- Uses accurate information from the knowledge base
+- Maintains a welcoming but not overly enthusiastic tone
+- Includes relevant next steps without being pushy
+- Uses British English spelling throughout (colour, organise, programme, behaviour)
+- Uses British school terminology (Year groups, sixth form, head teacher)
+- Remembers this is an all-girls day school (no boarding)
+
+Write ONLY the email body. Be natural and conversational, not formulaic or corporate.`;
+
+    // ENHANCE PROMPT WITH LEARNING - NEW!
+    const enhancedPrompt = buildLearningPrompt(basePrompt, learningData);
+
+    let emailResponse;
+    const aiService = useAnthropic ? 'Claude' : 'ChatGPT';
+    
+    if (useAnthropic) {
+      // Use Claude for more human-like responses
+      console.log('Using Claude for email generation with learning');
+      
+      const response = await fetch("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": process.env.ANTHROPIC_API_KEY,
+          "anthropic-version": "2023-06-01"
+        },
+        body: JSON.stringify({
+          model: "claude-3-5-sonnet-20241022",
+          max_tokens: 1000,
+          messages: [{
+            role: "user",
+            content: enhancedPrompt // Using enhanced prompt with learning
+          }],
+          temperature: 0.7
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Claude API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      emailResponse = data.content[0].text;
+      
+    } else {
+      // Fallback to OpenAI
+      console.log('Using GPT-4 for email generation with learning');
+      
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({ 
+        apiKey: process.env.OPENAI_API_KEY 
+      });
+
+      const completion = await openai.chat.completions.create({
+        model: "gpt-4",
+        messages: [
+          {
+            role: "system",
+            content: "You are a warm, professional admissions officer at More House School. Write naturally and conversationally."
+          },
+          {
+            role: "user",
+            content: enhancedPrompt // Using enhanced prompt with learning
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 800
+      });
+
+      emailResponse = completion.choices[0].message.content;
+    }
+
+    console.log(`Email generated successfully using ${aiService} with ${learningData.rules.length} learning rules applied`);
+
+    // SAVE GENERATION FOR POTENTIAL FEEDBACK - NEW!
+    const historyId = await saveEmailGeneration({
+      inquiry_id: originalEmail.inquiryId || null,
+      parent_email: originalEmail.from,
+      parent_name: originalEmail.from,
+      template_type: templateType,
+      original_email_text: originalEmail.text,
+      generated_email: emailResponse,
+      ai_service: aiService
+    });
+
+    return res.json({
+      success: true,
+      email: emailResponse,
+      aiService: aiService,
+      historyId: historyId, // NEW - for feedback tracking
+      rulesApplied: learningData.rules.length // NEW - shows learning in action
+    });
+
+  } catch (error) {
+    console.error('Email generation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate email',
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// NEW ENDPOINT - EMAIL FEEDBACK & LEARNING
+// ============================================================================
+
+router.post('/api/ai/email-feedback', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { historyId, correctedEmail, correctionNotes, correctionType } = req.body;
+
+    if (!historyId || !correctedEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required feedback data'
+      });
+    }
+
+    // Update the history with correction
+    await db.query(`
+      UPDATE email_generation_history 
+      SET corrected_email = $1,
+          correction_notes = $2,
+          correction_type = $3,
+          approved_for_training = true
+      WHERE id = $4
+    `, [correctedEmail, correctionNotes, correctionType, historyId]);
+
+    // Create a learning rule using the user's correction notes
+    await db.query(`
+      INSERT INTO email_learning_rules 
+      (rule_type, original_phrase, replacement_phrase, context_hint, active, confidence_score)
+      VALUES ($1, $2, $3, $4, true, 0.95)
+    `, [
+      correctionType,
+      correctionNotes, // Show the user's notes as the rule
+      correctionNotes, // Show it in both columns
+      correctionNotes
+    ]);
+    
+    console.log(`✅ Learning rule created: ${correctionType} - ${correctionNotes}`);
+
+    return res.json({
+      success: true,
+      message: 'Feedback saved and learning rule created'
+    });
+
+  } catch (error) {
+    console.error('Feedback processing error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process feedback'
+    });
+  }
+});
+
+// ============================================================================
+// NEW ENDPOINT - VIEW ACTIVE LEARNING RULES
+// ============================================================================
+
+router.get('/api/ai/learning-rules', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const rules = await db.query(`
+      SELECT 
+        id,
+        rule_type,
+        original_phrase,
+        replacement_phrase,
+        context_hint,
+        times_used,
+        confidence_score,
+        active,
+        created_at
+      FROM email_learning_rules 
+      WHERE active = true
+      ORDER BY created_at DESC
+      LIMIT 50
+    `);
+    
+    return res.json({
+      success: true,
+      rules: rules.rows,
+      count: rules.rows.length
+    });
+    
+  } catch (error) {
+    console.error('Failed to fetch learning rules:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rules'
+    });
+  }
+});
+
+// ============================================================================
+// DASHBOARD ENDPOINTS - Learning Stats & Management
+// ============================================================================
+
+router.get('/api/ai/learning-stats', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    // Get total corrections
+    const totalCorrectionsResult = await db.query(`
+      SELECT COUNT(*) as count 
+      FROM email_generation_history 
+      WHERE corrected_email IS NOT NULL
+    `);
+    
+    // Get active rules count
+    const activeRulesResult = await db.query(`
+      SELECT COUNT(*) as count 
+      FROM email_learning_rules 
+      WHERE active = true
+    `);
+    
+    // Get success rate (rules with high confidence)
+    const successRateResult = await db.query(`
+      SELECT 
+        COUNT(*) FILTER (WHERE confidence_score >= 0.8) * 100.0 / NULLIF(COUNT(*), 0) as rate
+      FROM email_learning_rules 
+      WHERE active = true
+    `);
+    
+    // Get emails generated today
+    const emailsTodayResult = await db.query(`
+      SELECT COUNT(*) as count 
+      FROM email_generation_history 
+      WHERE DATE(created_at) = CURRENT_DATE
+    `);
+    
+    // Get top rules
+    const topRulesResult = await db.query(`
+      SELECT 
+        id,
+        rule_type,
+        original_phrase,
+        replacement_phrase,
+        context_hint,
+        times_used,
+        confidence_score,
+        created_at
+      FROM email_learning_rules 
+      WHERE active = true
+      ORDER BY confidence_score DESC, times_used DESC
+      LIMIT 20
+    `);
+    
+    // Get recent corrections
+    const recentCorrectionsResult = await db.query(`
+      SELECT 
+        correction_type as type,
+        correction_notes as note,
+        created_at as time
+      FROM email_generation_history 
+      WHERE corrected_email IS NOT NULL 
+        AND correction_notes IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 10
+    `);
+    
+    return res.json({
+      success: true,
+      totalCorrections: parseInt(totalCorrectionsResult.rows[0]?.count || 0),
+      activeRules: parseInt(activeRulesResult.rows[0]?.count || 0),
+      successRate: Math.round(successRateResult.rows[0]?.rate || 0),
+      emailsToday: parseInt(emailsTodayResult.rows[0]?.count || 0),
+      topRules: topRulesResult.rows,
+      recentCorrections: recentCorrectionsResult.rows.map(row => ({
+        type: row.type,
+        note: row.note,
+        time: new Date(row.time).toLocaleString('en-GB', {
+          day: 'numeric',
+          month: 'short',
+          hour: '2-digit',
+          minute: '2-digit'
+        })
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Failed to fetch learning stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stats'
+    });
+  }
+});
+
+// Delete a learning rule permanently
+router.post('/api/ai/learning-rules/:id/disable', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { id } = req.params;
+    
+    await db.query(`
+      DELETE FROM email_learning_rules 
+      WHERE id = $1
+    `, [id]);
+    
+    console.log(`🗑️  Deleted learning rule ID: ${id}`);
+    
+    return res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Failed to delete rule:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete rule'
+    });
+  }
+});
+
+// Delete ALL learning rules
+router.post('/api/ai/learning-rules/delete-all', requireRole('admin'), async (req, res) => {
+  const db = getDb();
+  try {
+    const result = await withTransaction(db, async client => {
+      // First, delete all learning rules
+      const deleted = await client.query(`DELETE FROM email_learning_rules`);
+
+      // CRITICAL: Also disable training approval for ALL corrections
+      // This prevents any old corrections from being used in future emails
+      await client.query(`
+        UPDATE email_generation_history 
+        SET approved_for_training = false
+        WHERE approved_for_training = true
+      `);
+      return deleted;
+    });
+    
+    console.log(`🗑️  Deleted ALL learning rules (${result.rowCount} rules) and disabled all training approvals`);
+    
+    return res.json({
+      success: true,
+      message: `Deleted ${result.rowCount} rules successfully`
+    });
+    
+  } catch (error) {
+    console.error('Failed to delete all rules:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete rules'
+    });
+  }
+});
+
+// ============================================================================
+// LEARNING ANALYTICS ENDPOINT - Track how well the AI is learning
+// ============================================================================
+
+
+// ============================================================================
+// RECENT CORRECTIONS ENDPOINT
+// ============================================================================
+
+router.get('/api/ai/recent-corrections', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    if (!db) {
+      return res.json({ corrections: [] });
+    }
+
+    // Get recent corrections from the database
+    const result = await db.query(`
+      SELECT 
+        correction_type as type,
+        correction_notes as note,
+        corrected_email,
+        created_at,
+        CASE 
+          WHEN created_at > NOW() - INTERVAL '1 hour' THEN 
+            CONCAT(EXTRACT(MINUTE FROM NOW() - created_at)::INTEGER, ' minutes ago')
+          WHEN created_at > NOW() - INTERVAL '24 hours' THEN 
+            CONCAT(EXTRACT(HOUR FROM NOW() - created_at)::INTEGER, ' hours ago')
+          WHEN created_at > NOW() - INTERVAL '7 days' THEN 
+            CONCAT(EXTRACT(DAY FROM NOW() - created_at)::INTEGER, ' days ago')
+          ELSE 
+            TO_CHAR(created_at, 'Mon DD, YYYY')
+        END as time
+      FROM email_generation_history
+      WHERE corrected_email IS NOT NULL
+        AND correction_notes IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 10
+    `);
+
+    return res.json({
+      corrections: result.rows
+    });
+
+  } catch (error) {
+    console.error('Recent corrections error:', error);
+    return res.json({ corrections: [] });
+  }
+});
+
+module.exports = router;
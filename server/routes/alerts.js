@@ -0,0 +1,122 @@
+// Staff alert rules (services/alerts.js), the alerts they have fired for each
+// family, and the unread dashboard alerts.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { TRIGGERS, CHANNELS, validateRule, quietHours, getAlertStore } = require('../services/alerts');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'held', 'sent', 'failed', 'unread', 'read'];
+
+// What a rule can be set to watch, for the rule editor
+function triggerOptions() {
+  return Object.fromEntries(Object.entries(TRIGGERS).map(([type, t]) => [type, {
+    label: t.label,
+    settings: Object.fromEntries(Object.entries(t.settings).map(([field, [kind, required]]) => [field, { kind, required }]))
+  }]));
+}
+
+const hhmm = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// ===================== RULES =====================
+router.get('/api/alerts/rules', requireRole('registrar'), async (req, res) => {
+  try {
+    const quiet = quietHours();
+    res.json({
+      success: true,
+      rules: await getAlertStore().listRules(),
+      triggers: triggerOptions(),
+      channels: CHANNELS,
+      quietHours: quiet ? { start: hhmm(quiet.start), end: hhmm(quiet.end) } : null
+    });
+  } catch (e) {
+    console.error('❌ Failed to list alert rules:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { name, trigger: { type, ...settings }, channel, target, cooldownMinutes,
+//   respectQuietHours, enabled }
+router.post('/api/alerts/rules', requireRole('admissions'), async (req, res) => {
+  try {
+    const { errors, rule } = validateRule(req.body);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
+    const saved = await getAlertStore().createRule(rule, req.staff.email);
+    console.log(`🔔 Alert rule "${saved.name}" added by ${req.staff.email}`);
+    res.status(201).json({ success: true, rule: saved });
+  } catch (e) {
+    console.error('❌ Failed to add alert rule:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Fields left out keep their current values
+router.put('/api/alerts/rules/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getAlertStore();
+    const current = await store.getRule(req.params.id);
+    if (!current) return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    const { errors, rule } = validateRule(req.body, current);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
+    res.json({ success: true, rule: await store.updateRule(current.id, rule) });
+  } catch (e) {
+    console.error('❌ Failed to update alert rule:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Alerts it fired stay in the log
+router.delete('/api/alerts/rules/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    if (!(await getAlertStore().deleteRule(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('❌ Failed to delete alert rule:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== FIRED ALERTS =====================
+// ?channel=dashboard&status=unread for the dashboard's notifications
+router.get('/api/alerts', requireRole('registrar'), async (req, res) => {
+  const { channel, status } = req.query;
+  if (channel && !CHANNELS.includes(channel)) return res.status(400).json({ success: false, error: `channel must be one of ${CHANNELS.join(', ')}` });
+  if (status && !STATUSES.includes(status)) return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    res.json({ success: true, alerts: await getAlertStore().listAlerts({ channel, status, limit }) });
+  } catch (e) {
+    console.error('❌ Failed to list alerts:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/inquiry/:inquiryId/alerts', requireRole('registrar'), async (req, res) => {
+  try {
+    res.json({ success: true, inquiryId: req.params.inquiryId, alerts: await getAlertStore().listAlerts({ inquiryId: req.params.inquiryId }) });
+  } catch (e) {
+    console.error('❌ Failed to list alerts for inquiry:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/alerts/:id/read', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getAlertStore();
+    const alert = await store.getAlert(req.params.id);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    if (alert.channel !== 'dashboard') return res.status(400).json({ success: false, error: 'Only dashboard alerts are read' });
+    const updated = alert.status === 'read'
+      ? alert
+      : await store.updateAlert(alert.id, { status: 'read', readBy: req.staff.email, readAt: new Date() });
+    res.json({ success: true, alert: updated });
+  } catch (e) {
+    console.error('❌ Failed to mark alert read:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
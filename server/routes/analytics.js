@@ -0,0 +1,1033 @@
+// Dashboard data: inquiry lists and overviews, engagement analytics, and
+// pipeline status with each family's status history.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getDb } = require('../services/database');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { summariseEvents } = require('../services/engagement');
+const { temperatureFor } = require('../services/engagement-scoring');
+const { allowedTransitions, getStatusHistoryStore, setStatus, journeyFor, timeInStage } = require('../services/pipeline');
+const { getPipelineStore, pipelineFor, pipelineOf, findStage } = require('../services/pipeline-config');
+const { getBaseUrl, prettySectionName } = require('../utils');
+
+const router = express.Router();
+
+// Engagement and AI insights are only kept in Postgres; without a database a
+// family simply has none yet, so these reads come back empty
+const queryOrEmpty = (db, sql, params) => (db ? db.query(sql, params) : Promise.resolve({ rows: [] }));
+
+const parseInsights = json => (typeof json === 'string' ? JSON.parse(json) : json) || null;
+
+async function aiEngagementById(db) {
+  const { rows } = await queryOrEmpty(db, `
+    SELECT inquiry_id, insights_json
+    FROM ai_family_insights
+    WHERE analysis_type = 'engagement_summary'
+  `);
+  return new Map(rows.map(r => [r.inquiry_id, parseInsights(r.insights_json)]));
+}
+
+// Families are the school's own (school_id 2, the column's default); older
+// JSON records don't carry it
+const ofSchool = inquiry => (inquiry.schoolId ?? 2) === 2;
+
+const byReceivedDesc = (a, b) => new Date(b.receivedAt || 0) - new Date(a.receivedAt || 0);
+
+// Dashboard and analytics endpoints
+router.get('/api/dashboard-data', requireRole('registrar'), async (req, res) => {
+  try {
+    console.log('Dashboard data request...');
+    const repository = getInquiryRepository();
+    const inquiries = await repository.list();
+    console.log(`Loaded ${inquiries.length} inquiries (${repository.kind})`);
+    
+    const now = Date.now();
+    const totalFamilies = inquiries.length;
+    const newInquiries7d = inquiries.filter(i => {
+      const t = Date.parse(i.receivedAt || 0);
+      return t && (now - t) <= 7*24*60*60*1000;
+    }).length;
+    
+    const readyForContact = inquiries.filter(i => i.prospectusGenerated || i.status === 'prospectus_generated').length;
+    const highlyEngaged = Math.floor(totalFamilies * 0.3);
+    
+    const interestKeys = [
+      'sciences','mathematics','english','languages','humanities','business',
+      'drama','music','art','creative_writing','sport','leadership','community_service','outdoor_education',
+      'academic_excellence','pastoral_care','university_preparation','personal_development','career_guidance','extracurricular_opportunities'
+    ];
+    
+    const counts = Object.fromEntries(interestKeys.map(k => [k,0]));
+    for (const i of inquiries) {
+      for (const k of interestKeys) {
+        if (i[k]) counts[k]++;
+      }
+    }
+    
+    const topInterests = Object.entries(counts).filter(([,c])=>c>0)
+      .sort((a,b)=>b[1]-a[1]).slice(0,10).map(([subject,count])=>({
+        subject: subject.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+        count
+      }));
+    
+    const base = getBaseUrl(req);
+    
+    const recentlyActive = inquiries
+      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+      .slice(0, 10)
+      .map(i => ({
+        name: `${i.firstName || ''} ${i.familySurname || ''}`.trim(),
+        inquiryId: i.id,
+        ageGroup: i.ageGroup,
+        entryYear: i.entryYear,
+        activity: 'Recently inquired',
+        when: i.receivedAt,
+        timeOnPage: 0,
+        temperature: 'warm'
+      }));
+    
+    const priorityFamilies = inquiries
+      .filter(i => i.prospectusGenerated || i.status === 'prospectus_generated')
+      .sort((a, b) => new Date(b.prospectusGeneratedAt || b.receivedAt) - new Date(a.prospectusGeneratedAt || a.receivedAt))
+      .slice(0, 15)
+      .map(i => ({
+        name: `${i.firstName||''} ${i.familySurname||''}`.trim(),
+        inquiryId: i.id,
+        ageGroup: i.ageGroup,
+        entryYear: i.entryYear,
+        totalVisits: 1,
+        lastVisit: i.prospectusGeneratedAt || i.receivedAt,
+        temperature: 'warm',
+        hasProspectus: true
+      }));
+    
+    const latestProspectuses = inquiries
+      .filter(i => i.prospectusGenerated || i.status === 'prospectus_generated')
+      .sort((a,b) => new Date(b.prospectusGeneratedAt || b.receivedAt) - new Date(a.prospectusGeneratedAt || a.receivedAt))
+      .slice(0,10)
+      .map(i => {
+        const prettyPath = i.prospectusPrettyPath || (i.slug ? `/${i.slug}` : null);
+        return {
+          name: `${i.firstName||''} ${i.familySurname||''}`.trim(),
+          inquiryId: i.id,
+          generatedAt: i.prospectusGeneratedAt || null,
+          prospectusPrettyUrl: prettyPath ? `${base}${prettyPath}` : null,
+          prospectusDirectUrl: i.prospectusUrl ? `${base}${i.prospectusUrl}` : null
+        };
+      });
+    
+    const response = {
+      summary: { 
+        totalFamilies,
+        readyForContact, 
+        highlyEngaged, 
+        newInquiries7d, 
+        hotLeads: Math.floor(totalFamilies * 0.1),
+        warmLeads: Math.floor(totalFamilies * 0.2),
+        coldLeads: Math.floor(totalFamilies * 0.7),
+        avgEngagement: 5,
+        aiAnalyzed: 0
+      },
+      topInterests, 
+      recentlyActive, 
+      priorityFamilies, 
+      latestProspectuses
+    };
+    
+    console.log('Dashboard data response prepared:', {
+      totalFamilies: response.summary.totalFamilies,
+      recentlyActive: response.recentlyActive.length,
+      priorityFamilies: response.priorityFamilies.length,
+      prospectuses: response.latestProspectuses.length,
+      source: inquiries.length > 0 ? (repository.kind === 'json' ? 'json' : 'database') : 'empty'
+    });
+    
+    return res.json(response);
+  } catch (e) {
+    console.error('Dashboard data error:', e);
+    res.status(500).json({ error: 'Failed to build dashboard data', message: e.message });
+  }
+});
+
+// === Inquiry overview (family, contact, interests, entry years, basic counts) ===
+router.get('/api/inquiry/:inquiryId/overview', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+  if (!inquiryId) return res.status(400).json({ ok:false, error:'Missing inquiryId' });
+
+  try {
+    // 1) Pull core inquiry info
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    const base = inquiry ? {
+      inquiry_id: inquiry.id,
+      family_name: inquiry.familySurname,
+      child_name: inquiry.firstName,
+      email: inquiry.parentEmail,
+      age_group: inquiry.ageGroup,
+      entry_year: inquiry.entryYear,
+      interests: null,
+      slug: inquiry.slug,
+      prospectus_url: inquiry.prospectusUrl      // if stored; else build from slug
+    } : {
+      inquiry_id: inquiryId,
+      family_name: 'Unknown Family',
+      child_name: null,
+      email: null,
+      age_group: null,
+      entry_year: null,
+      interests: null,
+      slug: null,
+      prospectus_url: null
+    };
+
+    // 2) Engagement basics from the family's rollup (session-rollup.js)
+    const stats = await queryOrEmpty(db, `
+      SELECT total_sessions AS visits, total_events AS events, first_seen, last_seen, section_times
+      FROM family_engagement_summary
+      WHERE inquiry_id = $1
+    `, [inquiryId]);
+    const sectionTimes = Object.values(stats.rows[0]?.section_times || {});
+
+    res.json({
+      ok: true,
+      overview: {
+        inquiryId: base.inquiry_id,
+        familyName: base.family_name,
+        childName: base.child_name,
+        email: base.email,
+        ageGroup: base.age_group,
+        entryYear: base.entry_year,
+        interests: base.interests,
+        slug: base.slug,
+        prospectusUrl: base.prospectus_url,
+        visits: Number(stats.rows[0]?.visits || 0),
+        events: Number(stats.rows[0]?.events || 0),
+        firstSeen: stats.rows[0]?.first_seen || null,
+        lastSeen: stats.rows[0]?.last_seen || null,
+        totalDwellSec: sectionTimes.reduce((sum, t) => sum + (t.dwell_sec || 0), 0)
+      }
+    });
+  } catch (e) {
+    console.error('overview error:', e);
+    res.status(500).json({ ok:false, error: e.message });
+  }
+});
+
+router.get('/api/analytics/inquiries/:id/video_rollup', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.id;
+    const q = await queryOrEmpty(db, `
+      SELECT video_id, MAX(video_title) AS title, COUNT(DISTINCT session_id) AS sessions,
+             SUM(COALESCE(watched_sec,0)) AS watch_sec
+      FROM video_engagement_tracking
+      WHERE inquiry_id = $1 AND video_id IS NOT NULL
+      GROUP BY video_id
+      ORDER BY watch_sec DESC
+    `, [inquiryId]);
+
+    res.json({
+      inquiry_id: inquiryId,
+      distinct_videos: q.rows.length,
+      total_watch_sec: q.rows.reduce((s,r)=>s+Number(r.watch_sec||0),0),
+      videos: q.rows
+    });
+  } catch (e) {
+    console.error('video_rollup error', e);
+    res.status(500).json({ error: 'Failed to compute video roll-up' });
+  }
+});
+
+
+// === Overall AI-style summary across all sessions ===
+router.get('/api/inquiry/:inquiryId/summary', requireRole('registrar'), async (req,res)=>{
+  const db = getDb();
+  const { inquiryId } = req.params;
+  if (!inquiryId) return res.status(400).json({ ok:false, error:'Missing inquiryId' });
+  try {
+    if (!db) return res.json({ ok:true, summary: '' });
+
+    const evs = await db.query(`
+      SELECT event_type, event_data, timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1
+      ORDER BY timestamp ASC
+    `, [inquiryId]);
+
+    const events = evs.rows.map(r => ({
+      type: r.event_type,
+      ts: r.timestamp,
+      section: r.event_data?.section ?? null,
+      dwellSec: r.event_data?.dwellSec ?? null,
+      tier: r.event_data?.tier ?? null,
+      youtubeId: r.event_data?.youtubeId ?? null,
+      title: r.event_data?.title ?? null
+    }));
+
+    const text = summariseEvents(events);
+    res.json({ ok:true, summary: text });
+  } catch (e) {
+    console.error('overall summary error:', e);
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+
+router.get('/api/analytics/inquiries', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    console.log('Analytics inquiries request...');
+    const base = getBaseUrl(req);
+    const records = (await getInquiryRepository().list()).filter(ofSchool).sort(byReceivedDesc);
+
+    // Visits, section dwell and the engagement score from each family's
+    // rollup, with the AI engagement summary alongside
+    let rollups = new Map();
+    let aiEngagement = new Map();
+    try {
+      const result = await queryOrEmpty(db, `
+        SELECT inquiry_id, total_sessions, section_times, max_scroll_depth, engagement_score, score_factors
+        FROM family_engagement_summary
+      `);
+      rollups = new Map(result.rows.map(r => [r.inquiry_id, r]));
+      aiEngagement = await aiEngagementById(db);
+    } catch (dbError) {
+      console.warn('Engagement read failed:', dbError.message);
+    }
+
+    const inquiries = records.map(row => {
+      const rollup = rollups.get(row.id) || {};
+      const sections = Object.values(rollup.section_times || {});
+      const dwellMs = sections.reduce((sum, t) => sum + (t.dwell_sec || 0), 0) * 1000;
+      const score = Number(rollup.engagement_score || 0);
+      return {
+        id: row.id,
+        first_name: row.firstName,
+        family_surname: row.familySurname,
+        parent_email: row.parentEmail,
+        entry_year: row.entryYear,
+        age_group: row.ageGroup,
+        received_at: row.receivedAt,
+        country: row.country,
+        region: row.region, 
+        city: row.city,
+        updated_at: row.prospectusGeneratedAt || row.receivedAt,
+        status: row.status || (row.prospectusGenerated ? 'prospectus_generated' : 'received'),
+        prospectus_filename: row.prospectusFilename,
+        prospectus_generated_at: row.prospectusGeneratedAt,
+        prospectus_pretty_path: row.slug ? `/${row.slug}` : null,
+        prospectus_pretty_url: row.slug ? `${base}/${row.slug}` : null,
+        prospectus_direct_url: row.prospectusUrl ? `${base}${row.prospectusUrl}` : null,
+
+        /* FIXED: no more forced “1 visit” */
+        dwell_ms: dwellMs,
+        return_visits: Number(rollup.total_sessions || 0),
+
+        engagement: {
+          timeOnPage: dwellMs,
+          scrollDepth: Number(rollup.max_scroll_depth || 0),
+          clickCount: sections.reduce((sum, t) => sum + (t.clicks || 0), 0),
+          totalVisits: Number(rollup.total_sessions || 0),
+          lastVisit: row.prospectusGeneratedAt || row.receivedAt,
+          // engagement-scoring.js, with what earned it
+          engagementScore: score,
+          temperature: temperatureFor(score),
+          scoreFactors: rollup.score_factors || []
+        },
+
+        aiEngagement: aiEngagement.get(row.id) || null,
+
+        /* Subject interests (unchanged) */
+        sciences: row.sciences,
+        mathematics: row.mathematics,
+        english: row.english,
+        languages: row.languages,
+        humanities: row.humanities,
+        business: row.business,
+        drama: row.drama,
+        music: row.music,
+        art: row.art,
+        creative_writing: row.creative_writing,
+        sport: row.sport,
+        leadership: row.leadership,
+        community_service: row.community_service,
+        outdoor_education: row.outdoor_education,
+        academic_excellence: row.academic_excellence,
+        pastoral_care: row.pastoral_care,
+        university_preparation: row.university_preparation,
+        personal_development: row.personal_development,
+        career_guidance: row.career_guidance,
+        extracurricular_opportunities: row.extracurricular_opportunities
+      };
+    });
+    console.log(`Loaded ${inquiries.length} inquiries with engagement`);
+
+    // Which of the configured pipelines each family is in, and their stage of
+    // it, so the funnel charts count them the way the pipeline is set up
+    const pipelines = await getPipelineStore().list();
+    for (const inquiry of inquiries) {
+      const pipeline = pipelineFor({ ageGroup: inquiry.age_group }, pipelines);
+      const stage = findStage(pipeline, inquiry.status);
+      inquiry.pipeline_id = pipeline.id;
+      inquiry.stage = stage ? stage.key : null;
+    }
+
+    console.log(`Returning ${inquiries.length} inquiries with corrected data`);
+    res.json(inquiries);
+  } catch (e) {
+    console.error('Analytics inquiries error:', e);
+    res.status(500).json({ error: 'Failed to get inquiries' });
+  }
+});
+
+// Save/Upsert Overall AI Summary
+router.put('/api/analytics/inquiries/:id/overall_summary', requireRole('admissions'), express.json(), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.id;
+    const { overview, recommendations, strategy } = req.body || {};
+
+    if (!db) return res.status(503).json({ ok: false, error: 'Database not available' });
+    if (!inquiryId) return res.status(400).json({ ok: false, error: 'Missing inquiry id' });
+
+    // normalise types
+    const ov = typeof overview === 'string' ? overview : (overview ?? null);
+    const recs = Array.isArray(recommendations) ? recommendations : [];
+    const strat = typeof strategy === 'string' ? strategy : (strategy ?? null);
+
+    await db.query(`
+      INSERT INTO inquiry_ai_summary (inquiry_id, overview, recommendations, strategy, generated_at, updated_at)
+      VALUES ($1, $2, $3::jsonb, $4, NOW(), NOW())
+      ON CONFLICT (inquiry_id)
+      DO UPDATE SET
+        overview       = EXCLUDED.overview,
+        recommendations= EXCLUDED.recommendations,
+        strategy       = EXCLUDED.strategy,
+        updated_at     = NOW()
+    `, [inquiryId, ov, JSON.stringify(recs), strat]);
+
+    return res.json({ ok: true, inquiry_id: inquiryId });
+  } catch (err) {
+    console.error('PUT overall_summary error:', err);
+    res.status(500).json({ ok: false, error: 'Failed to save overall AI summary' });
+  }
+});
+
+// Save/Update inquiry pipeline status. Takes the dashboard's names too
+// (high-interest, new); the move is checked against the family's pipeline
+// and recorded by setStatus. fields: the new stage's required fields.
+router.put('/api/analytics/inquiries/:id/status', requireRole('admissions'), express.json(), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { status, note, fields } = req.body || {};
+    if (!id || !status) return res.status(400).json({ ok: false, error: 'Missing id or status' });
+
+    const result = await setStatus(id, status, { changedBy: req.staff.email, note, fields });
+    if (!result) return res.status(404).json({ ok: false, error: 'Inquiry not found' });
+    if (result.error) {
+      return res.status(result.invalid ? 400 : 409).json({ ok: false, error: result.error, allowed: result.allowed, missing: result.missing });
+    }
+
+    return res.json({ ok: true, id, status: result.inquiry.status, change: result.change });
+  } catch (err) {
+    console.error('PUT /inquiries/:id/status error:', err);
+    res.status(500).json({ ok: false, error: 'Failed to save status' });
+  }
+});
+
+// Each family's journey along their pipeline: every status change with who
+// made it and why, and the time spent at each stage
+router.get('/api/inquiries/:id/status-history', requireRole('registrar'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ ok: false, error: 'Inquiry not found' });
+
+    const pipeline = await pipelineOf(inquiry);
+    const changes = await getStatusHistoryStore().listFor(inquiry.id);
+    const stages = journeyFor(pipeline, inquiry, changes);
+    const current = findStage(pipeline, inquiry.status);
+    res.json({
+      ok: true,
+      inquiryId: inquiry.id,
+      pipeline,
+      status: current ? current.key : inquiry.status,
+      allowed: allowedTransitions(pipeline, current ? current.key : null),
+      changes: changes.slice().reverse(),
+      stages,
+      timeInStage: timeInStage(stages)
+    });
+  } catch (err) {
+    console.error('GET /api/inquiries/:id/status-history error:', err);
+    res.status(500).json({ ok: false, error: 'Failed to load status history' });
+  }
+});
+
+
+// Fetch Overall AI Summary
+router.get('/api/analytics/inquiries/:id/overall_summary', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.id;
+
+    // 1) Stored free-text (keep for narrative only)
+    let stored = null;
+    try {
+      const r = await queryOrEmpty(db,
+        `SELECT overview, recommendations, strategy, generated_at, updated_at
+           FROM inquiry_ai_summary
+          WHERE inquiry_id = $1`,
+        [inquiryId]
+      );
+      stored = r.rows[0] || null;
+    } catch (_) {}
+
+    // 2) Computed engagement from tracking + inquiries (ground truth)
+    // Sections + dwell
+    const sectionsQ = await queryOrEmpty(db, `
+      SELECT
+        COALESCE(event_data->>'currentSection','unknown') AS section_id,
+        SUM(COALESCE((event_data->>'timeInSectionSec')::int,0)) AS dwell_sec
+      FROM tracking_events
+      WHERE inquiry_id = $1 AND event_type = 'section_exit'
+      GROUP BY 1
+    `, [inquiryId]);
+
+    // Visits (distinct sessions)
+    const visitsQ = await queryOrEmpty(db, `
+      SELECT COUNT(DISTINCT session_id) AS visits
+      FROM tracking_events
+      WHERE inquiry_id = $1 AND session_id IS NOT NULL
+    `, [inquiryId]);
+
+    // Total dwell (prefer inquiries.dwell_ms if populated; else sum of sections)
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+
+    const fallbackDwellMs = sectionsQ.rows.reduce((sum, r) => sum + (Number(r.dwell_sec || 0) * 1000), 0);
+    const dwellMs = Math.max(Number(inquiry?.dwellMs || 0), fallbackDwellMs);
+    const visits = Math.max(Number(visitsQ.rows[0]?.visits || 0), Number(inquiry?.returnVisits || 0) || 0);
+
+    // Distinct videos watched (prefer video_engagement_tracking if present; else from tracking_events youtube ids)
+    const vidsFromTable = await queryOrEmpty(db, `
+      SELECT COUNT(DISTINCT video_id) AS vids
+      FROM video_engagement_tracking
+      WHERE inquiry_id = $1 AND video_id IS NOT NULL
+    `, [inquiryId]);
+
+    let distinctVideos = Number(vidsFromTable.rows[0]?.vids || 0);
+    if (!distinctVideos) {
+      const vidsFromEvents = await queryOrEmpty(db, `
+        SELECT COUNT(DISTINCT event_data->>'youtubeId') AS vids
+        FROM tracking_events
+        WHERE inquiry_id = $1
+          AND event_type LIKE 'youtube_video_%'
+          AND event_data ? 'youtubeId'
+      `, [inquiryId]);
+      distinctVideos = Number(vidsFromEvents.rows[0]?.vids || 0);
+    }
+
+    // Top sections by dwell
+    const topSections = sectionsQ.rows
+      .map(r => ({ section: (r.section_id || 'unknown'), dwell_ms: Number(r.dwell_sec || 0) * 1000 }))
+      .sort((a,b) => b.dwell_ms - a.dwell_ms)
+      .slice(0, 5);
+
+    // Deterministic, factual narrative (no guessing)
+    const minutes = Math.round(dwellMs / 60000);
+    const secCount = sectionsQ.rows.filter(r => r.section_id !== 'unknown').length;
+    const topNames = topSections.map(s => s.section.replace(/_/g,' ')).slice(0,3);
+    const parts = [];
+    parts.push(`${visits || 1} visit${visits === 1 ? '' : 's'} with ${minutes} minute${minutes === 1 ? '' : 's'} total engagement across ${secCount} section${secCount === 1 ? '' : 's'}.`);
+    if (distinctVideos > 0) parts.push(`Watched ${distinctVideos} video${distinctVideos === 1 ? '' : 's'}.`);
+    if (topNames.length) parts.push(`Most time in: ${topNames.join(', ')}.`);
+    const computedNarrative = parts.join(' ');
+
+    // 3) Response combines stored text (if you still want it) with computed facts
+    return res.json({
+      inquiry_id: inquiryId,
+      computed: {
+        visits,
+        dwell_ms: dwellMs,
+        dwell_minutes: minutes,
+        distinct_sections: secCount,
+        videos_watched: distinctVideos,
+        top_sections: topSections
+      },
+      // keep the legacy fields so your UI doesn’t break
+      overview: stored?.overview || computedNarrative,
+      recommendations: stored?.recommendations || [],
+      strategy: stored?.strategy || null,
+      generated_at: stored?.generated_at || null,
+      updated_at: stored?.updated_at || null,
+      source: 'computed+stored'
+    });
+  } catch (err) {
+    console.error('GET overall_summary error:', err);
+    res.status(500).json({ error: 'Failed to compute overall AI summary' });
+  }
+});
+
+router.get('/api/analytics/video-metrics', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    console.log('Video metrics request...');
+
+    // Query video engagement data per family
+    const videoData = await queryOrEmpty(db, `
+      SELECT 
+        vet.video_id,
+        vet.video_title,
+        vet.inquiry_id as family_id,
+        -- Aggregate video metrics
+        SUM(vet.watched_sec) as totalWatchTime,
+        COUNT(DISTINCT vet.session_id) as sessions,
+        -- Calculate completion rate (you'll need video duration)
+        MAX(vet.current_time_sec) as maxProgress,
+        -- Count events for engagement scoring
+        COUNT(CASE WHEN vet.event_type = 'youtube_video_pause' THEN 1 END) as pauseCount,
+        COUNT(CASE WHEN vet.event_type = 'youtube_video_play_enhanced' THEN 1 END) as replayCount,
+        -- Estimated duration (you may need to store this separately)
+        180 as duration, -- Default 3 minutes, replace with actual duration
+        -- Calculate completion rate
+        ROUND((MAX(vet.current_time_sec) / 180.0) * 100) as completionRate
+      FROM video_engagement_tracking vet
+      WHERE vet.video_id IS NOT NULL
+      GROUP BY vet.video_id, vet.video_title, vet.inquiry_id
+      ORDER BY SUM(vet.watched_sec) DESC
+    `);
+
+    const families = new Map((await getInquiryRepository().list()).map(i => [i.id, i]));
+    const formattedVideos = videoData.rows.map(row => {
+      const family = families.get(row.family_id);
+      return {
+        video_id: row.video_id,
+        title: row.video_title || 'Untitled Video',
+        family_id: row.family_id,
+        family_name: family && family.firstName && family.familySurname ? 
+          `${family.firstName} ${family.familySurname}` : null,
+        duration: parseInt(row.duration) || 180,
+        totalWatchTime: parseInt(row.totalwatchtime) || 0,
+        completionRate: parseInt(row.completionrate) || 0,
+        pauseCount: parseInt(row.pausecount) || 0,
+        replayCount: parseInt(row.replaycount) || 0,
+        bufferingCount: 0, // Not tracked yet
+        sessions: parseInt(row.sessions) || 1
+      };
+    });
+
+    console.log(`Returning ${formattedVideos.length} video records`);
+    res.json(formattedVideos);
+
+  } catch (error) {
+    console.error('Video metrics error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get video metrics',
+      message: error.message 
+    });
+  }
+});
+
+// Geographical analytics
+router.get('/api/analytics/geographical', requireRole('registrar'), async (req, res) => {
+  try {
+    const located = (await getInquiryRepository().list())
+      .filter(i => i.country && i.country !== 'Unknown');
+    const average = (list, field) => list.reduce((sum, i) => sum + Number(i[field] || 0), 0) / list.length;
+    const groupBy = key => {
+      const groups = new Map();
+      for (const i of located) {
+        const k = key(i);
+        groups.set(k, [...(groups.get(k) || []), i]);
+      }
+      return [...groups.values()];
+    };
+
+    const locations = groupBy(i => [i.country, i.region, i.city].join('|'))
+      .map(list => ({
+        country: list[0].country,
+        region: list[0].region || null,
+        city: list[0].city || null,
+        family_count: list.length,
+        avg_engagement_ms: average(list, 'dwellMs'),
+        avg_visits: average(list, 'returnVisits'),
+        latest_inquiry: list.map(i => i.receivedAt).sort().pop() || null
+      }))
+      .sort((a, b) => b.family_count - a.family_count || b.avg_engagement_ms - a.avg_engagement_ms);
+
+    const countries = groupBy(i => i.country)
+      .map(list => ({
+        country: list[0].country,
+        families: list.length,
+        avg_engagement: average(list, 'dwellMs'),
+        engaged_families: list.filter(i => Number(i.dwellMs || 0) > 60000).length
+      }))
+      .sort((a, b) => b.families - a.families);
+    
+    res.json({
+      locations,
+      countries,
+      summary: {
+        totalCountries: countries.length,
+        totalLocations: locations.length,
+        topCountry: countries[0]?.country || 'Unknown',
+        internationalFamilies: countries.filter(c => c.country !== 'GB').length
+      }
+    });
+  } catch (error) {
+    console.error('Geographical analytics error:', error);
+    res.status(500).json({ error: 'Failed to get geographical data' });
+  }
+});
+
+// Section data endpoint
+router.get('/api/section-data/:inquiryId', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    
+    // Section breakdown and totals from the family's rollup (session-rollup.js)
+    const rollup = await queryOrEmpty(db, `
+      SELECT total_sessions, section_times, videos_completed, engagement_score
+      FROM family_engagement_summary
+      WHERE inquiry_id = $1
+    `, [inquiryId]);
+    const family = rollup.rows[0] || { total_sessions: 0, section_times: {}, videos_completed: 0, engagement_score: 0 };
+    const sections = Object.entries(family.section_times || {})
+      .filter(([, t]) => t.dwell_sec > 0 || t.video_sec > 0)
+      .sort(([, a], [, b]) => b.dwell_sec - a.dwell_sec);
+    
+    const totalSeconds = sections.reduce((sum, [, t]) => sum + t.dwell_sec, 0);
+    const totalDwellMs = totalSeconds * 1000;
+    const visitCount = Math.max(parseInt(family.total_sessions || 0), 1);
+    
+    // Scored as the visits were rolled up; /api/inquiry/:id/score explains it
+    const engagementScore = Number(family.engagement_score || 0);
+    
+    // Format sections for the dashboard
+    const formattedSections = sections.map(([sectionId, t]) => {
+      const dwellSeconds = t.dwell_sec || 0;
+      const videoWatchSeconds = t.video_sec || 0;
+      
+      return {
+        section_name: prettySectionName(sectionId),
+        section_id: sectionId,
+        dwell_seconds: dwellSeconds,
+        dwell_minutes: Math.round(dwellSeconds / 60),
+        max_scroll_pct: t.max_scroll_pct || 0,
+        clicks: t.clicks || 0,
+        video_watch_seconds: videoWatchSeconds,
+        video_watch_minutes: Math.round(videoWatchSeconds / 60),
+        has_video_engagement: videoWatchSeconds > 0
+      };
+    });
+    
+    // Calculate video engagement summary
+    const totalVideoSeconds = formattedSections.reduce((sum, s) => sum + s.video_watch_seconds, 0);
+    const sectionsWithVideo = formattedSections.filter(s => s.has_video_engagement).length;
+    const totalVideoCompletions = parseInt(family.videos_completed || 0);
+    
+    res.json({
+      inquiryId,
+      familyName: `${inquiry.firstName || ''} ${inquiry.familySurname || ''}`.trim(),
+      sections: formattedSections,
+      totalDwellMs,
+      totalDwellMinutes: Math.round(totalDwellMs / 60000),
+      totalDwellSeconds: Math.round(totalDwellMs / 1000),
+      visitCount,
+      engagementScore,
+      // Video engagement summary
+      videoEngagement: {
+        totalVideoSeconds,
+        totalVideoMinutes: Math.round(totalVideoSeconds / 60),
+        sectionsWithVideo,
+        videoCompletions: totalVideoCompletions,
+        hasVideoEngagement: totalVideoSeconds > 0
+      },
+      // Enhanced metrics
+      summary: {
+        sectionsExplored: formattedSections.length,
+        totalClicks: formattedSections.reduce((sum, s) => sum + s.clicks, 0),
+        avgScrollDepth: formattedSections.length > 0 ? 
+          Math.round(formattedSections.reduce((sum, s) => sum + s.max_scroll_pct, 0) / formattedSections.length) : 0,
+        highEngagementSections: formattedSections.filter(s => s.dwell_seconds > 30).length
+      },
+      hasData: formattedSections.length > 0 || totalDwellMs > 0
+    });
+    
+  } catch (error) {
+    console.error('Section data endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to get section data',
+      message: error.message,
+      inquiryId: req.params.inquiryId
+    });
+  }
+});
+
+router.get('/api/check-summary/:inquiryId', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    
+    const found = await getInquiryRepository().findById(inquiryId);
+    const insights = await queryOrEmpty(db, `
+      SELECT insights_json, generated_at
+      FROM ai_family_insights
+      WHERE inquiry_id = $1 AND analysis_type = 'engagement_summary'
+    `, [inquiryId]);
+    const inquiry = found ? {
+      id: found.id,
+      first_name: found.firstName,
+      family_surname: found.familySurname,
+      dwell_ms: found.dwellMs,
+      return_visits: found.returnVisits,
+      insights_json: parseInsights(insights.rows[0]?.insights_json),
+      generated_at: insights.rows[0]?.generated_at || null
+    } : undefined;
+    
+    const sections = await queryOrEmpty(db, `
+      SELECT 
+        COUNT(*) as count,
+        SUM(COALESCE((event_data->>'timeInSectionSec')::int, 0)) AS total_dwell
+      FROM tracking_events
+      WHERE inquiry_id = $1 AND event_type = 'section_exit'
+    `, [inquiryId]);
+    
+    res.json({
+      inquiry,
+      trackingEvents: sections.rows,
+      currentSummary: inquiry?.insights_json,
+      problem: inquiry?.insights_json?.narrative?.includes('Limited tracking') ? 
+        'DEFAULT_MESSAGE_DESPITE_DATA' : 'OK'
+    });
+  } catch (error) {
+    console.error('Check summary error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin endpoints
+router.get('/api/inquiries', requireRole('registrar'), async (_req, res) => {
+  try {
+    const inquiries = await getInquiryRepository().list();
+    res.json({ success: true, count: inquiries.length, inquiries });
+  } catch (e) {
+    console.error('raw inquiries error:', e);
+    res.status(500).json({ success: false, error: 'Failed to list inquiries' });
+  }
+});
+
+router.get('/api/raw-family-data', requireRole('registrar'), async (req, res) => {
+  try {
+    const inquiries = (await getInquiryRepository().list()).sort(byReceivedDesc);
+    const aiEngagement = await aiEngagementById(getDb());
+    
+    const families = inquiries.map(i => ({
+      id: i.id,
+      first_name: i.firstName,
+      family_surname: i.familySurname,
+      parent_email: i.parentEmail,
+      entry_year: i.entryYear,
+      dwell_ms: parseInt(i.dwellMs) || 0,
+      return_visits: parseInt(i.returnVisits) || 1,
+      status: i.status,
+      received_at: i.receivedAt,
+      country: i.country,
+      region: i.region,
+      city: i.city,
+      aiEngagement: aiEngagement.get(i.id) || null
+    }));
+    
+    res.json(families);
+  } catch (error) {
+    console.error('Raw data error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Family snapshot endpoint
+router.get('/api/family/:inquiryId', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const inquiryId = req.params.inquiryId;
+    const base = getBaseUrl(req);
+    
+    // 1. Get base family info
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    if (!inquiry) {
+      return res.status(404).json({ error: "Family not found" });
+    }
+    
+    // Build prospectus URL (fallback to filename if needed)
+    const prospectusUrl = inquiry.prospectusUrl ||
+      (inquiry.prospectusFilename ? `/prospectuses/${inquiry.prospectusFilename}` : null);
+    
+    // 2. Engagement metrics (aggregated)
+    const metricsQ = `
+      SELECT 
+        SUM(time_on_page) AS total_time,
+        AVG(pages_viewed) AS avg_pages,
+        MAX(scroll_depth) AS max_scroll,
+        SUM(clicks_on_links) AS total_clicks,
+        MAX(total_visits) AS total_visits,
+        MAX(last_visit) AS last_visit
+      FROM engagement_metrics
+      WHERE inquiry_id = $1
+    `;
+    
+    const metricsRes = await queryOrEmpty(db, metricsQ, [inquiryId]);
+    const metrics = metricsRes.rows[0] || {};
+    
+    // 3. Section-level breakdown from tracking_events
+    const sectionQ = `
+      SELECT current_section,
+             COUNT(*) AS events,
+             SUM(time_on_page) AS total_time,
+             MAX(scroll_depth) AS max_scroll,
+             SUM(conversion_signals) AS conversions
+      FROM tracking_events
+      WHERE inquiry_id = $1
+      GROUP BY current_section
+      ORDER BY total_time DESC NULLS LAST
+    `;
+    
+    const sectionRes = await queryOrEmpty(db, sectionQ, [inquiryId]);
+    const sections = sectionRes.rows.map(r => ({
+      section: r.current_section || "Unknown",
+      time_spent: Number(r.total_time || 0),
+      scroll_depth: Number(r.max_scroll || 0),
+      conversions: Number(r.conversions || 0),
+      events: Number(r.events || 0)
+    }));
+    
+    // 4. Video engagement
+    const videoQ = `
+      SELECT video_id, SUM(watched_sec) AS watch_time
+      FROM video_engagement_tracking
+      WHERE inquiry_id = $1
+      GROUP BY video_id
+    `;
+    
+    let videos = [];
+    try {
+      const videoRes = await queryOrEmpty(db, videoQ, [inquiryId]);
+      videos = videoRes.rows.map(r => ({
+        video_id: r.video_id,
+        watched_seconds: Number(r.watch_time || 0)
+      }));
+    } catch (videoError) {
+      // table might be empty, ignore
+    }
+    
+    // 5. Conversion signals from tracking_events
+    const conversionQ = `
+      SELECT event_type, COUNT(*) AS cnt
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND conversion_signals > 0
+      GROUP BY event_type
+    `;
+    
+    const conversionRes = await queryOrEmpty(db, conversionQ, [inquiryId]);
+    const conversions = conversionRes.rows.map(r => ({
+      type: r.event_type,
+      count: Number(r.cnt)
+    }));
+    
+    // 6. Interests (boolean flags)
+    const interestFields = [
+      "sciences","mathematics","english","languages","humanities","business",
+      "drama","music","art","creative_writing","sport","leadership",
+      "community_service","outdoor_education","academic_excellence",
+      "pastoral_care","university_preparation","personal_development",
+      "career_guidance","extracurricular_opportunities","debating",
+      "small_classes","london_location","values_based","university_prep"
+    ];
+    
+    const interests = interestFields.filter(f => inquiry[f] === true);
+    
+    // 7. Geo info
+    const geo = {
+      country: inquiry.country,
+      region: inquiry.region,
+      city: inquiry.city,
+      latitude: inquiry.latitude,
+      longitude: inquiry.longitude,
+      timezone: inquiry.timezone,
+      isp: inquiry.isp
+    };
+    
+    // Final response
+    res.json({
+      inquiry_id: inquiryId,
+      family: `${inquiry.firstName} ${inquiry.familySurname}`,
+      parent_email: inquiry.parentEmail,
+      entry_year: inquiry.entryYear,
+      age_group: inquiry.ageGroup,
+      prospectus_url: prospectusUrl,
+      prospectus_generated_at: inquiry.prospectusGeneratedAt,
+      received_at: inquiry.receivedAt,
+      engagement: {
+        total_dwell_seconds: Number(metrics.total_time || inquiry.dwellMs || 0),
+        avg_pages_per_visit: Number(metrics.avg_pages || 0),
+        max_scroll_depth: Number(metrics.max_scroll || 0),
+        link_clicks: Number(metrics.total_clicks || 0),
+        total_visits: Number(metrics.total_visits || inquiry.returnVisits || 0),
+        last_active: metrics.last_visit || inquiry.updatedAt
+      },
+      sections,
+      videos,
+      conversions,
+      interests,
+      geo
+    });
+  } catch (error) {
+    console.error("Error building family snapshot:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an inquiry's status
+router.put('/api/inquiries/:id/status', requireRole('admissions'), express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note, fields } = req.body || {};
+
+    if (!id) return res.status(400).json({ ok:false, error:'Missing inquiry id' });
+    if (!status) return res.status(400).json({ ok:false, error:'Missing status' });
+    const result = await setStatus(id, status, { changedBy: req.staff.email, note, fields });
+    if (!result) return res.status(404).json({ ok:false, error:'Inquiry not found' });
+    if (result.error) {
+      return res.status(result.invalid ? 400 : 409).json({ ok:false, error: result.error, allowed: result.allowed, missing: result.missing });
+    }
+    const updated = result.inquiry;
+    res.json({ ok:true, inquiry: { id: updated.id, status: updated.status, updated_at: updated.updatedAt || null }, change: result.change });
+  } catch (e) {
+    console.error('PUT /api/inquiries/:id/status error:', e);
+    res.status(500).json({ ok:false, error:'Failed to update status' });
+  }
+});
+
+// Each pipeline's statuses, and where a family at each may move next.
+// statuses and transitions on their own are the default pipeline's.
+router.get('/api/inquiries/statuses', requireRole('registrar'), async (_req, res) => {
+  try {
+    const pipelines = (await getPipelineStore().list()).map(p => ({
+      ...p,
+      statuses: p.stages.map(s => s.key),
+      transitions: Object.fromEntries(p.stages.map(s => [s.key, allowedTransitions(p, s.key)]))
+    }));
+    const fallback = pipelineFor(null, pipelines);
+    res.json({ statuses: fallback.statuses, transitions: fallback.transitions, pipelines });
+  } catch (e) {
+    console.error('GET /api/inquiries/statuses error:', e);
+    res.status(500).json({ error: 'Failed to load statuses' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+// Prospectus content editing for admissions staff: the template's sections and
+// editable fields, draft saves, publishing (or rolling back to) a version and
+// previewing a version for a real or sample family.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { AGE_GROUPS, INTERESTS, LAYOUTS, describeTemplate, validateContent } = require('../services/prospectus-blocks');
+const { getContentStore } = require('../services/prospectus-content');
+const { resolveLanguage } = require('../services/languages');
+const { loadTemplate, previewProspectus } = require('../services/prospectus-generator');
+
+const router = express.Router();
+
+// Who the preview is for when no inquiryId is given
+function sampleInquiry(query) {
+  const interests = String(query.interests || '').split(',').filter(i => INTERESTS.includes(i));
+  return {
+    id: 'PREVIEW',
+    firstName: 'Sophie',
+    familySurname: 'Sample',
+    ageGroup: AGE_GROUPS.includes(query.ageGroup) ? query.ageGroup : '11-16',
+    entryYear: String(new Date().getFullYear() + 1),
+    ...Object.fromEntries(interests.map(i => [i, true]))
+  };
+}
+
+router.get('/api/prospectus-content', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getContentStore();
+    const template = await loadTemplate();
+    const [draft, published] = await Promise.all([store.getDraft(), store.getPublished()]);
+    res.json({
+      success: true,
+      template: describeTemplate(template.parsed),
+      interests: INTERESTS,
+      ageGroups: AGE_GROUPS,
+      layouts: LAYOUTS,
+      draft,
+      published
+    });
+  } catch (e) {
+    console.error('❌ Failed to load prospectus content:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/prospectus-content/versions', requireRole('admissions'), async (req, res) => {
+  try {
+    const versions = await getContentStore().listVersions();
+    res.json({
+      success: true,
+      versions: versions.map(({ document, ...v }) => ({ ...v, sections: document.sections.length }))
+    });
+  } catch (e) {
+    console.error('❌ Failed to list prospectus content versions:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/api/prospectus-content/draft', requireRole('admissions'), async (req, res) => {
+  try {
+    const template = await loadTemplate();
+    const { errors, content } = validateContent(req.body, template.parsed);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid prospectus content', errors });
+    }
+    const draft = await getContentStore().saveDraft(content, req.staff.email);
+    console.log(`📝 Prospectus content draft v${draft.version} saved by ${req.staff.email}`);
+    res.json({ success: true, draft });
+  } catch (e) {
+    console.error('❌ Failed to save prospectus content:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Publishes the latest draft, or { version } to roll back to an earlier one.
+// Families get the new content the next time their prospectus is generated.
+router.post('/api/prospectus-content/publish', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getContentStore();
+    let version = req.body && req.body.version;
+    if (!version) {
+      const draft = await store.getDraft();
+      if (!draft) return res.status(404).json({ success: false, error: 'Nothing to publish yet' });
+      version = draft.version;
+    }
+
+    const published = await store.publish(version, req.staff.email);
+    if (!published) return res.status(404).json({ success: false, error: 'Content version not found' });
+    console.log(`🚀 Prospectus content v${published.version} published by ${req.staff.email}`);
+    res.json({ success: true, published });
+  } catch (e) {
+    console.error('❌ Failed to publish prospectus content:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ?version=draft (default) | published | <n>, for ?inquiryId=... or a sample
+// family (?ageGroup=&interests=a,b); ?lang= to preview a translation
+router.get('/api/prospectus-content/preview', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getContentStore();
+    const wanted = String(req.query.version || 'draft');
+    const version = wanted === 'draft' ? await store.getDraft()
+      : wanted === 'published' ? await store.getPublished()
+      : await store.getVersion(wanted);
+    if (!version && /^\d+$/.test(wanted)) {
+      return res.status(404).json({ success: false, error: 'Content version not found' });
+    }
+
+    let inquiry;
+    if (req.query.inquiryId) {
+      inquiry = await getInquiryRepository().findById(req.query.inquiryId);
+      if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    } else {
+      inquiry = sampleInquiry(req.query);
+    }
+
+    const html = await previewProspectus(inquiry, {
+      language: resolveLanguage(req.query.lang || inquiry.language),
+      content: version ? version.document : null
+    });
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    res.type('html').send(html);
+  } catch (e) {
+    console.error('❌ Prospectus preview failed:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+// Open mornings, tours and taster days (services/events.js): the staff
+// screens' event and booking endpoints, and the public booking page and the
+// endpoints behind it.
+
+const express = require('express');
+const path = require('path');
+const { requireRole } = require('../auth');
+const prospectusLinks = require('../prospectus-links');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const {
+  EVENT_KINDS,
+  validateEvent,
+  validateBookingDetails,
+  isBookable,
+  getEventStore,
+  bookEvent,
+  cancelBooking,
+  updateEvent
+} = require('../services/events');
+const { getBaseUrl } = require('../utils');
+
+const router = express.Router();
+
+const BOOKING_PAGE = path.join(__dirname, '..', '..', 'public', 'book-event.html');
+
+// The family's own view: no token, nothing about other bookings
+const publicEvent = e => ({
+  id: e.id,
+  kind: e.kind,
+  title: e.title,
+  description: e.description,
+  location: e.location,
+  startsAt: e.startsAt,
+  endsAt: e.endsAt,
+  placesLeft: e.placesLeft,
+  bookable: isBookable(e)
+});
+
+const publicBooking = (b, e) => ({
+  status: b.status,
+  parentName: b.parentName,
+  email: b.email,
+  attendees: b.attendees,
+  event: publicEvent(e)
+});
+
+// Staff lists leave out the family's manage token
+const staffBooking = ({ manageToken, ...rest }) => rest;
+
+// The inquiry a prospectus link (slug and ?t= token) belongs to, or null if
+// the link isn't one the family could open
+async function familyFromLink(slug, token) {
+  if (!slug) return null;
+  const inquiry = await getInquiryRepository().findBySlug(String(slug).toLowerCase());
+  if (!inquiry || !prospectusLinks.checkLinkAccess(inquiry, token).ok) return null;
+  return inquiry;
+}
+
+// ===================== EVENTS =====================
+// ?from=<date> (default now) lists events starting from then; ?all=true lists every event
+router.get('/api/events', requireRole('registrar'), async (req, res) => {
+  const from = req.query.all === 'true' ? null : new Date(req.query.from || Date.now());
+  if (from && Number.isNaN(from.getTime())) return res.status(400).json({ success: false, error: 'from must be a date' });
+  try {
+    res.json({ success: true, events: await getEventStore().listEvents({ from }), kinds: EVENT_KINDS });
+  } catch (e) {
+    console.error('❌ Failed to list events:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { kind, title?, description?, location?, startsAt, endsAt?, capacity, bookingOpen? }
+router.post('/api/events', requireRole('admissions'), async (req, res) => {
+  try {
+    const { errors, event } = validateEvent(req.body);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid event', errors });
+    const saved = await getEventStore().createEvent(event, req.staff.email);
+    console.log(`📅 Event "${saved.title}" added by ${req.staff.email}`);
+    res.status(201).json({ success: true, event: saved });
+  } catch (e) {
+    console.error('❌ Failed to add event:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Fields left out keep their current values. More places give the waitlist
+// theirs; fewer take nobody's away.
+router.put('/api/events/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const current = await getEventStore().getEvent(req.params.id);
+    if (!current) return res.status(404).json({ success: false, error: 'Event not found' });
+    const { errors, event } = validateEvent(req.body, current);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid event', errors });
+    res.json({ success: true, event: await updateEvent(current.id, event, { base: getBaseUrl(req) }) });
+  } catch (e) {
+    console.error('❌ Failed to update event:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Only once nobody is booked or waiting; close booking to stop new ones
+router.delete('/api/events/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getEventStore();
+    const event = await store.getEvent(req.params.id);
+    if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
+    if (event.placesTaken || event.waitlisted) {
+      return res.status(409).json({ success: false, error: 'Families are booked on this event - cancel their bookings first' });
+    }
+    await store.deleteEvent(event.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('❌ Failed to delete event:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== BOOKINGS =====================
+router.get('/api/events/:id/bookings', requireRole('registrar'), async (req, res) => {
+  try {
+    const store = getEventStore();
+    const event = await store.getEvent(req.params.id);
+    if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
+    const bookings = await store.listBookings({ eventId: event.id });
+    res.json({ success: true, event, bookings: bookings.map(staffBooking) });
+  } catch (e) {
+    console.error('❌ Failed to list bookings:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Staff booking for a family: { inquiryId?, parentName?, email?, phone?,
+// attendees? }; details left out come from the inquiry. Staff may book after
+// booking has closed.
+router.post('/api/events/:id/bookings', requireRole('admissions'), async (req, res) => {
+  try {
+    const event = await getEventStore().getEvent(req.params.id);
+    if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
+    if (Date.parse(event.startsAt) <= Date.now()) return res.status(409).json({ success: false, error: 'This event has already started' });
+
+    const body = req.body || {};
+    let inquiry = null;
+    if (body.inquiryId) {
+      inquiry = await getInquiryRepository().findById(body.inquiryId);
+      if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    }
+    const { errors, details } = validateBookingDetails({
+      parentName: body.parentName || (inquiry && inquiry.parentName),
+      email: body.email || (inquiry && inquiry.parentEmail),
+      phone: body.phone || (inquiry && inquiry.contactNumber),
+      attendees: body.attendees
+    });
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; '), errors });
+
+    const result = await bookEvent(event, details, {
+      inquiryId: inquiry && inquiry.id,
+      source: 'staff',
+      createdBy: req.staff.email,
+      base: getBaseUrl(req)
+    });
+    if (result.duplicate) return res.status(409).json({ success: false, error: 'This family is already booked on this event', booking: staffBooking(result.duplicate) });
+    res.status(201).json({ success: true, booking: staffBooking(result.booking) });
+  } catch (e) {
+    console.error('❌ Failed to book event:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/inquiry/:inquiryId/bookings', requireRole('registrar'), async (req, res) => {
+  try {
+    const store = getEventStore();
+    const bookings = await store.listBookings({ inquiryId: req.params.inquiryId });
+    const events = new Map((await store.listEvents()).map(e => [e.id, e]));
+    res.json({
+      success: true,
+      inquiryId: req.params.inquiryId,
+      bookings: bookings.map(b => ({ ...staffBooking(b), event: events.get(b.eventId) || null }))
+    });
+  } catch (e) {
+    console.error('❌ Failed to list bookings for inquiry:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/bookings/:id/cancel', requireRole('admissions'), async (req, res) => {
+  try {
+    const booking = await getEventStore().getBooking(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    const cancelled = await cancelBooking(booking, { base: getBaseUrl(req) });
+    console.log(`🎟️ Booking ${booking.id} cancelled by ${req.staff.email}`);
+    res.json({ success: true, booking: staffBooking(cancelled) });
+  } catch (e) {
+    console.error('❌ Failed to cancel booking:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { attended: true | false }, on the day or after
+router.put('/api/bookings/:id/attendance', requireRole('admissions'), async (req, res) => {
+  const { attended } = req.body || {};
+  if (typeof attended !== 'boolean') return res.status(400).json({ success: false, error: 'attended must be true or false' });
+  try {
+    const store = getEventStore();
+    const booking = await store.getBooking(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    if (booking.status !== 'booked') return res.status(409).json({ success: false, error: `This booking is ${booking.status}` });
+    const updated = await store.updateBooking(booking.id, { attended, attendanceMarkedAt: new Date(), attendanceMarkedBy: req.staff.email });
+    res.json({ success: true, booking: staffBooking(updated) });
+  } catch (e) {
+    console.error('❌ Failed to mark attendance:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== PUBLIC BOOKING =====================
+// /book lists the events; /book/<slug>?t=<token> is the same page filled in
+// from the family's prospectus link; /bookings/<token> shows one booking
+router.get(['/book', '/book/:slug', '/bookings/:token'], (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(BOOKING_PAGE);
+});
+
+router.get('/api/public/events', async (req, res) => {
+  try {
+    const events = await getEventStore().listEvents({ from: new Date() });
+    res.json({ success: true, events: events.filter(e => isBookable(e)).map(publicEvent) });
+  } catch (e) {
+    console.error('❌ Failed to list public events:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// The booking form's defaults for the family the link belongs to
+router.get('/api/public/family/:slug', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const inquiry = await familyFromLink(req.params.slug, req.query.t);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'This link is not valid' });
+    res.json({
+      success: true,
+      family: {
+        firstName: inquiry.firstName,
+        parentName: inquiry.parentName || '',
+        email: inquiry.parentEmail || '',
+        phone: inquiry.contactNumber || ''
+      }
+    });
+  } catch (e) {
+    console.error('❌ Failed to load family for booking:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { parentName, email, phone?, attendees, slug?, t? }: with the family's
+// prospectus link the booking is tied to their inquiry
+router.post('/api/public/events/:id/bookings', async (req, res) => {
+  try {
+    const event = await getEventStore().getEvent(req.params.id);
+    if (!event) return res.status(404).json({ success: false, error: 'Event not found' });
+    if (!isBookable(event)) return res.status(409).json({ success: false, error: 'Booking for this event has closed' });
+
+    const { errors, details } = validateBookingDetails(req.body);
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    const inquiry = await familyFromLink((req.body || {}).slug, (req.body || {}).t);
+
+    const result = await bookEvent(event, details, { inquiryId: inquiry && inquiry.id, base: getBaseUrl(req) });
+    if (result.duplicate) return res.status(409).json({ success: false, error: 'You are already booked on this event - check your email for the details' });
+    res.status(201).json({ success: true, manageToken: result.booking.manageToken, booking: publicBooking(result.booking, event) });
+  } catch (e) {
+    console.error('❌ Failed to take booking:', e);
+    res.status(500).json({ success: false, error: 'Something went wrong taking your booking' });
+  }
+});
+
+router.get('/api/public/bookings/:token', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const store = getEventStore();
+    const booking = await store.findByToken(req.params.token);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    res.json({ success: true, booking: publicBooking(booking, await store.getEvent(booking.eventId)) });
+  } catch (e) {
+    console.error('❌ Failed to load booking:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/public/bookings/:token/cancel', async (req, res) => {
+  try {
+    const store = getEventStore();
+    const booking = await store.findByToken(req.params.token);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    const event = await store.getEvent(booking.eventId);
+    if (Date.parse(event.startsAt) <= Date.now()) return res.status(409).json({ success: false, error: 'This event has already started' });
+    const cancelled = await cancelBooking(booking, { base: getBaseUrl(req) });
+    console.log(`🎟️ Booking ${booking.id} cancelled by the family`);
+    res.json({ success: true, booking: publicBooking(cancelled, await store.getEvent(booking.eventId)) });
+  } catch (e) {
+    console.error('❌ Failed to cancel booking:', e);
+    res.status(500).json({ success: false, error: 'Something went wrong cancelling your booking' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// Emails staff send a family from the server (services/family-emails.js), and
+// the tracking pixel and links that record when the family opens and clicks.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { isMailConfigured } = require('../services/mailer');
+const {
+  PIXEL,
+  prospectusUrlFor,
+  getFamilyEmailStore,
+  sendFamilyEmail,
+  recordOpen,
+  recordClick
+} = require('../services/family-emails');
+const { getBaseUrl, getClientIp } = require('../utils');
+
+const router = express.Router();
+
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// The list leaves out the bodies; GET one email for those
+const summary = ({ bodyText, bodyHtml, trackingToken, ...rest }) => rest;
+
+// ===================== SENDING =====================
+// { subject, body, to?, historyId? }. to defaults to the parent's address;
+// historyId is the SMART Reply draft the body came from.
+router.post('/api/inquiry/:inquiryId/emails', requireRole('admissions'), async (req, res) => {
+  const { subject, body, historyId } = req.body || {};
+  if (typeof subject !== 'string' || !subject.trim()) return res.status(400).json({ success: false, error: 'subject is required' });
+  if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ success: false, error: 'body is required' });
+  if (!isMailConfigured()) return res.status(503).json({ success: false, error: 'Email sending is not configured (SMTP_HOST is not set)' });
+
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.inquiryId);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+
+    const to = String(req.body.to || inquiry.parentEmail || '').trim();
+    if (!EMAIL_RE.test(to)) return res.status(400).json({ success: false, error: 'No valid address to send to' });
+
+    const base = getBaseUrl(req);
+    if (!prospectusUrlFor(inquiry, base)) {
+      return res.status(409).json({
+        success: false,
+        error: inquiry.slug
+          ? 'This family\'s prospectus link has been revoked - issue a new one first'
+          : 'No prospectus has been generated for this inquiry'
+      });
+    }
+
+    const email = await sendFamilyEmail({ inquiry, to, subject: subject.trim(), body, historyId, sentBy: req.staff.email, base });
+    if (email.status === 'failed') {
+      return res.status(502).json({ success: false, error: `The email could not be sent: ${email.error}`, email: summary(email) });
+    }
+    res.status(201).json({ success: true, email: summary(email) });
+  } catch (e) {
+    console.error('❌ Failed to send family email:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/inquiry/:inquiryId/emails', requireRole('registrar'), async (req, res) => {
+  try {
+    const emails = await getFamilyEmailStore().listEmails({ inquiryId: req.params.inquiryId });
+    res.json({ success: true, inquiryId: req.params.inquiryId, emails: emails.map(summary) });
+  } catch (e) {
+    console.error('❌ Failed to list family emails:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/emails/:id', requireRole('registrar'), async (req, res) => {
+  try {
+    const email = await getFamilyEmailStore().getEmail(req.params.id);
+    if (!email) return res.status(404).json({ success: false, error: 'Email not found' });
+    const { trackingToken, ...rest } = email;
+    res.json({ success: true, email: rest });
+  } catch (e) {
+    console.error('❌ Failed to load family email:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== TRACKING =====================
+// Public: the family's mail client loads these. The pixel is served whatever
+// the token, so it says nothing about which tokens exist.
+router.get('/e/:token/open.gif', async (req, res) => {
+  try {
+    await recordOpen(req.params.token, { userAgent: req.get('user-agent') || null, ip: getClientIp(req) || null });
+  } catch (e) {
+    console.warn('⚠️ Failed to record email open:', e.message);
+  }
+  res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, no-cache, must-revalidate, private' });
+  res.send(PIXEL);
+});
+
+router.get('/e/:token/:link', async (req, res) => {
+  try {
+    const url = await recordClick(req.params.token, req.params.link, { userAgent: req.get('user-agent') || null, ip: getClientIp(req) || null });
+    if (!url) return res.status(404).send('<h1>Link Not Found</h1>');
+    res.redirect(302, url);
+  } catch (e) {
+    console.error('❌ Email link redirect error:', e);
+    res.status(500).send('Something went wrong following this link');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// Follow-up reminders for the admissions team.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getDb } = require('../services/database');
+
+const router = express.Router();
+
+// ============================================================================
+// FOLLOW-UP API ENDPOINTS
+// Add these to your server.js (around line 3000, after other API endpoints)
+// ============================================================================
+
+// Get all follow-ups
+router.get('/api/follow-ups', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { status, priority } = req.query;
+    
+    let query = 'SELECT * FROM follow_ups';
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+    
+    if (status === 'active') {
+      conditions.push('completed = FALSE');
+    } else if (status === 'completed') {
+      conditions.push('completed = TRUE');
+    }
+    
+    if (priority && priority !== 'all') {
+      conditions.push(`priority = $${paramCount++}`);
+      values.push(priority);
+    }
+    
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    
+    query += ' ORDER BY completed ASC, due_date ASC, priority DESC';
+    
+    if (db) {
+      const result = await db.query(query, values);
+      return res.json({ success: true, followUps: result.rows });
+    } else {
+      return res.json({ success: true, followUps: [] });
+    }
+  } catch (error) {
+    console.error('Error fetching follow-ups:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch follow-ups' });
+  }
+});
+
+// Get follow-up stats
+router.get('/api/follow-ups/stats', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  try {
+    if (db) {
+      const result = await db.query('SELECT * FROM follow_ups_summary');
+      return res.json({ success: true, stats: result.rows[0] });
+    } else {
+      return res.json({ 
+        success: true, 
+        stats: { overdue_count: 0, today_count: 0, upcoming_count: 0, completed_count: 0 } 
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching follow-up stats:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stats' });
+  }
+});
+
+// Create follow-up
+router.post('/api/follow-ups', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { inquiry_id, family_name, note, due_date, priority } = req.body;
+    
+    if (!family_name || !note || !due_date) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: family_name, note, due_date' 
+      });
+    }
+    
+    if (db) {
+      const result = await db.query(
+        `INSERT INTO follow_ups (inquiry_id, family_name, note, due_date, priority, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [inquiry_id || null, family_name, note, due_date, priority || 'medium']
+      );
+      
+      return res.json({ success: true, followUp: result.rows[0] });
+    } else {
+      return res.status(500).json({ success: false, error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error creating follow-up:', error);
+    res.status(500).json({ success: false, error: 'Failed to create follow-up' });
+  }
+});
+
+// Update follow-up
+router.put('/api/follow-ups/:id', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { id } = req.params;
+    const { family_name, note, due_date, priority, completed } = req.body;
+    
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+    
+    if (family_name !== undefined) {
+      updates.push(`family_name = $${paramCount++}`);
+      values.push(family_name);
+    }
+    if (note !== undefined) {
+      updates.push(`note = $${paramCount++}`);
+      values.push(note);
+    }
+    if (due_date !== undefined) {
+      updates.push(`due_date = $${paramCount++}`);
+      values.push(due_date);
+    }
+    if (priority !== undefined) {
+      updates.push(`priority = $${paramCount++}`);
+      values.push(priority);
+    }
+    if (completed !== undefined) {
+      updates.push(`completed = $${paramCount++}`);
+      values.push(completed);
+      if (completed) {
+        updates.push(`completed_at = NOW()`);
+      } else {
+        updates.push(`completed_at = NULL`);
+      }
+    }
+    
+    if (updates.length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+    
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+    
+    if (db) {
+      const result = await db.query(
+        `UPDATE follow_ups SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Follow-up not found' });
+      }
+      
+      return res.json({ success: true, followUp: result.rows[0] });
+    } else {
+      return res.status(500).json({ success: false, error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating follow-up:', error);
+    res.status(500).json({ success: false, error: 'Failed to update follow-up' });
+  }
+});
+
+// Delete follow-up
+router.delete('/api/follow-ups/:id', requireRole('admissions'), async (req, res) => {
+  const db = getDb();
+  try {
+    const { id } = req.params;
+    
+    if (db) {
+      const result = await db.query('DELETE FROM follow_ups WHERE id = $1 RETURNING *', [id]);
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Follow-up not found' });
+      }
+      
+      return res.json({ success: true, message: 'Follow-up deleted' });
+    } else {
+      return res.status(500).json({ success: false, error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error deleting follow-up:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete follow-up' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Mounts the route modules and guards against registering the same route
+// twice. Express quietly serves the first match, so a second definition of a
+// method + path is dead code that looks live; startServer refuses to boot
+// with one.
+
+const admin = require('./admin');
+const tracking = require('./tracking');
+const analytics = require('./analytics');
+const admissionsAnalytics = require('./admissions-analytics');
+const ai = require('./ai');
+const followUps = require('./follow-ups');
+const content = require('./content');
+const translations = require('./translations');
+const jobs = require('./jobs');
+const scoring = require('./scoring');
+const activity = require('./activity');
+const alerts = require('./alerts');
+const familyEmails = require('./family-emails');
+const nurture = require('./nurture');
+const events = require('./events');
+const pipelines = require('./pipelines');
+const prospectus = require('./prospectus');
+
+// prospectus goes last: its GET /:slug matches any single-segment path
+const ROUTERS = [admin, tracking, analytics, admissionsAnalytics, ai, followUps, content, translations, jobs, scoring, activity, alerts, familyEmails, nurture, events, pipelines, prospectus];
+
+function registerRoutes(app) {
+  for (const router of ROUTERS) app.use(router);
+}
+
+// Parameter names don't change what a path matches, so /a/:id and
+// /a/:inquiryId are the same route
+function normalisePath(routePath) {
+  return String(routePath).replace(/:\w+/g, ':param');
+}
+
+function collectRoutes(stack, out = []) {
+  for (const layer of stack) {
+    if (layer.route) {
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      const methods = Object.keys(layer.route.methods).filter(m => layer.route.methods[m]);
+      for (const p of paths) {
+        for (const m of methods) out.push({ method: m.toUpperCase(), path: p });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, out);
+    }
+  }
+  return out;
+}
+
+// [{ method, path, count }] for every method + path registered more than once
+function findDuplicateRoutes(app) {
+  const seen = new Map();
+  for (const r of collectRoutes(app._router ? app._router.stack : [])) {
+    const key = `${r.method} ${normalisePath(r.path)}`;
+    const entry = seen.get(key) || { method: r.method, path: r.path, count: 0 };
+    entry.count++;
+    seen.set(key, entry);
+  }
+  return [...seen.values()].filter(e => e.count > 1);
+}
+
+function assertUniqueRoutes(app) {
+  const duplicates = findDuplicateRoutes(app);
+  if (!duplicates.length) return;
+  const list = duplicates.map(d => `${d.method} ${d.path} (x${d.count})`).join(', ');
+  throw new Error(`Duplicate route definitions: ${list}`);
+}
+
+module.exports = {
+  registerRoutes,
+  findDuplicateRoutes,
+  assertUniqueRoutes
+};
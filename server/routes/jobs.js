@@ -0,0 +1,45 @@
+// Background job status for the dashboard: the routes that queue work answer
+// with a batchId and statusUrl, which staff poll here until every job is done
+// or failed.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getJob, listJobs } = require('../services/job-queue');
+
+const router = express.Router();
+
+const STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// ?batch=, ?status= and ?type= narrow the list (newest first, up to 100)
+router.get('/api/jobs', requireRole('registrar'), async (req, res) => {
+  try {
+    const { batch, status, type } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+    const jobs = await listJobs({ batchId: batch, status, type });
+    const counts = Object.fromEntries(STATUSES.map(s => [s, jobs.filter(j => j.status === s).length]));
+    res.json({
+      success: true,
+      counts,
+      finished: jobs.length > 0 && counts.queued + counts.running === 0,
+      jobs
+    });
+  } catch (e) {
+    console.error('❌ Failed to list jobs:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/jobs/:id', requireRole('registrar'), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    res.json({ success: true, job });
+  } catch (e) {
+    console.error('❌ Failed to load job:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+// Nurture sequences (services/nurture.js): the sequences themselves, the
+// families enrolled in them and the steps each family has been sent.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { getPipelineStore, pipelineOf, findStage, pauseStatuses } = require('../services/pipeline-config');
+const {
+  CONDITIONS,
+  validateSequence,
+  getNurtureStore,
+  enrolFamily,
+  resumeEnrollment
+} = require('../services/nurture');
+
+const router = express.Router();
+
+const ENROLLMENT_STATUSES = ['active', 'paused', 'completed', 'stopped'];
+const MAX_ENROL = 500;
+
+// ===================== SEQUENCES =====================
+router.get('/api/nurture/sequences', requireRole('registrar'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sequences: await getNurtureStore().listSequences(),
+      conditions: Object.fromEntries(Object.entries(CONDITIONS).map(([name, c]) => [name, c.kind])),
+      pauseStatuses: pauseStatuses(await getPipelineStore().list())
+    });
+  } catch (e) {
+    console.error('❌ Failed to list nurture sequences:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { name, enabled, autoEnrol, steps: [{ day, subject, body, when }] }
+router.post('/api/nurture/sequences', requireRole('admissions'), async (req, res) => {
+  try {
+    const { errors, sequence } = validateSequence(req.body);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid nurture sequence', errors });
+    const saved = await getNurtureStore().createSequence(sequence, req.staff.email);
+    console.log(`💌 Nurture sequence "${saved.name}" added by ${req.staff.email}`);
+    res.status(201).json({ success: true, sequence: saved });
+  } catch (e) {
+    console.error('❌ Failed to add nurture sequence:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/nurture/sequences/:id', requireRole('registrar'), async (req, res) => {
+  try {
+    const store = getNurtureStore();
+    const sequence = await store.getSequence(req.params.id);
+    if (!sequence) return res.status(404).json({ success: false, error: 'Nurture sequence not found' });
+    res.json({ success: true, sequence, enrollments: await store.listEnrollments({ sequenceId: sequence.id }) });
+  } catch (e) {
+    console.error('❌ Failed to load nurture sequence:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Fields left out keep their current values. Families part-way through keep
+// their place: a changed step applies from their next one.
+router.put('/api/nurture/sequences/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getNurtureStore();
+    const current = await store.getSequence(req.params.id);
+    if (!current) return res.status(404).json({ success: false, error: 'Nurture sequence not found' });
+    const { errors, sequence } = validateSequence(req.body, current);
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid nurture sequence', errors });
+    res.json({ success: true, sequence: await store.updateSequence(current.id, sequence) });
+  } catch (e) {
+    console.error('❌ Failed to update nurture sequence:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Takes its enrolments and their step log with it; the emails sent stay on
+// the families' timelines
+router.delete('/api/nurture/sequences/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    if (!(await getNurtureStore().deleteSequence(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Nurture sequence not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('❌ Failed to delete nurture sequence:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== ENROLMENTS =====================
+// { inquiryIds: [...] }; families already in the sequence are left as they are
+router.post('/api/nurture/sequences/:id/enrol', requireRole('admissions'), async (req, res) => {
+  const { inquiryIds } = req.body || {};
+  if (!Array.isArray(inquiryIds) || !inquiryIds.length || inquiryIds.length > MAX_ENROL || !inquiryIds.every(id => typeof id === 'string' && id)) {
+    return res.status(400).json({ success: false, error: `inquiryIds must be a list of 1 to ${MAX_ENROL} inquiry ids` });
+  }
+  try {
+    const sequence = await getNurtureStore().getSequence(req.params.id);
+    if (!sequence) return res.status(404).json({ success: false, error: 'Nurture sequence not found' });
+
+    const repository = getInquiryRepository();
+    const result = { enrolled: [], alreadyEnrolled: [], notFound: [] };
+    for (const inquiryId of new Set(inquiryIds)) {
+      if (!(await repository.findById(inquiryId))) {
+        result.notFound.push(inquiryId);
+        continue;
+      }
+      const enrollment = await enrolFamily(sequence, inquiryId, { enrolledBy: req.staff.email });
+      if (enrollment) result.enrolled.push(enrollment);
+      else result.alreadyEnrolled.push(inquiryId);
+    }
+    console.log(`💌 ${result.enrolled.length} families enrolled in "${sequence.name}" by ${req.staff.email}`);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('❌ Failed to enrol families:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ?sequenceId=&status=
+router.get('/api/nurture/enrollments', requireRole('registrar'), async (req, res) => {
+  const { sequenceId, status } = req.query;
+  if (status && !ENROLLMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${ENROLLMENT_STATUSES.join(', ')}` });
+  }
+  try {
+    res.json({ success: true, enrollments: await getNurtureStore().listEnrollments({ sequenceId, status }) });
+  } catch (e) {
+    console.error('❌ Failed to list nurture enrolments:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// A family's sequences, each with the steps run so far
+router.get('/api/inquiry/:inquiryId/nurture', requireRole('registrar'), async (req, res) => {
+  try {
+    const store = getNurtureStore();
+    const { inquiryId } = req.params;
+    const [enrollments, runs, sequences] = await Promise.all([
+      store.listEnrollments({ inquiryId }),
+      store.listRuns({ inquiryId }),
+      store.listSequences()
+    ]);
+    const names = new Map(sequences.map(s => [s.id, s.name]));
+    res.json({
+      success: true,
+      inquiryId,
+      enrollments: enrollments.map(e => ({
+        ...e,
+        sequenceName: names.get(e.sequenceId) || null,
+        runs: runs.filter(r => r.enrollmentId === e.id)
+      }))
+    });
+  } catch (e) {
+    console.error('❌ Failed to load nurture for inquiry:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/nurture/enrollments/:id/pause', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getNurtureStore();
+    const enrollment = await store.getEnrollment(req.params.id);
+    if (!enrollment) return res.status(404).json({ success: false, error: 'Enrolment not found' });
+    if (enrollment.status !== 'active') return res.status(409).json({ success: false, error: `This enrolment is ${enrollment.status}` });
+    const updated = await store.updateEnrollment(enrollment.id, { status: 'paused', pauseReason: `staff:${req.staff.email}`, pausedAt: new Date() });
+    res.json({ success: true, enrollment: updated });
+  } catch (e) {
+    console.error('❌ Failed to pause enrolment:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Not while the family is still at a status that pauses sequences - the
+// next pass would only pause it again
+router.post('/api/nurture/enrollments/:id/resume', requireRole('admissions'), async (req, res) => {
+  try {
+    const enrollment = await getNurtureStore().getEnrollment(req.params.id);
+    if (!enrollment) return res.status(404).json({ success: false, error: 'Enrolment not found' });
+    if (enrollment.status !== 'paused') return res.status(409).json({ success: false, error: `This enrolment is ${enrollment.status}` });
+    const inquiry = await getInquiryRepository().findById(enrollment.inquiryId);
+    const stage = inquiry && findStage(await pipelineOf(inquiry), inquiry.status);
+    if (stage && stage.pauseNurture) {
+      return res.status(409).json({ success: false, error: `The family's status is ${stage.key}; move them on before resuming` });
+    }
+    res.json({ success: true, enrollment: await resumeEnrollment(enrollment) });
+  } catch (e) {
+    console.error('❌ Failed to resume enrolment:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Stops the family's sequence for good; the step log is kept
+router.delete('/api/nurture/enrollments/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const store = getNurtureStore();
+    const enrollment = await store.getEnrollment(req.params.id);
+    if (!enrollment) return res.status(404).json({ success: false, error: 'Enrolment not found' });
+    const updated = ['completed', 'stopped'].includes(enrollment.status)
+      ? enrollment
+      : await store.updateEnrollment(enrollment.id, { status: 'stopped', nextRunAt: null, finishedAt: new Date() });
+    res.json({ success: true, enrollment: updated });
+  } catch (e) {
+    console.error('❌ Failed to stop enrolment:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// Admissions pipelines (services/pipeline-config.js): every staff screen
+// reads them to show the stages, only admins change them.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { validatePipeline, getPipelineStore } = require('../services/pipeline-config');
+const { EVENT_KINDS } = require('../services/events');
+
+const router = express.Router();
+
+const eventKinds = Object.keys(EVENT_KINDS);
+
+// The age groups pipeline takes that another pipeline already does
+function claimedAgeGroups(pipeline, pipelines, id = null) {
+  return pipeline.ageGroups.filter(g => pipelines.some(p => p.id !== id && p.ageGroups.includes(g)));
+}
+
+router.get('/api/pipelines', requireRole('registrar'), async (_req, res) => {
+  try {
+    res.json({ success: true, pipelines: await getPipelineStore().list(), eventKinds: EVENT_KINDS });
+  } catch (e) {
+    console.error('❌ Failed to list pipelines:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { name, ageGroups, isDefault?, stages: [{ key, label, colour?, terminal?,
+//   won?, lost?, requiredFields?, pauseNurture?, eventKinds? }] }
+router.post('/api/pipelines', requireRole('admin'), async (req, res) => {
+  try {
+    const store = getPipelineStore();
+    const { errors, pipeline } = validatePipeline({ isDefault: false, ...req.body }, null, { eventKinds });
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid pipeline', errors });
+    const claimed = claimedAgeGroups(pipeline, await store.list());
+    if (claimed.length) return res.status(409).json({ success: false, error: `Another pipeline already takes ${claimed.join(', ')}` });
+    const saved = await store.create(pipeline, { createdBy: req.staff.email });
+    console.log(`🛤️ Pipeline "${saved.name}" added by ${req.staff.email}`);
+    res.status(201).json({ success: true, pipeline: saved });
+  } catch (e) {
+    console.error('❌ Failed to add pipeline:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Fields left out keep their current values. Families at a stage that is
+// renamed or removed may then be moved to any stage.
+router.put('/api/pipelines/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const store = getPipelineStore();
+    const current = await store.get(req.params.id);
+    if (!current) return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    const { errors, pipeline } = validatePipeline(req.body, current, { eventKinds });
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid pipeline', errors });
+    if (current.isDefault && !pipeline.isDefault) {
+      return res.status(409).json({ success: false, error: 'Make another pipeline the default instead' });
+    }
+    const claimed = claimedAgeGroups(pipeline, await store.list(), current.id);
+    if (claimed.length) return res.status(409).json({ success: false, error: `Another pipeline already takes ${claimed.join(', ')}` });
+    const saved = await store.update(current.id, pipeline);
+    console.log(`🛤️ Pipeline "${saved.name}" updated by ${req.staff.email}`);
+    res.json({ success: true, pipeline: saved });
+  } catch (e) {
+    console.error('❌ Failed to update pipeline:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Its families follow the default pipeline from then on
+router.delete('/api/pipelines/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const store = getPipelineStore();
+    const current = await store.get(req.params.id);
+    if (!current) return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    if (current.isDefault) return res.status(409).json({ success: false, error: 'The default pipeline can\'t be deleted' });
+    await store.remove(current.id);
+    console.log(`🛤️ Pipeline "${current.name}" deleted by ${req.staff.email}`);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('❌ Failed to delete pipeline:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
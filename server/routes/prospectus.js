@@ -0,0 +1,758 @@
+// Inquiry intake (webhook and dashboard), prospectus generation, signed family
+// links and downloads. Registered last: GET /:slug matches any single segment.
+
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const translationCache = require('../../translation-cache');
+const { TranslationProviderError } = require('../services/translation-providers');
+const { isSupportedLanguage, resolveLanguage } = require('../services/languages');
+const auth = require('../auth');
+const { requireRole } = auth;
+const prospectusLinks = require('../prospectus-links');
+const { PROSPECTUS_DIR } = require('../paths');
+const {
+  issueProspectusLink,
+  rebuildSlugIndexFromData,
+  saveProspectusLinkState,
+  saveSlugIndex,
+  slugIndex,
+  updateInquiryStatus
+} = require('../services/inquiry-store');
+const { getInquiryRepository } = require('../services/inquiry-repository');
+const { generateProspectus, restoreProspectus } = require('../services/prospectus-generator');
+const { autoEnrolInquiry } = require('../services/nurture');
+const renders = require('../services/prospectus-renders');
+const { PdfUnavailableError, renderProspectusPdf } = require('../services/prospectus-pdf');
+const { generateInquiryId, getBaseUrl, getGeolocation } = require('../utils');
+
+const router = express.Router();
+
+// Decide whether a request for /:slug or /download/:slug may see the
+// prospectus. Signed-in staff can always open it from the dashboard.
+function prospectusAccess(req, inquiry) {
+  if (auth.hasRole(req.staff, 'registrar')) return { ok: true, via: 'staff' };
+  return prospectusLinks.checkLinkAccess(inquiry, req.query.t);
+}
+
+function sendLinkDenied(res, reason) {
+  const messages = {
+    expired: 'This prospectus link has expired.',
+    revoked: 'This prospectus link is no longer active.',
+    missing: 'This prospectus link is incomplete.',
+    invalid: 'This prospectus link is not valid.'
+  };
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(reason === 'expired' || reason === 'revoked' ? 410 : 403).send(`
+    <h1>Prospectus Unavailable</h1>
+    <p>${messages[reason] || messages.invalid}</p>
+    <p>Please contact the More House admissions team for a new link.</p>
+  `);
+}
+
+// What a family fills in on the enquiry form: their details (all required),
+// then the interests and priorities they tick. The record is built from these
+// alone; the id, status and prospectus link are the service's to set.
+const FORM_FIELDS = ['firstName', 'familySurname', 'parentEmail', 'contactNumber', 'parentName', 'ageGroup', 'entryYear', 'hearAboutUs'];
+const INTEREST_FIELDS = [
+  'sciences', 'mathematics', 'english', 'languages', 'humanities', 'business',
+  'drama', 'music', 'art', 'creative_writing',
+  'sport', 'leadership', 'community_service', 'outdoor_education',
+  'academic_excellence', 'pastoral_care', 'university_preparation',
+  'personal_development', 'career_guidance', 'extracurricular_opportunities'
+];
+// Refused outright rather than ignored: a caller naming a family's id or link
+// is after someone else's prospectus
+const SERVICE_FIELDS = ['id', 'slug', 'linkVersion', 'linkIssuedAt', 'linkExpiresAt', 'linkRevokedAt'];
+
+// Webhook and inquiry endpoints
+router.post(['/webhook', '/api/inquiry'], async (req, res) => {
+  try {
+    const data = req.body || {};
+    const refused = SERVICE_FIELDS.filter(k => data[k] !== undefined);
+    if (refused.length) {
+      return res.status(400).json({ success: false, error: `Not accepted: ${refused.join(', ')}` });
+    }
+    const missing = FORM_FIELDS.filter(k => !data[k]);
+    
+    if (missing.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields', 
+        missingFields: missing 
+      });
+    }
+    // The prospectus template writes the child's name into the page as HTML,
+    // so markup is refused here rather than trusted to be escaped downstream
+    const marked = FORM_FIELDS.filter(k => /[<>]/.test(String(data[k])));
+    if (marked.length) {
+      return res.status(400).json({ success: false, error: `No < or > allowed in: ${marked.join(', ')}` });
+    }
+ 
+    const now = new Date().toISOString();
+    const base = getBaseUrl(req);
+    const clientIP = req.ip || req.connection?.remoteAddress || req.headers['x-forwarded-for'] || req.headers['x-real-ip'];
+    const location = getGeolocation(clientIP);
+    
+    const record = {
+      id: generateInquiryId(),
+      receivedAt: now,
+      // Every family starts here, whatever the body says; only setStatus
+      // (pipeline.js) moves them on, so each move is checked and recorded
+      status: 'received',
+      prospectusGenerated: false,
+      ...Object.fromEntries(FORM_FIELDS.map(k => [k, String(data[k]).trim()])),
+      ...Object.fromEntries(INTEREST_FIELDS.map(k => [k, !!data[k]])),
+      userAgent: req.headers['user-agent'],
+      referrer: typeof data.referrer === 'string' ? data.referrer : req.headers.referer,
+      ip: clientIP,
+      country: location.country,
+      region: location.region,
+      city: location.city,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timezone: location.timezone,
+      isp: location.isp,
+      schoolId: 2,
+      language: resolveLanguage(data.language)
+    };
+    
+    const repository = getInquiryRepository();
+    await repository.create(record);
+    console.log(`Inquiry stored (${repository.kind}): ${record.id} - ${location.city}, ${location.country}`);
+    
+    const p = await generateProspectus(record);
+    await updateInquiryStatus(record.id, p);
+    const issued = await issueProspectusLink({ ...record, slug: p.slug });
+    const link = prospectusLinks.signedLinkPaths(issued);
+    autoEnrolInquiry(record.id).catch(e => console.warn('⚠️ Nurture enrolment failed:', e.message));
+    
+    return res.json({
+      success: true,
+      inquiryId: record.id,
+      receivedAt: record.receivedAt,
+      location: {
+        city: location.city,
+        country: location.country
+      },
+      prospectus: {
+        filename: p.filename,
+        url: `${base}${link.path}`,
+        downloadUrl: `${base}${link.downloadPath}`,
+        slug: p.slug,
+        expiresAt: link.expiresAt,
+        generatedAt: p.generatedAt
+      }
+    });
+  } catch (e) {
+    console.error('WEBHOOK error:', e);
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Generate prospectus manually
+router.post('/api/generate-prospectus/:inquiryId', requireRole('admissions'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.inquiryId);
+    
+    if (!inquiry) {
+      return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    }
+    
+    const language = resolveLanguage(req.query.lang);
+    console.log(`URL language parameter: ${language}`);
+    inquiry.language = language;
+    // ?force=1 rebuilds even when an identical render exists
+    const force = ['1', 'true'].includes(String(req.query.force || (req.body || {}).force));
+    const p = await generateProspectus(inquiry, { force });
+    await updateInquiryStatus(inquiry.id, p);
+    
+    res.json({
+      success: true,
+      prospectus: p
+    });
+  } catch (e) {
+    console.error('Manual generate error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Prospectus link management: view, re-issue or revoke a family's signed link
+router.get('/api/inquiries/:id/prospectus-link', requireRole('registrar'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    res.json({ success: true, inquiryId: inquiry.id, link: prospectusLinks.publicLinkStatus(inquiry, getBaseUrl(req)) });
+  } catch (e) {
+    console.error('Prospectus link lookup error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/inquiries/:id/prospectus-link', requireRole('admissions'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    if (!inquiry.slug) {
+      return res.status(400).json({ success: false, error: 'No prospectus has been generated for this inquiry' });
+    }
+
+    let issued;
+    try {
+      issued = await issueProspectusLink(inquiry, { expiresInDays: (req.body || {}).expiresInDays });
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    console.log(`🔗 Prospectus link re-issued for ${inquiry.id} by ${req.staff.email} (v${issued.linkVersion})`);
+    res.json({ success: true, inquiryId: inquiry.id, link: prospectusLinks.publicLinkStatus(issued, getBaseUrl(req)) });
+  } catch (e) {
+    console.error('Prospectus link re-issue error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/api/inquiries/:id/prospectus-link', requireRole('admissions'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+
+    const state = prospectusLinks.revokedLinkState(inquiry);
+    await saveProspectusLinkState(inquiry.id, state);
+
+    console.log(`🔒 Prospectus link revoked for ${inquiry.id} by ${req.staff.email}`);
+    res.json({
+      success: true,
+      inquiryId: inquiry.id,
+      link: prospectusLinks.publicLinkStatus({ ...inquiry, linkVersion: state.version, linkRevokedAt: state.revokedAt }, getBaseUrl(req))
+    });
+  } catch (e) {
+    console.error('Prospectus link revoke error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Render history: every generated version of a family's prospectus
+router.get('/api/inquiries/:id/prospectus-renders', requireRole('registrar'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+    res.json({ success: true, inquiryId: inquiry.id, renders: await renders.listRenders(inquiry.id) });
+  } catch (e) {
+    console.error('Prospectus render history error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/inquiries/:id/prospectus-renders/:renderId', requireRole('registrar'), async (req, res) => {
+  try {
+    const render = await renders.getRender(req.params.id, req.params.renderId);
+    if (!render) return res.status(404).json({ success: false, error: 'Render not found' });
+    const abs = path.join(PROSPECTUS_DIR, render.filename);
+    try {
+      await fs.access(abs);
+    } catch {
+      return res.status(410).json({ success: false, error: 'Render file no longer exists' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.sendFile(abs);
+  } catch (e) {
+    console.error('Prospectus render view error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/api/inquiries/:id/prospectus-renders/:renderId/restore', requireRole('admissions'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryRepository().findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ success: false, error: 'Inquiry not found' });
+
+    const p = await restoreProspectus(inquiry, req.params.renderId);
+    if (!p) return res.status(404).json({ success: false, error: 'Render not found or its file is missing' });
+    await updateInquiryStatus(inquiry.id, p);
+
+    console.log(`⏪ Prospectus render ${p.renderId} restored for ${inquiry.id} by ${req.staff.email}`);
+    res.json({ success: true, inquiryId: inquiry.id, prospectus: p });
+  } catch (e) {
+    console.error('Prospectus render restore error:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ADD THIS ENDPOINT TO YOUR server.js
+// This properly handles the dashboard enquiry form with ALL fields
+
+router.post('/api/dashboard-enquiry', requireRole('admissions'), async (req, res) => {
+  console.log('\n📝 DASHBOARD ENQUIRY SUBMISSION');
+  console.log('📅 Timestamp:', new Date().toISOString());
+  
+  try {
+    const data = req.body || {};
+    
+    // Generate ID and timestamp
+    const inquiryId = `INQ-${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const now = new Date().toISOString();
+    
+    // Build complete record with ALL fields
+    const record = {
+      id: inquiryId,
+      receivedAt: now,
+      status: 'received',
+      prospectusGenerated: false,
+      
+      // All the personal fields
+      parentName: data.parentName || '',
+      firstName: data.firstName || '',
+      familySurname: data.familySurname || '',
+      parentEmail: data.parentEmail || '',
+      contactNumber: data.contactNumber || '',
+      ageGroup: data.ageGroup || '',
+      entryYear: data.entryYear || '',
+      hearAboutUs: data.hearAboutUs || 'Dashboard',
+      
+      // All academic interests
+      sciences: !!data.sciences,
+      mathematics: !!data.mathematics,
+      english: !!data.english,
+      languages: !!data.languages,
+      humanities: !!data.humanities,
+      business: !!data.business,
+      
+      // All creative interests
+      drama: !!data.drama,
+      music: !!data.music,
+      art: !!data.art,
+      creative_writing: !!data.creative_writing,
+      
+      // All co-curricular
+      sport: !!data.sport,
+      leadership: !!data.leadership,
+      community_service: !!data.community_service,
+      outdoor_education: !!data.outdoor_education,
+      
+      // All family priorities
+      academic_excellence: !!data.academic_excellence,
+      pastoral_care: !!data.pastoral_care,
+      university_preparation: !!data.university_preparation,
+      personal_development: !!data.personal_development,
+      career_guidance: !!data.career_guidance,
+      extracurricular_opportunities: !!data.extracurricular_opportunities,
+      
+      // Metadata
+      source: data.source || 'manual_dashboard',
+      notes: data.notes || '',
+      userAgent: req.headers['user-agent'] || 'Dashboard',
+      referrer: 'dashboard',
+      ip: req.ip || req.connection?.remoteAddress || 'unknown'
+    };
+    
+    console.log('📋 Creating full enquiry with all interests');
+    console.log('   Student:', record.firstName, record.familySurname);
+    console.log('   Parent:', record.parentName);
+    console.log('   Email:', record.parentEmail);
+    console.log('   Contact:', record.contactNumber);
+    
+    // Count interests selected
+    const academicCount = [record.sciences, record.mathematics, record.english, record.languages, record.humanities, record.business].filter(Boolean).length;
+    const creativeCount = [record.drama, record.music, record.art, record.creative_writing].filter(Boolean).length;
+    const cocurricularCount = [record.sport, record.leadership, record.community_service, record.outdoor_education].filter(Boolean).length;
+    const priorityCount = [record.academic_excellence, record.pastoral_care, record.university_preparation, record.personal_development, record.career_guidance, record.extracurricular_opportunities].filter(Boolean).length;
+    
+    console.log(`   Interests: ${academicCount} academic, ${creativeCount} creative, ${cocurricularCount} co-curricular`);
+    console.log(`   Priorities: ${priorityCount} family priorities selected`);
+    
+    // Save to JSON and, when connected, the database
+    const repository = getInquiryRepository();
+    await repository.create(record);
+    const savedToDb = repository.kind !== 'json';
+    console.log(`✅ Inquiry stored (${repository.kind}): ${record.id}`);
+    
+    // Generate prospectus with all the personalization data
+    let prospectusInfo = null;
+    try {
+      if (typeof generateProspectus === 'function') {
+        console.log('🎨 Generating personalized prospectus with all interests...');
+        prospectusInfo = await generateProspectus(record);
+        
+        await updateInquiryStatus(record.id, prospectusInfo);
+        
+        const issued = await issueProspectusLink({ ...record, slug: prospectusInfo.slug });
+        prospectusInfo.link = prospectusLinks.signedLinkPaths(issued);
+        autoEnrolInquiry(record.id).catch(e => console.warn('⚠️ Nurture enrolment failed:', e.message));
+        
+        console.log(`✅ Personalized prospectus generated: ${prospectusInfo.filename}`);
+      }
+    } catch (prospectusError) {
+      console.error('⚠️ Prospectus generation failed:', prospectusError.message);
+    }
+    
+    // Success response
+    const response = {
+      success: true,
+      message: 'Enquiry created successfully with all personalization data',
+      inquiryId: record.id,
+      receivedAt: record.receivedAt,
+      savedToDatabase: savedToDb,
+      prospectusGenerated: !!prospectusInfo,
+      summary: {
+        name: `${record.firstName} ${record.familySurname}`,
+        academicInterests: academicCount,
+        creativeInterests: creativeCount,
+        cocurricularInterests: cocurricularCount,
+        familyPriorities: priorityCount
+      }
+    };
+    
+    if (prospectusInfo) {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      response.prospectus = {
+        filename: prospectusInfo.filename,
+        url: prospectusInfo.link ? `${baseUrl}${prospectusInfo.link.path}` : `${baseUrl}/prospectuses/${prospectusInfo.filename}`,
+        downloadUrl: prospectusInfo.link ? `${baseUrl}${prospectusInfo.link.downloadPath}` : null,
+        generatedAt: prospectusInfo.generatedAt
+      };
+    }
+    
+    console.log('✅ ENQUIRY COMPLETE WITH FULL DATA');
+    return res.json(response);
+    
+  } catch (error) {
+    console.error('❌ DASHBOARD ENQUIRY ERROR:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Static file routes
+router.get('/prospectuses/:filename', async (req, res) => {
+  try {
+    const filename = String(req.params.filename || '');
+    let abs = path.join(PROSPECTUS_DIR, filename);
+    
+    try { 
+      await fs.access(abs); 
+      return res.sendFile(abs); 
+    } catch {}
+    
+    const inquiry = await getInquiryRepository().findByProspectusFilename(filename);
+    if (inquiry) {
+      const p = await generateProspectus(inquiry);
+      await updateInquiryStatus(inquiry.id, p);
+      abs = path.join(PROSPECTUS_DIR, p.filename);
+      return res.sendFile(abs);
+    }
+    
+    return res.status(404).send('Prospectus file not found');
+  } catch (e) {
+    console.error('Direct file recover failed:', e);
+    return res.status(500).send('Failed to load prospectus file');
+  }
+});
+
+// OLD ENDPOINT DELETED - using the enhanced version with learning below
+
+// Translates a prospectus page for translator.js with the language's
+// translation provider. Translations are cached, so repeat visits and other
+// families' identical sections aren't translated again, and cached pages are
+// still served while the provider is down.
+router.post('/api/deepl', async (req, res) => {
+  try {
+    const { html, target_lang } = req.body || {};
+
+    if (typeof html !== 'string' || !html.trim()) {
+      return res.status(400).json({ error: 'Missing html' });
+    }
+    if (!isSupportedLanguage(target_lang)) {
+      return res.status(400).json({ error: 'Unsupported target_lang' });
+    }
+
+    try {
+      const { text, source } = await translationCache.resolve(html, resolveLanguage(target_lang), 'web');
+      if (source !== 'provider') console.log(`✔ Serving ${source} ${target_lang} translation`);
+      return res.json({ translated: text });
+    } catch (err) {
+      if (!(err instanceof TranslationProviderError)) throw err;
+      if (err.notConfigured) {
+        return res.status(500).json({ error: err.message });
+      }
+      console.error('Translation failed:', err.message);
+      return res.status(502).json({ error: 'Translation provider error', provider: err.provider, details: err.details });
+    }
+  } catch (err) {
+    console.error('Translation proxy failed:', err);
+    return res.status(500).json({ error: 'Proxy failure' });
+  }
+});
+
+
+// Slug-based routing
+const RESERVED = new Set([
+  'api','prospectuses','health','tracking','dashboard','favicon','robots',
+  'sitemap','metrics','config','webhook','admin','smart_analytics_dashboard.html',
+  'download',  // ADD THIS LINE
+  'book'
+]);
+
+// Download routes - MUST come before /:slug to avoid route conflicts
+
+// ?format=pdf on either download route: print the generated prospectus to PDF
+async function sendProspectusPdf(req, res, inquiry, prospectusInfo, { asJson }) {
+  const fail = (status, message) => asJson
+    ? res.status(status).json({ success: false, error: message })
+    : res.status(status).send(message);
+
+  const base = getBaseUrl(req);
+  const onlineUrl = prospectusLinks.publicLinkStatus(inquiry, base).url || `${base}${prospectusInfo.prettyPath}`;
+
+  let pdfPath;
+  try {
+    pdfPath = await renderProspectusPdf({
+      prospectus: prospectusInfo,
+      onlineUrl,
+      serverUrl: `http://127.0.0.1:${req.socket.localPort}`
+    });
+  } catch (e) {
+    if (e instanceof PdfUnavailableError) {
+      console.error('❌ PDF export unavailable:', e.message);
+      return fail(503, 'PDF export is not available on this server');
+    }
+    console.error('❌ PDF export failed:', e);
+    return fail(500, 'Failed to create PDF');
+  }
+
+  const downloadFilename = `${inquiry.firstName}-${inquiry.familySurname}-Prospectus-${inquiry.entryYear}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  console.log(`✅ Sending PDF: ${downloadFilename}`);
+  res.sendFile(pdfPath);
+}
+
+router.get('/download/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug || '').toLowerCase();
+    console.log(`📥 Download request for slug: ${slug}`);
+
+    const inquiry = await getInquiryRepository().findBySlug(slug);
+    if (!inquiry) {
+      return res.status(404).send('Prospectus not found');
+    }
+
+    const access = prospectusAccess(req, inquiry);
+    if (!access.ok) {
+      console.warn(`🔒 Download refused for ${slug}: ${access.reason}`);
+      return sendLinkDenied(res, access.reason);
+    }
+
+    console.log(`Found inquiry for download: ${inquiry.firstName} ${inquiry.familySurname}`);
+
+    // Generate prospectus if needed
+    let prospectusInfo;
+    try {
+      prospectusInfo = await generateProspectus(inquiry);
+    } catch (genError) {
+      console.error('Failed to generate prospectus for download:', genError);
+      return res.status(500).send('Failed to generate prospectus');
+    }
+
+    if (req.query.format === 'pdf') {
+      return sendProspectusPdf(req, res, inquiry, prospectusInfo, { asJson: false });
+    }
+    
+    // Read the generated file
+    const filePath = path.join(PROSPECTUS_DIR, prospectusInfo.filename);
+    let html;
+    
+    try {
+      html = await fs.readFile(filePath, 'utf8');
+    } catch (readError) {
+      console.error('Failed to read prospectus file:', readError);
+      return res.status(500).send('Failed to read prospectus file');
+    }
+    
+    // Create download filename
+    const downloadFilename = `${inquiry.firstName}-${inquiry.familySurname}-Prospectus-${inquiry.entryYear}-OFFLINE.html`;
+    
+    // Set headers for download
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    
+    console.log(`✅ Sending download: ${downloadFilename}`);
+    res.send(html);
+
+  } catch (error) {
+    console.error('❌ Download via slug failed:', error);
+    res.status(500).send(`Download failed: ${error.message}`);
+  }
+});
+
+// Download route via inquiry ID - for dashboard use
+router.get('/api/download/:inquiryId', requireRole('registrar'), async (req, res) => {
+  try {
+    const inquiryId = req.params.inquiryId;
+    console.log(`📥 API Download request for inquiry: ${inquiryId}`);
+
+    // Find the inquiry data
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    console.log(`Found inquiry for API download: ${inquiry.firstName} ${inquiry.familySurname}`);
+
+    // Generate prospectus if needed
+    let prospectusInfo;
+    try {
+      prospectusInfo = await generateProspectus(inquiry);
+    } catch (genError) {
+      console.error('Failed to generate prospectus for API download:', genError);
+      return res.status(500).json({ error: 'Failed to generate prospectus' });
+    }
+
+    if (req.query.format === 'pdf') {
+      return sendProspectusPdf(req, res, inquiry, prospectusInfo, { asJson: true });
+    }
+    
+    // Read the generated file
+    const filePath = path.join(PROSPECTUS_DIR, prospectusInfo.filename);
+    let html;
+    
+    try {
+      html = await fs.readFile(filePath, 'utf8');
+    } catch (readError) {
+      console.error('Failed to read prospectus file for API:', readError);
+      return res.status(500).json({ error: 'Failed to read prospectus file' });
+    }
+    
+    // Create download filename
+    const downloadFilename = `${inquiry.firstName}-${inquiry.familySurname}-Prospectus-${inquiry.entryYear}-OFFLINE.html`;
+    
+    // Set headers for download
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    
+    console.log(`✅ Sending API download: ${downloadFilename}`);
+    res.send(html);
+
+  } catch (error) {
+    console.error('❌ API Download failed:', error);
+    res.status(500).json({ error: `Download failed: ${error.message}` });
+  }
+});
+
+router.get('/:slug', async (req, res, next) => {
+  const slug = String(req.params.slug || '').toLowerCase();
+  
+  if (!/^[a-z0-9-]+$/.test(slug)) return next();
+  if (RESERVED.has(slug)) return next();
+  
+  try {
+    console.log(`Looking up slug: ${slug}`);
+    const inquiry = await getInquiryRepository().findBySlug(slug);
+    if (inquiry) {
+      const access = prospectusAccess(req, inquiry);
+      if (!access.ok) {
+        console.warn(`🔒 Prospectus link refused for ${slug}: ${access.reason}`);
+        return sendLinkDenied(res, access.reason);
+      }
+      if (access.via === 'legacy') console.log(`Serving unsigned legacy link: ${slug}`);
+
+      // Another language from the page's picker; the link keeps the family's
+      const requested = req.query.lang ? resolveLanguage(req.query.lang) : null;
+      if (requested && requested !== (inquiry.language || 'en')) {
+        try {
+          const p = await generateProspectus({ ...inquiry, language: requested }, { pointSlug: false });
+          console.log(`Serving ${slug} in ${requested}`);
+          return res.sendFile(path.join(PROSPECTUS_DIR, p.filename));
+        } catch (e) {
+          console.error('Prospectus generation failed for slug', slug, e.message);
+          return res.status(500).send('Failed to generate prospectus');
+        }
+      }
+    } else if (!auth.hasRole(req.staff, 'registrar')) {
+      // Without an inquiry there is no link state to check the token against
+      console.log(`Slug not found: ${slug}`);
+      return res.status(404).send('<h1>Prospectus Not Found</h1>');
+    }
+
+    let rel = slugIndex[slug];
+    
+    if (!rel) {
+      console.log(`Slug not in index, rebuilding...`);
+      await rebuildSlugIndexFromData();
+      rel = slugIndex[slug];
+    }
+    
+    if (!rel) {
+      console.log(`Searching for inquiry with slug: ${slug}`);
+      if (inquiry) {
+        try {
+          console.log(`Regenerating prospectus for found inquiry: ${inquiry.id}`);
+          const language = resolveLanguage(req.query.lang);
+          console.log(`URL language parameter: ${language}`);
+          inquiry.language = language;
+          const p = await generateProspectus(inquiry);
+          await updateInquiryStatus(inquiry.id, p);
+          rel = p.url;
+          slugIndex[slug] = rel;
+          await saveSlugIndex();
+          console.log(`Regenerated and mapped: ${slug} -> ${rel}`);
+        } catch (e) {
+          console.error('Auto-regen failed for slug', slug, e.message);
+          return res.status(500).send('Failed to generate prospectus');
+        }
+      }
+    }
+    
+    if (!rel) {
+      console.log(`Slug not found: ${slug}`);
+      return res.status(404).send(`
+        <h1>Prospectus Not Found</h1>
+        <p>The link /${slug} could not be found.</p>
+        <p><a href="/admin/rebuild-slugs">Rebuild Slug Index</a></p>
+      `);
+    }
+    
+    let abs = path.join(PROSPECTUS_DIR, path.basename(rel));
+    try {
+      await fs.access(abs);
+      console.log(`Serving: ${slug} -> ${rel}`);
+      return res.sendFile(abs);
+    } catch (accessError) {
+      console.log(`File missing, attempting to regenerate: ${abs}`);
+      try {
+        if (inquiry) {
+          const language = resolveLanguage(req.query.lang);
+          console.log(`URL language parameter: ${language}`);
+          inquiry.language = language;
+          const p = await generateProspectus(inquiry);
+          await updateInquiryStatus(inquiry.id, p);
+          slugIndex[slug] = p.url;
+          await saveSlugIndex();
+          abs = path.join(PROSPECTUS_DIR, p.filename);
+          console.log(`Regenerated and serving: ${slug} -> ${p.url}`);
+          return res.sendFile(abs);
+        }
+      } catch (regenError) {
+        console.error('Regeneration failed:', regenError.message);
+      }
+    }
+    
+    console.error('Failed to serve slug:', slug);
+    return res.status(500).send('Failed to load prospectus');
+  } catch (e) {
+    console.error('Slug routing error:', e);
+    return next();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// The engagement score (services/engagement-scoring.js): the model's factor
+// weights, which admissions can change, and each family's score with the
+// per-factor breakdown behind it and how it has moved.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getDb } = require('../services/database');
+const { enqueueBatch } = require('../services/job-queue');
+const {
+  FACTORS, validateModel, getScoreModel, getScoreModelStore, familyScore, scoreHistory
+} = require('../services/engagement-scoring');
+
+const router = express.Router();
+
+router.get('/api/scoring/model', requireRole('registrar'), async (req, res) => {
+  try {
+    res.json({ success: true, model: await getScoreModel(), factors: FACTORS });
+  } catch (e) {
+    console.error('❌ Failed to load the scoring model:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/scoring/model/versions', requireRole('registrar'), async (req, res) => {
+  try {
+    res.json({ success: true, versions: await getScoreModelStore().listVersions() });
+  } catch (e) {
+    console.error('❌ Failed to list scoring models:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { factors: { <factor>: { weight, fullAt } } } saves a new model version;
+// factors left out keep their current values. Every family is then scored
+// again in the background; poll statusUrl for progress.
+router.put('/api/scoring/model', requireRole('admissions'), async (req, res) => {
+  try {
+    const current = await getScoreModel();
+    const { errors, factors } = validateModel((req.body || {}).factors, current);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid scoring model', errors });
+    }
+
+    const model = await getScoreModelStore().save(factors, req.staff.email);
+    console.log(`🎯 Scoring model v${model.version} saved by ${req.staff.email}`);
+
+    let rescore = null;
+    if (getDb()) {
+      const { batchId } = await enqueueBatch('engagement_rescore', [{ modelVersion: model.version }], { createdBy: req.staff.email });
+      rescore = { batchId, statusUrl: `/api/jobs?batch=${batchId}` };
+    }
+    res.json({ success: true, model, rescore });
+  } catch (e) {
+    console.error('❌ Failed to save the scoring model:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// The family's score, what earned it and its history (newest first). Score
+// is null until a visit has been rolled up, and always without a database.
+router.get('/api/inquiry/:inquiryId/score', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+  try {
+    const current = db ? await familyScore(db, inquiryId) : null;
+    res.json({
+      success: true,
+      inquiryId,
+      ...(current || { score: null, temperature: null, modelVersion: null, factors: [], scoredAt: null }),
+      history: db ? await scoreHistory(db, inquiryId) : []
+    });
+  } catch (e) {
+    console.error('❌ Failed to load engagement score:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+// Events from public/tracking.js and the visit timelines built from them
+// (the family timeline adds the emails staff sent them and their event
+// bookings).
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const { getDb, withTransaction } = require('../services/database');
+const { summariseEvents, updateInquiryMetrics } = require('../services/engagement');
+const { MAX_EVENTS, INGEST_LOCK, ingestEvents } = require('../services/tracking-events');
+const { scheduleSessionRollup } = require('../services/session-rollup');
+const { publishTrackedEvents } = require('../services/activity-feed');
+const { evaluateInBackground } = require('../services/alerts');
+const { emailTimeline } = require('../services/family-emails');
+const { bookingTimeline } = require('../services/events');
+
+const router = express.Router();
+
+// Tracking endpoints
+router.post(["/api/track","/api/tracking"], (req,res) => res.redirect(307, "/api/track-engagement"));
+
+// tracking.js's sendBeacon() posts the batch as text/plain
+router.post('/api/track-engagement', express.text({ type: 'text/plain', limit: '2mb' }), async (req, res) => {
+  try {
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ success: false, error: 'Body is not JSON' });
+      }
+    }
+    const { events = [], sessionInfo } = body;
+
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ success: false, error: 'events must be an array' });
+    }
+    if (events.length === 0) {
+      return res.json({ success: true, message: 'No events to process' });
+    }
+    if (events.length > MAX_EVENTS) {
+      return res.status(413).json({ success: false, error: `At most ${MAX_EVENTS} events per request` });
+    }
+
+    console.log(`📍 Received ${events.length} events from ${sessionInfo?.inquiryId || 'unknown'}`);
+
+    const { results, accepted } = await ingestEvents(events, {
+      pageUrl: req.headers.referer,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    const rejected = results.filter(r => r.status === 'rejected');
+    if (rejected.length) {
+      console.warn(`❌ Rejected ${rejected.length} of ${events.length} events:`, rejected.map(r => r.error).join('; '));
+    }
+
+    // Update inquiry metrics for important events
+    for (const event of accepted) {
+      if (event.eventType === 'heartbeat' || event.eventType === 'page_unload') {
+        await updateInquiryMetrics(event.inquiryId, sessionInfo, event.data);
+      }
+    }
+    if (accepted.some(e => e.eventType === 'page_unload')) scheduleSessionRollup();
+    // The dashboards' live view; the family doesn't wait for it
+    publishTrackedEvents(accepted).catch(e => console.warn('⚠️ Activity feed failed:', e.message));
+    evaluateInBackground(accepted);
+
+    res.json({
+      success: true,
+      processed: accepted.length,
+      inquiry: sessionInfo?.inquiryId,
+      results
+    });
+
+  } catch (error) {
+    console.error('❌ Track engagement error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// === Latest visit timeline (read-only) ==========================
+router.get('/api/visits/:inquiryId/latest', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+  if (!inquiryId) return res.status(400).json({ ok: false, error: 'Missing inquiryId' });
+
+  try {
+    if (!db) return res.json({ ok: true, session: null, events: [] });
+
+    // Find most recent session for this inquiry
+    const sess = await db.query(`
+      WITH sessions AS (
+        SELECT session_id,
+               MIN(timestamp) AS start_ts,
+               MAX(timestamp) AS end_ts
+        FROM tracking_events
+        WHERE inquiry_id = $1
+          AND session_id IS NOT NULL
+        GROUP BY session_id
+        ORDER BY end_ts DESC
+        LIMIT 1
+      )
+      SELECT session_id, start_ts, end_ts
+      FROM sessions
+    `, [inquiryId]);
+
+    if (!sess.rows.length) return res.json({ ok: true, session: null, events: [] });
+    const { session_id, start_ts, end_ts } = sess.rows[0];
+
+    // Pull ordered events for that session
+    const evs = await db.query(`
+      SELECT event_type, event_data, timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1
+        AND session_id = $2
+      ORDER BY timestamp ASC
+    `, [inquiryId, session_id]);
+
+    const events = evs.rows.map(r => ({
+      type: r.event_type,
+      ts: r.timestamp,
+      name: (r.event_data && r.event_data.name) || r.event_type,
+      section: r.event_data?.section ?? null,
+      dwellSec: r.event_data?.dwellSec ?? null,
+      tier: r.event_data?.tier ?? null,
+      reason: r.event_data?.reason ?? null,
+      youtubeId: r.event_data?.youtubeId ?? null,
+      title: r.event_data?.title ?? null
+    }));
+
+    res.json({ ok: true, session: { id: session_id, start: start_ts, end: end_ts }, events });
+  } catch (e) {
+    console.error('latest visit error:', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+
+router.post('/api/track/dwell', async (req, res) => {
+  const db = getDb();
+  try {
+    const { inquiryId, sessionId, deltaMs, reason, timestamp, deviceInfo } = req.body || {};
+    
+    if (!inquiryId || !Number.isFinite(Number(deltaMs))) {
+      return res.status(400).json({ ok: false, error: 'Missing inquiryId or deltaMs' });
+    }
+    
+    if (!db) return res.json({ ok: true, mode: 'json-only', acceptedDeltaMs: Number(deltaMs) });
+    
+    const delta = Math.max(0, Math.round(Number(deltaMs)));
+    
+    await withTransaction(db, async client => {
+      await client.query('SELECT pg_advisory_xact_lock_shared($1)', [INGEST_LOCK]);
+      await client.query(`
+        INSERT INTO tracking_events (inquiry_id, event_type, event_data, page_url, user_agent, ip_address, session_id, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        inquiryId,
+        'dwell',
+        JSON.stringify({ delta_ms: delta, reason: reason || null, deviceInfo: deviceInfo || null }),
+        null,
+        (deviceInfo && deviceInfo.userAgent) || null,
+        (req.ip || req.headers['x-forwarded-for'] || null),
+        sessionId || null,
+        new Date(timestamp || Date.now())
+      ]);
+
+      await client.query(`
+        UPDATE inquiries
+        SET dwell_ms = COALESCE(dwell_ms, 0) + $2,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [inquiryId, delta]);
+    });
+    
+    return res.json({ ok: true, addedMs: delta });
+  } catch (e) {
+    console.warn('dwell endpoint failed:', e.message);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+// === Sessions list for an inquiry (start/end + event count), from session_summaries ===
+router.get('/api/visits/:inquiryId/sessions', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+  if (!inquiryId) return res.status(400).json({ ok:false, error:'Missing inquiryId' });
+
+  try {
+    if (!db) return res.json({ ok:true, sessions: [] });
+
+    const q = await db.query(`
+      SELECT session_id,
+             start_time       AS start_ts,
+             end_time         AS end_ts,
+             total_events     AS events,
+             duration_seconds,
+             visit_number,
+             sections_visited,
+             engagement_score,
+             ended_by
+      FROM session_summaries
+      WHERE inquiry_id = $1
+      ORDER BY start_time DESC
+      LIMIT 50
+    `, [inquiryId]);
+
+    res.json({ ok:true, sessions: q.rows });
+  } catch (e) {
+    console.error('sessions list error:', e);
+    res.status(500).json({ ok:false, error: e.message });
+  }
+});
+
+
+// === Family timeline: visits, the emails staff sent and event bookings, newest first ===
+// Visits come from session_summaries, so need the database; emails, their
+// opens and clicks (services/family-emails.js) and bookings
+// (services/events.js) are kept in either mode
+router.get('/api/visits/:inquiryId/timeline', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { inquiryId } = req.params;
+
+  try {
+    const items = [...await emailTimeline(inquiryId), ...await bookingTimeline(inquiryId)];
+    if (db) {
+      const q = await db.query(`
+        SELECT session_id, start_time, duration_seconds, visit_number, sections_visited
+        FROM session_summaries
+        WHERE inquiry_id = $1
+        ORDER BY start_time DESC
+        LIMIT 50
+      `, [inquiryId]);
+      for (const r of q.rows) {
+        items.push({
+          type: 'visit',
+          at: new Date(r.start_time).toISOString(),
+          sessionId: r.session_id,
+          visitNumber: r.visit_number,
+          durationSeconds: r.duration_seconds,
+          sectionsVisited: r.sections_visited
+        });
+      }
+    }
+
+    items.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+    res.json({ ok: true, inquiryId, items });
+  } catch (e) {
+    console.error('family timeline error:', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// === Per-session AI-style summary (rule-based) ===
+router.get('/api/visits/:inquiryId/:sessionId/summary', requireRole('registrar'), async (req,res)=>{
+  const db = getDb();
+  const { inquiryId, sessionId } = req.params;
+  if (!inquiryId || !sessionId) return res.status(400).json({ ok:false, error: 'Missing params' });
+  try {
+    if (!db) return res.json({ ok:true, summary: '' });
+
+    const evs = await db.query(`
+      SELECT event_type, event_data, timestamp
+      FROM tracking_events
+      WHERE inquiry_id = $1 AND session_id = $2
+      ORDER BY timestamp ASC
+    `, [inquiryId, sessionId]);
+
+    const events = evs.rows.map(r => ({
+      type: r.event_type,
+      ts: r.timestamp,
+      section: r.event_data?.section ?? null,
+      dwellSec: r.event_data?.dwellSec ?? null,
+      tier: r.event_data?.tier ?? null,
+      youtubeId: r.event_data?.youtubeId ?? null,
+      title: r.event_data?.title ?? null
+    }));
+
+    const text = summariseEvents(events);
+    res.json({ ok:true, summary: text });
+  } catch (e) {
+    console.error('session summary error:', e);
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// === Per-session events (used by dashboard session history) ===
+router.get('/api/sessions/:sessionId', requireRole('registrar'), async (req, res) => {
+  const db = getDb();
+  const { sessionId } = req.params;
+  if (!sessionId) return res.status(400).json({ ok: false, error: 'Missing sessionId' });
+
+  try {
+    if (!db) return res.json({ ok: true, events: [] });
+
+    const evs = await db.query(`
+      SELECT event_type, event_data, timestamp
+      FROM tracking_events
+      WHERE session_id = $1
+      ORDER BY timestamp ASC
+    `, [sessionId]);
+
+    const events = evs.rows.map(r => ({
+      type: r.event_type,
+      ts: r.timestamp,
+      name: (r.event_data && r.event_data.name) || r.event_type,
+      section: r.event_data?.section ?? null,
+      dwellSec: r.event_data?.dwellSec ?? null,
+      tier: r.event_data?.tier ?? null,
+      reason: r.event_data?.reason ?? null,
+      youtubeId: r.event_data?.youtubeId ?? null,
+      title: r.event_data?.title ?? null
+    }));
+
+    res.json({ ok: true, sessionId, events });
+  } catch (e) {
+    console.error('session events error:', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+module.exports = router;
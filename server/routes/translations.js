@@ -0,0 +1,167 @@
+// Translation cache and glossary for staff: admissions manage the glossary of
+// terms translation providers must keep or render a fixed way, can see
+// which provider each language uses and cache statistics, and can override
+// the machine translation of any segment of the prospectus or have it
+// translated ahead of time; admins can clear cached translations. Also
+// serves the supported languages to the pages.
+
+const express = require('express');
+const { requireRole } = require('../auth');
+const translationCache = require('../../translation-cache');
+const { LANGUAGES, TRANSLATED_LANGUAGES, languagesScript } = require('../services/languages');
+const { providerNameFor } = require('../services/translation-providers');
+const { prospectusPages } = require('../services/prospectus-generator');
+const { describeSegments, saveOverride, removeOverride } = require('../services/prospectus-translation');
+const { enqueueBatch } = require('../services/job-queue');
+
+const router = express.Router();
+
+// For the language pickers on the prospectus and enquiry form
+router.get('/languages.js', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.type('application/javascript').send(languagesScript());
+});
+
+router.get('/api/translations/glossary', requireRole('admissions'), async (req, res) => {
+  try {
+    const glossary = await translationCache.getGlossary();
+    res.json({ success: true, version: glossary.version, entries: glossary.entries });
+  } catch (e) {
+    console.error('❌ Failed to load translation glossary:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Replaces the glossary with { entries: [{ term, translations, note }] }.
+// Cached translations are re-translated with it as they are next used.
+router.put('/api/translations/glossary', requireRole('admissions'), async (req, res) => {
+  try {
+    const { errors, glossary } = await translationCache.saveGlossary((req.body || {}).entries, req.staff.email);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid glossary', errors });
+    }
+    console.log(`📖 Translation glossary ${glossary.version} saved by ${req.staff.email}`);
+    res.json({ success: true, version: glossary.version, entries: glossary.entries });
+  } catch (e) {
+    console.error('❌ Failed to save translation glossary:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/api/translations/cache', requireRole('admissions'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      languages: LANGUAGES.map(l => ({
+        ...l,
+        provider: TRANSLATED_LANGUAGES.includes(l.code) ? providerNameFor(l.code) : null
+      })),
+      stats: await translationCache.getStats()
+    });
+  } catch (e) {
+    console.error('❌ Failed to read translation cache stats:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ?lang= and/or ?context= clear part of the cache, ?unusedForDays=n only
+// entries unused for that long; with none of them everything goes
+router.delete('/api/translations/cache', requireRole('admin'), async (req, res) => {
+  try {
+    const { lang, context, unusedForDays } = req.query;
+    let removed;
+    if (unusedForDays !== undefined) {
+      const days = Number(unusedForDays);
+      if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({ success: false, error: 'unusedForDays must be a whole number of days' });
+      }
+      removed = await translationCache.cleanupCache({ unusedForDays: days });
+    } else {
+      removed = await translationCache.invalidate({ language: lang, context });
+    }
+    console.log(`🗑️ ${removed} cached translation(s) cleared by ${req.staff.email}`);
+    res.json({ success: true, removed });
+  } catch (e) {
+    console.error('❌ Failed to clear translation cache:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ===================== PROSPECTUS SEGMENTS =====================
+function translatedLanguage(value) {
+  const lang = String(value || '').trim().toLowerCase();
+  return TRANSLATED_LANGUAGES.includes(lang) ? lang : null;
+}
+
+// Translates the whole prospectus into { languages } (default: all of them)
+// in the background, a job per language; poll statusUrl for progress
+router.post('/api/translations/precache', requireRole('admissions'), async (req, res) => {
+  try {
+    const requested = (req.body || {}).languages;
+    const languages = requested === undefined ? TRANSLATED_LANGUAGES : [].concat(requested).map(translatedLanguage);
+    if (!languages.length || languages.includes(null)) {
+      return res.status(400).json({ success: false, error: 'languages must be translated languages' });
+    }
+    const { batchId, jobs } = await enqueueBatch('translation_precache', languages.map(language => ({ language })), { createdBy: req.staff.email });
+    console.log(`🧰 Queued prospectus translation into ${languages.join(', ')} (${batchId})`);
+    res.status(202).json({ success: true, batchId, queued: jobs.length, statusUrl: `/api/jobs?batch=${batchId}` });
+  } catch (e) {
+    console.error('❌ Failed to queue translation:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Every segment of the published prospectus with its machine translation
+// and any override for ?lang=
+router.get('/api/translations/segments', requireRole('admissions'), async (req, res) => {
+  try {
+    const lang = translatedLanguage(req.query.lang);
+    if (!lang) return res.status(400).json({ success: false, error: 'lang must be a translated language' });
+    const segments = await describeSegments(await prospectusPages(), lang);
+    res.json({
+      success: true,
+      language: lang,
+      overridden: segments.filter(s => s.override && !s.stale).length,
+      stale: segments.filter(s => s.stale).length,
+      segments
+    });
+  } catch (e) {
+    console.error('❌ Failed to list prospectus segments:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// { lang, translated } replaces the machine translation of a segment in
+// prospectuses built from now on
+router.put('/api/translations/segments/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const { lang: rawLang, translated } = req.body || {};
+    const lang = translatedLanguage(rawLang);
+    if (!lang) return res.status(400).json({ success: false, error: 'lang must be a translated language' });
+    const saved = await saveOverride(await prospectusPages(), lang, req.params.id, translated, req.staff.email);
+    if (!saved) return res.status(404).json({ success: false, error: 'Segment not found' });
+    if (saved.error) return res.status(400).json({ success: false, error: saved.error });
+    console.log(`✏️ ${lang} translation of segment ${req.params.id} set by ${req.staff.email}`);
+    res.json({ success: true, segment: saved.segment });
+  } catch (e) {
+    console.error('❌ Failed to save segment translation:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/api/translations/segments/:id', requireRole('admissions'), async (req, res) => {
+  try {
+    const lang = translatedLanguage(req.query.lang);
+    if (!lang) return res.status(400).json({ success: false, error: 'lang must be a translated language' });
+    if (!await removeOverride(lang, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'No translation override for that segment' });
+    }
+    console.log(`🗑️ ${lang} translation override for segment ${req.params.id} removed by ${req.staff.email}`);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('❌ Failed to remove segment translation:', e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+// What families are doing right now, for the dashboards' live view
+// (/api/stream/activity). /api/track-engagement hands every event it accepts
+// to publishTrackedEvents, which turns the ones staff care about into
+// activity items ("The Hopper family returned for a 3rd visit") and keeps the
+// list of who is currently viewing their prospectus.
+//
+// Staff alerts for the dashboard (alerts.js) go out on the same stream.
+//
+// Both are kept in this process only: after a restart the list fills again
+// as events arrive, and the last RECENT_ITEMS items are kept so a dashboard
+// that reconnects (EventSource sends Last-Event-ID) does not miss any.
+
+const { getDb } = require('./database');
+const { getInquiryRepository } = require('./inquiry-repository');
+
+// tracking.js splits off a visit idle for 3 minutes; a family is still
+// "viewing" for a while after their last event
+const VIEWING_TIMEOUT_MS = Number(process.env.ACTIVITY_VIEWING_MINUTES || 5) * 60 * 1000;
+const SWEEP_MS = 30 * 1000;
+const RECENT_ITEMS = 200;
+const MAX_REMEMBERED_NAMES = 1000;
+
+const subscribers = new Set();
+const recent = [];
+const viewing = new Map();
+const names = new Map();
+let nextId = 1;
+let sweepTimer = null;
+
+// ===================== FAMILIES =====================
+async function familyFor(inquiryId) {
+  if (names.has(inquiryId)) return names.get(inquiryId);
+  let family = { familyName: null, childName: null };
+  try {
+    const inquiry = await getInquiryRepository().findById(inquiryId);
+    if (inquiry) {
+      family = {
+        familyName: inquiry.familySurname ? `${inquiry.familySurname} family` : null,
+        childName: inquiry.firstName || null
+      };
+    }
+  } catch (e) {
+    console.warn(`⚠️ Activity feed could not look up ${inquiryId}:`, e.message);
+    return family;
+  }
+  names.set(inquiryId, family);
+  if (names.size > MAX_REMEMBERED_NAMES) names.delete(names.keys().next().value);
+  return family;
+}
+
+// Which visit this is, counting the one just stored; null without a database
+async function visitNumber(inquiryId) {
+  const db = getDb();
+  if (!db) return null;
+  const { rows } = await db.query(
+    'SELECT COUNT(DISTINCT session_id)::int AS n FROM tracking_events WHERE inquiry_id = $1 AND session_id IS NOT NULL',
+    [inquiryId]
+  );
+  return rows[0].n || null;
+}
+
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+// ===================== ACTIVITY =====================
+// The activity item for an event, or null for the ones staff don't need told about
+async function describe(event, who) {
+  const name = who.familyName ? `The ${who.familyName}` : event.inquiryId;
+  switch (event.eventType) {
+    case 'page_load': {
+      const visit = await visitNumber(event.inquiryId);
+      return visit > 1
+        ? { type: 'returned', visitNumber: visit, message: `${name} returned for a ${ordinal(visit)} visit` }
+        : { type: 'opened', visitNumber: visit, message: `${name} just opened their prospectus` };
+    }
+    case 'cta_openmorning_click':
+      return { type: 'openmorning_click', message: `${name} clicked Book an Open Morning` };
+    case 'video_open':
+      return {
+        type: 'video',
+        title: event.data.title || null,
+        message: event.data.title ? `${name} watched a video: ${event.data.title}` : `${name} watched a video`
+      };
+    default:
+      return null;
+  }
+}
+
+function broadcast(type, data, id) {
+  for (const subscriber of subscribers) subscriber.send(type, data, id);
+}
+
+function addItem(item) {
+  const entry = { id: nextId++, ...item };
+  recent.push(entry);
+  if (recent.length > RECENT_ITEMS) recent.shift();
+  broadcast('activity', entry, entry.id);
+}
+
+// ===================== CURRENTLY VIEWING =====================
+const viewingKey = event => `${event.inquiryId} ${event.sessionId || ''}`;
+
+function currentlyViewing(now = Date.now()) {
+  return [...viewing.values()]
+    .filter(v => now - v.lastSeen < VIEWING_TIMEOUT_MS)
+    .sort((a, b) => b.lastSeen - a.lastSeen)
+    .map(v => ({ ...v, since: new Date(v.since).toISOString(), lastSeen: new Date(v.lastSeen).toISOString() }));
+}
+
+// Drops visits that have gone quiet; true if any were dropped
+function sweep(now = Date.now()) {
+  let dropped = false;
+  for (const [key, v] of viewing) {
+    if (now - v.lastSeen >= VIEWING_TIMEOUT_MS) {
+      viewing.delete(key);
+      dropped = true;
+    }
+  }
+  return dropped;
+}
+
+function startSweeping() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    if (sweep()) broadcast('viewing', currentlyViewing());
+  }, SWEEP_MS);
+  sweepTimer.unref();
+}
+
+function stopSweeping() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// ===================== PUBLISHING =====================
+// Events in the form tracking-events.js accepts them, oldest first
+async function publishTrackedEvents(events, now = Date.now()) {
+  let viewingChanged = sweep(now);
+  for (const event of events) {
+    const who = await familyFor(event.inquiryId);
+    const key = viewingKey(event);
+
+    if (event.eventType === 'page_unload') {
+      viewingChanged = viewing.delete(key) || viewingChanged;
+    } else {
+      const current = viewing.get(key);
+      viewing.set(key, {
+        inquiryId: event.inquiryId,
+        sessionId: event.sessionId,
+        ...who,
+        section: event.eventType === 'section_enter' ? event.data.section : current ? current.section : null,
+        since: current ? current.since : now,
+        lastSeen: now
+      });
+      viewingChanged = true;
+    }
+
+    const described = await describe(event, who);
+    if (described) {
+      addItem({
+        inquiryId: event.inquiryId,
+        sessionId: event.sessionId,
+        ...who,
+        ...described,
+        at: event.timestamp.toISOString()
+      });
+    }
+  }
+  if (viewingChanged) broadcast('viewing', currentlyViewing(now));
+}
+
+// A dashboard alert (alerts.js) as it fires
+function publishAlert(alert) {
+  broadcast('alert', alert);
+}
+
+// ===================== SUBSCRIBERS =====================
+// subscriber: { send(type, data, id), close() }. Returns the unsubscribe function.
+function subscribe(subscriber) {
+  subscribers.add(subscriber);
+  startSweeping();
+  return () => {
+    subscribers.delete(subscriber);
+    if (!subscribers.size) stopSweeping();
+  };
+}
+
+// Items after lastId, for a dashboard reconnecting
+function itemsSince(lastId) {
+  return recent.filter(item => item.id > lastId);
+}
+
+// Ends every open stream, so the server can close
+function closeActivityStreams() {
+  for (const subscriber of [...subscribers]) subscriber.close();
+  subscribers.clear();
+  stopSweeping();
+}
+
+module.exports = {
+  ordinal,
+  familyFor,
+  publishTrackedEvents,
+  publishAlert,
+  currentlyViewing,
+  subscribe,
+  itemsSince,
+  closeActivityStreams
+};
@@ -0,0 +1,312 @@
+// Admissions funnel and cohort figures, worked out here rather than in the
+// browser from every family. Both take the same filters: the families who
+// enquired between from and to, narrowed by age group, entry year, where they
+// heard about us and the pipeline they follow.
+//
+//   funnel   how many families reached each stage of a pipeline (that stage
+//            or one after it; a lost stage only by being there), how many of
+//            those at one stage went on to the next, and the median time a
+//            stay at each stage lasted before the family moved on
+//   cohorts  families grouped by the day or month they enquired, where they
+//            heard about us, or their entry year, with how many have moved on
+//            from the first stage, been won, been lost or are still open
+//   summary  the headline figures: how many enquired, how hot their
+//            engagement is, how long they waited to be contacted and the
+//            subjects they are interested in
+//
+// Stages come from the pipelines (pipeline-config.js), and how families moved
+// between them from the status history (pipeline.js).
+
+const { getInquiryRepository } = require('./inquiry-repository');
+const { getPipelineStore, pipelineFor, findStage } = require('./pipeline-config');
+const { getStatusHistoryStore, journeyFor } = require('./pipeline');
+const { temperatureFor } = require('./engagement-scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 1000;
+const NOT_SPECIFIED = 'Not specified';
+const RECENT_DAYS = 30;
+const TOP_FAMILIES = 20;
+const SUBJECTS = ['sciences', 'mathematics', 'english', 'languages', 'humanities', 'drama', 'music', 'art', 'sport'];
+
+// ===================== FILTERS =====================
+// From the query string: from / to (dates; to is exclusive, so to=2027-02-01
+// takes in all of January), ageGroup, entryYear, hearAboutUs, pipeline (id)
+function parseFilters(query = {}) {
+  const errors = [];
+  const text = name => (typeof query[name] === 'string' && query[name].trim() ? query[name].trim() : null);
+  const date = name => {
+    const value = text(name);
+    if (!value) return null;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push(`${name} must be a date, e.g. 2027-01-31`);
+      return null;
+    }
+    return parsed;
+  };
+
+  const filters = {
+    from: date('from'),
+    to: date('to'),
+    ageGroup: text('ageGroup'),
+    entryYear: text('entryYear'),
+    hearAboutUs: text('hearAboutUs'),
+    pipelineId: null
+  };
+  if (filters.from && filters.to && filters.to <= filters.from) errors.push('to must be after from');
+  if (text('pipeline')) {
+    filters.pipelineId = Number(text('pipeline'));
+    if (!Number.isInteger(filters.pipelineId) || filters.pipelineId < 1) errors.push('pipeline must be a pipeline id');
+  }
+  return { errors, filters };
+}
+
+const enquiredAt = inquiry => Date.parse(inquiry.receivedAt || inquiry.createdAt);
+
+function matches(inquiry, filters) {
+  const at = enquiredAt(inquiry);
+  if (filters.from && !(at >= filters.from.getTime())) return false;
+  if (filters.to && !(at < filters.to.getTime())) return false;
+  if (filters.ageGroup && inquiry.ageGroup !== filters.ageGroup) return false;
+  if (filters.entryYear && String(inquiry.entryYear || '') !== filters.entryYear) return false;
+  if (filters.hearAboutUs && String(inquiry.hearAboutUs || '').trim() !== filters.hearAboutUs) return false;
+  return true;
+}
+
+// The families the filters take in, each with the pipeline they follow and
+// their journey along it. Resolves to { pipelines, families: [{ inquiry,
+// pipeline, journey }] }, or null if filters.pipelineId is no pipeline.
+async function loadFamilies(filters, { now = Date.now() } = {}) {
+  const pipelines = await getPipelineStore().list();
+  if (filters.pipelineId && !pipelines.some(p => p.id === filters.pipelineId)) return null;
+
+  const inquiries = (await getInquiryRepository().list()).filter(i => matches(i, filters));
+  const ids = new Set(inquiries.map(i => i.id));
+  // Nobody who enquired after from was moved before it
+  const changes = await getStatusHistoryStore().list({ from: filters.from });
+  const changesOf = new Map();
+  for (const change of changes) {
+    if (!ids.has(change.inquiryId)) continue;
+    if (!changesOf.has(change.inquiryId)) changesOf.set(change.inquiryId, []);
+    changesOf.get(change.inquiryId).push(change);
+  }
+
+  const families = [];
+  for (const inquiry of inquiries) {
+    const pipeline = pipelineFor(inquiry, pipelines);
+    if (filters.pipelineId && pipeline.id !== filters.pipelineId) continue;
+    families.push({ inquiry, pipeline, journey: journeyFor(pipeline, inquiry, changesOf.get(inquiry.id) || [], now) });
+  }
+  return { pipelines, families };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Moved on from the first stage, with a change to show for it or (from
+// before changes were recorded) a status further on
+function hasProgressed({ inquiry, pipeline, journey }) {
+  const stage = findStage(pipeline, inquiry.status);
+  return journey.length > 1 || Boolean(stage && stage !== pipeline.stages[0]);
+}
+
+// ===================== FUNNEL =====================
+// families: the pipeline's, as loadFamilies gives them
+function funnelFor(pipeline, families) {
+  const stages = pipeline.stages;
+  const index = key => stages.findIndex(s => s.key === key);
+  const reached = stages.map(() => 0);
+  const current = stages.map(() => 0);
+  const stays = stages.map(() => []);
+
+  for (const { inquiry, journey } of families) {
+    const visited = new Set(journey.map(stay => index(stay.status)).filter(i => i >= 0));
+    // Reaching a stage counts for every stage before it, but never for a lost
+    // one; every family reached the first
+    const furthest = Math.max(0, ...[...visited].filter(i => !stages[i].lost));
+    stages.forEach((stage, i) => {
+      if (stage.lost ? visited.has(i) : i <= furthest) reached[i]++;
+    });
+
+    const at = findStage(pipeline, inquiry.status);
+    if (at) current[index(at.key)]++;
+
+    // Only stays that have ended: the family moved on after this long
+    for (const stay of journey) {
+      const i = index(stay.status);
+      if (i >= 0 && stay.leftAt && stay.durationMs !== null) stays[i].push(stay.durationMs);
+    }
+  }
+
+  let previous = null;
+  const rows = stages.map((stage, i) => {
+    const row = {
+      key: stage.key,
+      label: stage.label,
+      colour: stage.colour,
+      terminal: stage.terminal,
+      won: stage.won,
+      lost: stage.lost,
+      reached: reached[i],
+      current: current[i],
+      // Of those who reached the stage before, how many came on to this one;
+      // for a lost stage, of every family
+      conversionRate: stage.lost ? rate(reached[i], families.length) : (previous === null ? null : rate(reached[i], reached[previous])),
+      medianTimeMs: median(stays[i]),
+      completedStays: stays[i].length
+    };
+    if (!stage.lost) previous = i;
+    return row;
+  });
+
+  const won = rows.filter(r => r.won).reduce((sum, r) => sum + r.current, 0);
+  const lost = rows.filter(r => r.lost).reduce((sum, r) => sum + r.current, 0);
+  return {
+    families: families.length,
+    won,
+    lost,
+    open: families.length - won - lost,
+    wonRate: rate(won, families.length),
+    stages: rows
+  };
+}
+
+// ===================== COHORTS =====================
+const isoDay = at => new Date(at).toISOString().slice(0, 10);
+const isoMonth = at => new Date(at).toISOString().slice(0, 7);
+
+// How each cohort view names a family's cohort, and for the ones over time
+// the cohort after a given one, so the quiet periods show up too
+const COHORTS = {
+  day: {
+    key: inquiry => (Number.isNaN(enquiredAt(inquiry)) ? null : isoDay(enquiredAt(inquiry))),
+    next: key => isoDay(Date.parse(`${key}T00:00:00Z`) + DAY_MS)
+  },
+  month: {
+    key: inquiry => (Number.isNaN(enquiredAt(inquiry)) ? null : isoMonth(enquiredAt(inquiry))),
+    next: key => {
+      const [year, month] = key.split('-').map(Number);
+      return isoMonth(Date.UTC(year, month, 1));
+    }
+  },
+  hear_about_us: {
+    key: inquiry => (String(inquiry.hearAboutUs || '').trim() || null)
+  },
+  entry_year: {
+    key: inquiry => (inquiry.entryYear ? String(inquiry.entryYear) : null)
+  }
+};
+
+// The periods from the first key to the last, or from and to when given
+function periodsBetween(view, keys, filters) {
+  const first = filters.from ? view.key({ receivedAt: filters.from.toISOString() }) : keys[0];
+  const last = filters.to ? view.key({ receivedAt: new Date(filters.to.getTime() - 1).toISOString() }) : keys[keys.length - 1];
+  const periods = [];
+  for (let key = first; key && key <= last && periods.length < MAX_PERIODS; key = view.next(key)) periods.push(key);
+  return periods;
+}
+
+function cohortsFor(by, families, filters = {}) {
+  const view = COHORTS[by];
+  const groups = new Map();
+  for (const family of families) {
+    const key = view.key(family.inquiry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(family);
+  }
+
+  let keys = [...groups.keys()].filter(k => k !== null).sort();
+  if (view.next && keys.length) keys = periodsBetween(view, keys, filters);
+  if (groups.has(null)) keys.push(null);
+
+  return keys.map(key => {
+    const members = groups.get(key) || [];
+    const counts = { enquiries: members.length, progressed: 0, won: 0, lost: 0, open: 0 };
+    for (const family of members) {
+      const stage = findStage(family.pipeline, family.inquiry.status);
+      if (hasProgressed(family)) counts.progressed++;
+      if (stage && stage.won) counts.won++;
+      else if (stage && stage.lost) counts.lost++;
+      else counts.open++;
+    }
+    return {
+      key,
+      label: key === null ? NOT_SPECIFIED : key,
+      ...counts,
+      progressedRate: rate(counts.progressed, counts.enquiries),
+      wonRate: rate(counts.won, counts.enquiries)
+    };
+  });
+}
+
+// ===================== SUMMARY =====================
+// scores: inquiry id -> { score, factors } (engagement-scoring.js); a family
+// not scored yet counts as cold. The hot and warm families come with what
+// earned their score, highest first.
+function summaryFor(families, scores = new Map(), { now = Date.now() } = {}) {
+  const temperatures = { hot: [], warm: [], cold: [] };
+  const waits = [];
+  let progressed = 0;
+  const subjects = Object.fromEntries(SUBJECTS.map(key => [key, 0]));
+
+  for (const family of families) {
+    const { inquiry, journey } = family;
+    const scored = scores.get(inquiry.id);
+    const score = scored ? Number(scored.score) || 0 : 0;
+    temperatures[temperatureFor(score)].push({
+      id: inquiry.id,
+      name: `${inquiry.firstName || ''} ${inquiry.familySurname || ''}`.trim(),
+      score,
+      factors: ((scored && scored.factors) || [])
+        .filter(f => f.points > 0)
+        .sort((a, b) => b.points - a.points)
+        .slice(0, 3)
+        .map(f => ({ label: f.label, points: f.points }))
+    });
+
+    if (hasProgressed(family)) {
+      progressed++;
+      // How long the family waited at the first stage before being moved on
+      if (journey[0].leftAt && journey[0].durationMs !== null) waits.push(journey[0].durationMs);
+    }
+    for (const key of SUBJECTS) if (inquiry[key]) subjects[key]++;
+  }
+
+  const top = list => list.sort((a, b) => b.score - a.score).slice(0, TOP_FAMILIES);
+  return {
+    enquiries: families.length,
+    recent: families.filter(f => now - enquiredAt(f.inquiry) <= RECENT_DAYS * DAY_MS).length,
+    recentDays: RECENT_DAYS,
+    temperatures: { hot: temperatures.hot.length, warm: temperatures.warm.length, cold: temperatures.cold.length },
+    hot: top(temperatures.hot),
+    warm: top(temperatures.warm),
+    qualifiedRate: rate(temperatures.hot.length + temperatures.warm.length, families.length),
+    response: {
+      progressed,
+      awaiting: families.length - progressed,
+      averageMs: waits.length ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : null,
+      medianMs: median(waits),
+      within24hRate: rate(waits.filter(ms => ms <= DAY_MS).length, waits.length),
+      timed: waits.length
+    },
+    subjects: SUBJECTS.map(key => ({ key, count: subjects[key] })).sort((a, b) => b.count - a.count)
+  };
+}
+
+module.exports = {
+  COHORTS,
+  SUBJECTS,
+  parseFilters,
+  loadFamilies,
+  funnelFor,
+  cohortsFor,
+  summaryFor,
+  median
+};
@@ -0,0 +1,672 @@
+// Staff alerts: rules admissions set up ("tell me when a family comes back
+// after two weeks") checked against tracking events as they arrive and
+// against engagement scores as visits are rolled up. A rule that fires
+// records an alert for the family and delivers it by its channel:
+//   email      to target.to, over SMTP (mailer.js)
+//   webhook    a JSON POST to target.url
+//   dashboard  kept as unread and pushed to the dashboards' live view
+//
+// An alert fires once per rule, family and dedupe key (the return visit, the
+// score threshold, ...), and not again for the same rule and family within
+// the rule's cooldownMinutes. During quiet hours email and webhook alerts are
+// held and sent when they end, unless the rule ignores quiet hours.
+// Delivery runs as alert_delivery jobs (job-queue.js), so a failed send is
+// retried.
+//
+// Rules that look back over a family's history (repeats, return visits,
+// dwell) need the database; without it they only see the batch in hand.
+// Score rules need the rollup, so the database too.
+//
+//   ALERT_QUIET_HOURS  "HH:MM-HH:MM" (default 21:00-07:00), or "off"
+//   ALERT_TIMEZONE     the quiet hours' time zone (default Europe/London)
+
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+const { enqueue } = require('./job-queue');
+const { sendMail } = require('./mailer');
+const { EVENT_TYPES } = require('./tracking-events');
+const { familyFor, publishAlert } = require('./activity-feed');
+const { prettySectionName } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_JSON_ALERTS = 2000;
+
+// ===================== TRIGGERS =====================
+// What each event type means to staff, for alert messages
+const ACTIONS = {
+  page_load: 'opened their prospectus',
+  cta_openmorning_click: 'clicked Book an Open Morning',
+  video_open: 'started a video',
+  tier_expand: 'expanded a section'
+};
+
+const SETTING_KINDS = {
+  eventType: {
+    check: v => typeof v === 'string' && Object.prototype.hasOwnProperty.call(EVENT_TYPES, v),
+    description: 'a tracked event type'
+  },
+  count: { check: v => Number.isInteger(v) && v >= 1 && v <= 100, description: 'a whole number from 1 to 100' },
+  days: { check: v => typeof v === 'number' && v > 0 && v <= 365, description: 'a number of days up to 365' },
+  minutes: { check: v => typeof v === 'number' && v > 0 && v <= 600, description: 'a number of minutes up to 600' },
+  score: { check: v => Number.isInteger(v) && v >= 1 && v <= 100, description: 'a whole number from 1 to 100' },
+  key: { check: v => typeof v === 'string' && /^[\w-]{1,100}$/.test(v), description: 'a section or tier id' }
+};
+
+// settings: { name: [kind, required] }. Event triggers say which event types
+// in a batch are worth checking them for (watches) and return what they
+// found from check(settings, { batch, events, sessions, now }):
+//   batch     the family's events just accepted
+//   events    the family's events of the watched types, batch included
+//   sessions  the family's visits as { sessionId, start, end }
+// Each finding is { key, detail, details }.
+const TRIGGERS = {
+  event_repeat: {
+    label: 'The same action several times',
+    settings: { eventType: ['eventType', true], count: ['count', true], withinDays: ['days', false] },
+    watches: s => [s.eventType],
+    check(s, { batch, events, now }) {
+      if (!batch.some(e => e.eventType === s.eventType)) return [];
+      const since = s.withinDays ? now - s.withinDays * DAY_MS : -Infinity;
+      const times = events.filter(e => e.eventType === s.eventType && e.timestamp.getTime() >= since).length;
+      if (times < s.count) return [];
+      return [{
+        key: `${s.eventType}:${s.count}`,
+        detail: `${ACTIONS[s.eventType] || `sent ${s.eventType}`} ${times} times`,
+        details: { eventType: s.eventType, times }
+      }];
+    }
+  },
+
+  return_after_gap: {
+    label: 'A return visit after a long gap',
+    settings: { days: ['days', true] },
+    watches: () => ['page_load'],
+    check(s, { batch, sessions }) {
+      const found = [];
+      for (const visit of batch.filter(e => e.eventType === 'page_load')) {
+        const at = visit.timestamp.getTime();
+        const before = sessions
+          .filter(v => v.sessionId !== visit.sessionId && v.end.getTime() < at)
+          .map(v => v.end.getTime());
+        if (!before.length) continue;
+        const gapDays = (at - Math.max(...before)) / DAY_MS;
+        if (gapDays < s.days) continue;
+        found.push({
+          key: `visit:${visit.sessionId}`,
+          detail: `came back after ${Math.floor(gapDays)} days away`,
+          details: { sessionId: visit.sessionId, gapDays: Math.floor(gapDays) }
+        });
+      }
+      return found;
+    }
+  },
+
+  dwell: {
+    label: 'Time spent on a section or tier',
+    settings: { section: ['key', false], tier: ['key', false], minutes: ['minutes', true] },
+    watches: s => [s.tier ? 'tier_exit' : 'section_exit'],
+    check(s, { batch, events }) {
+      const field = s.tier ? 'tier' : 'section';
+      const type = s.tier ? 'tier_exit' : 'section_exit';
+      const matches = e => e.eventType === type && e.data && e.data[field] === s[field];
+      if (!batch.some(matches)) return [];
+      const seconds = events.filter(matches).reduce((n, e) => n + (Number(e.data.dwellSec) || 0), 0);
+      if (seconds < s.minutes * 60) return [];
+      const where = s.tier ? `the ${s.tier.replace(/_/g, ' ')} tier` : prettySectionName(s.section);
+      const minutes = Math.round(seconds / 60);
+      return [{
+        key: `dwell:${field}:${s[field]}:${s.minutes}`,
+        detail: `has spent ${minutes} minute${minutes === 1 ? '' : 's'} on ${where}`,
+        details: { [field]: s[field], seconds }
+      }];
+    }
+  },
+
+  score_crossed: {
+    label: 'Engagement score reaching a level',
+    settings: { score: ['score', true] },
+    // { inquiryId, from, to } from the rollup
+    checkScore(s, { from, to }) {
+      if (!((from === null || from < s.score) && to >= s.score)) return [];
+      return [{
+        key: `score:${s.score}`,
+        detail: `reached an engagement score of ${to} (was ${from === null ? 'unscored' : from})`,
+        details: { from, to, threshold: s.score }
+      }];
+    }
+  }
+};
+
+const CHANNELS = ['email', 'webhook', 'dashboard'];
+const EMAIL_RE = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+// Checks a rule from staff; fields left out keep their values from current
+// (a new rule's defaults). Returns { errors, rule }.
+function validateRule(input, current = null) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['rule must be an object'], rule: null };
+  const has = field => input[field] !== undefined;
+  const rule = {
+    name: has('name') ? input.name : current && current.name,
+    enabled: has('enabled') ? input.enabled : current ? current.enabled : true,
+    trigger: has('trigger') ? input.trigger : current && current.trigger,
+    channel: has('channel') ? input.channel : current && current.channel,
+    target: has('target') ? input.target : current ? current.target : {},
+    cooldownMinutes: has('cooldownMinutes') ? input.cooldownMinutes : current ? current.cooldownMinutes : 1440,
+    respectQuietHours: has('respectQuietHours') ? input.respectQuietHours : current ? current.respectQuietHours : true
+  };
+
+  if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 200) errors.push('name is required (up to 200 characters)');
+  if (typeof rule.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (typeof rule.respectQuietHours !== 'boolean') errors.push('respectQuietHours must be true or false');
+  if (!Number.isInteger(rule.cooldownMinutes) || rule.cooldownMinutes < 0 || rule.cooldownMinutes > 30 * 24 * 60) {
+    errors.push('cooldownMinutes must be a whole number of minutes, up to 30 days');
+  }
+
+  const trigger = rule.trigger && typeof rule.trigger === 'object' ? rule.trigger : {};
+  const definition = Object.prototype.hasOwnProperty.call(TRIGGERS, trigger.type) ? TRIGGERS[trigger.type] : null;
+  if (!definition) {
+    errors.push(`trigger.type must be one of ${Object.keys(TRIGGERS).join(', ')}`);
+  } else {
+    const settings = { type: trigger.type };
+    for (const [field, [kind, required]] of Object.entries(definition.settings)) {
+      const value = trigger[field];
+      if (value === undefined || value === null) {
+        if (required) errors.push(`trigger.${field} is required`);
+        continue;
+      }
+      if (!SETTING_KINDS[kind].check(value)) errors.push(`trigger.${field} must be ${SETTING_KINDS[kind].description}`);
+      else settings[field] = value;
+    }
+    if (trigger.type === 'dwell' && Boolean(trigger.section) === Boolean(trigger.tier)) {
+      errors.push('a dwell trigger needs either trigger.section or trigger.tier');
+    }
+    rule.trigger = settings;
+  }
+
+  const target = rule.target && typeof rule.target === 'object' ? rule.target : {};
+  if (rule.channel === 'email') {
+    const to = (Array.isArray(target.to) ? target.to : String(target.to || '').split(/[,;]/)).map(s => String(s).trim()).filter(Boolean);
+    if (!to.length || !to.every(a => EMAIL_RE.test(a))) errors.push('target.to must be one or more email addresses');
+    rule.target = { to };
+  } else if (rule.channel === 'webhook') {
+    let url = null;
+    try {
+      url = new URL(target.url);
+    } catch { /* reported below */ }
+    if (!url || !/^https?:$/.test(url.protocol)) errors.push('target.url must be an http(s) URL');
+    rule.target = { url: target.url };
+  } else if (rule.channel === 'dashboard') {
+    rule.target = {};
+  } else {
+    errors.push(`channel must be one of ${CHANNELS.join(', ')}`);
+  }
+
+  if (errors.length) return { errors, rule: null };
+  rule.name = rule.name.trim();
+  return { errors, rule };
+}
+
+// ===================== QUIET HOURS =====================
+const toMinutes = hhmm => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm);
+  return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// { start, end } in minutes after midnight, or null when there are none
+function quietHours(setting = process.env.ALERT_QUIET_HOURS) {
+  const value = setting === undefined ? '21:00-07:00' : String(setting).trim();
+  if (!value || value === 'off') return null;
+  const [start, end] = value.split('-').map(s => toMinutes(s.trim()));
+  if (value.split('-').length !== 2 || start === null || end === null || start === end) {
+    console.warn(`⚠️ ALERT_QUIET_HOURS "${value}" is not HH:MM-HH:MM; alerts are sent at any hour`);
+    return null;
+  }
+  return { start, end };
+}
+
+// When quiet hours end, if now falls inside them; else null
+function quietUntil(now = Date.now(), quiet = quietHours(), timeZone = process.env.ALERT_TIMEZONE || 'Europe/London') {
+  if (!quiet) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(now)).map(p => [p.type, p.value]));
+  const local = Number(parts.hour) * 60 + Number(parts.minute);
+  const inside = quiet.start < quiet.end
+    ? local >= quiet.start && local < quiet.end
+    : local >= quiet.start || local < quiet.end;
+  if (!inside) return null;
+  const wait = (quiet.end - local + 24 * 60) % (24 * 60);
+  return new Date(Math.floor(now / 60000) * 60000 + wait * 60000);
+}
+
+// ===================== STORAGE =====================
+function createJsonAlertStore({ file = path.join(DATA_DIR, 'alerts.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextRuleId: 1, nextAlertId: 1, rules: [], alerts: [] }),
+    beforeSave: s => {
+      if (s.alerts.length > MAX_JSON_ALERTS) s.alerts = s.alerts.slice(-MAX_JSON_ALERTS);
+    }
+  });
+
+  return {
+    kind: 'json',
+
+    async listRules() {
+      return (await load()).rules.slice();
+    },
+
+    async getRule(id) {
+      return (await load()).rules.find(r => r.id === Number(id)) || null;
+    },
+
+    async createRule(rule, createdBy) {
+      const s = await load();
+      const now = new Date().toISOString();
+      const stored = { id: s.nextRuleId++, ...rule, createdBy: createdBy || null, createdAt: now, updatedAt: now };
+      s.rules.push(stored);
+      await save();
+      return stored;
+    },
+
+    async updateRule(id, rule) {
+      const stored = await this.getRule(id);
+      if (!stored) return null;
+      Object.assign(stored, rule, { updatedAt: new Date().toISOString() });
+      await save();
+      return stored;
+    },
+
+    async deleteRule(id) {
+      const s = await load();
+      const before = s.rules.length;
+      s.rules = s.rules.filter(r => r.id !== Number(id));
+      if (s.rules.length === before) return false;
+      for (const a of s.alerts) if (a.ruleId === Number(id)) a.ruleId = null;
+      await save();
+      return true;
+    },
+
+    // The stored alert, or null if this rule already fired for the key
+    async addAlert(alert) {
+      const s = await load();
+      if (s.alerts.some(a => a.ruleId === alert.ruleId && a.inquiryId === alert.inquiryId && a.dedupeKey === alert.dedupeKey)) return null;
+      const stored = {
+        id: s.nextAlertId++,
+        ...alert,
+        deliverAfter: alert.deliverAfter ? alert.deliverAfter.toISOString() : null,
+        deliveredAt: null,
+        error: null,
+        readBy: null,
+        readAt: null,
+        createdAt: new Date().toISOString()
+      };
+      s.alerts.push(stored);
+      await save();
+      return stored;
+    },
+
+    async lastFired(ruleId, inquiryId) {
+      const fired = (await load()).alerts.filter(a => a.ruleId === ruleId && a.inquiryId === inquiryId);
+      return fired.length ? new Date(fired[fired.length - 1].createdAt) : null;
+    },
+
+    async getAlert(id) {
+      return (await load()).alerts.find(a => a.id === Number(id)) || null;
+    },
+
+    async updateAlert(id, patch) {
+      const alert = await this.getAlert(id);
+      if (!alert) return null;
+      for (const [k, v] of Object.entries(patch)) alert[k] = v instanceof Date ? v.toISOString() : v;
+      await save();
+      return alert;
+    },
+
+    async listAlerts({ inquiryId, channel, status, limit = 100 } = {}) {
+      return (await load()).alerts
+        .filter(a => (!inquiryId || a.inquiryId === inquiryId) && (!channel || a.channel === channel) && (!status || a.status === status))
+        .slice(-limit)
+        .reverse();
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function ruleFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled,
+    trigger: row.trigger,
+    channel: row.channel,
+    target: row.target,
+    cooldownMinutes: row.cooldown_minutes,
+    respectQuietHours: row.respect_quiet_hours,
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at)
+  };
+}
+
+function alertFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    inquiryId: row.inquiry_id,
+    dedupeKey: row.dedupe_key,
+    channel: row.channel,
+    message: row.message,
+    details: row.details,
+    status: row.status,
+    deliverAfter: iso(row.deliver_after),
+    deliveredAt: iso(row.delivered_at),
+    error: row.error,
+    readBy: row.read_by,
+    readAt: iso(row.read_at),
+    createdAt: iso(row.created_at)
+  };
+}
+
+const ALERT_COLUMNS = {
+  status: 'status',
+  deliverAfter: 'deliver_after',
+  deliveredAt: 'delivered_at',
+  error: 'error',
+  readBy: 'read_by',
+  readAt: 'read_at'
+};
+
+function createPostgresAlertStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async listRules() {
+      const { rows } = await query('SELECT * FROM alert_rules ORDER BY id');
+      return rows.map(ruleFromRow);
+    },
+
+    async getRule(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM alert_rules WHERE id = $1', [Number(id)]);
+      return ruleFromRow(rows[0]);
+    },
+
+    async createRule(rule, createdBy) {
+      const { rows } = await query(`
+        INSERT INTO alert_rules (name, enabled, trigger, channel, target, cooldown_minutes, respect_quiet_hours, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [rule.name, rule.enabled, JSON.stringify(rule.trigger), rule.channel, JSON.stringify(rule.target),
+        rule.cooldownMinutes, rule.respectQuietHours, createdBy || null]);
+      return ruleFromRow(rows[0]);
+    },
+
+    async updateRule(id, rule) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query(`
+        UPDATE alert_rules
+        SET name = $2, enabled = $3, trigger = $4, channel = $5, target = $6,
+            cooldown_minutes = $7, respect_quiet_hours = $8, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [Number(id), rule.name, rule.enabled, JSON.stringify(rule.trigger), rule.channel, JSON.stringify(rule.target),
+        rule.cooldownMinutes, rule.respectQuietHours]);
+      return ruleFromRow(rows[0]);
+    },
+
+    async deleteRule(id) {
+      if (!/^\d+$/.test(String(id))) return false;
+      const { rowCount } = await query('DELETE FROM alert_rules WHERE id = $1', [Number(id)]);
+      return rowCount > 0;
+    },
+
+    async addAlert(alert) {
+      const { rows } = await query(`
+        INSERT INTO alerts (rule_id, rule_name, inquiry_id, dedupe_key, channel, message, details, status, deliver_after)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (rule_id, inquiry_id, dedupe_key) DO NOTHING
+        RETURNING *
+      `, [alert.ruleId, alert.ruleName, alert.inquiryId, alert.dedupeKey, alert.channel, alert.message,
+        JSON.stringify(alert.details), alert.status, alert.deliverAfter]);
+      return alertFromRow(rows[0]);
+    },
+
+    async lastFired(ruleId, inquiryId) {
+      const { rows } = await query(
+        'SELECT MAX(created_at) AS at FROM alerts WHERE rule_id = $1 AND inquiry_id = $2',
+        [ruleId, inquiryId]
+      );
+      return rows[0].at ? new Date(rows[0].at) : null;
+    },
+
+    async getAlert(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM alerts WHERE id = $1', [Number(id)]);
+      return alertFromRow(rows[0]);
+    },
+
+    async updateAlert(id, patch) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const fields = Object.keys(patch).filter(k => ALERT_COLUMNS[k]);
+      const { rows } = await query(
+        `UPDATE alerts SET ${fields.map((k, i) => `${ALERT_COLUMNS[k]} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [Number(id), ...fields.map(k => patch[k])]
+      );
+      return alertFromRow(rows[0]);
+    },
+
+    async listAlerts({ inquiryId, channel, status, limit = 100 } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM alerts
+        WHERE ($1::text IS NULL OR inquiry_id = $1)
+          AND ($2::text IS NULL OR channel = $2)
+          AND ($3::text IS NULL OR status = $3)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $4
+      `, [inquiryId || null, channel || null, status || null, limit]);
+      return rows.map(alertFromRow);
+    }
+  };
+}
+
+const jsonStore = createJsonAlertStore();
+const postgresStore = createPostgresAlertStore();
+
+function getAlertStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== FIRING =====================
+async function fire(store, rule, inquiryId, finding, now) {
+  if (rule.cooldownMinutes) {
+    const last = await store.lastFired(rule.id, inquiryId);
+    if (last && now - last.getTime() < rule.cooldownMinutes * 60000) return null;
+  }
+
+  const { familyName } = await familyFor(inquiryId);
+  const held = rule.channel !== 'dashboard' && rule.respectQuietHours ? quietUntil(now) : null;
+  const alert = await store.addAlert({
+    ruleId: rule.id,
+    ruleName: rule.name,
+    inquiryId,
+    dedupeKey: finding.key,
+    channel: rule.channel,
+    message: `${familyName ? `The ${familyName}` : inquiryId} ${finding.detail}`,
+    details: { trigger: rule.trigger.type, ...finding.details },
+    status: rule.channel === 'dashboard' ? 'unread' : held ? 'held' : 'pending',
+    deliverAfter: held
+  });
+  if (!alert) return null;
+
+  console.log(`🔔 Alert "${rule.name}" for ${inquiryId}: ${alert.message}${held ? ` (held until ${held.toISOString()})` : ''}`);
+  if (rule.channel === 'dashboard') publishAlert(alert);
+  else await enqueue('alert_delivery', { alertId: alert.id }, { runAt: held });
+  return alert;
+}
+
+// The family's events of the given types and their visits, from the
+// database, or from the batch alone without one
+async function familyHistory(inquiryId, batch, types) {
+  const db = getDb();
+  if (!db) {
+    const sessions = new Map();
+    for (const e of batch) {
+      const v = sessions.get(e.sessionId) || { sessionId: e.sessionId, start: e.timestamp, end: e.timestamp };
+      if (e.timestamp < v.start) v.start = e.timestamp;
+      if (e.timestamp > v.end) v.end = e.timestamp;
+      sessions.set(e.sessionId, v);
+    }
+    return { events: batch.filter(e => types.includes(e.eventType)), sessions: [...sessions.values()] };
+  }
+
+  const { rows: events } = await db.query(`
+    SELECT event_type, event_data, session_id, timestamp FROM tracking_events
+    WHERE inquiry_id = $1 AND event_type = ANY($2)
+    ORDER BY timestamp, id
+  `, [inquiryId, types]);
+  const { rows: sessions } = await db.query(`
+    SELECT session_id, MIN(timestamp) AS start_ts, MAX(timestamp) AS end_ts FROM tracking_events
+    WHERE inquiry_id = $1 AND session_id IS NOT NULL
+    GROUP BY session_id
+  `, [inquiryId]);
+  return {
+    events: events.map(r => ({ eventType: r.event_type, data: r.event_data || {}, sessionId: r.session_id, timestamp: new Date(r.timestamp) })),
+    sessions: sessions.map(r => ({ sessionId: r.session_id, start: new Date(r.start_ts), end: new Date(r.end_ts) }))
+  };
+}
+
+// Events as tracking-events.js accepts them; returns the alerts fired
+async function evaluateTrackedEvents(events, now = Date.now()) {
+  const store = getAlertStore();
+  const rules = (await store.listRules()).filter(r => r.enabled && TRIGGERS[r.trigger.type] && TRIGGERS[r.trigger.type].watches);
+  if (!rules.length || !events.length) return [];
+
+  const byFamily = new Map();
+  for (const e of events) byFamily.set(e.inquiryId, [...(byFamily.get(e.inquiryId) || []), e]);
+
+  const fired = [];
+  for (const [inquiryId, batch] of byFamily) {
+    const batchTypes = new Set(batch.map(e => e.eventType));
+    const relevant = rules.filter(r => TRIGGERS[r.trigger.type].watches(r.trigger).some(t => batchTypes.has(t)));
+    if (!relevant.length) continue;
+
+    const types = [...new Set(relevant.flatMap(r => TRIGGERS[r.trigger.type].watches(r.trigger)))];
+    const history = await familyHistory(inquiryId, batch, types);
+    for (const rule of relevant) {
+      for (const finding of TRIGGERS[rule.trigger.type].check(rule.trigger, { batch, ...history, now })) {
+        const alert = await fire(store, rule, inquiryId, finding, now);
+        if (alert) fired.push(alert);
+      }
+    }
+  }
+  return fired;
+}
+
+// Evaluations the tracking endpoint didn't wait for, so shutting down can
+const pending = new Set();
+
+// evaluateTrackedEvents without the family waiting for it
+function evaluateInBackground(events) {
+  const evaluation = evaluateTrackedEvents(events)
+    .catch(e => console.warn('⚠️ Alert rules failed:', e.message))
+    .finally(() => pending.delete(evaluation));
+  pending.add(evaluation);
+}
+
+// Waits for the evaluations still running
+async function settleAlertEvaluations() {
+  await Promise.all([...pending]);
+}
+
+// [{ inquiryId, from, to }] as the rollup rescored families; returns the alerts fired
+async function evaluateScoreChanges(changes, now = Date.now()) {
+  if (!changes.length) return [];
+  const store = getAlertStore();
+  const rules = (await store.listRules()).filter(r => r.enabled && r.trigger.type === 'score_crossed');
+  const fired = [];
+  for (const change of changes) {
+    for (const rule of rules) {
+      for (const finding of TRIGGERS.score_crossed.checkScore(rule.trigger, change)) {
+        const alert = await fire(store, rule, change.inquiryId, finding, now);
+        if (alert) fired.push(alert);
+      }
+    }
+  }
+  return fired;
+}
+
+// ===================== DELIVERY =====================
+async function deliverByChannel(rule, alert) {
+  if (rule.channel === 'email') {
+    await sendMail({
+      to: rule.target.to,
+      subject: `🔔 ${rule.name}: ${alert.message}`,
+      text: `${alert.message}.\n\nAlert rule: ${rule.name}\nInquiry: ${alert.inquiryId}\nFired: ${alert.createdAt}\n`
+    });
+    return;
+  }
+  const res = await fetch(rule.target.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      alert: { id: alert.id, inquiryId: alert.inquiryId, message: alert.message, details: alert.details, createdAt: alert.createdAt },
+      rule: { id: rule.id, name: rule.name, trigger: rule.trigger }
+    }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+}
+
+// The alert_delivery job. Throws on failure so the job is retried.
+async function deliverAlert({ alertId }) {
+  const store = getAlertStore();
+  const alert = await store.getAlert(alertId);
+  if (!alert) throw new Error(`Alert ${alertId} not found`);
+  if (alert.status === 'sent') return { status: 'sent' };
+
+  const rule = alert.ruleId ? await store.getRule(alert.ruleId) : null;
+  if (!rule) {
+    await store.updateAlert(alert.id, { status: 'failed', error: 'The rule has been deleted' });
+    return { status: 'failed' };
+  }
+
+  try {
+    await deliverByChannel(rule, alert);
+  } catch (e) {
+    await store.updateAlert(alert.id, { status: 'failed', error: e.message });
+    throw e;
+  }
+  await store.updateAlert(alert.id, { status: 'sent', deliveredAt: new Date(), error: null });
+  return { status: 'sent', channel: rule.channel };
+}
+
+module.exports = {
+  TRIGGERS,
+  CHANNELS,
+  validateRule,
+  quietHours,
+  quietUntil,
+  createJsonAlertStore,
+  createPostgresAlertStore,
+  getAlertStore,
+  evaluateTrackedEvents,
+  evaluateInBackground,
+  settleAlertEvaluations,
+  evaluateScoreChanges,
+  deliverAlert
+};
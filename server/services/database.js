@@ -0,0 +1,89 @@
+// The shared Postgres connection pool. initializeDatabase() connects when DB
+// credentials are set; otherwise getDb() returns null and callers fall back to
+// the JSON files in DATA_DIR (JSON-only mode).
+//
+// getDb().query() runs each query on whichever pooled connection is free, so
+// BEGIN / COMMIT must never go through it: use withTransaction(), which keeps
+// a whole transaction on one connection of its own.
+
+const { Pool } = require('pg');
+
+let db = null;
+
+function getDb() {
+  return db;
+}
+
+// ===================== DATABASE INITIALIZATION =====================
+async function initializeDatabase() {
+  const haveUrl = !!process.env.DATABASE_URL;
+  const haveParts = !!(process.env.DB_HOST && process.env.DB_USER && process.env.DB_NAME);
+  
+  if (!haveUrl && !haveParts) {
+    console.log('No DB credentials - running in JSON-only mode.');
+    return false;
+  }
+
+  try {
+    db = new Pool({
+      connectionString: process.env.DATABASE_URL || undefined,
+      host: process.env.DB_HOST || undefined,
+      port: process.env.DB_PORT ? Number(process.env.DB_PORT) : 5432,
+      database: process.env.DB_NAME || undefined,
+      user: process.env.DB_USER || undefined,
+      password: process.env.DB_PASSWORD || undefined,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      connectionTimeoutMillis: 3000,
+      max: Number(process.env.DB_POOL_SIZE) || 10
+    });
+    // An idle connection dropped by the server; the pool replaces it
+    db.on('error', e => console.warn('Postgres pool connection error:', e.message));
+
+    await db.query('SELECT 1');
+    console.log('Connected to Postgres');
+    return true;
+  } catch (e) {
+    console.warn('Postgres connection failed:', e.message);
+    console.warn('Continuing in JSON-only mode.');
+    if (db) db.end().catch(() => {});
+    db = null;
+    return false;
+  }
+}
+
+async function closeDatabase() {
+  if (!db) return;
+  try {
+    await db.end();
+    console.log('Database pool closed.');
+  } catch (e) {
+    console.error('Error closing database:', e);
+  }
+  db = null;
+}
+
+// Runs fn(client) inside BEGIN / COMMIT, rolling back if it throws. With the
+// pool, the transaction gets a connection to itself; any other client (a
+// dedicated pg.Client, as scripts and tests use) is used as it is.
+async function withTransaction(target, fn) {
+  if (!target) throw new Error('Database not connected');
+  const client = target instanceof Pool ? await target.connect() : target;
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    if (client !== target) client.release();
+  }
+}
+
+module.exports = {
+  getDb,
+  withTransaction,
+  initializeDatabase,
+  closeDatabase
+};
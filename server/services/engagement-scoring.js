@@ -0,0 +1,286 @@
+// The engagement score: 0-100 from how a family has used their prospectus,
+// with the points each factor earned so staff can see why a family is "hot".
+// A factor earns up to its weight in proportion to how near the family came
+// to its fullAt, and the total is scaled to 100. Admissions change weights
+// and fullAt through /api/scoring/model; every save is a new model version
+// (version 0 is the built-in FACTORS).
+//
+// Models are kept in engagement_score_models, or
+// DATA_DIR/engagement-score-models.json in JSON-only mode. Families are scored
+// as their visits are rolled up (session-rollup.js), which needs the
+// database; each change of score is added to engagement_score_history.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+
+// ===================== MODEL =====================
+const FACTORS = {
+  section_dwell: { label: 'Time reading sections', unit: 'minutes', weight: 35, fullAt: 15 },
+  return_visits: { label: 'Return visits', unit: 'visits', weight: 20, fullAt: 3 },
+  video_completion: { label: 'Videos watched through', unit: 'videos', weight: 15, fullAt: 2 },
+  openmorning_cta: { label: 'Open morning clicks', unit: 'clicks', weight: 20, fullAt: 1 },
+  tier_expansions: { label: 'Sections expanded', unit: 'expansions', weight: 10, fullAt: 3 }
+};
+
+const DEFAULT_MODEL = {
+  version: 0,
+  factors: Object.fromEntries(Object.entries(FACTORS).map(([id, f]) => [id, { weight: f.weight, fullAt: f.fullAt }])),
+  savedBy: null,
+  savedAt: null
+};
+
+const TEMPERATURES = [[70, 'hot'], [40, 'warm'], [0, 'cold']];
+
+function temperatureFor(score) {
+  return TEMPERATURES.find(([min]) => score >= min)[1];
+}
+
+// Checks { factor: { weight, fullAt } } from staff; factors left out keep
+// their values from current. Returns { errors, factors }.
+function validateModel(input, current = DEFAULT_MODEL) {
+  const errors = [];
+  const factors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['factors must be an object'], factors: null };
+  }
+  for (const id of Object.keys(input)) {
+    if (!FACTORS[id]) errors.push(`unknown factor "${id}"`);
+  }
+  for (const id of Object.keys(FACTORS)) {
+    const given = input[id] || {};
+    const factor = { ...current.factors[id] };
+    if (given.weight !== undefined) {
+      if (typeof given.weight !== 'number' || !(given.weight >= 0 && given.weight <= 100)) errors.push(`${id}.weight must be a number from 0 to 100`);
+      else factor.weight = given.weight;
+    }
+    if (given.fullAt !== undefined) {
+      if (typeof given.fullAt !== 'number' || !(given.fullAt > 0 && given.fullAt <= 1000)) errors.push(`${id}.fullAt must be a number above 0, up to 1000`);
+      else factor.fullAt = given.fullAt;
+    }
+    factors[id] = factor;
+  }
+  if (!errors.length && Object.values(factors).every(f => f.weight === 0)) errors.push('at least one factor needs a weight');
+  return { errors, factors: errors.length ? null : factors };
+}
+
+// ===================== SCORING =====================
+// What each factor measures, from a family_engagement_summary or
+// session_summaries row (a single visit has no return visits)
+function signalsFrom(summary) {
+  const dwellSec = Object.values(summary.section_times || {}).reduce((n, s) => n + (s.dwell_sec || 0), 0);
+  return {
+    section_dwell: dwellSec / 60,
+    return_visits: Math.max(Number(summary.total_sessions || 1) - 1, 0),
+    video_completion: Number(summary.videos_completed || 0),
+    openmorning_cta: Number(summary.contact_actions || 0),
+    tier_expansions: Number(summary.tier_expansions || 0)
+  };
+}
+
+const oneDecimal = n => Math.round(n * 10) / 10;
+
+// { score, temperature, modelVersion, factors: [{ factor, label, unit,
+// value, fullAt, weight, points }] }; the points add up to the score
+function scoreEngagement(signals, model = DEFAULT_MODEL) {
+  const totalWeight = Object.values(model.factors).reduce((n, f) => n + f.weight, 0);
+  let total = 0;
+  const factors = Object.entries(FACTORS).map(([id, f]) => {
+    const { weight, fullAt } = model.factors[id];
+    const value = Number(signals[id] || 0);
+    const points = totalWeight ? (100 * weight * Math.min(value / fullAt, 1)) / totalWeight : 0;
+    total += points;
+    return { factor: id, label: f.label, unit: f.unit, value: oneDecimal(value), fullAt, weight, points: oneDecimal(points) };
+  });
+  const score = Math.round(total);
+  return { score, temperature: temperatureFor(score), modelVersion: model.version, factors };
+}
+
+// ===================== MODEL STORAGE =====================
+function createJsonScoreModelStore({ file = path.join(DATA_DIR, 'engagement-score-models.json') } = {}) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return { versions: [] };
+    }
+  }
+
+  return {
+    kind: 'json',
+
+    async getCurrent() {
+      const { versions } = await load();
+      return versions[versions.length - 1] || null;
+    },
+
+    async listVersions() {
+      const { versions } = await load();
+      return versions.slice().reverse();
+    },
+
+    async save(factors, savedBy) {
+      const state = await load();
+      const last = state.versions[state.versions.length - 1];
+      const model = {
+        version: last ? last.version + 1 : 1,
+        factors,
+        savedBy: savedBy || null,
+        savedAt: new Date().toISOString()
+      };
+      state.versions.push(model);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(state, null, 2));
+      return model;
+    }
+  };
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    version: row.version,
+    factors: row.factors,
+    savedBy: row.saved_by,
+    savedAt: row.saved_at ? new Date(row.saved_at).toISOString() : null
+  };
+}
+
+function createPostgresScoreModelStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async getCurrent() {
+      const { rows } = await query('SELECT * FROM engagement_score_models ORDER BY version DESC LIMIT 1');
+      return fromRow(rows[0]);
+    },
+
+    async listVersions() {
+      const { rows } = await query('SELECT * FROM engagement_score_models ORDER BY version DESC');
+      return rows.map(fromRow);
+    },
+
+    async save(factors, savedBy) {
+      const { rows } = await query(
+        'INSERT INTO engagement_score_models (factors, saved_by) VALUES ($1, $2) RETURNING *',
+        [JSON.stringify(factors), savedBy || null]
+      );
+      return fromRow(rows[0]);
+    }
+  };
+}
+
+const jsonStore = createJsonScoreModelStore();
+const postgresStore = createPostgresScoreModelStore();
+
+function getScoreModelStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+async function getScoreModel() {
+  return (await getScoreModelStore().getCurrent()) || DEFAULT_MODEL;
+}
+
+// ===================== FAMILY SCORES =====================
+// Stores a family's score on its family_engagement_summary row, adding it to
+// the history when it has changed or a different model produced it. Returns
+// { changed, previous } (previous is null before the first score).
+async function saveFamilyScore(client, inquiryId, result) {
+  const { rows: [previous] } = await client.query(
+    'SELECT engagement_score, score_model_version FROM family_engagement_summary WHERE inquiry_id = $1',
+    [inquiryId]
+  );
+  await client.query(`
+    UPDATE family_engagement_summary
+    SET engagement_score = $2, score_factors = $3, score_model_version = $4
+    WHERE inquiry_id = $1
+  `, [inquiryId, result.score, JSON.stringify(result.factors), result.modelVersion]);
+
+  const changed = !previous || previous.score_model_version === null ||
+    previous.engagement_score !== result.score || previous.score_model_version !== result.modelVersion;
+  if (changed) {
+    await client.query(
+      'INSERT INTO engagement_score_history (inquiry_id, score, model_version, factors) VALUES ($1, $2, $3, $4)',
+      [inquiryId, result.score, result.modelVersion, JSON.stringify(result.factors)]
+    );
+  }
+  return { changed, previous: previous && previous.score_model_version !== null ? previous.engagement_score : null };
+}
+
+// Every family again, after the model has changed. Returns how many scores
+// changed. Score alerts (alerts.js) are left alone: a new model is not
+// something a family did.
+async function rescoreFamilies(db) {
+  const model = await getScoreModel();
+  return withTransaction(db, async client => {
+    const { rows } = await client.query('SELECT * FROM family_engagement_summary ORDER BY inquiry_id FOR UPDATE');
+    let changed = 0;
+    for (const row of rows) {
+      if ((await saveFamilyScore(client, row.inquiry_id, scoreEngagement(signalsFrom(row), model))).changed) changed++;
+    }
+    return changed;
+  });
+}
+
+// The family's current score, or null before their first visit is rolled up
+async function familyScore(db, inquiryId) {
+  const { rows: [row] } = await db.query(`
+    SELECT engagement_score, score_factors, score_model_version, updated_at
+    FROM family_engagement_summary
+    WHERE inquiry_id = $1
+  `, [inquiryId]);
+  if (!row || row.score_model_version === null) return null;
+  return {
+    score: row.engagement_score,
+    temperature: temperatureFor(row.engagement_score),
+    modelVersion: row.score_model_version,
+    factors: row.score_factors,
+    scoredAt: row.updated_at
+  };
+}
+
+// Every scored family's current score: inquiry id -> { score, factors }
+async function familyScores(db) {
+  const { rows } = await db.query(`
+    SELECT inquiry_id, engagement_score, score_factors
+    FROM family_engagement_summary
+    WHERE score_model_version IS NOT NULL
+  `);
+  return new Map(rows.map(r => [r.inquiry_id, { score: r.engagement_score, factors: r.score_factors || [] }]));
+}
+
+async function scoreHistory(db, inquiryId, limit = 50) {
+  const { rows } = await db.query(`
+    SELECT score, model_version, factors, scored_at
+    FROM engagement_score_history
+    WHERE inquiry_id = $1
+    ORDER BY scored_at DESC, id DESC
+    LIMIT $2
+  `, [inquiryId, limit]);
+  return rows.map(r => ({ score: r.score, modelVersion: r.model_version, factors: r.factors, scoredAt: r.scored_at }));
+}
+
+module.exports = {
+  FACTORS,
+  DEFAULT_MODEL,
+  temperatureFor,
+  validateModel,
+  signalsFrom,
+  scoreEngagement,
+  createJsonScoreModelStore,
+  createPostgresScoreModelStore,
+  getScoreModelStore,
+  getScoreModel,
+  saveFamilyScore,
+  rescoreFamilies,
+  familyScore,
+  familyScores,
+  scoreHistory
+};
@@ -0,0 +1,396 @@
+// Engagement data from the prospectus tracker: raw event storage, per-inquiry
+// metrics and the snapshot the AI summaries are built from. Scoring is in
+// engagement-scoring.js.
+
+const { getDb } = require('./database');
+const { pickNumber } = require('../utils');
+
+// ===================== ENGAGEMENT TRACKING =====================
+async function trackEngagementEvent(ev) {
+  const db = getDb();
+  if (!db) return null;
+  
+  try {
+    console.log('RECEIVED EVENT:', ev.eventType || ev.type, 'VideoID:', ev.eventData?.videoId, 'VideoTitle:', ev.eventData?.videoTitle);
+  
+    const eventType = ev.eventType || ev.type || 'unknown';
+    const inquiryId = ev.inquiryId || ev.inquiry_id || null;
+    const sessionId = ev.sessionId || ev.session_id || null;
+    const currentSection = ev.currentSection || ev.section || ev?.eventData?.currentSection || null;
+    const tsISO = ev.timestamp || new Date().toISOString();
+    const pageUrl = ev.url || null;
+    const deviceInfo = ev.deviceInfo || ev?.eventData?.deviceInfo || {};
+    const ed = Object.assign({}, ev.eventData || ev.data || {});
+    const timeInSectionSec = pickNumber(ed.timeInSectionSec);
+    
+    let sessionTime = 0;
+    if (ev.sessionInfo && Number.isFinite(ev.sessionInfo.timeOnPage)) {
+      sessionTime = Math.round(ev.sessionInfo.timeOnPage);
+    }
+    
+    const maxScrollPct = pickNumber(ed.maxScrollPct);
+    const clicks = pickNumber(ed.clicks);
+    const videoWatchSec = pickNumber(ed.videoWatchSec);
+    const videoId = ed.videoId || ed.video_id || null;
+    const videoTitle = ed.videoTitle || ed.video_title || null;
+    const currentTimeSec = pickNumber(ed.currentTimeSec ?? ed.current_time_sec);
+    
+    const rawEventData = {
+      ...ed,
+      currentSection: currentSection,
+      deviceInfo,
+      sessionTimeOnPage: sessionTime
+    };
+    
+    const insertRaw = `
+      INSERT INTO tracking_events (
+        inquiry_id, event_type, event_data, page_url,
+        user_agent, ip_address, session_id, timestamp
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    `;
+    
+    const rawVals = [
+      inquiryId,
+      eventType,
+      JSON.stringify(rawEventData),
+      pageUrl,
+      deviceInfo.userAgent || ev.userAgent || null,
+      ev.ip || null,
+      sessionId,
+      new Date(tsISO)
+    ];
+    
+    await db.query(insertRaw, rawVals).catch(e => {
+      console.warn('tracking_events insert failed:', e.message);
+    });
+    
+    const hasSectionMetrics = (eventType === 'section_exit') || (eventType === 'section_scroll');
+    const hasClicks = clicks > 0;
+    const hasVideo = eventType.startsWith('video_') || videoWatchSec > 0;
+    
+    if (hasSectionMetrics || hasClicks || hasVideo) {
+      await updateEngagementMetrics({
+        inquiryId,
+        sessionId,
+        timeOnPage: sessionTime || timeInSectionSec,
+        maxScrollDepth: maxScrollPct,
+        clickCount: clicks,
+        deviceInfo
+      });      
+    }
+    
+    if (hasVideo && videoId) {
+      console.log('Inserting video tracking row:', {
+        inquiryId,
+        videoId,
+        videoTitle,
+        watchedSec: videoWatchSec
+      });
+      
+      await insertVideoTrackingRow(db, {
+        inquiryId,
+        sessionId,
+        currentSection,
+        eventType,
+        videoId,
+        videoTitle,
+        currentTimeSec,
+        watchedSec: videoWatchSec,
+        url: pageUrl,
+        timestamp: tsISO
+      });
+    }
+    
+    return { ok: true };
+  } catch (e) {
+    console.warn('trackEngagementEvent failed:', e.message);
+    return null;
+  }
+}
+
+async function updateEngagementMetrics(m) {
+  const db = getDb();
+  try {
+    const q = `
+      INSERT INTO engagement_metrics (
+        inquiry_id, prospectus_filename, time_on_page, pages_viewed,
+        scroll_depth, clicks_on_links, session_id, device_type,
+        browser, operating_system, last_visit
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+      ON CONFLICT (inquiry_id, session_id) DO UPDATE SET
+        time_on_page   = GREATEST(engagement_metrics.time_on_page, EXCLUDED.time_on_page),
+        scroll_depth   = GREATEST(engagement_metrics.scroll_depth, EXCLUDED.scroll_depth),
+        clicks_on_links= GREATEST(engagement_metrics.clicks_on_links, EXCLUDED.clicks_on_links),
+        pages_viewed   = engagement_metrics.pages_viewed + 1,
+        last_visit     = EXCLUDED.last_visit,
+        total_visits   = engagement_metrics.total_visits + 1
+      RETURNING *`;
+      
+    const d = m.deviceInfo || {};
+    const vals = [
+      m.inquiryId, m.prospectusFilename || null,
+      Math.round(m.timeOnPage || 0), m.pageViews || 1,
+      Math.round(m.maxScrollDepth || 0), m.clickCount || 0,
+      m.sessionId || null, d.deviceType || 'unknown',
+      d.browser || 'unknown', d.operatingSystem || 'unknown',
+      new Date()
+    ];
+    
+    const r = await db.query(q, vals);
+    return r.rows[0];
+  } catch (e) {
+    console.warn('updateEngagementMetrics failed:', e.message);
+  }
+}
+
+async function insertVideoTrackingRow(dbClient, payload) {
+  try {
+    console.log('Video tracking insert attempt:', payload);
+    
+    const q = `
+      INSERT INTO video_engagement_tracking (
+        inquiry_id, session_id, section_label, event_type,
+        video_id, video_title, current_time_sec, watched_sec,
+        page_url, timestamp
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    `;
+    
+    const vals = [
+      payload.inquiryId || null,
+      payload.sessionId || null,
+      payload.currentSection || null,
+      payload.eventType || 'video_event',
+      payload.videoId || null,
+      payload.videoTitle || 'Unknown Video',
+      Math.round(payload.currentTimeSec || 0),
+      Math.round(payload.watchedSec || 0),
+      payload.url || null,
+      new Date(payload.timestamp || Date.now())
+    ];
+    
+    console.log('Video tracking SQL values:', vals);
+    
+    const result = await dbClient.query(q, vals);
+    console.log('Video tracking inserted successfully');
+    return result;
+  } catch (e) {
+    console.error('Video tracking insert failed:', e.message);
+    console.error('Payload was:', payload);
+  }
+}
+
+// ===================== AI ENGAGEMENT ANALYSIS =====================
+// From the family's rollup (session-rollup.js), falling back to the inquiry's
+// own dwell and visit counts before its first visit has been rolled up
+async function buildEngagementSnapshot(db, inquiryId) {
+  try {
+    const rollup = await db.query(
+      'SELECT total_sessions, total_events, section_times FROM family_engagement_summary WHERE inquiry_id = $1',
+      [inquiryId]
+    );
+    const summary = rollup.rows[0];
+    const eventCount = parseInt(summary?.total_events || '0');
+    
+    if (eventCount === 0) {
+      const inquiryData = await db.query(
+        'SELECT dwell_ms, return_visits FROM inquiries WHERE id = $1',
+        [inquiryId]
+      );
+      
+      const dwellMs = parseInt(inquiryData.rows[0]?.dwell_ms || '0');
+      const visits = parseInt(inquiryData.rows[0]?.return_visits || '1');
+      
+      return {
+        sections: [],
+        totals: {
+          time_on_page_ms: dwellMs,
+          video_ms: 0,
+          clicks: 0,
+          total_visits: visits,
+          scroll_depth: 0
+        },
+        hasData: dwellMs > 0
+      };
+    }
+    
+    const inquiryDwell = await db.query(
+      'SELECT dwell_ms FROM inquiries WHERE id = $1',
+      [inquiryId]
+    );
+    
+    const storedDwellMs = parseInt(inquiryDwell.rows[0]?.dwell_ms || '0');
+    
+    const sections = Object.entries(summary.section_times || {}).map(([sectionId, s]) => ({
+      section_id: sectionId,
+      section: sectionId,
+      dwell_seconds: s.dwell_sec || 0,
+      dwell_ms: (s.dwell_sec || 0) * 1000,
+      max_scroll_pct: s.max_scroll_pct || 0,
+      clicks: s.clicks || 0,
+      video_seconds: s.video_sec || 0,
+      video_ms: (s.video_sec || 0) * 1000
+    }));
+    
+    const calculatedDwell = sections.reduce((sum, s) => sum + (s.dwell_seconds * 1000), 0);
+    const totalDwellMs = Math.max(calculatedDwell, storedDwellMs);
+    
+    const totals = {
+      time_on_page_ms: totalDwellMs,
+      video_ms: sections.reduce((sum, s) => sum + s.video_ms, 0),
+      clicks: sections.reduce((sum, s) => sum + s.clicks, 0),
+      total_visits: parseInt(summary.total_sessions || 0),
+      scroll_depth: sections.length > 0 
+        ? Math.round(sections.reduce((sum, s) => sum + s.max_scroll_pct, 0) / sections.length)
+        : 0
+    };
+    
+        // --- Baseline guards: never show zero time if there were visits ---
+    // Use DB-stored return_visits when event data is sparse
+    if (!totals.total_visits || totals.total_visits === 0) {
+      const rvRow = await db.query(
+        'SELECT COALESCE(return_visits, 0) AS rv FROM inquiries WHERE id = $1',
+        [inquiryId]
+      );
+      totals.total_visits = parseInt(rvRow.rows[0]?.rv || '0', 10);
+    }
+
+    // If we still have visits but zero time, assume minimum 60s per visit
+    if ((totals.total_visits || 0) > 0 && (!totals.time_on_page_ms || totals.time_on_page_ms === 0)) {
+      totals.time_on_page_ms = totals.total_visits * 60000;
+    }
+
+    return {
+      sections,
+      totals,
+      hasData: totalDwellMs > 0 || sections.length > 0 || eventCount > 0
+    };
+  } catch (error) {
+    console.error('Error building engagement snapshot:', error);
+    return {
+      sections: [],
+      totals: {
+        time_on_page_ms: 0,
+        video_ms: 0,
+        clicks: 0,
+        total_visits: 0,
+        scroll_depth: 0
+      },
+      hasData: false
+    };
+  }
+}
+
+function topInteractionsFrom(sections, n = 5) {
+  return [...sections]
+    .sort((a,b) =>
+      (b.dwell_ms - a.dwell_ms) ||
+      (b.video_ms - a.video_ms) ||
+      (b.clicks - a.clicks))
+    .slice(0, n)
+    .map(s => ({
+      label: s.section,
+      dwell_seconds: Math.round((s.dwell_ms || 0)/1000),
+      video_seconds: Math.round((s.video_ms || 0)/1000),
+      clicks: Number(s.clicks || 0)
+    }));
+}
+
+// === Utility: summarise a set of events into a short narrative ===
+function summariseEvents(events) {
+  // Track dwell by section
+  const bySection = new Map();
+  // Track unique videos by ID
+  const videos = new Map(); // youtubeId -> title
+  let openMorningClicks = 0;
+  const tiers = [];
+
+  for (const ev of events) {
+    if (ev.type === 'section_exit' && ev.section) {
+      const prev = bySection.get(ev.section) || 0;
+      if (Number.isFinite(ev.dwellSec)) {
+        bySection.set(ev.section, prev + Number(ev.dwellSec));
+      }
+    }
+
+    if (ev.type === 'video_open' && ev.youtubeId) {
+      if (!videos.has(ev.youtubeId)) {
+        videos.set(ev.youtubeId, ev.title || ev.youtubeId);
+      }
+    }
+
+    if (ev.type === 'cta_openmorning_click') {
+      openMorningClicks += 1;
+    }
+
+    if (ev.type === 'tier_exit') {
+      tiers.push({ tier: ev.tier, dwellSec: ev.dwellSec || 0 });
+    }
+  }
+
+  const topSections = [...bySection.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 4)
+    .map(([k, v]) => `${k.replace(/_/g, ' ')} (${Math.round(v / 60)}m)`);
+
+  const tierBits = tiers
+    .sort((a, b) => b.dwellSec - a.dwellSec)
+    .slice(0, 3)
+    .map(t => `${t.tier} (${Math.round((t.dwellSec || 0) / 60)}m)`);
+
+  const videoBits = Array.from(videos.values()).slice(0, 4);
+
+  const parts = [];
+  if (topSections.length) {
+    parts.push(`Most time in: ${topSections.join(', ')}.`);
+  }
+  if (tierBits.length) {
+    parts.push(`Looked at tiers: ${tierBits.join(', ')}.`);
+  }
+  if (videoBits.length) {
+    parts.push(`Watched/opened videos: ${videoBits.join(', ')}.`);
+  }
+  if (openMorningClicks) {
+    parts.push(
+      `Clicked “Book an Open Morning” ${openMorningClicks} time${openMorningClicks > 1 ? 's' : ''}.`
+    );
+  }
+
+  return parts.join(' ');
+}
+
+// Add this function to your server.js file
+
+async function updateInquiryMetrics(inquiryId, sessionInfo, data) {
+  const db = getDb();
+  if (!db || !sessionInfo) return;
+  
+  try {
+    const timeOnPage = Math.round((sessionInfo.timeOnPage || 0) / 1000); // Convert to seconds
+    const maxScroll = sessionInfo.maxScrollDepth || 0;
+    const clicks = sessionInfo.clickCount || 0;
+    
+    await db.query(`
+      UPDATE inquiries 
+      SET 
+        dwell_ms = GREATEST(COALESCE(dwell_ms, 0), $2),
+        return_visits = GREATEST(COALESCE(return_visits, 1), 1),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [inquiryId, timeOnPage * 1000]); // Store as milliseconds
+    
+    console.log(`Updated metrics for ${inquiryId}: ${timeOnPage}s, ${maxScroll}% scroll, ${clicks} clicks`);
+    
+  } catch (error) {
+    console.warn('Failed to update inquiry metrics:', error.message);
+  }
+}
+
+module.exports = {
+  trackEngagementEvent,
+  updateEngagementMetrics,
+  insertVideoTrackingRow,
+  buildEngagementSnapshot,
+  topInteractionsFrom,
+  summariseEvents,
+  updateInquiryMetrics
+};
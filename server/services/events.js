@@ -0,0 +1,611 @@
+// Open mornings, tours and taster days, and the families booked onto them.
+// Families book from /book/<slug> - the prospectus's "Book an Open Morning"
+// buttons lead there with their link's token, which fills the form in and
+// ties the booking to their inquiry - and staff can book for them. An event
+// has a number of places, each person coming takes one, and a booking that
+// doesn't fit joins the waitlist; it is given a place, in the order it came,
+// when one is cancelled or the event is made bigger.
+//
+// Every booking gets an email - confirmed or waitlisted, and again when a
+// waitlisted family is given a place - with a link to /bookings/<token>
+// where the family can see or cancel it. A confirmed booking moves the
+// family along their pipeline, to the stage that lists the event's kind
+// (pipeline-config.js; open_day_booked, or tour_booked for a tour, by
+// default), and bookings, cancellations and attendance sit on the family's
+// timeline.
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { advanceForEvent } = require('./pipeline');
+
+const EVENT_KINDS = {
+  open_morning: { label: 'Open Morning' },
+  tour: { label: 'Tour' },
+  taster_day: { label: 'Taster Day' }
+};
+
+const MAX_CAPACITY = 10000;
+const MAX_ATTENDEES = 6;
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// ===================== VALIDATION =====================
+const isDate = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+// Checks an event from staff; fields left out keep their values from current.
+// Returns { errors, event }.
+function validateEvent(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['event must be an object'], event: null };
+  const errors = [];
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : current ? current[field] : fallback);
+  const event = {
+    kind: pick('kind'),
+    title: pick('title', null),
+    description: pick('description', null),
+    location: pick('location', null),
+    startsAt: pick('startsAt'),
+    endsAt: pick('endsAt', null),
+    capacity: pick('capacity'),
+    bookingOpen: pick('bookingOpen', true)
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(EVENT_KINDS, event.kind)) errors.push(`kind must be one of ${Object.keys(EVENT_KINDS).join(', ')}`);
+  if (event.title !== null && (typeof event.title !== 'string' || event.title.length > 200)) errors.push('title must be text of up to 200 characters');
+  if (event.description !== null && typeof event.description !== 'string') errors.push('description must be text');
+  if (event.location !== null && (typeof event.location !== 'string' || event.location.length > 200)) errors.push('location must be text of up to 200 characters');
+  if (!isDate(event.startsAt)) errors.push('startsAt must be a date and time');
+  if (event.endsAt !== null && (!isDate(event.endsAt) || (isDate(event.startsAt) && Date.parse(event.endsAt) <= Date.parse(event.startsAt)))) {
+    errors.push('endsAt must be a date and time after startsAt');
+  }
+  if (!Number.isInteger(event.capacity) || event.capacity < 1 || event.capacity > MAX_CAPACITY) errors.push(`capacity must be a whole number from 1 to ${MAX_CAPACITY}`);
+  if (typeof event.bookingOpen !== 'boolean') errors.push('bookingOpen must be true or false');
+
+  if (errors.length) return { errors, event: null };
+  event.title = (event.title || '').trim() || EVENT_KINDS[event.kind].label;
+  event.startsAt = new Date(event.startsAt).toISOString();
+  if (event.endsAt) event.endsAt = new Date(event.endsAt).toISOString();
+  return { errors, event };
+}
+
+// { parentName, email, phone, attendees } from a booking form -> { errors, details }
+function validateBookingDetails(input) {
+  const errors = [];
+  const details = {
+    parentName: String((input && input.parentName) || '').trim(),
+    email: String((input && input.email) || '').trim().toLowerCase(),
+    phone: String((input && input.phone) || '').trim() || null,
+    attendees: input && input.attendees !== undefined ? Number(input.attendees) : 1
+  };
+  if (!details.parentName || details.parentName.length > 200) errors.push('Please give your name');
+  if (!EMAIL_RE.test(details.email) || details.email.length > 255) errors.push('Please give a valid email address');
+  if (details.phone && details.phone.length > 50) errors.push('Phone number is too long');
+  if (!Number.isInteger(details.attendees) || details.attendees < 1 || details.attendees > MAX_ATTENDEES) {
+    errors.push(`Between 1 and ${MAX_ATTENDEES} people can come on one booking`);
+  }
+  return { errors, details: errors.length ? null : details };
+}
+
+// Families may book while the event is open and hasn't started
+function isBookable(event, now = Date.now()) {
+  return event.bookingOpen && Date.parse(event.startsAt) > now;
+}
+
+// ===================== STORES =====================
+const withPlaces = (event, bookings) => {
+  const placesTaken = bookings.filter(b => b.status === 'booked').reduce((sum, b) => sum + b.attendees, 0);
+  return {
+    ...event,
+    placesTaken,
+    placesLeft: Math.max(0, event.capacity - placesTaken),
+    waitlisted: bookings.filter(b => b.status === 'waitlisted').length
+  };
+};
+
+const sameFamily = (a, b) => a.email === b.email || (a.inquiryId && a.inquiryId === b.inquiryId);
+
+function createJsonEventStore({ file = path.join(DATA_DIR, 'events.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextEventId: 1, nextBookingId: 1, events: [], bookings: [] })
+  });
+
+  const bookingsFor = (s, eventId) => s.bookings.filter(b => b.eventId === eventId);
+  const stamp = patch => Object.fromEntries(Object.entries(patch).map(([k, v]) => [k, v instanceof Date ? v.toISOString() : v]));
+
+  // Gives waitlisted bookings that now fit a place, oldest first
+  function promote(s, event) {
+    const promoted = [];
+    let left = withPlaces(event, bookingsFor(s, event.id)).placesLeft;
+    for (const b of bookingsFor(s, event.id).filter(x => x.status === 'waitlisted')) {
+      if (b.attendees > left) continue;
+      const now = new Date().toISOString();
+      Object.assign(b, { status: 'booked', promotedAt: now, updatedAt: now });
+      left -= b.attendees;
+      promoted.push({ ...b });
+    }
+    return promoted;
+  }
+
+  return {
+    kind: 'json',
+
+    async listEvents({ from = null } = {}) {
+      const s = await load();
+      return s.events
+        .filter(e => !from || Date.parse(e.startsAt) >= from.getTime())
+        .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt))
+        .map(e => withPlaces(e, bookingsFor(s, e.id)));
+    },
+
+    async getEvent(id) {
+      const s = await load();
+      const event = s.events.find(e => e.id === Number(id));
+      return event ? withPlaces(event, bookingsFor(s, event.id)) : null;
+    },
+
+    async createEvent(event, createdBy) {
+      const s = await load();
+      const now = new Date().toISOString();
+      const stored = { id: s.nextEventId++, ...event, createdBy: createdBy || null, createdAt: now, updatedAt: now };
+      s.events.push(stored);
+      await save();
+      return withPlaces(stored, []);
+    },
+
+    // Resolves to { event, promoted } - a bigger event gives the waitlist places
+    async updateEvent(id, event) {
+      const s = await load();
+      const stored = s.events.find(e => e.id === Number(id));
+      if (!stored) return { event: null, promoted: [] };
+      Object.assign(stored, event, { updatedAt: new Date().toISOString() });
+      const promoted = promote(s, stored);
+      await save();
+      return { event: withPlaces(stored, bookingsFor(s, stored.id)), promoted };
+    },
+
+    async deleteEvent(id) {
+      const s = await load();
+      const before = s.events.length;
+      s.events = s.events.filter(e => e.id !== Number(id));
+      if (s.events.length === before) return false;
+      s.bookings = s.bookings.filter(b => b.eventId !== Number(id));
+      await save();
+      return true;
+    },
+
+    // { booking } or { duplicate } when the family already has a place or
+    // waitlist spot; { booking: null } if there is no such event
+    async book(booking) {
+      const s = await load();
+      const event = s.events.find(e => e.id === booking.eventId);
+      if (!event) return { booking: null };
+      const duplicate = bookingsFor(s, event.id).find(b => b.status !== 'cancelled' && sameFamily(b, booking));
+      if (duplicate) return { duplicate: { ...duplicate } };
+
+      const now = new Date().toISOString();
+      const fits = booking.attendees <= withPlaces(event, bookingsFor(s, event.id)).placesLeft;
+      const stored = {
+        id: s.nextBookingId++,
+        ...booking,
+        status: fits ? 'booked' : 'waitlisted',
+        attended: null,
+        confirmationSentAt: null,
+        waitlistedAt: fits ? null : now,
+        promotedAt: null,
+        cancelledAt: null,
+        attendanceMarkedAt: null,
+        attendanceMarkedBy: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      s.bookings.push(stored);
+      await save();
+      return { booking: { ...stored } };
+    },
+
+    // Resolves to { booking, promoted }, or null if there is no such booking
+    async cancelBooking(id) {
+      const s = await load();
+      const booking = s.bookings.find(b => b.id === Number(id));
+      if (!booking) return null;
+      if (booking.status === 'cancelled') return { booking: { ...booking }, promoted: [] };
+      const now = new Date().toISOString();
+      Object.assign(booking, { status: 'cancelled', cancelledAt: now, updatedAt: now });
+      const promoted = promote(s, s.events.find(e => e.id === booking.eventId));
+      await save();
+      return { booking: { ...booking }, promoted };
+    },
+
+    async getBooking(id) {
+      const booking = (await load()).bookings.find(b => b.id === Number(id));
+      return booking ? { ...booking } : null;
+    },
+
+    async findByToken(token) {
+      const booking = (await load()).bookings.find(b => b.manageToken === token);
+      return booking ? { ...booking } : null;
+    },
+
+    async listBookings({ eventId, inquiryId } = {}) {
+      return (await load()).bookings
+        .filter(b => (!eventId || b.eventId === Number(eventId)) && (!inquiryId || b.inquiryId === inquiryId))
+        .map(b => ({ ...b }));
+    },
+
+    async updateBooking(id, patch) {
+      const booking = (await load()).bookings.find(b => b.id === Number(id));
+      if (!booking) return null;
+      Object.assign(booking, stamp(patch), { updatedAt: new Date().toISOString() });
+      await save();
+      return { ...booking };
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function eventFromRow(row) {
+  if (!row) return null;
+  const capacity = row.capacity;
+  const placesTaken = Number(row.places_taken) || 0;
+  return {
+    id: row.id,
+    kind: row.kind,
+    title: row.title,
+    description: row.description,
+    location: row.location,
+    startsAt: iso(row.starts_at),
+    endsAt: iso(row.ends_at),
+    capacity,
+    bookingOpen: row.booking_open,
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at),
+    placesTaken,
+    placesLeft: Math.max(0, capacity - placesTaken),
+    waitlisted: Number(row.waitlisted) || 0
+  };
+}
+
+function bookingFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    inquiryId: row.inquiry_id,
+    parentName: row.parent_name,
+    email: row.email,
+    phone: row.phone,
+    attendees: row.attendees,
+    status: row.status,
+    attended: row.attended,
+    manageToken: row.manage_token,
+    source: row.source,
+    createdBy: row.created_by,
+    confirmationSentAt: iso(row.confirmation_sent_at),
+    waitlistedAt: iso(row.waitlisted_at),
+    promotedAt: iso(row.promoted_at),
+    cancelledAt: iso(row.cancelled_at),
+    attendanceMarkedAt: iso(row.attendance_marked_at),
+    attendanceMarkedBy: row.attendance_marked_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at)
+  };
+}
+
+const EVENT_SELECT = `
+  SELECT e.*,
+         COALESCE((SELECT SUM(attendees) FROM event_bookings b WHERE b.event_id = e.id AND b.status = 'booked'), 0) AS places_taken,
+         (SELECT COUNT(*) FROM event_bookings b WHERE b.event_id = e.id AND b.status = 'waitlisted') AS waitlisted
+  FROM events e
+`;
+
+const BOOKING_COLUMNS = {
+  attended: 'attended',
+  confirmationSentAt: 'confirmation_sent_at',
+  attendanceMarkedAt: 'attendance_marked_at',
+  attendanceMarkedBy: 'attendance_marked_by'
+};
+
+function createPostgresEventStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  // Inside a transaction holding the event's row lock
+  async function promote(client, eventId) {
+    const { rows: [event] } = await client.query(`${EVENT_SELECT} WHERE e.id = $1`, [eventId]);
+    let left = eventFromRow(event).placesLeft;
+    const { rows: waiting } = await client.query(
+      "SELECT * FROM event_bookings WHERE event_id = $1 AND status = 'waitlisted' ORDER BY created_at, id",
+      [eventId]
+    );
+    const promoted = [];
+    for (const row of waiting) {
+      if (row.attendees > left) continue;
+      const { rows: [updated] } = await client.query(
+        "UPDATE event_bookings SET status = 'booked', promoted_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *",
+        [row.id]
+      );
+      left -= row.attendees;
+      promoted.push(bookingFromRow(updated));
+    }
+    return promoted;
+  }
+
+  return {
+    kind: 'postgres',
+
+    async listEvents({ from = null } = {}) {
+      const { rows } = await query(`${EVENT_SELECT} WHERE ($1::timestamp IS NULL OR e.starts_at >= $1) ORDER BY e.starts_at`, [from]);
+      return rows.map(eventFromRow);
+    },
+
+    async getEvent(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query(`${EVENT_SELECT} WHERE e.id = $1`, [Number(id)]);
+      return eventFromRow(rows[0]);
+    },
+
+    async createEvent(event, createdBy) {
+      const { rows } = await query(`
+        INSERT INTO events (kind, title, description, location, starts_at, ends_at, capacity, booking_open, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [event.kind, event.title, event.description, event.location, new Date(event.startsAt),
+        event.endsAt ? new Date(event.endsAt) : null, event.capacity, event.bookingOpen, createdBy || null]);
+      return eventFromRow(rows[0]);
+    },
+
+    async updateEvent(id, event) {
+      return withTransaction(resolveDb(), async client => {
+        const { rowCount } = await client.query(`
+          UPDATE events
+          SET kind = $2, title = $3, description = $4, location = $5, starts_at = $6, ends_at = $7,
+              capacity = $8, booking_open = $9, updated_at = NOW()
+          WHERE id = $1
+        `, [Number(id), event.kind, event.title, event.description, event.location, new Date(event.startsAt),
+          event.endsAt ? new Date(event.endsAt) : null, event.capacity, event.bookingOpen]);
+        if (!rowCount) return { event: null, promoted: [] };
+        const promoted = await promote(client, Number(id));
+        const { rows } = await client.query(`${EVENT_SELECT} WHERE e.id = $1`, [Number(id)]);
+        return { event: eventFromRow(rows[0]), promoted };
+      });
+    },
+
+    async deleteEvent(id) {
+      const { rowCount } = await query('DELETE FROM events WHERE id = $1', [Number(id)]);
+      return rowCount > 0;
+    },
+
+    async book(booking) {
+      return withTransaction(resolveDb(), async client => {
+        const { rows: [event] } = await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [booking.eventId]);
+        if (!event) return { booking: null };
+        const { rows: [duplicate] } = await client.query(`
+          SELECT * FROM event_bookings
+          WHERE event_id = $1 AND status <> 'cancelled' AND (email = $2 OR ($3::text IS NOT NULL AND inquiry_id = $3))
+          LIMIT 1
+        `, [booking.eventId, booking.email, booking.inquiryId]);
+        if (duplicate) return { duplicate: bookingFromRow(duplicate) };
+
+        const { rows: [places] } = await client.query(`${EVENT_SELECT} WHERE e.id = $1`, [booking.eventId]);
+        const status = booking.attendees <= eventFromRow(places).placesLeft ? 'booked' : 'waitlisted';
+        const { rows } = await client.query(`
+          INSERT INTO event_bookings (event_id, inquiry_id, parent_name, email, phone, attendees, status, manage_token, source, created_by, waitlisted_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $7::varchar = 'waitlisted' THEN NOW() END)
+          RETURNING *
+        `, [booking.eventId, booking.inquiryId, booking.parentName, booking.email, booking.phone, booking.attendees,
+          status, booking.manageToken, booking.source, booking.createdBy]);
+        return { booking: bookingFromRow(rows[0]) };
+      });
+    },
+
+    async cancelBooking(id) {
+      return withTransaction(resolveDb(), async client => {
+        const { rows: [current] } = await client.query('SELECT event_id FROM event_bookings WHERE id = $1', [Number(id)]);
+        if (!current) return null;
+        await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [current.event_id]);
+        const { rows: [row] } = await client.query('SELECT * FROM event_bookings WHERE id = $1', [Number(id)]);
+        if (row.status === 'cancelled') return { booking: bookingFromRow(row), promoted: [] };
+        const { rows: [cancelled] } = await client.query(`
+          UPDATE event_bookings SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+          WHERE id = $1 RETURNING *
+        `, [Number(id)]);
+        return { booking: bookingFromRow(cancelled), promoted: await promote(client, row.event_id) };
+      });
+    },
+
+    async getBooking(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM event_bookings WHERE id = $1', [Number(id)]);
+      return bookingFromRow(rows[0]);
+    },
+
+    async findByToken(token) {
+      const { rows } = await query('SELECT * FROM event_bookings WHERE manage_token = $1', [String(token)]);
+      return bookingFromRow(rows[0]);
+    },
+
+    async listBookings({ eventId, inquiryId } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM event_bookings
+        WHERE ($1::int IS NULL OR event_id = $1)
+          AND ($2::text IS NULL OR inquiry_id = $2)
+        ORDER BY created_at, id
+      `, [eventId ? Number(eventId) : null, inquiryId || null]);
+      return rows.map(bookingFromRow);
+    },
+
+    async updateBooking(id, patch) {
+      const fields = Object.keys(patch).filter(k => BOOKING_COLUMNS[k]);
+      const { rows } = await query(
+        `UPDATE event_bookings SET ${fields.map((k, i) => `${BOOKING_COLUMNS[k]} = $${i + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [Number(id), ...fields.map(k => patch[k])]
+      );
+      return bookingFromRow(rows[0]);
+    }
+  };
+}
+
+const jsonStore = createJsonEventStore();
+const postgresStore = createPostgresEventStore();
+
+function getEventStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== CONFIRMATIONS =====================
+const whenText = event => new Date(event.startsAt).toLocaleString('en-GB', {
+  timeZone: 'Europe/London',
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const placesText = n => `${n} ${n === 1 ? 'place' : 'places'}`;
+
+// kind: booked | waitlisted | promoted
+function confirmationEmail(kind, booking, event, base) {
+  const where = event.location ? ` at ${event.location}` : '';
+  const opening = {
+    booked: [`Your place at ${event.title} is confirmed`, `Thank you for booking ${event.title} on ${whenText(event)}${where}. We have reserved ${placesText(booking.attendees)} for you.`],
+    waitlisted: [`You're on the waiting list for ${event.title}`, `${event.title} on ${whenText(event)} is full at the moment, so we have put you on the waiting list for ${placesText(booking.attendees)}. We will email you as soon as a place comes up.`],
+    promoted: [`A place has come up at ${event.title}`, `Good news: a place has come up at ${event.title} on ${whenText(event)}${where}, and we have reserved ${placesText(booking.attendees)} for you.`]
+  }[kind];
+  return {
+    subject: opening[0],
+    text: [
+      `Dear ${booking.parentName},`,
+      '',
+      opening[1],
+      '',
+      `If your plans change, you can see or cancel your booking here:\n${base}/bookings/${booking.manageToken}`,
+      '',
+      'With best wishes,',
+      'More House Admissions'
+    ].join('\n')
+  };
+}
+
+// Sends the email if mail is set up; a failure is logged, not thrown, so the
+// booking stands either way
+async function sendConfirmation(kind, booking, event, base) {
+  if (!isMailConfigured()) {
+    console.warn(`⚠️ No confirmation for booking ${booking.id}: SMTP_HOST is not set`);
+    return booking;
+  }
+  try {
+    const { subject, text } = confirmationEmail(kind, booking, event, base);
+    await sendMail({ to: booking.email, subject, text, headers: booking.inquiryId ? { 'X-Inquiry-Id': booking.inquiryId } : undefined });
+    return await getEventStore().updateBooking(booking.id, { confirmationSentAt: new Date() });
+  } catch (e) {
+    console.error(`❌ Confirmation for booking ${booking.id} failed:`, e.message);
+    return booking;
+  }
+}
+
+// ===================== BOOKING =====================
+// A family with a place moves along the pipeline
+async function onPlaceGiven(booking, event) {
+  if (!booking.inquiryId) return;
+  const note = `${booking.promotedAt ? 'Given a place from the waiting list for' : 'Booked'} "${event.title}" on ${whenText(event)}`;
+  await advanceForEvent(booking.inquiryId, event.kind, { note })
+    .catch(e => console.warn(`⚠️ Failed to move ${booking.inquiryId} along the pipeline:`, e.message));
+}
+
+async function placesGiven(promoted, event, base) {
+  for (const booking of promoted) {
+    console.log(`🎟️ Waitlisted booking ${booking.id} given a place at "${event.title}"`);
+    await onPlaceGiven(booking, event);
+    await sendConfirmation('promoted', booking, event, base);
+  }
+}
+
+// details from validateBookingDetails; inquiryId when the booking is known
+// to be the family's. Resolves to { booking } or { duplicate }.
+async function bookEvent(event, details, { inquiryId = null, source = 'family', createdBy = null, base }) {
+  const result = await getEventStore().book({
+    eventId: event.id,
+    inquiryId,
+    ...details,
+    manageToken: crypto.randomBytes(18).toString('base64url'),
+    source,
+    createdBy
+  });
+  if (!result.booking) return result;
+
+  let { booking } = result;
+  console.log(`🎟️ ${booking.parentName} ${booking.status === 'booked' ? 'booked' : 'waitlisted for'} "${event.title}" (${placesText(booking.attendees)})`);
+  if (booking.status === 'booked') await onPlaceGiven(booking, event);
+  booking = await sendConfirmation(booking.status, booking, event, base);
+  return { booking };
+}
+
+// Resolves to the cancelled booking, or null if there is no such booking
+async function cancelBooking(booking, { base }) {
+  const result = await getEventStore().cancelBooking(booking.id);
+  if (!result) return null;
+  if (result.promoted.length) await placesGiven(result.promoted, await getEventStore().getEvent(booking.eventId), base);
+  return result.booking;
+}
+
+// Resolves to the updated event, or null if there is no such event
+async function updateEvent(id, event, { base }) {
+  const result = await getEventStore().updateEvent(id, event);
+  if (result.promoted.length) await placesGiven(result.promoted, result.event, base);
+  return result.event;
+}
+
+// ===================== TIMELINE =====================
+// A family's bookings as timeline items, oldest first
+async function bookingTimeline(inquiryId) {
+  const store = getEventStore();
+  const bookings = await store.listBookings({ inquiryId });
+  const events = new Map();
+  const items = [];
+  for (const b of bookings) {
+    if (!events.has(b.eventId)) events.set(b.eventId, await store.getEvent(b.eventId));
+    const event = events.get(b.eventId);
+    // Deleting an event takes its bookings with it, but one read in between
+    // may still turn up
+    if (!event) continue;
+    const base = {
+      bookingId: b.id,
+      eventId: b.eventId,
+      eventKind: event.kind,
+      title: event.title,
+      startsAt: event.startsAt,
+      attendees: b.attendees
+    };
+    if (b.waitlistedAt) items.push({ type: 'event_waitlisted', at: b.waitlistedAt, ...base });
+    if (!b.waitlistedAt || b.promotedAt) items.push({ type: 'event_booked', at: b.promotedAt || b.createdAt, ...base });
+    if (b.cancelledAt) items.push({ type: 'event_cancelled', at: b.cancelledAt, ...base });
+    if (b.attendanceMarkedAt) items.push({ type: b.attended ? 'event_attended' : 'event_missed', at: b.attendanceMarkedAt, ...base });
+  }
+  return items.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+module.exports = {
+  EVENT_KINDS,
+  MAX_ATTENDEES,
+  validateEvent,
+  validateBookingDetails,
+  isBookable,
+  createJsonEventStore,
+  createPostgresEventStore,
+  getEventStore,
+  bookEvent,
+  cancelBooking,
+  updateEvent,
+  bookingTimeline
+};
@@ -0,0 +1,407 @@
+// Emails staff send a family from the server (a SMART Reply draft, say),
+// kept against the inquiry. Each one carries the family's prospectus link -
+// in place of {{prospectus_link}} in the body, or added at the end - and is
+// tracked: every link goes through /e/<token>/<n>, which records the click and
+// redirects, and the HTML part loads /e/<token>/open.gif, which records an
+// open. Opens and clicks sit in the family's timeline beside their visits.
+//
+// Opens are only as good as the family's mail client: many block images, and
+// some fetch them on delivery whether or not the message is read.
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+const { sendMail } = require('./mailer');
+const prospectusLinks = require('../prospectus-links');
+
+const LINK_PLACEHOLDER = '{{prospectus_link}}';
+const URL_RE = /https?:\/\/[^\s<>"]+/g;
+const MAX_JSON_EVENTS = 5000;
+
+// A transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// ===================== COMPOSING =====================
+// The family's current signed link, their bare slug link while unsigned links
+// are still honoured, or null if they have no link to send
+function prospectusUrlFor(inquiry, base) {
+  const status = prospectusLinks.publicLinkStatus(inquiry, base);
+  if (status.url) return status.url;
+  if (inquiry.slug && status.status === 'legacy' && prospectusLinks.legacyGraceActive()) return `${base}/${inquiry.slug}`;
+  return null;
+}
+
+function withProspectusLink(body, url, childName) {
+  if (body.includes(LINK_PLACEHOLDER)) return body.split(LINK_PLACEHOLDER).join(url);
+  const whose = childName ? `${childName}'s` : 'your';
+  return `${body.trimEnd()}\n\nYou can open ${whose} personalised prospectus here:\n${url}`;
+}
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+// Every URL in the text, minus the full stop or bracket closing the sentence
+function findUrls(text) {
+  return [...text.matchAll(URL_RE)].map(m => {
+    const url = m[0].replace(/[.,;:!?)\]]+$/, '');
+    return { url, at: m.index };
+  });
+}
+
+// Text and HTML parts with every link pointing at trackBase/<n>, and the list
+// of URLs those redirect to
+function trackLinks(text, trackBase) {
+  const links = [];
+  const trackedUrl = url => {
+    let n = links.indexOf(url);
+    if (n === -1) n = links.push(url) - 1;
+    return `${trackBase}/${n}`;
+  };
+
+  // Swap each URL in a piece of text for its tracked form
+  const rewrite = (piece, wrap, plain) => {
+    let out = '';
+    let from = 0;
+    for (const { url, at } of findUrls(piece)) {
+      out += plain(piece.slice(from, at)) + wrap(url, trackedUrl(url));
+      from = at + url.length;
+    }
+    return out + plain(piece.slice(from));
+  };
+
+  const trackedText = rewrite(text, (_url, tracked) => tracked, s => s);
+  const paragraphs = text.trim().split(/\n\s*\n/).map(p => {
+    const inner = rewrite(p, (url, tracked) => `<a href="${escapeHtml(tracked)}">${escapeHtml(url)}</a>`, escapeHtml);
+    return `<p>${inner.replace(/\n/g, '<br>')}</p>`;
+  });
+  const html = `<div style="font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #2C3E50;">
+${paragraphs.join('\n')}
+</div>
+<img src="${escapeHtml(trackBase)}/open.gif" width="1" height="1" alt="" style="display: block; border: 0;">`;
+
+  return { text: trackedText, html, links };
+}
+
+// ===================== STORES =====================
+function createJsonFamilyEmailStore({ file = path.join(DATA_DIR, 'family-emails.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextEmailId: 1, nextEventId: 1, emails: [], events: [] }),
+    beforeSave: s => {
+      if (s.events.length > MAX_JSON_EVENTS) s.events = s.events.slice(-MAX_JSON_EVENTS);
+    }
+  });
+
+  return {
+    kind: 'json',
+
+    async addEmail(email) {
+      const s = await load();
+      const stored = {
+        id: s.nextEmailId++,
+        ...email,
+        messageId: null,
+        error: null,
+        sentAt: null,
+        openCount: 0,
+        firstOpenedAt: null,
+        lastOpenedAt: null,
+        clickCount: 0,
+        lastClickedAt: null,
+        createdAt: new Date().toISOString()
+      };
+      s.emails.push(stored);
+      await save();
+      return stored;
+    },
+
+    async getEmail(id) {
+      return (await load()).emails.find(e => e.id === Number(id)) || null;
+    },
+
+    async findByToken(token) {
+      return (await load()).emails.find(e => e.trackingToken === token) || null;
+    },
+
+    async updateEmail(id, patch) {
+      const email = await this.getEmail(id);
+      if (!email) return null;
+      for (const [k, v] of Object.entries(patch)) email[k] = v instanceof Date ? v.toISOString() : v;
+      await save();
+      return email;
+    },
+
+    async listEmails({ inquiryId, limit = 100 } = {}) {
+      return (await load()).emails
+        .filter(e => !inquiryId || e.inquiryId === inquiryId)
+        .slice(-limit)
+        .reverse();
+    },
+
+    async recordEvent(email, { type, url = null, userAgent = null, ip = null }) {
+      const s = await load();
+      const stored = s.emails.find(e => e.id === email.id);
+      if (!stored) return null;
+      const at = new Date().toISOString();
+      if (type === 'open') {
+        stored.openCount++;
+        stored.firstOpenedAt = stored.firstOpenedAt || at;
+        stored.lastOpenedAt = at;
+      } else {
+        stored.clickCount++;
+        stored.lastClickedAt = at;
+      }
+      const event = { id: s.nextEventId++, emailId: email.id, inquiryId: email.inquiryId, type, url, userAgent, ip, createdAt: at };
+      s.events.push(event);
+      await save();
+      return event;
+    },
+
+    async listEvents({ inquiryId } = {}) {
+      return (await load()).events.filter(e => !inquiryId || e.inquiryId === inquiryId);
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function emailFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    inquiryId: row.inquiry_id,
+    historyId: row.history_id,
+    to: row.to_address,
+    subject: row.subject,
+    bodyText: row.body_text,
+    bodyHtml: row.body_html,
+    prospectusUrl: row.prospectus_url,
+    links: row.links,
+    trackingToken: row.tracking_token,
+    messageId: row.message_id,
+    status: row.status,
+    error: row.error,
+    sentBy: row.sent_by,
+    sentAt: iso(row.sent_at),
+    openCount: row.open_count,
+    firstOpenedAt: iso(row.first_opened_at),
+    lastOpenedAt: iso(row.last_opened_at),
+    clickCount: row.click_count,
+    lastClickedAt: iso(row.last_clicked_at),
+    createdAt: iso(row.created_at)
+  };
+}
+
+function eventFromRow(row) {
+  return {
+    id: row.id,
+    emailId: row.email_id,
+    inquiryId: row.inquiry_id,
+    type: row.event_type,
+    url: row.url,
+    userAgent: row.user_agent,
+    ip: row.ip_address,
+    createdAt: iso(row.created_at)
+  };
+}
+
+const EMAIL_COLUMNS = {
+  status: 'status',
+  messageId: 'message_id',
+  error: 'error',
+  sentAt: 'sent_at'
+};
+
+function createPostgresFamilyEmailStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async addEmail(email) {
+      const { rows } = await query(`
+        INSERT INTO family_emails (inquiry_id, history_id, to_address, subject, body_text, body_html,
+                                   prospectus_url, links, tracking_token, status, sent_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [email.inquiryId, email.historyId, email.to, email.subject, email.bodyText, email.bodyHtml,
+        email.prospectusUrl, JSON.stringify(email.links), email.trackingToken, email.status, email.sentBy]);
+      return emailFromRow(rows[0]);
+    },
+
+    async getEmail(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM family_emails WHERE id = $1', [Number(id)]);
+      return emailFromRow(rows[0]);
+    },
+
+    async findByToken(token) {
+      const { rows } = await query('SELECT * FROM family_emails WHERE tracking_token = $1', [token]);
+      return emailFromRow(rows[0]);
+    },
+
+    async updateEmail(id, patch) {
+      const fields = Object.keys(patch).filter(k => EMAIL_COLUMNS[k]);
+      const { rows } = await query(
+        `UPDATE family_emails SET ${fields.map((k, i) => `${EMAIL_COLUMNS[k]} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [Number(id), ...fields.map(k => patch[k])]
+      );
+      return emailFromRow(rows[0]);
+    },
+
+    async listEmails({ inquiryId, limit = 100 } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM family_emails
+        WHERE ($1::text IS NULL OR inquiry_id = $1)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+      `, [inquiryId || null, limit]);
+      return rows.map(emailFromRow);
+    },
+
+    async recordEvent(email, { type, url = null, userAgent = null, ip = null }) {
+      return withTransaction(resolveDb(), async client => {
+        await client.query(type === 'open'
+          ? `UPDATE family_emails
+             SET open_count = open_count + 1,
+                 first_opened_at = COALESCE(first_opened_at, NOW()),
+                 last_opened_at = NOW()
+             WHERE id = $1`
+          : `UPDATE family_emails
+             SET click_count = click_count + 1, last_clicked_at = NOW()
+             WHERE id = $1`, [email.id]);
+        const { rows } = await client.query(`
+          INSERT INTO family_email_events (email_id, inquiry_id, event_type, url, user_agent, ip_address)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [email.id, email.inquiryId, type, url, userAgent, ip]);
+        return eventFromRow(rows[0]);
+      });
+    },
+
+    async listEvents({ inquiryId } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM family_email_events
+        WHERE ($1::text IS NULL OR inquiry_id = $1)
+        ORDER BY created_at, id
+      `, [inquiryId || null]);
+      return rows.map(eventFromRow);
+    }
+  };
+}
+
+const jsonStore = createJsonFamilyEmailStore();
+const postgresStore = createPostgresFamilyEmailStore();
+
+function getFamilyEmailStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== SENDING =====================
+// Stores the email, then sends it. The stored email comes back with status
+// sent, or failed and the relay's error.
+async function sendFamilyEmail({ inquiry, to, subject, body, historyId = null, sentBy, base }) {
+  const store = getFamilyEmailStore();
+  const prospectusUrl = prospectusUrlFor(inquiry, base);
+  const token = crypto.randomBytes(18).toString('base64url');
+  const tracked = trackLinks(withProspectusLink(body, prospectusUrl, inquiry.firstName), `${base}/e/${token}`);
+
+  // Stored first, so an open that beats sendMail's reply has an email to count against
+  const email = await store.addEmail({
+    inquiryId: inquiry.id,
+    historyId: historyId != null ? String(historyId) : null,
+    to,
+    subject,
+    bodyText: tracked.text,
+    bodyHtml: tracked.html,
+    prospectusUrl,
+    links: tracked.links,
+    trackingToken: token,
+    status: 'sending',
+    sentBy
+  });
+
+  try {
+    const info = await sendMail({
+      to,
+      subject,
+      text: tracked.text,
+      html: tracked.html,
+      headers: { 'X-Inquiry-Id': inquiry.id }
+    });
+    console.log(`📧 Email "${subject}" sent to ${inquiry.id} by ${sentBy}`);
+    return store.updateEmail(email.id, { status: 'sent', messageId: info.messageId, sentAt: new Date() });
+  } catch (e) {
+    console.error(`❌ Email "${subject}" to ${inquiry.id} failed:`, e.message);
+    return store.updateEmail(email.id, { status: 'failed', error: e.message });
+  }
+}
+
+// ===================== TRACKING =====================
+async function recordOpen(token, { userAgent, ip } = {}) {
+  const store = getFamilyEmailStore();
+  const email = await store.findByToken(token);
+  if (!email) return null;
+  return store.recordEvent(email, { type: 'open', userAgent, ip });
+}
+
+// The URL the family's nth link goes to, or null for a link we never sent
+async function recordClick(token, n, { userAgent, ip } = {}) {
+  const store = getFamilyEmailStore();
+  const email = await store.findByToken(token);
+  const url = email && /^\d+$/.test(String(n)) ? email.links[Number(n)] : null;
+  if (!url) return null;
+  await store.recordEvent(email, { type: 'click', url, userAgent, ip });
+  return url;
+}
+
+// The family's emails as timeline items, oldest first:
+// { type: email_sent | email_failed | email_open | email_click, at, emailId, subject, ... }
+async function emailTimeline(inquiryId) {
+  const store = getFamilyEmailStore();
+  const emails = await store.listEmails({ inquiryId, limit: 500 });
+  const byId = new Map(emails.map(e => [e.id, e]));
+
+  const items = emails.filter(e => e.status !== 'sending').map(e => ({
+    type: e.status === 'sent' ? 'email_sent' : 'email_failed',
+    at: e.sentAt || e.createdAt,
+    emailId: e.id,
+    subject: e.subject,
+    to: e.to,
+    sentBy: e.sentBy,
+    ...(e.error ? { error: e.error } : {})
+  }));
+  for (const ev of await store.listEvents({ inquiryId })) {
+    const email = byId.get(ev.emailId);
+    items.push({
+      type: `email_${ev.type}`,
+      at: ev.createdAt,
+      emailId: ev.emailId,
+      subject: email ? email.subject : null,
+      ...(ev.url ? { url: ev.url } : {})
+    });
+  }
+  return items.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+module.exports = {
+  LINK_PLACEHOLDER,
+  PIXEL,
+  prospectusUrlFor,
+  withProspectusLink,
+  trackLinks,
+  createJsonFamilyEmailStore,
+  createPostgresFamilyEmailStore,
+  getFamilyEmailStore,
+  sendFamilyEmail,
+  recordOpen,
+  recordClick,
+  emailTimeline
+};
@@ -0,0 +1,402 @@
+// One place to load and save inquiries. Three backends share the interface
+// findById / findBySlug / findByProspectusFilename / list / create / update /
+// remove:
+//   json     - a file per inquiry in DATA_DIR (inquiry-*.json)
+//   postgres - the inquiries table
+//   dual     - writes go to both; reads prefer Postgres and fall back to JSON
+// Whatever the backend, records come back in the same camelCase shape (see
+// INQUIRY_FIELDS), so JSON-only mode sees exactly what DB mode sees.
+//
+// create refuses an id that is already taken rather than touching that family.
+//
+// update takes { client } to write the row within the caller's transaction
+// (withTransaction); the JSON backend has none to join.
+
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+
+// [record property, inquiries column]. Interest and priority flags keep the
+// form's field names (creative_writing, pastoral_care, ...) in both.
+const INQUIRY_FIELDS = [
+  ['id', 'id'],
+  ['firstName', 'first_name'],
+  ['familySurname', 'family_surname'],
+  ['parentName', 'parent_name'],
+  ['parentEmail', 'parent_email'],
+  ['contactNumber', 'contact_number'],
+  ['ageGroup', 'age_group'],
+  ['entryYear', 'entry_year'],
+  ['hearAboutUs', 'hear_about_us'],
+  ['language', 'language'],
+  ['source', 'source'],
+  ['notes', 'notes'],
+
+  ['sciences', 'sciences'],
+  ['mathematics', 'mathematics'],
+  ['english', 'english'],
+  ['languages', 'languages'],
+  ['humanities', 'humanities'],
+  ['business', 'business'],
+  ['drama', 'drama'],
+  ['music', 'music'],
+  ['art', 'art'],
+  ['creative_writing', 'creative_writing'],
+  ['sport', 'sport'],
+  ['leadership', 'leadership'],
+  ['community_service', 'community_service'],
+  ['outdoor_education', 'outdoor_education'],
+  ['academic_excellence', 'academic_excellence'],
+  ['pastoral_care', 'pastoral_care'],
+  ['university_preparation', 'university_preparation'],
+  ['personal_development', 'personal_development'],
+  ['career_guidance', 'career_guidance'],
+  ['extracurricular_opportunities', 'extracurricular_opportunities'],
+  ['debating', 'debating'],
+  ['small_classes', 'small_classes'],
+  ['london_location', 'london_location'],
+  ['values_based', 'values_based'],
+  ['university_prep', 'university_prep'],
+
+  ['receivedAt', 'received_at'],
+  ['status', 'status'],
+  ['prospectusGenerated', 'prospectus_generated'],
+  ['prospectusFilename', 'prospectus_filename'],
+  ['prospectusUrl', 'prospectus_url'],
+  ['prospectusGeneratedAt', 'prospectus_generated_at'],
+  ['slug', 'slug'],
+  ['linkVersion', 'link_version'],
+  ['linkIssuedAt', 'link_issued_at'],
+  ['linkExpiresAt', 'link_expires_at'],
+  ['linkRevokedAt', 'link_revoked_at'],
+
+  ['userAgent', 'user_agent'],
+  ['referrer', 'referrer'],
+  ['ip', 'ip_address'],
+  ['country', 'country'],
+  ['region', 'region'],
+  ['city', 'city'],
+  ['latitude', 'latitude'],
+  ['longitude', 'longitude'],
+  ['timezone', 'timezone'],
+  ['isp', 'isp'],
+
+  ['dwellMs', 'dwell_ms'],
+  ['returnVisits', 'return_visits'],
+  ['schoolId', 'school_id'],
+  ['createdAt', 'created_at'],
+  ['updatedAt', 'updated_at']
+];
+
+const BOOLEAN_FIELDS = new Set([
+  'prospectusGenerated',
+  'sciences', 'mathematics', 'english', 'languages', 'humanities', 'business',
+  'drama', 'music', 'art', 'creative_writing',
+  'sport', 'leadership', 'community_service', 'outdoor_education',
+  'academic_excellence', 'pastoral_care', 'university_preparation',
+  'personal_development', 'career_guidance', 'extracurricular_opportunities',
+  'debating', 'small_classes', 'london_location', 'values_based', 'university_prep'
+]);
+
+// pg returns BIGINT as a string
+const NUMBER_FIELDS = new Set(['dwellMs', 'returnVisits', 'linkVersion', 'schoolId']);
+
+// TIMESTAMP columns; passed to pg as Dates so they round-trip in local time
+const DATE_FIELDS = new Set([
+  'receivedAt', 'prospectusGeneratedAt', 'linkIssuedAt', 'linkExpiresAt', 'linkRevokedAt'
+]);
+
+// Maintained by the database itself
+const READ_ONLY_COLUMNS = new Set(['created_at', 'updated_at']);
+
+const COLUMN_OF = new Map(INQUIRY_FIELDS);
+
+// Accept a record spelled either way (older JSON files and raw rows use
+// snake_case) and return it camelCase, keeping any extra properties
+function normaliseInquiry(record) {
+  if (!record) return null;
+  const out = { ...record };
+  for (const [prop, column] of INQUIRY_FIELDS) {
+    if (column === prop || !(column in out)) continue;
+    if (out[prop] === undefined) out[prop] = out[column];
+    delete out[column];
+  }
+  if (out.slug && !out.prospectusPrettyPath) out.prospectusPrettyPath = `/${out.slug}`;
+  return out;
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const out = {};
+  for (const [prop, column] of INQUIRY_FIELDS) {
+    let value = row[column];
+    if (value === undefined) continue;
+    if (value instanceof Date) value = value.toISOString();
+    else if (value !== null && NUMBER_FIELDS.has(prop)) value = Number(value);
+    out[prop] = value;
+  }
+  return normaliseInquiry(out);
+}
+
+// Column -> value for the mapped properties present on the record
+function toRow(record) {
+  const row = {};
+  for (const [prop, value] of Object.entries(normaliseInquiry(record))) {
+    const column = COLUMN_OF.get(prop);
+    if (!column || value === undefined || READ_ONLY_COLUMNS.has(column)) continue;
+    if (BOOLEAN_FIELDS.has(prop)) row[column] = !!value;
+    else if (DATE_FIELDS.has(prop)) row[column] = value ? new Date(value) : null;
+    else if (prop === 'ip') row[column] = value && net.isIP(String(value)) ? String(value) : null;
+    else row[column] = value;
+  }
+  return row;
+}
+
+// ===================== JSON BACKEND =====================
+function createJsonInquiryRepository({ dir = DATA_DIR } = {}) {
+  async function readAll() {
+    const files = await fs.readdir(dir).catch(() => []);
+    const out = [];
+    for (const f of files.filter(x => x.startsWith('inquiry-') && x.endsWith('.json'))) {
+      try {
+        const file = path.join(dir, f);
+        out.push({ file, inquiry: normaliseInquiry(JSON.parse(await fs.readFile(file, 'utf8'))) });
+      } catch (e) {
+        console.warn(`Failed to read ${f}:`, e.message);
+      }
+    }
+    return out;
+  }
+
+  async function findEntry(match) {
+    return (await readAll()).find(e => match(e.inquiry)) || null;
+  }
+
+  async function writeFile(file, inquiry) {
+    await fs.writeFile(file, JSON.stringify(inquiry, null, 2));
+  }
+
+  return {
+    kind: 'json',
+
+    async findById(id) {
+      const entry = await findEntry(j => j.id === id);
+      return entry ? entry.inquiry : null;
+    },
+
+    async findBySlug(slug) {
+      const wanted = String(slug || '').toLowerCase();
+      const entry = await findEntry(j => (j.slug || '').toLowerCase() === wanted);
+      return entry ? entry.inquiry : null;
+    },
+
+    async findByProspectusFilename(filename) {
+      const entry = await findEntry(j => j.prospectusFilename === filename);
+      return entry ? entry.inquiry : null;
+    },
+
+    async list() {
+      return (await readAll())
+        .map(e => e.inquiry)
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+    },
+
+    async create(record) {
+      const inquiry = normaliseInquiry(record);
+      if (await findEntry(j => j.id === inquiry.id)) throw new Error(`Inquiry ${inquiry.id} already exists`);
+      await fs.mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, `inquiry-${inquiry.receivedAt || inquiry.id}.json`), inquiry);
+      return inquiry;
+    },
+
+    async update(id, patch) {
+      const entry = await findEntry(j => j.id === id);
+      if (!entry) return null;
+      const inquiry = normaliseInquiry({
+        ...entry.inquiry,
+        ...normaliseInquiry(patch),
+        id,
+        updatedAt: new Date().toISOString()
+      });
+      await writeFile(entry.file, inquiry);
+      return inquiry;
+    },
+
+    async remove(id) {
+      const entry = await findEntry(j => j.id === id);
+      if (!entry) return null;
+      await fs.unlink(entry.file);
+      return entry.inquiry;
+    }
+  };
+}
+
+// ===================== POSTGRES BACKEND =====================
+// Tables keyed by inquiry_id, cleared before the inquiry row itself
+const DEPENDENT_TABLES = [
+  'ai_family_insights',
+  'video_engagement_tracking',
+  'tracking_events',
+  'engagement_metrics',
+  'inquiry_ai_summary'
+];
+
+// resolveDb is called per query so a reconnect is picked up
+function createPostgresInquiryRepository({ resolveDb = getDb } = {}) {
+  function db() {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client;
+  }
+
+  async function findOne(where, value) {
+    const result = await db().query(`SELECT * FROM inquiries WHERE ${where} = $1 LIMIT 1`, [value]);
+    return fromRow(result.rows[0]);
+  }
+
+  return {
+    kind: 'postgres',
+
+    findById: id => findOne('id', id),
+    findBySlug: slug => findOne('slug', String(slug || '').toLowerCase()),
+    findByProspectusFilename: filename => findOne('prospectus_filename', filename),
+
+    async list() {
+      const result = await db().query('SELECT * FROM inquiries ORDER BY received_at DESC NULLS LAST');
+      return result.rows.map(fromRow);
+    },
+
+    async create(record) {
+      const row = toRow(record);
+      const columns = Object.keys(row);
+      const params = columns.map((_, i) => `$${i + 1}`);
+      const result = await db().query(
+        `INSERT INTO inquiries (${columns.join(', ')})
+         VALUES (${params.join(', ')})
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        columns.map(c => row[c])
+      );
+      if (!result.rows[0]) throw new Error(`Inquiry ${row.id} already exists`);
+      return fromRow(result.rows[0]);
+    },
+
+    async update(id, patch, { client = null } = {}) {
+      const row = toRow(patch);
+      delete row.id;
+      const columns = Object.keys(row);
+      if (!columns.length) return this.findById(id);
+      const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+      const result = await (client || db()).query(
+        `UPDATE inquiries
+         SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...columns.map(c => row[c])]
+      );
+      return fromRow(result.rows[0]);
+    },
+
+    async remove(id) {
+      return withTransaction(db(), async client => {
+        const existing = await client.query('SELECT * FROM inquiries WHERE id = $1 FOR UPDATE', [id]);
+        if (!existing.rows.length) return null;
+        for (const table of DEPENDENT_TABLES) {
+          await client.query(`DELETE FROM ${table} WHERE inquiry_id = $1`, [id]);
+        }
+        await client.query('DELETE FROM inquiries WHERE id = $1', [id]);
+        return fromRow(existing.rows[0]);
+      });
+    }
+  };
+}
+
+// ===================== DUAL (WRITE-THROUGH) BACKEND =====================
+// Postgres is the source of truth; the JSON copy keeps the site working when
+// the database is unreachable. A failed Postgres write is logged, not thrown.
+function createDualInquiryRepository({ postgres, json }) {
+  async function read(method, ...args) {
+    try {
+      const found = await postgres[method](...args);
+      if (found) return found;
+    } catch (e) {
+      console.warn(`Inquiry ${method} via Postgres failed, using JSON:`, e.message);
+    }
+    return json[method](...args);
+  }
+
+  async function write(method, ...args) {
+    const fromJson = await json[method](...args);
+    try {
+      const fromDb = await postgres[method](...args);
+      return fromDb || fromJson;
+    } catch (e) {
+      console.warn(`Inquiry ${method} via Postgres failed (non-fatal):`, e.message);
+      return fromJson;
+    }
+  }
+
+  return {
+    kind: 'dual',
+
+    findById: id => read('findById', id),
+    findBySlug: slug => read('findBySlug', slug),
+    findByProspectusFilename: filename => read('findByProspectusFilename', filename),
+
+    async list() {
+      try {
+        const rows = await postgres.list();
+        if (rows.length) return rows;
+      } catch (e) {
+        console.warn('Inquiry list via Postgres failed, using JSON:', e.message);
+      }
+      return json.list();
+    },
+
+    create: record => write('create', record),
+
+    // Within a transaction, Postgres first and allowed to throw, so the
+    // caller's other writes are rolled back with it
+    async update(id, patch, { client = null } = {}) {
+      if (!client) return write('update', id, patch);
+      const fromDb = await postgres.update(id, patch, { client });
+      const fromJson = await json.update(id, patch);
+      return fromDb || fromJson;
+    },
+
+    // Postgres first and allowed to throw: a row left behind would be read back
+    async remove(id) {
+      const fromDb = await postgres.remove(id);
+      const fromJson = await json.remove(id);
+      return fromDb || fromJson;
+    }
+  };
+}
+
+// ===================== SELECTION =====================
+// INQUIRY_STORE=json|postgres|dual picks a backend; unset means dual when a
+// database is connected and json otherwise.
+const jsonRepository = createJsonInquiryRepository();
+const postgresRepository = createPostgresInquiryRepository();
+const dualRepository = createDualInquiryRepository({ postgres: postgresRepository, json: jsonRepository });
+
+function getInquiryRepository() {
+  const mode = (process.env.INQUIRY_STORE || '').toLowerCase();
+  if (mode === 'json') return jsonRepository;
+  if (mode === 'postgres') return postgresRepository;
+  if (mode === 'dual') return dualRepository;
+  return getDb() ? dualRepository : jsonRepository;
+}
+
+module.exports = {
+  INQUIRY_FIELDS,
+  normaliseInquiry,
+  fromRow,
+  toRow,
+  createJsonInquiryRepository,
+  createPostgresInquiryRepository,
+  createDualInquiryRepository,
+  getInquiryRepository
+};
@@ -0,0 +1,150 @@
+// Prospectus state on inquiry records. Records are read and written through
+// the inquiry repository (./inquiry-repository); slugIndex maps pretty /<slug>
+// links to generated prospectus files.
+
+const fs = require('fs').promises;
+const path = require('path');
+const prospectusLinks = require('../prospectus-links');
+const { DATA_DIR, PROSPECTUS_DIR } = require('../paths');
+const { getInquiryRepository } = require('./inquiry-repository');
+const { isEntryStatus } = require('./pipeline-config');
+const { setStatus } = require('./pipeline');
+const { makeSlug } = require('../utils');
+
+// slug -> /prospectuses/<file>. Mutated in place so every module holding a
+// reference sees reloads.
+const slugIndex = {};
+
+// ===================== FILE SYSTEM OPERATIONS =====================
+async function ensureDirectories() {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(PROSPECTUS_DIR, { recursive: true });
+  } catch (e) {
+    console.error('Failed to create directories:', e.message);
+    throw e;
+  }
+}
+
+async function loadSlugIndex() {
+  try {
+    const p = path.join(DATA_DIR, 'slug-index.json');
+    const loaded = JSON.parse(await fs.readFile(p, 'utf8'));
+    for (const k of Object.keys(slugIndex)) delete slugIndex[k];
+    Object.assign(slugIndex, loaded);
+    console.log(`Loaded ${Object.keys(slugIndex).length} slug mappings`);
+  } catch (e) {
+    for (const k of Object.keys(slugIndex)) delete slugIndex[k];
+    console.log('No slug-index.json yet; will create on first save.');
+  }
+}
+
+async function saveSlugIndex() {
+  try {
+    const p = path.join(DATA_DIR, 'slug-index.json');
+    await fs.writeFile(p, JSON.stringify(slugIndex, null, 2));
+  } catch (e) {
+    console.error('Failed to save slug index:', e.message);
+  }
+}
+
+async function rebuildSlugIndexFromData() {
+  let added = 0;
+  
+  try {
+    console.log('Rebuilding slug index...');
+    const repository = getInquiryRepository();
+    
+    for (const inquiry of await repository.list()) {
+      try {
+        let slug = inquiry.slug;
+        if (!slug) {
+          slug = makeSlug(inquiry);
+          await repository.update(inquiry.id, { slug });
+          console.log(`Generated missing slug for ${inquiry.firstName} ${inquiry.familySurname}: ${slug}`);
+        }
+        
+        slug = slug.toLowerCase();
+        let rel = inquiry.prospectusUrl;
+        if (!rel && inquiry.prospectusFilename) {
+          rel = `/prospectuses/${inquiry.prospectusFilename}`;
+        }
+        
+        if (rel && !slugIndex[slug]) {
+          slugIndex[slug] = rel;
+          added++;
+        }
+      } catch (inquiryError) {
+        console.warn(`Skipped ${inquiry.id}: ${inquiryError.message}`);
+      }
+    }
+    
+    if (added > 0) {
+      await saveSlugIndex();
+      console.log(`Saved ${added} new slug mappings to slug-index.json`);
+    }
+    
+    console.log(`Slug index rebuilt: ${added} new mappings, ${Object.keys(slugIndex).length} total`);
+    return added;
+  } catch (e) {
+    console.error('rebuildSlugIndexFromData error:', e.message);
+    return 0;
+  }
+}
+
+// Saves the generated prospectus on the record. A family who has only just
+// enquired moves on to prospectus_generated through setStatus (pipeline.js),
+// which records it; a family staff have already moved along the pipeline
+// keeps their status.
+async function updateInquiryStatus(inquiryId, pInfo) {
+  try {
+    const updated = await getInquiryRepository().update(inquiryId, {
+      prospectusGenerated: true,
+      prospectusFilename: pInfo.filename,
+      prospectusUrl: pInfo.url,
+      prospectusPrettyPath: pInfo.prettyPath,
+      slug: pInfo.slug,
+      prospectusGeneratedAt: pInfo.generatedAt
+    });
+    if (updated && isEntryStatus(updated.status)) {
+      await setStatus(inquiryId, 'prospectus_generated', { source: 'prospectus' });
+    }
+    console.log(`Inquiry updated: ${inquiryId} -> ${pInfo.prettyPath}`);
+  } catch (e) {
+    console.error('Failed to update inquiry status:', e.message);
+  }
+}
+
+// Persist a prospectus link state (see server/prospectus-links.js)
+async function saveProspectusLinkState(inquiryId, state) {
+  await getInquiryRepository().update(inquiryId, {
+    linkVersion: state.version,
+    linkIssuedAt: state.issuedAt,
+    linkExpiresAt: state.expiresAt,
+    linkRevokedAt: state.revokedAt
+  });
+}
+
+// Issue a fresh signed link for an inquiry, invalidating any earlier one
+async function issueProspectusLink(inquiry, options = {}) {
+  const state = prospectusLinks.nextLinkState(inquiry, options);
+  await saveProspectusLinkState(inquiry.id, state);
+  return {
+    ...inquiry,
+    linkVersion: state.version,
+    linkIssuedAt: state.issuedAt,
+    linkExpiresAt: state.expiresAt,
+    linkRevokedAt: state.revokedAt
+  };
+}
+
+module.exports = {
+  slugIndex,
+  ensureDirectories,
+  loadSlugIndex,
+  saveSlugIndex,
+  rebuildSlugIndexFromData,
+  updateInquiryStatus,
+  saveProspectusLinkState,
+  issueProspectusLink
+};
@@ -0,0 +1,136 @@
+// The background job types (see job-queue.js) and what each does. AI work
+// runs two at a time so a bulk run doesn't trip the provider's rate limits;
+// translation one language at a time.
+//   engagement_summary  { inquiryId }  AI engagement narrative
+//   summary_repair      { inquiryId }  rule-based narrative in place of a
+//                                      missing or placeholder one
+//   family_analysis     { inquiryId }  AI family profile
+//   translation_precache { language }  translate every prospectus segment
+//   engagement_rescore  { modelVersion }  score every family again under a
+//                                      new scoring model
+//   alert_delivery      { alertId }    email or webhook for a staff alert
+
+const { getDb } = require('./database');
+const { defineJob } = require('./job-queue');
+const { getInquiryRepository } = require('./inquiry-repository');
+const { analyseFamilyProfile, summariseFamilyEngagement } = require('./ai-client');
+const { prospectusPages } = require('./prospectus-generator');
+const { precacheSegments } = require('./prospectus-translation');
+const { rescoreFamilies } = require('./engagement-scoring');
+const { deliverAlert } = require('./alerts');
+
+function requireDb() {
+  const db = getDb();
+  if (!db) throw new Error('Database not available');
+  return db;
+}
+
+async function inquiryRow(db, inquiryId) {
+  const { rows } = await db.query('SELECT * FROM inquiries WHERE id = $1', [inquiryId]);
+  if (!rows[0]) throw new Error(`Inquiry ${inquiryId} not found`);
+  return rows[0];
+}
+
+// ===================== AI =====================
+async function engagementSummary({ inquiryId }) {
+  const db = requireDb();
+  const inquiry = await inquiryRow(db, inquiryId);
+  const result = await summariseFamilyEngagement(db, inquiry);
+
+  await db.query(`
+    INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json, confidence_score, generated_at)
+    VALUES ($1, 'engagement_summary', $2::jsonb, 1.0, NOW())
+    ON CONFLICT (inquiry_id, analysis_type)
+    DO UPDATE SET insights_json = EXCLUDED.insights_json,
+                  confidence_score = EXCLUDED.confidence_score,
+                  generated_at = EXCLUDED.generated_at
+  `, [inquiryId, JSON.stringify(result)]);
+
+  return { narrative: result.narrative };
+}
+
+async function summaryRepair({ inquiryId }) {
+  const db = requireDb();
+  const inquiry = await inquiryRow(db, inquiryId);
+  const dwellMs = Number(inquiry.dwell_ms || 0);
+  const minutes = Math.round(dwellMs / 60000);
+  const seconds = Math.round(dwellMs / 1000);
+
+  const sections = await db.query(`
+    SELECT
+      COALESCE(event_data->>'currentSection', 'unknown') AS section,
+      SUM(COALESCE((event_data->>'timeInSectionSec')::int, 0)) AS dwell_seconds,
+      MAX(COALESCE((event_data->>'maxScrollPct')::int, 0)) AS scroll_pct
+    FROM tracking_events
+    WHERE inquiry_id = $1
+      AND event_type = 'section_exit'
+    GROUP BY 1
+    ORDER BY 2 DESC
+    LIMIT 5
+  `, [inquiryId]);
+
+  let narrative = `${inquiry.first_name} ${inquiry.family_surname}'s family spent ${minutes > 0 ? minutes + ' minutes' : seconds + ' seconds'} exploring their personalised prospectus. `;
+
+  const topSections = sections.rows
+    .slice(0, 3)
+    .map(s => s.section.replace(/_/g, ' '))
+    .filter(s => s !== 'unknown');
+  if (topSections.length > 0) {
+    narrative += `They showed particular interest in ${topSections.join(', ')}. `;
+  }
+
+  narrative += `This engagement shows genuine interest in More House. A follow-up conversation would be valuable.`;
+
+  const highlights = [
+    `• Engaged for ${minutes > 0 ? minutes + ' minutes' : seconds + ' seconds'}`,
+    `• Explored ${sections.rows.length} sections`,
+    `• Ready for personalised follow-up`
+  ];
+
+  await db.query(`
+    INSERT INTO ai_family_insights (inquiry_id, analysis_type, insights_json, generated_at)
+    VALUES ($1, 'engagement_summary', $2::jsonb, NOW())
+    ON CONFLICT (inquiry_id, analysis_type)
+    DO UPDATE SET
+      insights_json = EXCLUDED.insights_json,
+      generated_at = NOW()
+  `, [inquiryId, JSON.stringify({ narrative, highlights })]);
+
+  return { name: `${inquiry.first_name} ${inquiry.family_surname}`, dwellMinutes: minutes };
+}
+
+async function familyAnalysis({ inquiryId }) {
+  const inquiry = await getInquiryRepository().findById(inquiryId);
+  if (!inquiry) throw new Error(`Inquiry ${inquiryId} not found`);
+
+  const analysis = await analyseFamilyProfile(getDb(), inquiry);
+  // analyzeFamily falls back to a placeholder profile when the AI call fails;
+  // worth another attempt later
+  if (analysis.error) throw new Error(`AI analysis failed: ${analysis.error}`);
+
+  return { leadScore: analysis.leadScore, urgencyLevel: analysis.urgencyLevel, leadTemperature: analysis.leadTemperature };
+}
+
+// ===================== TRANSLATION =====================
+async function translationPrecache({ language }) {
+  const summary = await precacheSegments(await prospectusPages(), language);
+  // Translated segments stay cached, so a retry only asks for the rest
+  if (summary.failed) throw new Error(`${summary.failed} of ${summary.segments} segments not translated`);
+  return summary;
+}
+
+// ===================== ENGAGEMENT =====================
+async function engagementRescore() {
+  return { changed: await rescoreFamilies(requireDb()) };
+}
+
+function registerJobHandlers() {
+  defineJob('engagement_summary', engagementSummary, { concurrency: 2 });
+  defineJob('summary_repair', summaryRepair, { concurrency: 2 });
+  defineJob('family_analysis', familyAnalysis, { concurrency: 2 });
+  defineJob('translation_precache', translationPrecache, { concurrency: 1 });
+  defineJob('engagement_rescore', engagementRescore, { concurrency: 1 });
+  defineJob('alert_delivery', deliverAlert, { concurrency: 2, maxAttempts: 5 });
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,342 @@
+// Background jobs: work too slow for an HTTP request (AI summaries, family
+// analysis, translation) is queued here and run by workers in the server
+// process. defineJob() names a type, the function that does it and how many
+// may run at once; enqueue() / enqueueBatch() add jobs and the dashboard
+// polls /api/jobs for how they are getting on.
+//
+// A job is { id, type, payload, status, batchId, attempts, maxAttempts,
+// runAt, lockedAt, lockedBy, lastError, result, createdBy, createdAt,
+// updatedAt, finishedAt }; status goes queued -> running -> done, or back to
+// queued with runAt pushed back after a failure until maxAttempts are used
+// up, then failed. Jobs live in the jobs table, or DATA_DIR/jobs.json in
+// JSON-only mode, so they outlast a restart; a job left running by a process
+// that died is picked up again once JOB_TIMEOUT_MS has passed.
+//
+//   JOB_POLL_MS         how often workers look for due jobs (default 2000)
+//   JOB_RETRY_BASE_MS   wait before the first retry, doubling after (30000)
+//   JOB_TIMEOUT_MS      when a running job counts as abandoned (900000)
+//   JOB_CONCURRENCY_<TYPE>  overrides a type's concurrency
+//   JOB_WORKERS=false   queue jobs but leave running them to another process
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const MAX_FINISHED_JSON_JOBS = 500;
+
+const pollMs = () => Number(process.env.JOB_POLL_MS) || 2000;
+const retryBaseMs = () => (process.env.JOB_RETRY_BASE_MS !== undefined ? Number(process.env.JOB_RETRY_BASE_MS) : 30000);
+const timeoutMs = () => Number(process.env.JOB_TIMEOUT_MS) || 15 * 60 * 1000;
+
+// ===================== JSON BACKEND =====================
+function createJsonJobStore({ file = path.join(DATA_DIR, 'jobs.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextId: 1, jobs: [] }),
+    beforeSave: s => {
+      const finished = s.jobs.filter(j => j.status === 'done' || j.status === 'failed');
+      if (finished.length > MAX_FINISHED_JSON_JOBS) {
+        const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_JSON_JOBS));
+        s.jobs = s.jobs.filter(j => !drop.has(j));
+      }
+    }
+  });
+
+  return {
+    kind: 'json',
+
+    async add(job) {
+      const s = await load();
+      const now = new Date().toISOString();
+      const stored = {
+        id: s.nextId++,
+        ...job,
+        status: 'queued',
+        attempts: 0,
+        runAt: (job.runAt || new Date()).toISOString(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+      };
+      s.jobs.push(stored);
+      await save();
+      return { ...stored };
+    },
+
+    async claim(type, { workerId, staleBefore }) {
+      const s = await load();
+      const now = new Date();
+      const job = s.jobs
+        .filter(j => j.type === type && (
+          (j.status === 'queued' && new Date(j.runAt) <= now)
+          || (j.status === 'running' && new Date(j.lockedAt) < staleBefore)))
+        .sort((a, b) => new Date(a.runAt) - new Date(b.runAt) || a.id - b.id)[0];
+      if (!job) return null;
+      Object.assign(job, {
+        status: 'running',
+        attempts: job.attempts + 1,
+        lockedAt: now.toISOString(),
+        lockedBy: workerId,
+        updatedAt: now.toISOString()
+      });
+      await save();
+      return { ...job };
+    },
+
+    async update(id, patch) {
+      const s = await load();
+      const job = s.jobs.find(j => j.id === id);
+      if (!job) return;
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      for (const key of ['runAt', 'finishedAt']) {
+        if (job[key] instanceof Date) job[key] = job[key].toISOString();
+      }
+      await save();
+    },
+
+    async get(id) {
+      const s = await load();
+      const job = s.jobs.find(j => j.id === Number(id));
+      return job ? { ...job } : null;
+    },
+
+    async list({ batchId, status, type, limit = 100 } = {}) {
+      const s = await load();
+      return s.jobs
+        .filter(j => (!batchId || j.batchId === batchId) && (!status || j.status === status) && (!type || j.type === type))
+        .slice(-limit)
+        .reverse()
+        .map(j => ({ ...j }));
+    }
+  };
+}
+
+// ===================== POSTGRES BACKEND =====================
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    payload: row.payload || {},
+    status: row.status,
+    batchId: row.batch_id,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: iso(row.run_at),
+    lockedAt: iso(row.locked_at),
+    lockedBy: row.locked_by,
+    lastError: row.last_error,
+    result: row.result,
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at),
+    finishedAt: iso(row.finished_at)
+  };
+}
+
+// Job properties update() may set, with their columns
+const UPDATABLE = {
+  status: 'status',
+  runAt: 'run_at',
+  lockedAt: 'locked_at',
+  lockedBy: 'locked_by',
+  lastError: 'last_error',
+  result: 'result',
+  finishedAt: 'finished_at'
+};
+
+function createPostgresJobStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const db = resolveDb();
+    if (!db) throw new Error('Database not connected');
+    return db.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async add(job) {
+      const { rows } = await query(`
+        INSERT INTO jobs (type, payload, batch_id, max_attempts, created_by, run_at)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
+        RETURNING *`,
+      [job.type, JSON.stringify(job.payload || {}), job.batchId || null, job.maxAttempts, job.createdBy || null, job.runAt || null]);
+      return fromRow(rows[0]);
+    },
+
+    // SKIP LOCKED so workers in several processes never take the same job
+    async claim(type, { workerId, staleBefore }) {
+      const { rows } = await query(`
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP,
+            locked_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE type = $1
+            AND ((status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+              OR (status = 'running' AND locked_at < $3))
+          ORDER BY run_at, id
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *`,
+      [type, workerId, staleBefore]);
+      return rows[0] ? fromRow(rows[0]) : null;
+    },
+
+    async update(id, patch) {
+      const columns = Object.keys(patch).filter(k => UPDATABLE[k]);
+      const values = columns.map(k => (k === 'result' && patch[k] !== null ? JSON.stringify(patch[k]) : patch[k]));
+      await query(
+        `UPDATE jobs SET ${columns.map((k, i) => `${UPDATABLE[k]} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [id, ...values]
+      );
+    },
+
+    async get(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM jobs WHERE id = $1', [Number(id)]);
+      return rows[0] ? fromRow(rows[0]) : null;
+    },
+
+    async list({ batchId, status, type, limit = 100 } = {}) {
+      const where = [];
+      const params = [];
+      if (batchId) { params.push(batchId); where.push(`batch_id = $${params.length}`); }
+      if (status) { params.push(status); where.push(`status = $${params.length}`); }
+      if (type) { params.push(type); where.push(`type = $${params.length}`); }
+      params.push(limit);
+      const { rows } = await query(
+        `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT $${params.length}`,
+        params
+      );
+      return rows.map(fromRow);
+    }
+  };
+}
+
+const jsonStore = createJsonJobStore();
+const postgresStore = createPostgresJobStore();
+
+function getJobStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== QUEUE =====================
+// type -> { run(payload, job), concurrency, maxAttempts, running }
+const handlers = new Map();
+const active = new Set();
+let pollTimer = null;
+
+function defineJob(type, run, { concurrency = 1, maxAttempts = 3 } = {}) {
+  const override = Number(process.env[`JOB_CONCURRENCY_${type.toUpperCase()}`]);
+  handlers.set(type, { run, concurrency: override > 0 ? override : concurrency, maxAttempts, running: 0 });
+}
+
+async function enqueue(type, payload = {}, { batchId = null, createdBy = null, runAt = null } = {}) {
+  const handler = handlers.get(type);
+  if (!handler) throw new Error(`Unknown job type "${type}"`);
+  const job = await getJobStore().add({ type, payload, batchId, createdBy, runAt, maxAttempts: handler.maxAttempts });
+  wake();
+  return job;
+}
+
+// Queues one job per payload under a shared batchId
+async function enqueueBatch(type, payloads, options = {}) {
+  const batchId = `B-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const jobs = [];
+  for (const payload of payloads) jobs.push(await enqueue(type, payload, { ...options, batchId }));
+  return { batchId, jobs };
+}
+
+async function runJob(handler, job) {
+  const store = getJobStore();
+  try {
+    const result = await handler.run(job.payload, job);
+    await store.update(job.id, { status: 'done', result: result === undefined ? null : result, lastError: null, lockedAt: null, finishedAt: new Date() });
+    console.log(`✅ Job ${job.id} (${job.type}) done`);
+  } catch (error) {
+    const retry = job.attempts < job.maxAttempts;
+    await store.update(job.id, retry
+      ? { status: 'queued', lastError: error.message, lockedAt: null, runAt: new Date(Date.now() + retryBaseMs() * 2 ** (job.attempts - 1)) }
+      : { status: 'failed', lastError: error.message, lockedAt: null, finishedAt: new Date() }
+    ).catch(e => console.error(`❌ Failed to record the outcome of job ${job.id}:`, e.message));
+    console.warn(`⚠️ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed${retry ? ', will retry' : ''}: ${error.message}`);
+  }
+}
+
+// Starts due jobs of a type until it is at its concurrency limit
+async function fill(type, handler) {
+  while (pollTimer && handler.running < handler.concurrency) {
+    handler.running++;
+    let job;
+    try {
+      job = await getJobStore().claim(type, { workerId: WORKER_ID, staleBefore: new Date(Date.now() - timeoutMs()) });
+    } catch (e) {
+      console.warn(`⚠️ Could not claim ${type} jobs:`, e.message);
+    }
+    if (!job) {
+      handler.running--;
+      return;
+    }
+    const running = runJob(handler, job).finally(() => {
+      handler.running--;
+      active.delete(running);
+      wake();
+    });
+    active.add(running);
+  }
+}
+
+function pump() {
+  for (const [type, handler] of handlers) fill(type, handler);
+}
+
+function wake() {
+  if (pollTimer) setImmediate(pump);
+}
+
+function startWorkers() {
+  if (pollTimer || process.env.JOB_WORKERS === 'false') return;
+  pollTimer = setInterval(pump, pollMs());
+  pollTimer.unref();
+  console.log(`🧰 Job workers started (${[...handlers.keys()].join(', ')})`);
+  wake();
+}
+
+// Stops taking jobs and waits for the running ones to finish
+async function stopWorkers() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  await Promise.allSettled([...active]);
+}
+
+async function getJob(id) {
+  return getJobStore().get(id);
+}
+
+async function listJobs(filters) {
+  return getJobStore().list(filters);
+}
+
+module.exports = {
+  createJsonJobStore,
+  createPostgresJobStore,
+  defineJob,
+  enqueue,
+  enqueueBatch,
+  startWorkers,
+  stopWorkers,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,55 @@
+// The state behind a JSON-only store: one file in DATA_DIR, read once and
+// kept in memory, written back after each change. The job queue, alerts,
+// family emails, nurture, events, status history and pipelines keep theirs
+// this way.
+//
+// No file yet means a new store (initial()). A file that can't be read or
+// isn't JSON is an error, not an empty store, so a damaged file is never
+// saved over with nothing. Writes go one after another, each with the latest
+// state, through a temporary file so a crash mid-write leaves the last good
+// copy; a write that fails rejects the save() it came from.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// initial: () => the state of a new store
+// beforeSave: (state) => void, e.g. to drop the oldest entries
+function createJsonFileState({ file, initial, beforeSave = () => {} }) {
+  let state = null;
+  let loading = null;
+  let saving = Promise.resolve();
+
+  async function read() {
+    try {
+      state = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`Could not load ${path.basename(file)}: ${e.message}`, { cause: e });
+      state = initial();
+    }
+    return state;
+  }
+
+  // Callers that arrive while the file is being read share that read
+  async function load() {
+    if (state) return state;
+    if (!loading) loading = read().finally(() => { loading = null; });
+    return loading;
+  }
+
+  function save() {
+    const write = saving.then(async () => {
+      beforeSave(state);
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(temp, JSON.stringify(state, null, 2));
+      await fs.rename(temp, file);
+    });
+    // The next write goes ahead whether or not this one worked
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  return { load, save };
+}
+
+module.exports = { createJsonFileState };
@@ -0,0 +1,119 @@
+// The languages families can read prospectuses and the enquiry form in. This
+// is the only list: /api/deepl checks against it, precache-translations.js
+// warms it and the pages' language pickers are filled from it (served to them
+// as /languages.js). English is the source language and is never translated.
+//
+// For each language:
+//   dir        - 'rtl' lays the pages out right to left
+//   fonts      - font-family fallbacks for scripts the pages' own fonts lack
+//   deeplCode  - DeepL's target_lang, or null where DeepL has no such language
+//   googleCode - Google Translate's code where it isn't the same as ours
+//   provider   - the translation provider to use unless the environment says
+//                otherwise (server/services/translation-providers.js)
+
+const SOURCE_LANGUAGE = 'en';
+
+const CJK_SANS = ['"Noto Sans CJK"', 'sans-serif'];
+const ARABIC_SCRIPT = ['"Noto Naskh Arabic"', '"Geeza Pro"', '"Segoe UI"', 'Tahoma', 'sans-serif'];
+
+const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', flag: '🇬🇧', dir: 'ltr', fonts: null, deeplCode: null },
+  { code: 'zh', name: 'Chinese', nativeName: '中文', flag: '🇨🇳', dir: 'ltr', deeplCode: 'ZH', googleCode: 'zh-CN',
+    fonts: ['"PingFang SC"', '"Noto Sans SC"', '"Microsoft YaHei"', ...CJK_SANS] },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية', flag: '🇸🇦', dir: 'rtl', deeplCode: 'AR', fonts: ARABIC_SCRIPT },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский', flag: '🇷🇺', dir: 'ltr', deeplCode: 'RU', fonts: null },
+  { code: 'fr', name: 'French', nativeName: 'Français', flag: '🇫🇷', dir: 'ltr', deeplCode: 'FR', fonts: null },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', flag: '🇪🇸', dir: 'ltr', deeplCode: 'ES', fonts: null },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', flag: '🇩🇪', dir: 'ltr', deeplCode: 'DE', fonts: null },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', flag: '🇮🇹', dir: 'ltr', deeplCode: 'IT', fonts: null },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', flag: '🇯🇵', dir: 'ltr', deeplCode: 'JA',
+    fonts: ['"Hiragino Kaku Gothic ProN"', '"Noto Sans JP"', '"Yu Gothic"', 'Meiryo', ...CJK_SANS] },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', flag: '🇰🇷', dir: 'ltr', deeplCode: 'KO',
+    fonts: ['"Apple SD Gothic Neo"', '"Noto Sans KR"', '"Malgun Gothic"', ...CJK_SANS] },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', flag: '🇵🇹', dir: 'ltr', deeplCode: 'PT-PT', fonts: null },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe', flag: '🇹🇷', dir: 'ltr', deeplCode: 'TR', fonts: null },
+  { code: 'he', name: 'Hebrew', nativeName: 'עברית', flag: '🇮🇱', dir: 'rtl', deeplCode: 'HE',
+    fonts: ['"Noto Sans Hebrew"', '"Arial Hebrew"', 'Arial', 'sans-serif'] },
+  { code: 'ur', name: 'Urdu', nativeName: 'اردو', flag: '🇵🇰', dir: 'rtl', deeplCode: null, provider: 'google',
+    fonts: ['"Noto Nastaliq Urdu"', '"Jameel Noori Nastaleeq"', ...ARABIC_SCRIPT] }
+];
+
+const LANGUAGE_CODES = LANGUAGES.map(l => l.code);
+const TRANSLATED_LANGUAGES = LANGUAGE_CODES.filter(code => code !== SOURCE_LANGUAGE);
+
+function getLanguage(code) {
+  return LANGUAGES.find(l => l.code === code) || null;
+}
+
+function isSupportedLanguage(code) {
+  return LANGUAGE_CODES.includes(String(code || '').trim().toLowerCase());
+}
+
+// A supported code from user input (?lang=, form fields), else English
+function resolveLanguage(code) {
+  const wanted = String(code || '').trim().toLowerCase();
+  return LANGUAGE_CODES.includes(wanted) ? wanted : SOURCE_LANGUAGE;
+}
+
+// <html> attributes for a page in code
+function htmlAttributes(code) {
+  const language = getLanguage(code) || getLanguage(SOURCE_LANGUAGE);
+  return `lang="${language.code}" dir="${language.dir}"`;
+}
+
+// The font fallbacks as CSS, for pages whose <html lang> is set
+function fontCss() {
+  return LANGUAGES.filter(l => l.fonts).map(l => {
+    const scope = `html[lang="${l.code}"]`;
+    return `${scope} body, ${scope} body :is(h1, h2, h3, h4, h5, h6, p, label, input, select, textarea, button) { font-family: ${l.fonts.join(', ')}; }`;
+  }).join('\n');
+}
+
+// The browser side of the list, for <script src="/languages.js"> placed just
+// after a language picker: fills every select[data-language-picker] above it
+// and adds the font fallbacks
+function languagesScript() {
+  const list = LANGUAGES.map(({ code, name, nativeName, flag, dir }) => ({ code, name, nativeName, flag, dir }));
+  return `// Generated from server/services/languages.js
+window.MH_LANGUAGES = (function () {
+  var list = ${JSON.stringify(list)};
+  var style = document.createElement('style');
+  style.id = 'mh-language-fonts';
+  style.textContent = ${JSON.stringify(fontCss())};
+  document.head.appendChild(style);
+  var codes = list.map(function (l) { return l.code; });
+  function find(code) { return list.filter(function (l) { return l.code === code; })[0]; }
+  function fillPicker(select) {
+    var current = select.value;
+    select.innerHTML = '';
+    list.forEach(function (l) {
+      var option = document.createElement('option');
+      option.value = l.code;
+      option.textContent = l.flag + ' ' + l.nativeName;
+      select.appendChild(option);
+    });
+    if (codes.indexOf(current) !== -1) select.value = current;
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('select[data-language-picker]'), fillPicker);
+  return {
+    list: list,
+    codes: codes,
+    has: function (code) { return codes.indexOf(code) !== -1; },
+    dir: function (code) { var l = find(code); return l ? l.dir : 'ltr'; },
+    fillPicker: fillPicker
+  };
+})();
+`;
+}
+
+module.exports = {
+  SOURCE_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_CODES,
+  TRANSLATED_LANGUAGES,
+  getLanguage,
+  isSupportedLanguage,
+  resolveLanguage,
+  htmlAttributes,
+  languagesScript
+};
@@ -0,0 +1,65 @@
+// Outbound email over SMTP (nodemailer), for staff alerts and anything else
+// the server sends.
+//
+//   SMTP_HOST    the relay; without it nothing can be sent
+//   SMTP_PORT    default 587, or 465 with SMTP_SECURE
+//   SMTP_SECURE  true for TLS from the start (port 465); otherwise STARTTLS
+//                when the server offers it
+//   SMTP_USER / SMTP_PASS   login, when the relay needs one
+//   MAIL_FROM    the From address (default admissions@morehouse.org.uk)
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+let transportKey = null;
+
+function smtpSettings() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST || '',
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined
+  };
+}
+
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+// One transport, made again if the settings change
+function getTransport() {
+  const settings = smtpSettings();
+  if (!settings.host) throw new Error('Email is not configured (SMTP_HOST is not set)');
+  const key = JSON.stringify(settings);
+  if (!transport || transportKey !== key) {
+    if (transport) transport.close();
+    transport = nodemailer.createTransport({
+      ...settings,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000
+    });
+    transportKey = key;
+  }
+  return transport;
+}
+
+// { to, subject, text, html, headers } -> { messageId, accepted, rejected }.
+// Throws when the relay refuses the message or can't be reached.
+async function sendMail({ to, subject, text, html, headers }) {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'More House Admissions <admissions@morehouse.org.uk>',
+    to,
+    subject,
+    text,
+    html,
+    headers
+  });
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
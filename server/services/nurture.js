@@ -0,0 +1,727 @@
+// Nurture sequences: timed emails to a family after they enquire - "did you
+// see the sixth form section?" on day 2, an open morning invitation on day 7,
+// a check-in on day 21. Staff enrol families, or a sequence with autoEnrol
+// takes every new enquiry. Each step's day counts from enrolment, and steps
+// are never sent closer together than the sequence spaces them, so a family
+// resumed after a pause doesn't get two at once. A step is sent as a tracked
+// family email (family-emails.js) only if its conditions (`when`) hold:
+//   status                             their pipeline status is one of these
+//   viewedSection / notViewedSection   they have / haven't opened the section
+//   withEvent / withoutEvent           they have / haven't done this yet
+//                                      (a tracked event type)
+//   minVisits / maxVisits              how many visits they have made
+//   quietForDays                       no visit for at least this many days
+// otherwise it is skipped and the family moves on to the next step.
+//
+// Moving a family to a stage of their pipeline marked pauseNurture
+// (pipeline-config.js; tour_booked and not_interested by default) pauses
+// their sequences; staff resume them by hand. Engagement comes from
+// tracking_events, so without the database the conditions see no visits.
+//
+// The scheduler runs in the server process every NURTURE_POLL_MS (default
+// 60000); NURTURE_SCHEDULER=false leaves it to another process. Each pass
+// claims the enrolments it runs, so several processes can share the work.
+// runNurture({ now }) runs a pass as if it were `now`, which is how the
+// tests drive it with a fake clock. The emails' links need PUBLIC_BASE_URL.
+
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+const { getInquiryRepository } = require('./inquiry-repository');
+const { prospectusUrlFor, sendFamilyEmail } = require('./family-emails');
+const { EVENT_TYPES } = require('./tracking-events');
+const { pipelineOf, findStage, statusKey } = require('./pipeline-config');
+const { prettySectionName } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STEPS = 20;
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_MS = 60 * 60 * 1000;
+// How long a pass holds an enrolment it has claimed
+const CLAIM_MS = 10 * 60 * 1000;
+const DUE_PER_PASS = 200;
+const MAX_JSON_RUNS = 5000;
+
+const pollMs = () => Number(process.env.NURTURE_POLL_MS) || 60000;
+
+// ===================== CONDITIONS =====================
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const CONDITION_KINDS = {
+  statuses: {
+    check: v => Array.isArray(v) && v.length > 0 && v.every(s => typeof s === 'string' && s.trim()),
+    description: 'a list of pipeline statuses'
+  },
+  key: { check: v => typeof v === 'string' && /^[\w-]{1,100}$/.test(v), description: 'a section id' },
+  eventType: {
+    check: v => typeof v === 'string' && Object.prototype.hasOwnProperty.call(EVENT_TYPES, v),
+    description: 'a tracked event type'
+  },
+  count: { check: v => Number.isInteger(v) && v >= 0 && v <= 1000, description: 'a whole number' },
+  days: { check: v => typeof v === 'number' && v > 0 && v <= 365, description: 'a number of days up to 365' }
+};
+
+// check(value, signals, now) -> null when the condition holds, else why not
+const CONDITIONS = {
+  status: {
+    kind: 'statuses',
+    check: (v, s) => (v.map(statusKey).includes(s.status) ? null : `status is ${s.status || 'not set'}`)
+  },
+  viewedSection: {
+    kind: 'key',
+    check: (v, s) => (s.sections.has(v) ? null : `hasn't opened ${prettySectionName(v)}`)
+  },
+  notViewedSection: {
+    kind: 'key',
+    check: (v, s) => (s.sections.has(v) ? `has already opened ${prettySectionName(v)}` : null)
+  },
+  withEvent: {
+    kind: 'eventType',
+    check: (v, s) => (s.eventTypes.has(v) ? null : `no ${v} yet`)
+  },
+  withoutEvent: {
+    kind: 'eventType',
+    check: (v, s) => (s.eventTypes.has(v) ? `already has ${v}` : null)
+  },
+  minVisits: {
+    kind: 'count',
+    check: (v, s) => (s.visits >= v ? null : `${plural(s.visits, 'visit')}, fewer than ${v}`)
+  },
+  maxVisits: {
+    kind: 'count',
+    check: (v, s) => (s.visits <= v ? null : `${plural(s.visits, 'visit')}, more than ${v}`)
+  },
+  quietForDays: {
+    kind: 'days',
+    check: (v, s, now) => (!s.lastVisitAt || now - s.lastVisitAt.getTime() >= v * DAY_MS ? null : `visited in the last ${plural(v, 'day')}`)
+  }
+};
+
+// Why the step shouldn't be sent, or null if it should
+function checkStep(step, signals, now = Date.now()) {
+  for (const [name, value] of Object.entries(step.when || {})) {
+    const unmet = CONDITIONS[name].check(value, signals, now);
+    if (unmet) return unmet;
+  }
+  return null;
+}
+
+// What the conditions look at, for one family
+async function engagementSignals(inquiryId) {
+  const signals = { visits: 0, lastVisitAt: null, sections: new Set(), eventTypes: new Set() };
+  const db = getDb();
+  if (!db) return signals;
+
+  const { rows: [row] } = await db.query(`
+    SELECT COUNT(DISTINCT session_id) AS visits,
+           MAX(timestamp) AS last_at,
+           ARRAY_AGG(DISTINCT event_type) AS event_types,
+           ARRAY_AGG(DISTINCT COALESCE(event_data->>'section', event_data->>'currentSection'))
+             FILTER (WHERE event_type IN ('section_enter', 'section_exit')) AS sections
+    FROM tracking_events
+    WHERE inquiry_id = $1
+  `, [inquiryId]);
+  signals.visits = Number(row.visits) || 0;
+  signals.lastVisitAt = row.last_at ? new Date(row.last_at) : null;
+  for (const t of row.event_types || []) if (t) signals.eventTypes.add(t);
+  for (const s of row.sections || []) if (s) signals.sections.add(s);
+  return signals;
+}
+
+// ===================== SEQUENCES =====================
+function validateStep(step, i, errors) {
+  const at = `steps[${i}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push(`${at} must be an object`);
+    return null;
+  }
+  if (typeof step.day !== 'number' || step.day < 0 || step.day > 365) errors.push(`${at}.day must be a number of days from 0 to 365`);
+  if (typeof step.subject !== 'string' || !step.subject.trim() || step.subject.length > 200) errors.push(`${at}.subject is required (up to 200 characters)`);
+  if (typeof step.body !== 'string' || !step.body.trim() || step.body.length > 20000) errors.push(`${at}.body is required`);
+
+  const when = {};
+  if (step.when !== undefined && step.when !== null) {
+    if (typeof step.when !== 'object' || Array.isArray(step.when)) {
+      errors.push(`${at}.when must be an object`);
+    } else {
+      for (const [name, value] of Object.entries(step.when)) {
+        const condition = Object.prototype.hasOwnProperty.call(CONDITIONS, name) ? CONDITIONS[name] : null;
+        if (!condition) errors.push(`${at}.when.${name} is not a condition (${Object.keys(CONDITIONS).join(', ')})`);
+        else if (!CONDITION_KINDS[condition.kind].check(value)) errors.push(`${at}.when.${name} must be ${CONDITION_KINDS[condition.kind].description}`);
+        else when[name] = condition.kind === 'statuses' ? value.map(statusKey) : value;
+      }
+    }
+  }
+  return { day: step.day, subject: String(step.subject || '').trim(), body: step.body, when };
+}
+
+// Checks a sequence from staff; fields left out keep their values from
+// current. Returns { errors, sequence }.
+function validateSequence(input, current = null) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['sequence must be an object'], sequence: null };
+  const has = field => input[field] !== undefined;
+  const sequence = {
+    name: has('name') ? input.name : current && current.name,
+    enabled: has('enabled') ? input.enabled : current ? current.enabled : true,
+    autoEnrol: has('autoEnrol') ? input.autoEnrol : current ? current.autoEnrol : false,
+    steps: has('steps') ? input.steps : current && current.steps
+  };
+
+  if (typeof sequence.name !== 'string' || !sequence.name.trim() || sequence.name.length > 200) errors.push('name is required (up to 200 characters)');
+  if (typeof sequence.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (typeof sequence.autoEnrol !== 'boolean') errors.push('autoEnrol must be true or false');
+  if (!Array.isArray(sequence.steps) || !sequence.steps.length || sequence.steps.length > MAX_STEPS) {
+    errors.push(`steps must be a list of 1 to ${MAX_STEPS} steps`);
+  } else {
+    sequence.steps = sequence.steps.map((step, i) => validateStep(step, i, errors));
+    if (!errors.length && sequence.steps.some((s, i) => i > 0 && s.day < sequence.steps[i - 1].day)) {
+      errors.push('steps must be in order of day');
+    }
+  }
+
+  if (errors.length) return { errors, sequence: null };
+  sequence.name = sequence.name.trim();
+  return { errors, sequence };
+}
+
+// {{first_name}}, {{family_name}} and {{parent_name}} from the inquiry;
+// {{prospectus_link}} is left for family-emails.js
+function fillTemplate(text, inquiry) {
+  const values = {
+    first_name: inquiry.firstName,
+    family_name: inquiry.familySurname,
+    parent_name: inquiry.parentName
+  };
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] ? String(values[name]) : Object.prototype.hasOwnProperty.call(values, name) ? '' : match));
+}
+
+// When the step after `step` is due: its day from enrolment, but no sooner
+// after `ranAt` than the sequence spaces the two
+function nextRunAt(sequence, enrolledAt, step, ranAt) {
+  const next = sequence.steps[step + 1];
+  if (!next) return null;
+  const onSchedule = new Date(enrolledAt).getTime() + next.day * DAY_MS;
+  const spaced = ranAt + (next.day - sequence.steps[step].day) * DAY_MS;
+  return new Date(Math.max(onSchedule, spaced));
+}
+
+// ===================== STORES =====================
+function createJsonNurtureStore({ file = path.join(DATA_DIR, 'nurture.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextSequenceId: 1, nextEnrollmentId: 1, nextRunId: 1, sequences: [], enrollments: [], runs: [] }),
+    beforeSave: s => {
+      if (s.runs.length > MAX_JSON_RUNS) s.runs = s.runs.slice(-MAX_JSON_RUNS);
+    }
+  });
+
+  const stamp = patch => Object.fromEntries(Object.entries(patch).map(([k, v]) => [k, v instanceof Date ? v.toISOString() : v]));
+
+  return {
+    kind: 'json',
+
+    async listSequences() {
+      return (await load()).sequences.slice();
+    },
+
+    async getSequence(id) {
+      return (await load()).sequences.find(s => s.id === Number(id)) || null;
+    },
+
+    async createSequence(sequence, createdBy) {
+      const s = await load();
+      const now = new Date().toISOString();
+      const stored = { id: s.nextSequenceId++, ...sequence, createdBy: createdBy || null, createdAt: now, updatedAt: now };
+      s.sequences.push(stored);
+      await save();
+      return stored;
+    },
+
+    async updateSequence(id, sequence) {
+      const stored = await this.getSequence(id);
+      if (!stored) return null;
+      Object.assign(stored, sequence, { updatedAt: new Date().toISOString() });
+      await save();
+      return stored;
+    },
+
+    async deleteSequence(id) {
+      const s = await load();
+      const before = s.sequences.length;
+      s.sequences = s.sequences.filter(q => q.id !== Number(id));
+      if (s.sequences.length === before) return false;
+      const gone = new Set(s.enrollments.filter(e => e.sequenceId === Number(id)).map(e => e.id));
+      s.enrollments = s.enrollments.filter(e => !gone.has(e.id));
+      s.runs = s.runs.filter(r => !gone.has(r.enrollmentId));
+      await save();
+      return true;
+    },
+
+    // The stored enrolment, or null if the family is already in the sequence
+    async enrol(enrollment) {
+      const s = await load();
+      if (s.enrollments.some(e => e.sequenceId === enrollment.sequenceId && e.inquiryId === enrollment.inquiryId)) return null;
+      const stored = {
+        id: s.nextEnrollmentId++,
+        ...stamp(enrollment),
+        attempts: 0,
+        pauseReason: null,
+        pausedAt: null,
+        finishedAt: null,
+        updatedAt: new Date().toISOString()
+      };
+      s.enrollments.push(stored);
+      await save();
+      return stored;
+    },
+
+    async getEnrollment(id) {
+      return (await load()).enrollments.find(e => e.id === Number(id)) || null;
+    },
+
+    async listEnrollments({ inquiryId, sequenceId, status } = {}) {
+      return (await load()).enrollments
+        .filter(e => (!inquiryId || e.inquiryId === inquiryId) && (!sequenceId || e.sequenceId === Number(sequenceId)) && (!status || e.status === status))
+        .slice()
+        .reverse();
+    },
+
+    async updateEnrollment(id, patch) {
+      const enrollment = await this.getEnrollment(id);
+      if (!enrollment) return null;
+      Object.assign(enrollment, stamp(patch), { updatedAt: new Date().toISOString() });
+      await save();
+      return enrollment;
+    },
+
+    // Active enrolments in enabled sequences whose next step is due
+    async dueEnrollments(now, limit = DUE_PER_PASS) {
+      const s = await load();
+      const enabled = new Set(s.sequences.filter(q => q.enabled).map(q => q.id));
+      return s.enrollments
+        .filter(e => e.status === 'active' && enabled.has(e.sequenceId) && e.nextRunAt && new Date(e.nextRunAt) <= now)
+        .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt))
+        .slice(0, limit)
+        .map(e => ({ ...e }));
+    },
+
+    // Pushes nextRunAt on to until, if nobody else has run it since it was read
+    async claim(enrollment, until) {
+      const stored = await this.getEnrollment(enrollment.id);
+      if (!stored || stored.status !== 'active' || stored.nextRunAt !== enrollment.nextRunAt) return false;
+      stored.nextRunAt = until.toISOString();
+      await save();
+      return true;
+    },
+
+    async pauseActive(inquiryId, reason, now) {
+      const s = await load();
+      const active = s.enrollments.filter(e => e.inquiryId === inquiryId && e.status === 'active');
+      for (const e of active) Object.assign(e, { status: 'paused', pauseReason: reason, pausedAt: now.toISOString(), updatedAt: new Date().toISOString() });
+      if (active.length) await save();
+      return active.length;
+    },
+
+    async addRun(run) {
+      const s = await load();
+      const stored = { id: s.nextRunId++, ...stamp(run) };
+      s.runs.push(stored);
+      await save();
+      return stored;
+    },
+
+    async listRuns({ inquiryId } = {}) {
+      return (await load()).runs.filter(r => !inquiryId || r.inquiryId === inquiryId);
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function sequenceFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled,
+    autoEnrol: row.auto_enrol,
+    steps: row.steps,
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at)
+  };
+}
+
+function enrollmentFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    sequenceId: row.sequence_id,
+    inquiryId: row.inquiry_id,
+    status: row.status,
+    nextStep: row.next_step,
+    nextRunAt: iso(row.next_run_at),
+    attempts: row.attempts,
+    pauseReason: row.pause_reason,
+    enrolledBy: row.enrolled_by,
+    enrolledAt: iso(row.enrolled_at),
+    pausedAt: iso(row.paused_at),
+    finishedAt: iso(row.finished_at),
+    updatedAt: iso(row.updated_at)
+  };
+}
+
+function runFromRow(row) {
+  return {
+    id: row.id,
+    enrollmentId: row.enrollment_id,
+    inquiryId: row.inquiry_id,
+    step: row.step,
+    outcome: row.outcome,
+    reason: row.reason,
+    emailId: row.email_id,
+    ranAt: iso(row.ran_at)
+  };
+}
+
+const ENROLLMENT_COLUMNS = {
+  status: 'status',
+  nextStep: 'next_step',
+  nextRunAt: 'next_run_at',
+  attempts: 'attempts',
+  pauseReason: 'pause_reason',
+  pausedAt: 'paused_at',
+  finishedAt: 'finished_at'
+};
+
+function createPostgresNurtureStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async listSequences() {
+      const { rows } = await query('SELECT * FROM nurture_sequences ORDER BY id');
+      return rows.map(sequenceFromRow);
+    },
+
+    async getSequence(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM nurture_sequences WHERE id = $1', [Number(id)]);
+      return sequenceFromRow(rows[0]);
+    },
+
+    async createSequence(sequence, createdBy) {
+      const { rows } = await query(`
+        INSERT INTO nurture_sequences (name, enabled, auto_enrol, steps, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [sequence.name, sequence.enabled, sequence.autoEnrol, JSON.stringify(sequence.steps), createdBy || null]);
+      return sequenceFromRow(rows[0]);
+    },
+
+    async updateSequence(id, sequence) {
+      const { rows } = await query(`
+        UPDATE nurture_sequences
+        SET name = $2, enabled = $3, auto_enrol = $4, steps = $5, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [Number(id), sequence.name, sequence.enabled, sequence.autoEnrol, JSON.stringify(sequence.steps)]);
+      return sequenceFromRow(rows[0]);
+    },
+
+    async deleteSequence(id) {
+      if (!/^\d+$/.test(String(id))) return false;
+      const { rowCount } = await query('DELETE FROM nurture_sequences WHERE id = $1', [Number(id)]);
+      return rowCount > 0;
+    },
+
+    async enrol(enrollment) {
+      const { rows } = await query(`
+        INSERT INTO nurture_enrollments (sequence_id, inquiry_id, status, next_step, next_run_at, enrolled_by, enrolled_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (sequence_id, inquiry_id) DO NOTHING
+        RETURNING *
+      `, [enrollment.sequenceId, enrollment.inquiryId, enrollment.status, enrollment.nextStep,
+        enrollment.nextRunAt, enrollment.enrolledBy, enrollment.enrolledAt]);
+      return enrollmentFromRow(rows[0]);
+    },
+
+    async getEnrollment(id) {
+      if (!/^\d+$/.test(String(id))) return null;
+      const { rows } = await query('SELECT * FROM nurture_enrollments WHERE id = $1', [Number(id)]);
+      return enrollmentFromRow(rows[0]);
+    },
+
+    async listEnrollments({ inquiryId, sequenceId, status } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM nurture_enrollments
+        WHERE ($1::text IS NULL OR inquiry_id = $1)
+          AND ($2::int IS NULL OR sequence_id = $2)
+          AND ($3::text IS NULL OR status = $3)
+        ORDER BY enrolled_at DESC, id DESC
+      `, [inquiryId || null, sequenceId ? Number(sequenceId) : null, status || null]);
+      return rows.map(enrollmentFromRow);
+    },
+
+    async updateEnrollment(id, patch) {
+      const fields = Object.keys(patch).filter(k => ENROLLMENT_COLUMNS[k]);
+      const { rows } = await query(
+        `UPDATE nurture_enrollments SET ${fields.map((k, i) => `${ENROLLMENT_COLUMNS[k]} = $${i + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [Number(id), ...fields.map(k => patch[k])]
+      );
+      return enrollmentFromRow(rows[0]);
+    },
+
+    async dueEnrollments(now, limit = DUE_PER_PASS) {
+      const { rows } = await query(`
+        SELECT e.*
+        FROM nurture_enrollments e
+        JOIN nurture_sequences s ON s.id = e.sequence_id AND s.enabled
+        WHERE e.status = 'active' AND e.next_run_at <= $1
+        ORDER BY e.next_run_at
+        LIMIT $2
+      `, [now, limit]);
+      return rows.map(enrollmentFromRow);
+    },
+
+    async claim(enrollment, until) {
+      const { rowCount } = await query(`
+        UPDATE nurture_enrollments SET next_run_at = $3
+        WHERE id = $1 AND status = 'active' AND next_run_at = $2
+      `, [enrollment.id, new Date(enrollment.nextRunAt), until]);
+      return rowCount > 0;
+    },
+
+    async pauseActive(inquiryId, reason, now) {
+      const { rowCount } = await query(`
+        UPDATE nurture_enrollments
+        SET status = 'paused', pause_reason = $2, paused_at = $3, updated_at = NOW()
+        WHERE inquiry_id = $1 AND status = 'active'
+      `, [inquiryId, reason, now]);
+      return rowCount;
+    },
+
+    async addRun(run) {
+      const { rows } = await query(`
+        INSERT INTO nurture_step_runs (enrollment_id, inquiry_id, step, outcome, reason, email_id, ran_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [run.enrollmentId, run.inquiryId, run.step, run.outcome, run.reason, run.emailId, run.ranAt]);
+      return runFromRow(rows[0]);
+    },
+
+    async listRuns({ inquiryId } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM nurture_step_runs
+        WHERE ($1::text IS NULL OR inquiry_id = $1)
+        ORDER BY ran_at, id
+      `, [inquiryId || null]);
+      return rows.map(runFromRow);
+    }
+  };
+}
+
+const jsonStore = createJsonNurtureStore();
+const postgresStore = createPostgresNurtureStore();
+
+function getNurtureStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== ENROLMENT =====================
+// The new enrolment, or null if the family is already in the sequence
+async function enrolFamily(sequence, inquiryId, { enrolledBy = null, now = Date.now() } = {}) {
+  const enrolledAt = new Date(now);
+  return getNurtureStore().enrol({
+    sequenceId: sequence.id,
+    inquiryId,
+    status: 'active',
+    nextStep: 0,
+    nextRunAt: new Date(now + sequence.steps[0].day * DAY_MS),
+    enrolledBy,
+    enrolledAt
+  });
+}
+
+// A new enquiry joins every enabled sequence set to take them
+async function autoEnrolInquiry(inquiryId, { now = Date.now() } = {}) {
+  const sequences = (await getNurtureStore().listSequences()).filter(s => s.enabled && s.autoEnrol);
+  const enrolled = [];
+  for (const sequence of sequences) {
+    const enrollment = await enrolFamily(sequence, inquiryId, { enrolledBy: 'auto', now });
+    if (enrollment) enrolled.push(enrollment);
+  }
+  if (enrolled.length) console.log(`💌 ${inquiryId} enrolled in ${plural(enrolled.length, 'nurture sequence')}`);
+  return enrolled;
+}
+
+// The family has moved to a stage that pauses nurture (pipeline.js decides).
+// Resolves to how many sequences were paused.
+async function pauseForStatus(inquiryId, status, { now = Date.now() } = {}) {
+  const key = statusKey(status);
+  const paused = await getNurtureStore().pauseActive(inquiryId, `status:${key}`, new Date(now));
+  if (paused) console.log(`⏸️ Paused ${plural(paused, 'nurture sequence')} for ${inquiryId} (${key})`);
+  return paused;
+}
+
+// Staff pick a paused enrolment back up; a step that fell due meanwhile
+// goes out on the next pass
+async function resumeEnrollment(enrollment, { now = Date.now() } = {}) {
+  const due = Math.max(enrollment.nextRunAt ? Date.parse(enrollment.nextRunAt) : now, now);
+  return getNurtureStore().updateEnrollment(enrollment.id, {
+    status: 'active',
+    pauseReason: null,
+    pausedAt: null,
+    attempts: 0,
+    nextRunAt: new Date(due)
+  });
+}
+
+// ===================== SCHEDULER =====================
+async function advance(store, enrollment, sequence, ranAt) {
+  const next = enrollment.nextStep + 1;
+  if (next >= sequence.steps.length) {
+    return store.updateEnrollment(enrollment.id, { status: 'completed', nextStep: next, nextRunAt: null, attempts: 0, finishedAt: new Date(ranAt) });
+  }
+  return store.updateEnrollment(enrollment.id, {
+    nextStep: next,
+    nextRunAt: nextRunAt(sequence, enrollment.enrolledAt, enrollment.nextStep, ranAt),
+    attempts: 0
+  });
+}
+
+// Runs the enrolment's next step; resolves to sent | skipped | failed |
+// paused | stopped
+async function runStep(store, enrollment, now) {
+  const sequence = await store.getSequence(enrollment.sequenceId);
+  const step = sequence.steps[enrollment.nextStep];
+  const inquiry = await getInquiryRepository().findById(enrollment.inquiryId);
+  const log = (outcome, reason = null, emailId = null) => store.addRun({
+    enrollmentId: enrollment.id,
+    inquiryId: enrollment.inquiryId,
+    step: enrollment.nextStep,
+    outcome,
+    reason,
+    emailId,
+    ranAt: new Date(now)
+  });
+
+  if (!inquiry || !step) {
+    await store.updateEnrollment(enrollment.id, { status: 'stopped', nextRunAt: null, finishedAt: new Date(now) });
+    return 'stopped';
+  }
+  const stage = findStage(await pipelineOf(inquiry), inquiry.status);
+  const status = stage ? stage.key : statusKey(inquiry.status);
+  if (stage && stage.pauseNurture) {
+    await store.updateEnrollment(enrollment.id, { status: 'paused', pauseReason: `status:${status}`, pausedAt: new Date(now), nextRunAt: new Date(now) });
+    return 'paused';
+  }
+
+  const signals = { ...(await engagementSignals(inquiry.id)), status };
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const unmet = checkStep(step, signals, now)
+    || (!inquiry.parentEmail ? 'no parent email address' : null)
+    || (base && !prospectusUrlFor(inquiry, base) ? 'no prospectus link to send' : null);
+  if (unmet) {
+    await log('skipped', unmet);
+    await advance(store, enrollment, sequence, now);
+    return 'skipped';
+  }
+
+  const email = base
+    ? await sendFamilyEmail({
+      inquiry,
+      to: inquiry.parentEmail,
+      subject: fillTemplate(step.subject, inquiry),
+      body: fillTemplate(step.body, inquiry),
+      sentBy: `nurture: ${sequence.name}`,
+      base
+    })
+    : { status: 'failed', error: 'PUBLIC_BASE_URL is not set' };
+
+  if (email.status === 'sent') {
+    await log('sent', null, email.id);
+    await advance(store, enrollment, sequence, now);
+    return 'sent';
+  }
+
+  // Tried again in an hour; after MAX_SEND_ATTEMPTS the step is given up
+  await log('failed', email.error, email.id || null);
+  const attempts = enrollment.attempts + 1;
+  if (attempts >= MAX_SEND_ATTEMPTS) await advance(store, enrollment, sequence, now);
+  else await store.updateEnrollment(enrollment.id, { attempts, nextRunAt: new Date(now + RETRY_MS) });
+  return 'failed';
+}
+
+let pollTimer = null;
+let queue = Promise.resolve();
+
+async function nurturePass(now) {
+  const store = getNurtureStore();
+  const counts = { sent: 0, skipped: 0, failed: 0, paused: 0, stopped: 0 };
+  for (const enrollment of await store.dueEnrollments(new Date(now))) {
+    if (!(await store.claim(enrollment, new Date(now + CLAIM_MS)))) continue;
+    try {
+      counts[await runStep(store, enrollment, now)]++;
+    } catch (e) {
+      console.warn(`⚠️ Nurture step for ${enrollment.inquiryId} failed:`, e.message);
+      await store.updateEnrollment(enrollment.id, { nextRunAt: new Date(now + RETRY_MS) });
+      counts.failed++;
+    }
+  }
+  if (counts.sent || counts.failed) console.log(`💌 Nurture: ${counts.sent} sent, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return counts;
+}
+
+// Runs every step that is due at `now`, one pass at a time. Resolves to
+// { sent, skipped, failed, paused, stopped }.
+function runNurture({ now = Date.now() } = {}) {
+  const run = queue.then(() => nurturePass(now));
+  queue = run.catch(() => {});
+  return run;
+}
+
+function runInBackground() {
+  runNurture().catch(e => console.warn('⚠️ Nurture pass failed:', e.message));
+}
+
+function startNurtureScheduler() {
+  if (pollTimer || process.env.NURTURE_SCHEDULER === 'false') return;
+  pollTimer = setInterval(runInBackground, pollMs());
+  pollTimer.unref();
+  console.log('💌 Nurture scheduler started');
+  runInBackground();
+}
+
+async function stopNurtureScheduler() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  await queue;
+}
+
+module.exports = {
+  CONDITIONS,
+  checkStep,
+  validateSequence,
+  fillTemplate,
+  nextRunAt,
+  createJsonNurtureStore,
+  createPostgresNurtureStore,
+  getNurtureStore,
+  enrolFamily,
+  autoEnrolInquiry,
+  pauseForStatus,
+  resumeEnrollment,
+  runNurture,
+  startNurtureScheduler,
+  stopNurtureScheduler
+};
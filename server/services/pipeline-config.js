@@ -0,0 +1,324 @@
+// Admissions pipelines: the ordered stages a family moves through, set up by
+// admins per entry point. Sixth form (interview, conditional offer, GCSE
+// results) and 11+ (assessment day, offer, deposit) can each have their own;
+// a family follows the pipeline whose ageGroups include theirs, or else the
+// default one. Until an admin changes anything that is DEFAULT_PIPELINE.
+//
+// A stage is { key, label, colour, terminal, won, lost, requiredFields,
+// pauseNurture, eventKinds }:
+//   key             what is stored as the inquiry's status (a_z and _)
+//   terminal        the journey ends here: no moving on, and no clock running
+//   won / lost      the outcome; a lost stage can be reached from any other
+//   requiredFields  what must be known before a family moves here - given
+//                   with the change, or already on the inquiry
+//   pauseNurture    moving here pauses the family's nurture sequences
+//   eventKinds      booking one of these events (events.js) moves them here
+//
+// The rules for moving between stages are in pipeline.js. Pipelines live in
+// the pipelines table, or DATA_DIR/pipelines.json without a database. A
+// family whose status isn't a stage of their pipeline (a stage renamed or
+// removed, or their age group moved to another pipeline) may be moved to any
+// stage.
+
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+
+const MAX_STAGES = 30;
+const MAX_REQUIRED_FIELDS = 10;
+const DEFAULT_COLOUR = '#6B7280';
+
+// What the webhook and prospectus generator store before staff place the
+// family, and the dashboard's name for the first stage
+const ENTRY_STATUSES = ['received', 'prospectus_generated', 'new'];
+
+const DEFAULT_PIPELINE = {
+  name: 'Admissions',
+  ageGroups: [],
+  isDefault: true,
+  stages: [
+    { key: 'new_inquiry', label: 'New Inquiry', colour: '#6B7280' },
+    { key: 'contacted', label: 'Contacted', colour: '#034674' },
+    { key: 'high_interest', label: 'High Interest', colour: '#DC2626' },
+    { key: 'tour_booked', label: 'Tour Booked', colour: '#FF9F1C', pauseNurture: true, eventKinds: ['tour'] },
+    { key: 'open_day_booked', label: 'Open Day Booked', colour: '#F97316', eventKinds: ['open_morning', 'taster_day'] },
+    { key: 'application_started', label: 'Application Started', colour: '#059669' },
+    { key: 'application_complete', label: 'Application Complete', colour: '#10B981', terminal: true, won: true },
+    { key: 'not_interested', label: 'Not Interested', colour: '#9CA3AF', terminal: true, lost: true, pauseNurture: true }
+  ]
+};
+
+// Statuses arrive as tour_booked or tour-booked depending on the page
+const statusKey = s => String(s || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// A status a family starts at, before any stage of their pipeline
+const isEntryStatus = status => !statusKey(status) || ENTRY_STATUSES.includes(statusKey(status));
+
+// ===================== VALIDATION =====================
+const KEY_RE = /^[a-z][a-z0-9_]{0,49}$/;
+const FIELD_RE = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+const COLOUR_RE = /^#[0-9a-fA-F]{6}$/;
+
+const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.trim().length <= max;
+
+function validateStage(input, at, eventKinds) {
+  const errors = [];
+  const stage = {
+    key: statusKey(input.key),
+    label: typeof input.label === 'string' ? input.label.trim() : input.label,
+    colour: input.colour === undefined || input.colour === null ? DEFAULT_COLOUR : input.colour,
+    terminal: input.terminal === undefined ? false : input.terminal,
+    won: input.won === undefined ? false : input.won,
+    lost: input.lost === undefined ? false : input.lost,
+    requiredFields: input.requiredFields === undefined ? [] : input.requiredFields,
+    pauseNurture: input.pauseNurture === undefined ? false : input.pauseNurture,
+    eventKinds: input.eventKinds === undefined ? [] : input.eventKinds
+  };
+
+  if (!KEY_RE.test(stage.key) || ENTRY_STATUSES.includes(stage.key)) {
+    errors.push(`${at}.key must be lower-case letters, digits and _ (up to 50), and not ${ENTRY_STATUSES.join(', ')}`);
+  }
+  if (!isText(stage.label, 100)) errors.push(`${at}.label must be text of up to 100 characters`);
+  if (!COLOUR_RE.test(stage.colour)) errors.push(`${at}.colour must be a colour like #034674`);
+  for (const flag of ['terminal', 'won', 'lost', 'pauseNurture']) {
+    if (typeof stage[flag] !== 'boolean') errors.push(`${at}.${flag} must be true or false`);
+  }
+  if (stage.won === true && stage.lost === true) errors.push(`${at} can't be both won and lost`);
+  if ((stage.won === true || stage.lost === true) && stage.terminal !== true) errors.push(`${at} is won or lost, so must be terminal`);
+  if (!Array.isArray(stage.requiredFields) || stage.requiredFields.length > MAX_REQUIRED_FIELDS || !stage.requiredFields.every(f => FIELD_RE.test(f))) {
+    errors.push(`${at}.requiredFields must be a list of up to ${MAX_REQUIRED_FIELDS} field names`);
+  }
+  if (!Array.isArray(stage.eventKinds) || !stage.eventKinds.every(k => typeof k === 'string' && (!eventKinds || eventKinds.includes(k)))) {
+    errors.push(`${at}.eventKinds must be a list of event kinds${eventKinds ? ` (${eventKinds.join(', ')})` : ''}`);
+  }
+  return { errors, stage };
+}
+
+// input may leave out what isn't changing; current is the saved pipeline.
+// eventKinds, when given, are the kinds a stage may list.
+function validatePipeline(input, current = null, { eventKinds = null } = {}) {
+  const base = current || { name: null, ageGroups: [], isDefault: false, stages: null };
+  const pick = key => (input[key] !== undefined ? input[key] : base[key]);
+  const pipeline = {
+    name: typeof pick('name') === 'string' ? pick('name').trim() : pick('name'),
+    ageGroups: pick('ageGroups'),
+    isDefault: pick('isDefault'),
+    stages: pick('stages')
+  };
+
+  const errors = [];
+  if (!isText(pipeline.name, 100)) errors.push('name must be text of up to 100 characters');
+  if (!Array.isArray(pipeline.ageGroups) || !pipeline.ageGroups.every(g => isText(g, 50))) {
+    errors.push('ageGroups must be a list of age groups, e.g. ["16-18"]');
+  } else {
+    pipeline.ageGroups = [...new Set(pipeline.ageGroups.map(g => g.trim()))];
+  }
+  if (typeof pipeline.isDefault !== 'boolean') errors.push('isDefault must be true or false');
+
+  if (!Array.isArray(pipeline.stages) || pipeline.stages.length < 2 || pipeline.stages.length > MAX_STAGES) {
+    errors.push(`stages must be a list of 2 to ${MAX_STAGES} stages`);
+  } else {
+    const stages = [];
+    pipeline.stages.forEach((input, i) => {
+      const checked = validateStage(input && typeof input === 'object' ? input : {}, `stages[${i}]`, eventKinds);
+      errors.push(...checked.errors);
+      stages.push(checked.stage);
+    });
+    const keys = stages.map(s => s.key);
+    const repeated = keys.filter((k, i) => keys.indexOf(k) !== i);
+    if (repeated.length) errors.push(`stage keys must be different (${[...new Set(repeated)].join(', ')})`);
+    const kinds = stages.flatMap(s => (Array.isArray(s.eventKinds) ? s.eventKinds : []));
+    if (new Set(kinds).size !== kinds.length) errors.push('each event kind may move families to one stage only');
+    if (stages[0].terminal === true) errors.push('the first stage, where families start, can\'t be terminal');
+    pipeline.stages = stages;
+  }
+
+  return errors.length ? { errors, pipeline: null } : { errors, pipeline };
+}
+
+// ===================== STORES =====================
+function createJsonPipelineStore({ file = path.join(DATA_DIR, 'pipelines.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => {
+      const now = new Date().toISOString();
+      return { nextId: 2, pipelines: [{ id: 1, ...validatePipeline(DEFAULT_PIPELINE).pipeline, createdBy: null, createdAt: now, updatedAt: now }] };
+    }
+  });
+
+  const copy = p => JSON.parse(JSON.stringify(p));
+
+  function takeDefault(s, id) {
+    for (const p of s.pipelines) if (p.id !== id) p.isDefault = false;
+  }
+
+  return {
+    async list() {
+      return (await load()).pipelines.slice().sort((a, b) => a.id - b.id).map(copy);
+    },
+
+    async get(id) {
+      const pipeline = (await load()).pipelines.find(p => p.id === Number(id));
+      return pipeline ? copy(pipeline) : null;
+    },
+
+    async create(pipeline, { createdBy = null } = {}) {
+      const s = await load();
+      const now = new Date().toISOString();
+      const saved = { id: s.nextId++, ...copy(pipeline), createdBy, createdAt: now, updatedAt: now };
+      s.pipelines.push(saved);
+      if (saved.isDefault) takeDefault(s, saved.id);
+      await save();
+      return copy(saved);
+    },
+
+    async update(id, pipeline) {
+      const s = await load();
+      const saved = s.pipelines.find(p => p.id === Number(id));
+      if (!saved) return null;
+      Object.assign(saved, copy(pipeline), { updatedAt: new Date().toISOString() });
+      if (saved.isDefault) takeDefault(s, saved.id);
+      await save();
+      return copy(saved);
+    },
+
+    async remove(id) {
+      const s = await load();
+      const before = s.pipelines.length;
+      s.pipelines = s.pipelines.filter(p => p.id !== Number(id));
+      if (s.pipelines.length === before) return false;
+      await save();
+      return true;
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function pipelineFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    ageGroups: row.age_groups || [],
+    isDefault: row.is_default,
+    stages: row.stages || [],
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at)
+  };
+}
+
+function createPostgresPipelineStore({ resolveDb = getDb } = {}) {
+  function db() {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client;
+  }
+
+  // The first read of a new database gets the default pipeline. Two first
+  // reads at once both try; the one-default index turns the second away.
+  async function seed() {
+    const seeded = validatePipeline(DEFAULT_PIPELINE).pipeline;
+    await db().query(`
+      INSERT INTO pipelines (name, age_groups, is_default, stages)
+      SELECT $1, $2::jsonb, TRUE, $3::jsonb
+      WHERE NOT EXISTS (SELECT 1 FROM pipelines)
+    `, [seeded.name, JSON.stringify(seeded.ageGroups), JSON.stringify(seeded.stages)]).catch(e => {
+      if (e.code !== '23505') throw e;
+    });
+  }
+
+  return {
+    async list() {
+      let { rows } = await db().query('SELECT * FROM pipelines ORDER BY id');
+      if (!rows.length) {
+        await seed();
+        ({ rows } = await db().query('SELECT * FROM pipelines ORDER BY id'));
+      }
+      return rows.map(pipelineFromRow);
+    },
+
+    async get(id) {
+      const { rows } = await db().query('SELECT * FROM pipelines WHERE id = $1', [Number(id)]);
+      return pipelineFromRow(rows[0]);
+    },
+
+    async create(pipeline, { createdBy = null } = {}) {
+      return withTransaction(db(), async client => {
+        if (pipeline.isDefault) await client.query('UPDATE pipelines SET is_default = FALSE WHERE is_default');
+        const { rows } = await client.query(`
+          INSERT INTO pipelines (name, age_groups, is_default, stages, created_by)
+          VALUES ($1, $2::jsonb, $3, $4::jsonb, $5)
+          RETURNING *
+        `, [pipeline.name, JSON.stringify(pipeline.ageGroups), pipeline.isDefault, JSON.stringify(pipeline.stages), createdBy]);
+        return pipelineFromRow(rows[0]);
+      });
+    },
+
+    async update(id, pipeline) {
+      return withTransaction(db(), async client => {
+        if (pipeline.isDefault) await client.query('UPDATE pipelines SET is_default = FALSE WHERE is_default AND id <> $1', [Number(id)]);
+        const { rows } = await client.query(`
+          UPDATE pipelines
+          SET name = $2, age_groups = $3::jsonb, is_default = $4, stages = $5::jsonb, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [Number(id), pipeline.name, JSON.stringify(pipeline.ageGroups), pipeline.isDefault, JSON.stringify(pipeline.stages)]);
+        return pipelineFromRow(rows[0]);
+      });
+    },
+
+    async remove(id) {
+      const { rowCount } = await db().query('DELETE FROM pipelines WHERE id = $1', [Number(id)]);
+      return rowCount > 0;
+    }
+  };
+}
+
+const jsonStore = createJsonPipelineStore();
+const postgresStore = createPostgresPipelineStore();
+
+function getPipelineStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== LOOKUPS =====================
+// The pipeline a family follows: the one taking their age group, else the default
+function pipelineFor(inquiry, pipelines) {
+  const ageGroup = inquiry && inquiry.ageGroup;
+  return (ageGroup && pipelines.find(p => p.ageGroups.includes(ageGroup)))
+    || pipelines.find(p => p.isDefault)
+    || pipelines[0];
+}
+
+async function pipelineOf(inquiry) {
+  return pipelineFor(inquiry, await getPipelineStore().list());
+}
+
+// The stage a stored or submitted status stands for in the pipeline: the
+// first stage for a family not yet placed, null if it is none of them
+function findStage(pipeline, status) {
+  const key = statusKey(status);
+  if (!key || ENTRY_STATUSES.includes(key)) return pipeline.stages[0];
+  return pipeline.stages.find(s => s.key === key) || null;
+}
+
+// Statuses that pause nurture sequences in any pipeline
+const pauseStatuses = pipelines => [...new Set(pipelines.flatMap(p => p.stages.filter(s => s.pauseNurture).map(s => s.key)))];
+
+module.exports = {
+  DEFAULT_PIPELINE,
+  ENTRY_STATUSES,
+  statusKey,
+  isEntryStatus,
+  validatePipeline,
+  createJsonPipelineStore,
+  createPostgresPipelineStore,
+  getPipelineStore,
+  pipelineFor,
+  pipelineOf,
+  findStage,
+  pauseStatuses
+};
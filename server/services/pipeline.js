@@ -0,0 +1,306 @@
+// Moving families along their admissions pipeline (the stages are set up in
+// pipeline-config.js, per entry point). Staff set the status from the
+// dashboards; a booking for an event moves the family on by itself, but only
+// ever forwards, and so does sending their prospectus (received ->
+// prospectus_generated, both the first stage). Every change goes through
+// setStatus, which checks the move against checkTransition and the stage's
+// required fields, records who made it and why in the status history, and
+// pauses the family's nurture sequences if the stage says so.
+//
+// The history is the inquiry_status_changes table, or
+// DATA_DIR/status-history.json without a database. journeyFor turns it into
+// the stages a family has been through and how long they spent in each.
+
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+const { createJsonFileState } = require('./json-file-state');
+const { getInquiryRepository } = require('./inquiry-repository');
+const { ENTRY_STATUSES, pipelineOf, findStage, statusKey, isEntryStatus } = require('./pipeline-config');
+const { pauseForStatus } = require('./nurture');
+
+const MAX_NOTE = 1000;
+const MAX_FIELD_VALUE = 500;
+
+// ===================== TRANSITIONS =====================
+// The one place that says which moves are allowed in a pipeline. A family
+// goes forwards any number of stages until they reach a terminal one, back to
+// the stage before to put a mistake right, or out to a lost stage from
+// anywhere; from a lost stage they may come back to any stage but a won one.
+// A status that isn't a stage of the pipeline (from, null here) may move
+// anywhere. Returns null if the move is allowed, else why not.
+function checkTransition(pipeline, from, to) {
+  const keys = pipeline.stages.map(s => s.key);
+  const target = pipeline.stages[keys.indexOf(to)];
+  if (!target) return `Invalid status. Allowed: ${keys.join(', ')}`;
+  if (from === to) return `The family is already at ${to}`;
+  const at = keys.indexOf(from);
+  if (at < 0 || target.lost) return null;
+
+  const source = pipeline.stages[at];
+  if (source.lost) return target.won ? `A family at ${from} can't move straight to ${to}` : null;
+  const previous = pipeline.stages.slice(0, at).reverse().find(s => !s.lost);
+  if (previous && previous.key === to) return null;
+  if (keys.indexOf(to) < at) return `Can't move back from ${from} to ${to}: only one stage back is allowed`;
+  return source.terminal ? `${from} ends the journey: a family there can only go back a stage, or to a lost stage` : null;
+}
+
+const allowedTransitions = (pipeline, from) => pipeline.stages.map(s => s.key).filter(to => !checkTransition(pipeline, from, to));
+
+// The stage's required fields that neither fields (given with the change)
+// nor the inquiry has a value for
+function missingFields(stage, fields, inquiry) {
+  const filled = v => v !== undefined && v !== null && String(v).trim() !== '';
+  return stage.requiredFields.filter(f => !filled(fields[f]) && !filled(inquiry[f]));
+}
+
+// ===================== HISTORY STORES =====================
+function createJsonStatusHistoryStore({ file = path.join(DATA_DIR, 'status-history.json') } = {}) {
+  const { load, save } = createJsonFileState({
+    file,
+    initial: () => ({ nextId: 1, changes: [] })
+  });
+
+  const byTime = (a, b) => Date.parse(a.changedAt) - Date.parse(b.changedAt) || a.id - b.id;
+
+  return {
+    async record({ inquiryId, pipelineId, fromStatus, toStatus, changedBy, source, note, fields }) {
+      const s = await load();
+      const change = {
+        id: s.nextId++,
+        inquiryId,
+        pipelineId: pipelineId || null,
+        fromStatus: fromStatus || null,
+        toStatus,
+        changedBy: changedBy || null,
+        source,
+        note: note || null,
+        fields: fields || null,
+        changedAt: new Date().toISOString()
+      };
+      s.changes.push(change);
+      await save();
+      return { ...change };
+    },
+
+    async listFor(inquiryId) {
+      return (await load()).changes.filter(c => c.inquiryId === inquiryId).sort(byTime).map(c => ({ ...c }));
+    },
+
+    // Every change between from and to (Dates, either optional), oldest first
+    async list({ from = null, to = null } = {}) {
+      return (await load()).changes
+        .filter(c => (!from || Date.parse(c.changedAt) >= from) && (!to || Date.parse(c.changedAt) < to))
+        .sort(byTime)
+        .map(c => ({ ...c }));
+    }
+  };
+}
+
+const iso = v => (v ? new Date(v).toISOString() : null);
+
+function changeFromRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    inquiryId: row.inquiry_id,
+    pipelineId: row.pipeline_id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    changedBy: row.changed_by,
+    source: row.source,
+    note: row.note,
+    fields: row.fields,
+    changedAt: iso(row.changed_at)
+  };
+}
+
+function createPostgresStatusHistoryStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params, client = null) {
+    const target = client || resolveDb();
+    if (!target) throw new Error('Database not connected');
+    return target.query(sql, params);
+  }
+
+  return {
+    // { client } records the change within the caller's transaction
+    async record({ inquiryId, pipelineId, fromStatus, toStatus, changedBy, source, note, fields }, { client = null } = {}) {
+      const { rows } = await query(`
+        INSERT INTO inquiry_status_changes (inquiry_id, pipeline_id, from_status, to_status, changed_by, source, note, fields)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb)
+        RETURNING *
+      `, [inquiryId, pipelineId || null, fromStatus || null, toStatus, changedBy || null, source, note || null, fields ? JSON.stringify(fields) : null], client);
+      return changeFromRow(rows[0]);
+    },
+
+    async listFor(inquiryId) {
+      const { rows } = await query(
+        'SELECT * FROM inquiry_status_changes WHERE inquiry_id = $1 ORDER BY changed_at, id',
+        [inquiryId]
+      );
+      return rows.map(changeFromRow);
+    },
+
+    async list({ from = null, to = null } = {}) {
+      const { rows } = await query(`
+        SELECT * FROM inquiry_status_changes
+        WHERE ($1::timestamp IS NULL OR changed_at >= $1)
+          AND ($2::timestamp IS NULL OR changed_at < $2)
+        ORDER BY changed_at, id
+      `, [from, to]);
+      return rows.map(changeFromRow);
+    }
+  };
+}
+
+const jsonStore = createJsonStatusHistoryStore();
+const postgresStore = createPostgresStatusHistoryStore();
+
+function getStatusHistoryStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+// ===================== CHANGING STATUS =====================
+// One change at a time, so each records the status it really replaced
+let changing = Promise.resolve();
+function serially(fn) {
+  const run = changing.then(fn);
+  changing = run.catch(() => {});
+  return run;
+}
+
+// Moves the family to status if their pipeline allows it. changedBy is the
+// staff member (null when the system moved them), source what moved them
+// (staff | event_booking | prospectus), fields the values of the stage's
+// required fields.
+// Resolves to { inquiry, change }, to { error, allowed, invalid } when the
+// move isn't allowed (invalid: the request was wrong - not a stage of their
+// pipeline, or a required field missing - rather than the move), or to null
+// if there is no such inquiry.
+function setStatus(inquiryId, status, { changedBy = null, source = 'staff', note = null, fields = {} } = {}) {
+  return serially(async () => {
+    const repository = getInquiryRepository();
+    const inquiry = await repository.findById(inquiryId);
+    if (!inquiry) return null;
+
+    const pipeline = await pipelineOf(inquiry);
+    const current = findStage(pipeline, inquiry.status);
+    const from = current ? current.key : null;
+    const stage = status ? findStage(pipeline, status) : null;
+    // From one status a family starts at to another (received ->
+    // prospectus_generated) they stay at the first stage, and the status is
+    // kept as given
+    const within = isEntryStatus(inquiry.status) && ENTRY_STATUSES.includes(statusKey(status));
+    const to = within ? statusKey(status) : (stage ? stage.key : statusKey(status));
+    const allowed = allowedTransitions(pipeline, from);
+    const error = within
+      ? (statusKey(inquiry.status) === to ? `The family is already at ${to}` : null)
+      : checkTransition(pipeline, from, to);
+    if (error) return { error, allowed, invalid: !stage };
+
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (text.length > MAX_NOTE) return { error: `note must be up to ${MAX_NOTE} characters`, allowed, invalid: true };
+    const given = fields && typeof fields === 'object' ? fields : {};
+    const missing = within ? [] : missingFields(stage, given, inquiry);
+    if (missing.length) return { error: `Moving to ${stage.label} needs ${missing.join(', ')}`, allowed, invalid: true, missing };
+    const values = Object.fromEntries(stage.requiredFields
+      .filter(f => given[f] !== undefined && given[f] !== null && String(given[f]).trim() !== '')
+      .map(f => [f, String(given[f]).trim().slice(0, MAX_FIELD_VALUE)]));
+
+    // The new status and its change are saved together: in one transaction
+    // when both are in the database. The change goes first, so a dual
+    // repository's JSON copy is only written once nothing else can fail.
+    const save = async client => ({
+      change: await getStatusHistoryStore().record({
+        inquiryId,
+        pipelineId: pipeline.id,
+        fromStatus: inquiry.status,
+        toStatus: to,
+        changedBy,
+        source,
+        note: text,
+        fields: Object.keys(values).length ? values : null
+      }, { client }),
+      updated: await repository.update(inquiryId, { status: to }, { client })
+    });
+    const db = getDb();
+    const { updated, change } = db && repository.kind !== 'json' ? await withTransaction(db, save) : await save(null);
+    console.log(`➡️ ${inquiryId} moved from ${inquiry.status || 'no status'} to ${to}${changedBy ? ` by ${changedBy}` : ` (${source})`}`);
+    if (!within && stage.pauseNurture) {
+      await pauseForStatus(inquiryId, to).catch(e => console.warn('⚠️ Failed to pause nurture sequences:', e.message));
+    }
+    return { inquiry: updated, change };
+  });
+}
+
+// Moves the family to the stage of their pipeline that takes bookings for
+// eventKind, unless there is none or they are already there or further on.
+// A family at a lost stage who books is interested again. Resolves to the
+// updated inquiry, or null if it was left alone.
+async function advanceForEvent(inquiryId, eventKind, { note = null } = {}) {
+  const inquiry = await getInquiryRepository().findById(inquiryId);
+  if (!inquiry) return null;
+  const pipeline = await pipelineOf(inquiry);
+  const target = pipeline.stages.find(s => s.eventKinds.includes(eventKind));
+  if (!target) return null;
+  const current = findStage(pipeline, inquiry.status);
+  if (current && !current.lost && pipeline.stages.indexOf(current) >= pipeline.stages.indexOf(target)) return null;
+  const result = await setStatus(inquiryId, target.key, { source: 'event_booking', note });
+  return result && result.inquiry ? result.inquiry : null;
+}
+
+// ===================== JOURNEY =====================
+// The stages the family has been through in their pipeline, oldest first,
+// from their changes (oldest first). The first stage starts when they
+// enquired, at the status the first change moved them from. Each stage has
+// how long they spent there; the one they are in counts up to now, unless it
+// is terminal.
+function journeyFor(pipeline, inquiry, changes, now = Date.now()) {
+  const first = changes.length ? changes[0].fromStatus : inquiry.status;
+  const firstStage = findStage(pipeline, first);
+  const stages = [
+    {
+      status: firstStage ? firstStage.key : first,
+      enteredAt: iso(inquiry.receivedAt || inquiry.createdAt),
+      changedBy: null,
+      source: 'enquiry',
+      note: null,
+      fields: null
+    },
+    ...changes
+      // Sending the prospectus leaves the family at the first stage
+      .filter(c => !(isEntryStatus(c.fromStatus) && isEntryStatus(c.toStatus)))
+      .map(c => ({ status: c.toStatus, enteredAt: c.changedAt, changedBy: c.changedBy, source: c.source, note: c.note, fields: c.fields || null }))
+  ];
+
+  return stages.map((stage, i) => {
+    const leftAt = stages[i + 1] ? stages[i + 1].enteredAt : null;
+    const known = findStage(pipeline, stage.status);
+    const ended = !leftAt && known && known.terminal;
+    const durationMs = !stage.enteredAt || ended ? null : Math.max(0, (leftAt ? Date.parse(leftAt) : now) - Date.parse(stage.enteredAt));
+    return { ...stage, label: known ? known.label : stage.status, leftAt, durationMs };
+  });
+}
+
+// Total time spent at each status across the journey, a family that went
+// back and forth counting every stay
+function timeInStage(stages) {
+  const totals = {};
+  for (const stage of stages) {
+    if (stage.durationMs === null) continue;
+    totals[stage.status] = (totals[stage.status] || 0) + stage.durationMs;
+  }
+  return totals;
+}
+
+module.exports = {
+  checkTransition,
+  allowedTransitions,
+  createJsonStatusHistoryStore,
+  createPostgresStatusHistoryStore,
+  getStatusHistoryStore,
+  setStatus,
+  advanceForEvent,
+  journeyFor,
+  timeInStage
+};
@@ -0,0 +1,278 @@
+// Splits public/prospectus_template.html into its top-level <section> blocks
+// and assembles a family's page from them, following the content staff edit in
+// the dashboard (stored by prospectus-content.js):
+//
+//   { sections: [
+//       { type: 'template', key, enabled, fields: { <field>: text }, image },
+//       { type: 'custom', key, enabled, layout: 'hero' | 'text', title, text,
+//         image, interests: [...], ageGroups: [...] }
+//   ] }
+//
+// Order is the array order. Template copy is editable where the template marks
+// an element with data-content="<field>", and a section's image is the
+// url('...') in its style. initializeProspectus still personalises the page on
+// top, so text it rewrites for a family replaces the edited default.
+// Custom blocks are only included for families in one of their age groups with
+// at least one of their interests (an empty list matches everyone).
+
+// The interest flags personalisation() passes to the page
+const INTERESTS = [
+  'sciences', 'mathematics', 'english', 'languages', 'humanities', 'business',
+  'drama', 'music', 'art', 'creative_writing',
+  'sport', 'leadership', 'community_service', 'outdoor_education',
+  'academic_excellence', 'pastoral_care', 'university_preparation',
+  'personal_development', 'career_guidance', 'extracurricular_opportunities'
+];
+const AGE_GROUPS = ['9-11', '11-16', '16-18'];
+const LAYOUTS = ['hero', 'text'];
+
+const MAX_TEXT = 5000;
+const MAX_TITLE = 200;
+
+const FIELD_RE = /<(h[1-6]|p)\b([^>]*\bdata-content="([a-z0-9_]+)"[^>]*)>([\s\S]*?)<\/\1>/g;
+const IMAGE_RE = /url\('([^']*)'\)/;
+
+// ===================== TEXT =====================
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// What an editor sees of an element's markup: line breaks kept, tags dropped
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function textToHtml(text) {
+  return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+// {firstName}, {familySurname} and {entryYear} in custom blocks
+function fillPlaceholders(text, data) {
+  return String(text).replace(/\{(firstName|familySurname|entryYear)\}/g, (_, k) => data[k] || '');
+}
+
+// http(s) URLs only, made safe for both an attribute and CSS url('...')
+function safeImageUrl(value) {
+  try {
+    const url = new URL(String(value));
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url.href.replace(/'/g, '%27').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  } catch {
+    return null;
+  }
+}
+
+// ===================== TEMPLATE =====================
+// { head, sections: [{ key, markup, trailing, fields, image }], tail }.
+// head + every markup + trailing + tail is the template again; trailing is
+// whatever follows a section before the next one (comments, the video modal).
+function parseTemplate(html) {
+  const spans = [];
+  const tagRe = /<\/?section\b[^>]*>/gi;
+  let depth = 0;
+  let start = -1;
+  let m;
+  while ((m = tagRe.exec(html))) {
+    if (m[0][1] !== '/') {
+      if (depth++ === 0) start = m.index;
+    } else if (depth > 0 && --depth === 0) {
+      spans.push([start, m.index + m[0].length]);
+    }
+  }
+  if (!spans.length) throw new Error('Template has no <section> blocks');
+
+  const sections = spans.map(([s, e], i) => {
+    const markup = html.slice(s, e);
+    const openTag = markup.match(/^<section\b[^>]*>/i)[0];
+    const image = openTag.match(IMAGE_RE);
+    return {
+      key: (openTag.match(/data-track-section="([^"]+)"/) || [])[1] || `section_${i + 1}`,
+      markup,
+      trailing: html.slice(e, i + 1 < spans.length ? spans[i + 1][0] : e),
+      fields: [...markup.matchAll(FIELD_RE)].map(f => ({ name: f[3], tag: f[1], text: htmlToText(f[4]) })),
+      image: image ? image[1] : null
+    };
+  });
+
+  return {
+    head: html.slice(0, spans[0][0]),
+    sections,
+    tail: html.slice(spans[spans.length - 1][1])
+  };
+}
+
+// The template's sections as the editor lists them
+function describeTemplate(parsed) {
+  return parsed.sections.map(s => ({ key: s.key, fields: s.fields, image: s.image }));
+}
+
+// ===================== CONTENT =====================
+// Check a content document against the template; returns { errors, content }
+// with content reduced to the properties above
+function validateContent(doc, parsed) {
+  const errors = [];
+  const templateSections = new Map(parsed.sections.map(s => [s.key, s]));
+  const seen = new Set();
+  const sections = [];
+
+  if (!doc || !Array.isArray(doc.sections)) {
+    return { errors: ['sections must be an array'], content: null };
+  }
+
+  doc.sections.forEach((entry, i) => {
+    const where = `sections[${i}]`;
+    if (!entry || typeof entry !== 'object') return errors.push(`${where} must be an object`);
+    const key = String(entry.key || '');
+    if (seen.has(key)) return errors.push(`${where}: duplicate key "${key}"`);
+    seen.add(key);
+    const enabled = entry.enabled !== false;
+
+    if (entry.type === 'template') {
+      const section = templateSections.get(key);
+      if (!section) return errors.push(`${where}: the template has no section "${key}"`);
+      const fields = {};
+      for (const [name, value] of Object.entries(entry.fields || {})) {
+        if (!section.fields.some(f => f.name === name)) errors.push(`${where}: "${key}" has no field "${name}"`);
+        else if (typeof value !== 'string' || value.length > MAX_TEXT) errors.push(`${where}.fields.${name} must be text under ${MAX_TEXT} characters`);
+        else if (value.trim()) fields[name] = value.trim();
+      }
+      let image = null;
+      if (entry.image) {
+        if (!section.image) errors.push(`${where}: "${key}" has no image`);
+        else if (!(image = safeImageUrl(entry.image))) errors.push(`${where}.image must be an http(s) URL`);
+      }
+      return sections.push({ type: 'template', key, enabled, fields, image });
+    }
+
+    if (entry.type === 'custom') {
+      if (!/^[a-z][a-z0-9_]{1,48}$/.test(key)) return errors.push(`${where}: key must be lower-case letters, digits and _`);
+      if (templateSections.has(key)) return errors.push(`${where}: "${key}" is a template section`);
+      const layout = entry.layout || 'text';
+      if (!LAYOUTS.includes(layout)) errors.push(`${where}.layout must be one of ${LAYOUTS.join(', ')}`);
+      const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+      if (!title || title.length > MAX_TITLE) errors.push(`${where}.title is required (up to ${MAX_TITLE} characters)`);
+      const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+      if (text.length > MAX_TEXT) errors.push(`${where}.text must be under ${MAX_TEXT} characters`);
+      let image = null;
+      if (entry.image && !(image = safeImageUrl(entry.image))) errors.push(`${where}.image must be an http(s) URL`);
+      if (layout === 'hero' && !entry.image) errors.push(`${where}: a hero block needs an image`);
+      const interests = Array.isArray(entry.interests) ? entry.interests : [];
+      const ageGroups = Array.isArray(entry.ageGroups) ? entry.ageGroups : [];
+      const badInterests = interests.filter(x => !INTERESTS.includes(x));
+      const badAges = ageGroups.filter(x => !AGE_GROUPS.includes(x));
+      if (badInterests.length) errors.push(`${where}: unknown interests ${badInterests.join(', ')}`);
+      if (badAges.length) errors.push(`${where}: unknown age groups ${badAges.join(', ')}`);
+      return sections.push({ type: 'custom', key, enabled, layout, title, text, image, interests, ageGroups });
+    }
+
+    errors.push(`${where}.type must be "template" or "custom"`);
+  });
+
+  return { errors, content: errors.length ? null : { sections } };
+}
+
+// Content entries in page order. Template sections the content doesn't
+// mention (added to the template since it was saved) keep their place after
+// the template section before them; entries for sections the template no
+// longer has are dropped.
+function resolveSections(parsed, content) {
+  const templateKeys = new Set(parsed.sections.map(s => s.key));
+  const out = ((content && content.sections) || [])
+    .filter(e => e.type === 'custom' || templateKeys.has(e.key));
+  parsed.sections.forEach((section, i) => {
+    if (out.some(e => e.type === 'template' && e.key === section.key)) return;
+    const prev = i > 0 ? out.findIndex(e => e.type === 'template' && e.key === parsed.sections[i - 1].key) : -1;
+    out.splice(prev + 1, 0, { type: 'template', key: section.key, enabled: true, fields: {}, image: null });
+  });
+  return out;
+}
+
+function blockApplies(block, data) {
+  if (block.ageGroups.length && !block.ageGroups.includes(data.ageGroup)) return false;
+  if (block.interests.length && !block.interests.some(i => data[i])) return false;
+  return true;
+}
+
+function renderTemplateSection(section, entry) {
+  let markup = section.markup;
+  if (Object.keys(entry.fields).length) {
+    markup = markup.replace(FIELD_RE, (whole, tag, attrs, name) =>
+      entry.fields[name] ? `<${tag}${attrs}>${textToHtml(entry.fields[name])}</${tag}>` : whole);
+  }
+  if (entry.image) {
+    markup = markup.replace(/^<section\b[^>]*>/i, open => open.replace(IMAGE_RE, `url('${entry.image}')`));
+  }
+  // initializeProspectus looks up elements in every section by id, so a
+  // hidden section stays on the page, just not displayed
+  if (!entry.enabled) markup = `<div data-content-hidden="${section.key}" style="display: none;">${markup}</div>`;
+  return markup + section.trailing;
+}
+
+function renderCustomBlock(block, data) {
+  const title = textToHtml(fillPlaceholders(block.title, data));
+  const paragraphs = fillPlaceholders(block.text, data)
+    .split(/\n\s*\n/)
+    .filter(p => p.trim())
+    .map(p => `<p>${textToHtml(p.trim())}</p>`);
+
+  if (block.layout === 'hero') {
+    return `
+    <section class="hero-photo-section" style="background-image: linear-gradient(rgba(26, 43, 92, 0.6), rgba(26, 43, 92, 0.6)), url('${block.image}');" data-track-section="${block.key}" data-content-block="${block.key}">
+        <div class="hero-photo-overlay">
+            <h2>${title}</h2>
+            ${paragraphs.join('\n            ')}
+        </div>
+    </section>
+`;
+  }
+
+  return `
+    <section class="page" data-track-section="${block.key}" data-content-block="${block.key}">
+        <div class="page-content">
+            <h1 style="text-align: center; margin-bottom: 2rem;">${title}</h1>
+            ${block.image ? `<img src="${block.image}" alt="" style="display: block; width: 100%; max-width: 900px; margin: 0 auto 2rem; border-radius: 12px;">` : ''}
+            <div class="large-text" style="max-width: 800px; margin: 0 auto;">
+            ${paragraphs.join('\n            ')}
+            </div>
+        </div>
+    </section>
+`;
+}
+
+// The family's page: data is the personalisation payload (ageGroup and the
+// interest flags decide which custom blocks appear). Without content this
+// is the template unchanged.
+function assemblePage(parsed, content, data) {
+  const templateSections = new Map(parsed.sections.map(s => [s.key, s]));
+  const parts = [parsed.head];
+  for (const entry of resolveSections(parsed, content)) {
+    if (entry.type === 'template') {
+      parts.push(renderTemplateSection(templateSections.get(entry.key), entry));
+    } else if (entry.enabled && blockApplies(entry, data)) {
+      parts.push(renderCustomBlock(entry, data));
+    }
+  }
+  parts.push(parsed.tail);
+  return parts.join('');
+}
+
+module.exports = {
+  INTERESTS,
+  AGE_GROUPS,
+  LAYOUTS,
+  escapeHtml,
+  htmlToText,
+  parseTemplate,
+  describeTemplate,
+  validateContent,
+  assemblePage
+};
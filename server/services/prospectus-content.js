@@ -0,0 +1,161 @@
+// Stored prospectus content (the document prospectus-blocks.js assembles pages
+// from). Every save is a new numbered version: the newest is the draft, and
+// publishing stamps a version so the most recently published one is live.
+// Publishing an older version rolls back to it.
+//
+// Versions come back as { version, document, savedBy, savedAt, publishedBy, publishedAt }.
+// Postgres (prospectus_content_versions) when connected, else
+// DATA_DIR/prospectus-content.json.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb } = require('./database');
+
+function byPublishedAt(a, b) {
+  return new Date(b.publishedAt) - new Date(a.publishedAt);
+}
+
+// ===================== JSON BACKEND =====================
+function createJsonContentStore({ file = path.join(DATA_DIR, 'prospectus-content.json') } = {}) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return { versions: [] };
+    }
+  }
+
+  async function save(state) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(state, null, 2));
+  }
+
+  return {
+    kind: 'json',
+
+    async getDraft() {
+      const { versions } = await load();
+      return versions[versions.length - 1] || null;
+    },
+
+    async getPublished() {
+      const { versions } = await load();
+      return versions.filter(v => v.publishedAt).sort(byPublishedAt)[0] || null;
+    },
+
+    async getVersion(version) {
+      const { versions } = await load();
+      return versions.find(v => v.version === Number(version)) || null;
+    },
+
+    async listVersions() {
+      const { versions } = await load();
+      return versions.slice().reverse();
+    },
+
+    async saveDraft(document, savedBy) {
+      const state = await load();
+      const last = state.versions[state.versions.length - 1];
+      const version = {
+        version: last ? last.version + 1 : 1,
+        document,
+        savedBy: savedBy || null,
+        savedAt: new Date().toISOString(),
+        publishedBy: null,
+        publishedAt: null
+      };
+      state.versions.push(version);
+      await save(state);
+      return version;
+    },
+
+    async publish(version, publishedBy) {
+      const state = await load();
+      const entry = state.versions.find(v => v.version === Number(version));
+      if (!entry) return null;
+      entry.publishedBy = publishedBy || null;
+      entry.publishedAt = new Date().toISOString();
+      await save(state);
+      return entry;
+    }
+  };
+}
+
+// ===================== POSTGRES BACKEND =====================
+function fromRow(row) {
+  if (!row) return null;
+  return {
+    version: row.version,
+    document: row.document,
+    savedBy: row.saved_by,
+    savedAt: row.saved_at ? new Date(row.saved_at).toISOString() : null,
+    publishedBy: row.published_by,
+    publishedAt: row.published_at ? new Date(row.published_at).toISOString() : null
+  };
+}
+
+function createPostgresContentStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async getDraft() {
+      const { rows } = await query('SELECT * FROM prospectus_content_versions ORDER BY version DESC LIMIT 1');
+      return fromRow(rows[0]);
+    },
+
+    async getPublished() {
+      const { rows } = await query(`
+        SELECT * FROM prospectus_content_versions
+        WHERE published_at IS NOT NULL
+        ORDER BY published_at DESC LIMIT 1`);
+      return fromRow(rows[0]);
+    },
+
+    async getVersion(version) {
+      const { rows } = await query('SELECT * FROM prospectus_content_versions WHERE version = $1', [Number(version)]);
+      return fromRow(rows[0]);
+    },
+
+    async listVersions() {
+      const { rows } = await query('SELECT * FROM prospectus_content_versions ORDER BY version DESC');
+      return rows.map(fromRow);
+    },
+
+    async saveDraft(document, savedBy) {
+      const { rows } = await query(
+        'INSERT INTO prospectus_content_versions (document, saved_by) VALUES ($1, $2) RETURNING *',
+        [JSON.stringify(document), savedBy || null]
+      );
+      return fromRow(rows[0]);
+    },
+
+    async publish(version, publishedBy) {
+      const { rows } = await query(`
+        UPDATE prospectus_content_versions
+        SET published_at = CURRENT_TIMESTAMP, published_by = $2
+        WHERE version = $1
+        RETURNING *`, [Number(version), publishedBy || null]);
+      return fromRow(rows[0]);
+    }
+  };
+}
+
+const jsonStore = createJsonContentStore();
+const postgresStore = createPostgresContentStore();
+
+function getContentStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+module.exports = {
+  createJsonContentStore,
+  createPostgresContentStore,
+  getContentStore
+};
@@ -0,0 +1,289 @@
+// Builds a family's personalised prospectus from public/prospectus_template.html
+// and the published content (prospectus-blocks.js, prospectus-content.js),
+// translated into their language (prospectus-translation.js), and writes it
+// to PROSPECTUS_DIR. A render is reused while its inputs (the family's
+// details, language, template, content and translation version) are
+// unchanged; see prospectus-renders.js for the history.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ROOT_DIR, PROSPECTUS_DIR } = require('../paths');
+const { saveSlugIndex, slugIndex } = require('./inquiry-store');
+const renders = require('./prospectus-renders');
+const { AGE_GROUPS, INTERESTS, assemblePage, escapeHtml, parseTemplate } = require('./prospectus-blocks');
+const { getContentStore } = require('./prospectus-content');
+const { htmlAttributes } = require('./languages');
+const { translatePage, translationVersion } = require('./prospectus-translation');
+const { generateFilename, makeSlug } = require('../utils');
+
+// Bump when the HTML assembled in renderHtml changes, so existing renders are rebuilt
+const RENDER_FORMAT = 4;
+
+const TEMPLATE_PATH = path.join(ROOT_DIR, 'public', 'prospectus_template.html');
+const TRACKING_PATH = path.join(ROOT_DIR, 'public', 'tracking.js');
+
+// ===================== TEMPLATE =====================
+let templateCache = null;
+
+// The template (and its sections) and tracking.js, reread only when either
+// file changes on disk. version is a hash of both, recorded on every render.
+async function loadTemplate() {
+  const [templateStat, trackingStat] = await Promise.all([fs.stat(TEMPLATE_PATH), fs.stat(TRACKING_PATH)]);
+  const stamp = `${templateStat.mtimeMs}:${templateStat.size}:${trackingStat.mtimeMs}:${trackingStat.size}`;
+  if (templateCache && templateCache.stamp === stamp) return templateCache;
+
+  const [html, trackingJs] = await Promise.all([
+    fs.readFile(TEMPLATE_PATH, 'utf8'),
+    fs.readFile(TRACKING_PATH, 'utf8')
+  ]);
+  templateCache = {
+    stamp,
+    html,
+    trackingJs,
+    parsed: parseTemplate(html),
+    version: renders.sha256(`${RENDER_FORMAT}\0${html}\0${trackingJs}`).slice(0, 12)
+  };
+  return templateCache;
+}
+
+// Everything about the family that appears on the page
+function personalisation(inquiry, language) {
+  return {
+    id: inquiry.id,
+    firstName: inquiry.firstName,
+    familySurname: inquiry.familySurname,
+    ageGroup: inquiry.ageGroup,
+    entryYear: inquiry.entryYear,
+    language: language,
+    sciences: !!inquiry.sciences,
+    mathematics: !!inquiry.mathematics,
+    english: !!inquiry.english,
+    languages: !!inquiry.languages,
+    humanities: !!inquiry.humanities,
+    business: !!inquiry.business,
+    drama: !!inquiry.drama,
+    music: !!inquiry.music,
+    art: !!inquiry.art,
+    creative_writing: !!inquiry.creative_writing,
+    sport: !!inquiry.sport,
+    leadership: !!inquiry.leadership,
+    community_service: !!inquiry.community_service,
+    outdoor_education: !!inquiry.outdoor_education,
+    academic_excellence: !!inquiry.academic_excellence,
+    pastoral_care: !!inquiry.pastoral_care,
+    university_preparation: !!inquiry.university_preparation,
+    personal_development: !!inquiry.personal_development,
+    career_guidance: !!inquiry.career_guidance,
+    extracurricular_opportunities: !!inquiry.extracurricular_opportunities
+  };
+}
+
+// ===================== PROSPECTUS GENERATION =====================
+// A value for an inline <script>: the family's details come from the public
+// enquiry form, and staff open the page signed in on the same origin, so
+// nothing in them may close the script tag
+const scriptJson = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// content is a stored content document (null for the template as it is);
+// tracking: false leaves out the tracking script, for staff previews
+async function renderHtml(inquiry, language, template, generatedAt, { content = null, tracking = true } = {}) {
+  let html = assemblePage(template.parsed, content, personalisation(inquiry, language));
+  
+  const translation = await translatePage(html, language, personalisation(inquiry, language));
+  html = translation.html;
+  if (language !== 'en') {
+    console.log(`🌐 Translated prospectus to ${language}: ${translation.segments} segments, `
+      + `${translation.overridden} by translators, ${translation.untranslated} left in English`);
+  }
+
+  // Add meta tags for tracking (updated with language)
+  const meta = `
+<meta name="inquiry-id" content="${escapeHtml(inquiry.id)}">
+<meta name="generated-date" content="${generatedAt}">
+<meta name="student-name" content="${escapeHtml(`${inquiry.firstName} ${inquiry.familySurname}`)}">
+<meta name="entry-year" content="${escapeHtml(inquiry.entryYear)}">
+<meta name="age-group" content="${escapeHtml(inquiry.ageGroup)}">
+<meta name="language" content="${language}">
+<meta name="prospectus-translated" content="${language}">`;
+  
+  html = html.replace('</head>', () => `${meta}\n</head>`);
+  
+  // Lay the page out in the language's direction from the first paint
+  html = html.replace(/<html lang="en">/, `<html ${htmlAttributes(language)}>`);
+
+  // Update page title
+  const title = `${inquiry.firstName} ${inquiry.familySurname} - More House School Prospectus ${inquiry.entryYear}`;
+  html = html.replace(/<title>.*?<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+  
+  // CRITICAL: Replace the OLD tracking script in template with NEW simple tracking
+  const newTrackingScript = `
+<!-- Simple Tracking Script -->
+<script>
+// Set inquiry ID for tracking
+window.MORE_HOUSE_INQUIRY_ID = ${scriptJson(inquiry.id)};
+console.log('Prospectus tracking initialized for:', window.MORE_HOUSE_INQUIRY_ID);
+</script>
+<script>
+${template.trackingJs}
+</script>`;
+
+  // Inject personalisation payload + initialise the page (updated with language)
+  const personalizationBootstrap = `
+<script>
+// Make the inquiry data available to the prospectus template
+window.PROSPECTUS_DATA = ${scriptJson(personalisation(inquiry, language))};
+
+// The text initializeProspectus writes, already translated by the server
+window.PROSPECTUS_TEXT = ${scriptJson(translation.text)};
+
+// Call the template's initialiser when available
+(function startPersonalisation(){
+  if (typeof window.initializeProspectus === 'function') {
+    window.initializeProspectus(window.PROSPECTUS_DATA);
+    Object.keys(window.PROSPECTUS_TEXT).forEach(function (id) {
+      var el = document.getElementById(id);
+      if (el) el.innerHTML = window.PROSPECTUS_TEXT[id];
+    });
+  } else {
+    setTimeout(startPersonalisation, 50);
+  }
+})();
+</script>`;
+  
+  // Find the body closing tag and inject BEFORE it
+  const bodyCloseIndex = html.lastIndexOf('</body>');
+  if (bodyCloseIndex === -1) {
+    throw new Error('Template missing </body> tag');
+  }
+  
+  // The template loads tracking.js itself as well
+  if (!tracking) html = html.replace(/<script src="\/tracking\.js[^"]*"[^>]*><\/script>/g, '');
+
+  html = html.slice(0, bodyCloseIndex)
+    + (tracking ? newTrackingScript : '')
+    + personalizationBootstrap
+    + '\n'
+    + html.slice(bodyCloseIndex);
+  
+  return { html, untranslated: translation.untranslated };
+}
+
+function renderResult(inquiry, render, cached) {
+  const slug = makeSlug(inquiry);
+  return {
+    filename: render.filename,
+    url: `/prospectuses/${render.filename}`,
+    slug,
+    prettyPath: `/${slug}`,
+    language: render.language,
+    generatedAt: render.createdAt,
+    renderId: render.id,
+    contentHash: render.contentHash,
+    templateVersion: render.templateVersion,
+    contentVersion: render.contentVersion ?? null,
+    cached
+  };
+}
+
+// Returns the family's prospectus for inquiry.language, building it only when
+// no render with the same inputs exists. force builds a new one regardless
+// (and releases a render staff restored). pointSlug: false leaves the
+// family's link on the render it serves now.
+async function generateProspectus(inquiry, { force = false, pointSlug = true } = {}) {
+  try {
+    const language = inquiry.language || 'en';
+    const template = await loadTemplate();
+    const published = await getContentStore().getPublished();
+    const contentVersion = published ? published.version : null;
+    const inputHash = renders.sha256(JSON.stringify({
+      templateVersion: template.version,
+      contentVersion,
+      translationVersion: await translationVersion(language),
+      data: personalisation(inquiry, language)
+    }));
+
+    let render = force ? null : await renders.findReusableRender(inquiry.id, language, inputHash);
+    const cached = !!render;
+
+    if (render) {
+      await renders.markCurrent(inquiry.id, render);
+      console.log(`♻️ Reusing prospectus render ${render.id} for ${inquiry.id}`);
+    } else {
+      console.log(`Generating prospectus for ${inquiry.firstName} ${inquiry.familySurname}`);
+      console.log(`📌 Language requested: ${language}`);
+      const createdAt = new Date().toISOString();
+      const { html, untranslated } = await renderHtml(inquiry, language, template, createdAt, {
+        content: published ? published.document : null
+      });
+      const contentHash = renders.sha256(html);
+      const filename = generateFilename(inquiry, `${language}-${contentHash.slice(0, 10)}`);
+
+      await fs.writeFile(path.join(PROSPECTUS_DIR, filename), html, 'utf8');
+      render = await renders.recordRender(inquiry.id, {
+        id: `${language}-${contentHash.slice(0, 12)}`,
+        language,
+        templateVersion: template.version,
+        contentVersion,
+        inputHash,
+        contentHash,
+        filename,
+        createdAt,
+        // Built while the translation provider was away; not reused
+        ...(untranslated ? { untranslated } : {})
+      });
+
+      console.log(`✅ Prospectus generated: ${filename}`);
+      console.log(`📊 Tracking ID: ${inquiry.id}`);
+      console.log(`🌐 Language: ${language}`);
+    }
+
+    const result = renderResult(inquiry, render, cached);
+    return pointSlug ? await pointSlugAt(result) : result;
+  } catch (e) {
+    console.error('Prospectus generation failed:', e.message);
+    throw new Error(`Prospectus generation error: ${e.message}`);
+  }
+}
+
+async function pointSlugAt(result) {
+  if (slugIndex[result.slug] !== result.url) {
+    slugIndex[result.slug] = result.url;
+    await saveSlugIndex();
+    console.log(`🔗 Pretty URL: ${result.prettyPath} -> ${result.url}`);
+  }
+  return result;
+}
+
+// Serve an earlier render again until a forced regeneration; null if the
+// render is unknown or its file has been deleted
+async function restoreProspectus(inquiry, renderId) {
+  const render = await renders.restoreRender(inquiry.id, renderId);
+  if (!render) return null;
+  return pointSlugAt(renderResult(inquiry, render, true));
+}
+
+// The page as a family would get it from a given content document, for staff
+// to check before publishing. Nothing is written and nothing is tracked.
+async function previewProspectus(inquiry, { language = inquiry.language || 'en', content = null } = {}) {
+  const template = await loadTemplate();
+  return (await renderHtml(inquiry, language, template, new Date().toISOString(), { content, tracking: false })).html;
+}
+
+// Every page a family could be sent from the published content, before
+// personalisation (one per age group, every custom block included), for
+// finding what there is to translate
+async function prospectusPages() {
+  const template = await loadTemplate();
+  const published = await getContentStore().getPublished();
+  const everyInterest = Object.fromEntries(INTERESTS.map(i => [i, true]));
+  return AGE_GROUPS.map(ageGroup =>
+    assemblePage(template.parsed, published ? published.document : null, { ...everyInterest, ageGroup }));
+}
+
+module.exports = {
+  loadTemplate,
+  prospectusPages,
+  generateProspectus,
+  restoreProspectus,
+  previewProspectus
+};
@@ -0,0 +1,159 @@
+// PDF export of a generated prospectus through headless Chrome (puppeteer).
+// The page is loaded as if served by this app, so initializeProspectus hides
+// the sections that don't apply to the family. It is already in the family's
+// language (translated on the server when it was generated), and translator.js
+// leaves a page marked prospectus-translated as it is. Tracking, video and
+// chatbot requests are blocked so printing never counts as a visit. The PDF opens with
+// a link to the family's tracked online prospectus.
+//
+// PDFs are cached next to their render, keyed by render and online link.
+// PUPPETEER_EXECUTABLE_PATH selects a system Chrome; PDF_CHROME_NO_SANDBOX=1
+// is needed when running as root in a container.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PROSPECTUS_DIR } = require('../paths');
+const { sha256 } = require('./prospectus-renders');
+
+const RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS) || 45000;
+
+// Requests the printed page must not make
+const BLOCKED_REQUESTS = [
+  /\/api\/track/,
+  /\/tracking\.js/,
+  /youtube\.com|youtube-nocookie\.com|ytimg\.com/,
+  /onrender\.com\/embed/
+];
+
+class PdfUnavailableError extends Error {}
+
+let browserPromise = null;
+
+async function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = (async () => {
+      let puppeteer;
+      try {
+        puppeteer = require('puppeteer');
+      } catch {
+        throw new PdfUnavailableError('PDF export needs the puppeteer package (npm install)');
+      }
+      try {
+        const browser = await puppeteer.launch({
+          headless: true,
+          args: process.env.PDF_CHROME_NO_SANDBOX === '1' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+        });
+        browser.on('disconnected', () => { browserPromise = null; });
+        console.log('🖨️ Headless Chrome started for PDF export');
+        return browser;
+      } catch (e) {
+        throw new PdfUnavailableError(`Could not start headless Chrome: ${e.message.split('\n')[0]}`);
+      }
+    })();
+    browserPromise.catch(() => { browserPromise = null; });
+  }
+  return browserPromise;
+}
+
+async function closePdfRenderer() {
+  if (!browserPromise) return;
+  try {
+    const browser = await browserPromise;
+    await browser.close();
+  } catch {
+    // never started
+  }
+  browserPromise = null;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// The prospectus HTML with print styles and the link back to the online copy
+function preparePrintHtml(html, { onlineUrl }) {
+  const printCss = `
+<style id="pdf-export">
+  #lang-switcher, #penai-chat-wrapper, .video-modal, iframe { display: none !important; }
+  .photo-reveal { opacity: 1 !important; transform: none !important; }
+  .cover-page { break-after: page; }
+  .pdf-online-link { padding: 14px 24px; background: #1a2b5c; color: #fff; font: 14px/1.4 system-ui, Arial, sans-serif; text-align: center; }
+  .pdf-online-link a { color: #fff; font-weight: 600; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+</style>`;
+
+  const banner = `
+<div class="pdf-online-link">
+  <p>This is a printed copy of your personalised prospectus. See the interactive version, with videos, online:
+  <a href="${escapeHtml(onlineUrl)}">${escapeHtml(onlineUrl)}</a></p>
+</div>`;
+
+  return html
+    .replace('</head>', `${printCss}\n</head>`)
+    .replace(/<body([^>]*)>/, `<body$1>${banner}`);
+}
+
+function pdfPathFor(prospectus, onlineUrl) {
+  const base = prospectus.filename.replace(/\.html$/, '');
+  return path.join(PROSPECTUS_DIR, `${base}-${sha256(onlineUrl).slice(0, 8)}.pdf`);
+}
+
+// Render prospectus (the result of generateProspectus) to PDF and return the
+// file path. serverUrl is where this app can be reached from the same machine,
+// for the page's scripts, styles and images.
+async function renderProspectusPdf({ prospectus, onlineUrl, serverUrl }) {
+  const pdfPath = pdfPathFor(prospectus, onlineUrl);
+  try {
+    await fs.access(pdfPath);
+    return pdfPath;
+  } catch {
+    // not cached yet
+  }
+
+  const html = preparePrintHtml(
+    await fs.readFile(path.join(PROSPECTUS_DIR, prospectus.filename), 'utf8'),
+    { onlineUrl }
+  );
+  // ?lang= as online, so translator.js sees the page is in the language asked for
+  const language = prospectus.language || 'en';
+  const pageUrl = `${serverUrl}/__prospectus-pdf/${encodeURIComponent(prospectus.filename)}${language === 'en' ? '' : `?lang=${language}`}`;
+
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  try {
+    page.on('dialog', dialog => dialog.dismiss().catch(() => {}));
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      const url = request.url();
+      if (url === pageUrl) {
+        return request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+      }
+      if (BLOCKED_REQUESTS.some(re => re.test(url))) return request.abort();
+      return request.continue();
+    });
+
+    await page.emulateMediaType('print');
+    await page.goto(pageUrl, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+
+    await page.pdf({
+      path: pdfPath,
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '12mm', bottom: '16mm', left: '10mm', right: '10mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: '<div style="width:100%;font-size:8px;color:#64748b;text-align:center">More House School - <span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+    });
+    console.log(`🖨️ PDF rendered: ${path.basename(pdfPath)}`);
+    return pdfPath;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  PdfUnavailableError,
+  preparePrintHtml,
+  renderProspectusPdf,
+  closePdfRenderer
+};
@@ -0,0 +1,146 @@
+// Render history for generated prospectuses. Each render is an immutable file
+// in PROSPECTUS_DIR named after its content hash and recorded in a per-inquiry
+// manifest (DATA_DIR/prospectus-renders/<inquiryId>.json) with the inputs it
+// was built from: language, template version and an input hash over the
+// family's personalisation. prospectus-generator.js reuses a render whose
+// inputs still match instead of building the page again.
+//
+// Manifest: { inquiryId, current: { <lang>: renderId }, pinned: { <lang>: true }, renders: [...] }
+// A language is pinned when staff restore an older render; it is served as-is
+// until someone forces a fresh render.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, PROSPECTUS_DIR } = require('../paths');
+
+const RENDERS_DIR = path.join(DATA_DIR, 'prospectus-renders');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function manifestPath(inquiryId) {
+  return path.join(RENDERS_DIR, `${String(inquiryId).replace(/[^a-z0-9_-]/gi, '_')}.json`);
+}
+
+async function loadManifest(inquiryId) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath(inquiryId), 'utf8'));
+  } catch {
+    return { inquiryId, current: {}, pinned: {}, renders: [] };
+  }
+}
+
+async function saveManifest(manifest) {
+  await fs.mkdir(RENDERS_DIR, { recursive: true });
+  await fs.writeFile(manifestPath(manifest.inquiryId), JSON.stringify(manifest, null, 2));
+}
+
+async function fileExists(filename) {
+  try {
+    await fs.access(path.join(PROSPECTUS_DIR, filename));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The render to serve for these inputs without rebuilding, or null: the
+// pinned render for the language, else one built from the same inputs that
+// isn't missing translations
+async function findReusableRender(inquiryId, language, inputHash) {
+  const manifest = await loadManifest(inquiryId);
+  const currentId = manifest.current[language];
+
+  if (manifest.pinned[language]) {
+    const pinned = manifest.renders.find(r => r.id === currentId);
+    if (pinned && await fileExists(pinned.filename)) return pinned;
+  }
+
+  // Newest first, the current render ahead of the rest
+  const matches = manifest.renders
+    .filter(r => r.language === language && r.inputHash === inputHash && !r.untranslated)
+    .reverse()
+    .sort((a, b) => (b.id === currentId) - (a.id === currentId));
+  for (const render of matches) {
+    if (await fileExists(render.filename)) return render;
+  }
+  return null;
+}
+
+// Add a freshly written render and make it current for its language
+async function recordRender(inquiryId, render) {
+  const manifest = await loadManifest(inquiryId);
+  manifest.renders = manifest.renders.filter(r => r.id !== render.id);
+  manifest.renders.push(render);
+  manifest.current[render.language] = render.id;
+  delete manifest.pinned[render.language];
+  await saveManifest(manifest);
+  return render;
+}
+
+// Make a reused render current again (it may not be the latest)
+async function markCurrent(inquiryId, render) {
+  const manifest = await loadManifest(inquiryId);
+  if (manifest.current[render.language] === render.id) return;
+  manifest.current[render.language] = render.id;
+  await saveManifest(manifest);
+}
+
+async function listRenders(inquiryId) {
+  const manifest = await loadManifest(inquiryId);
+  const renders = [];
+  for (const r of manifest.renders.slice().reverse()) {
+    renders.push({
+      ...r,
+      current: manifest.current[r.language] === r.id,
+      pinned: manifest.current[r.language] === r.id && !!manifest.pinned[r.language],
+      available: await fileExists(r.filename)
+    });
+  }
+  return renders;
+}
+
+async function getRender(inquiryId, renderId) {
+  const manifest = await loadManifest(inquiryId);
+  return manifest.renders.find(r => r.id === renderId) || null;
+}
+
+// Serve an earlier render again and pin it; null if it is unknown or its file is gone
+async function restoreRender(inquiryId, renderId) {
+  const manifest = await loadManifest(inquiryId);
+  const render = manifest.renders.find(r => r.id === renderId);
+  if (!render || !(await fileExists(render.filename))) return null;
+  manifest.current[render.language] = render.id;
+  manifest.pinned[render.language] = true;
+  await saveManifest(manifest);
+  return render;
+}
+
+// Delete every render file, the PDFs printed from them and the manifest (used
+// when an inquiry is deleted)
+async function removeRenders(inquiryId) {
+  const manifest = await loadManifest(inquiryId);
+  const files = await fs.readdir(PROSPECTUS_DIR).catch(() => []);
+  for (const r of manifest.renders) {
+    const base = r.filename.replace(/\.html$/, '');
+    const pdfs = files.filter(f => f.startsWith(`${base}-`) && f.endsWith('.pdf'));
+    for (const filename of [r.filename, ...pdfs]) {
+      await fs.unlink(path.join(PROSPECTUS_DIR, filename)).catch(() => {});
+    }
+  }
+  await fs.unlink(manifestPath(inquiryId)).catch(() => {});
+  return manifest.renders.length;
+}
+
+module.exports = {
+  sha256,
+  findReusableRender,
+  recordRender,
+  markCurrent,
+  listRenders,
+  getRender,
+  restoreRender,
+  removeRenders
+};
@@ -0,0 +1,399 @@
+// Translates a family's prospectus on the server, so the page is served in
+// their language from the first paint and nobody's visit costs a translation.
+//
+// The body is cut into segments: an element marked data-translate is one
+// segment whatever it holds (data-translate="<name>" names it), otherwise a
+// segment is a run of text and inline markup between block tags. Scripts,
+// styles, form controls and anything marked data-no-translate, translate="no"
+// or class="notranslate" are left alone. Segments go through
+// translation-cache.js, so each is translated once per language and shared by
+// every family; a translator's override for a segment wins over the machine
+// translation for as long as the English it was written against is unchanged.
+//
+// initializeProspectus rewrites parts of the page for the family in the
+// browser, in English. Those strings are worked out here by running the
+// template's personalisation script against a stand-in document, translated
+// with the family's names kept as they are, and handed to the page to put in
+// place straight after it personalises.
+
+const crypto = require('crypto');
+const vm = require('vm');
+const translationCache = require('../../translation-cache');
+const { getTranslationStore } = require('./translation-store');
+const { applyGlossary } = require('./translation-glossary');
+const { providerNameFor } = require('./translation-providers');
+
+const INLINE = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'em', 'i', 'mark', 'q', 's',
+  'small', 'span', 'strong', 'sub', 'sup', 'time', 'u'
+]);
+const UNTRANSLATED = new Set(['script', 'style', 'noscript', 'template', 'svg', 'select', 'textarea', 'iframe']);
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>|[^<]+|</g;
+const LETTER_RE = /\p{L}/u;
+
+const MAX_OVERRIDE = 20000;
+
+function segmentId(source) {
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+function parseTag(token) {
+  const m = token.match(/^<(\/?)([a-zA-Z][\w-]*)/);
+  if (!m) return null;
+  const name = m[2].toLowerCase();
+  return {
+    name,
+    closing: !!m[1],
+    empty: VOID_ELEMENTS.has(name) || token.endsWith('/>'),
+    attrs: token
+  };
+}
+
+function isUntranslated(tag) {
+  return UNTRANSLATED.has(tag.name)
+    || /\sdata-no-translate\b/i.test(tag.attrs)
+    || /\stranslate="no"/i.test(tag.attrs)
+    || /\sclass="[^"]*\bnotranslate\b/i.test(tag.attrs);
+}
+
+// Inline tags in html open and close in order
+function isBalanced(html) {
+  const stack = [];
+  for (const token of html.match(/<\/?[a-zA-Z][^>]*>/g) || []) {
+    const tag = parseTag(token);
+    if (tag.empty) continue;
+    if (!tag.closing) stack.push(tag.name);
+    else if (stack.pop() !== tag.name) return false;
+  }
+  return stack.length === 0;
+}
+
+// ===================== SEGMENTS =====================
+// Cut a page into { parts, segments }: parts is the page as strings and
+// { segment } placeholders, segments is [{ id, name, source }] in page order
+// (a segment appearing twice is listed once).
+function segmentPage(html) {
+  const bodyStart = html.search(/<body\b[^>]*>/i);
+  const bodyEnd = html.lastIndexOf('</body>');
+  if (bodyStart === -1 || bodyEnd === -1) return { parts: [html], segments: [] };
+  const openEnd = html.indexOf('>', bodyStart) + 1;
+
+  const parts = [html.slice(0, openEnd)];
+  const segments = new Map();
+  const tokens = html.slice(openEnd, bodyEnd).match(TOKEN_RE) || [];
+
+  function addSegment(source, name = null) {
+    const normalised = source.replace(/\s+/g, ' ');
+    const id = name || segmentId(normalised);
+    if (!segments.has(id)) segments.set(id, { id, name, source: normalised });
+    parts.push({ segment: id });
+  }
+
+  // Text with its surrounding whitespace kept outside the segment
+  function addText(text, name = null) {
+    const [, lead, middle, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!LETTER_RE.test(middle.replace(/<[^>]*>|&#?\w+;/g, ''))) {
+      parts.push(text);
+      return;
+    }
+    parts.push(lead);
+    addSegment(middle, name);
+    parts.push(trail);
+  }
+
+  let run = [];
+  function flush() {
+    if (!run.length) return;
+    const html = run.join('');
+    if (isBalanced(html)) addText(html);
+    else run.forEach(token => (token.startsWith('<') ? parts.push(token) : addText(token)));
+    run = [];
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const tag = token.startsWith('<') ? parseTag(token) : null;
+    if (!tag) {
+      if (token.startsWith('<!--')) {
+        flush();
+        parts.push(token);
+      } else {
+        run.push(token);
+      }
+      continue;
+    }
+
+    if (!tag.closing && !tag.empty && (isUntranslated(tag) || /\sdata-translate\b/i.test(tag.attrs))) {
+      // Everything up to the matching close tag
+      let depth = 1;
+      let j = i + 1;
+      for (; j < tokens.length && depth; j++) {
+        const inner = parseTag(tokens[j]);
+        if (inner && inner.name === tag.name && !inner.empty) depth += inner.closing ? -1 : 1;
+      }
+      const closeAt = depth ? tokens.length : j - 1;
+      flush();
+      if (isUntranslated(tag)) {
+        parts.push(tokens.slice(i, closeAt + 1).join(''));
+      } else {
+        const name = (tag.attrs.match(/\sdata-translate="([\w-]{1,64})"/i) || [])[1] || null;
+        parts.push(token);
+        addText(tokens.slice(i + 1, closeAt).join(''), name);
+        if (closeAt < tokens.length) parts.push(tokens[closeAt]);
+      }
+      i = closeAt;
+      continue;
+    }
+
+    if (INLINE.has(tag.name)) {
+      run.push(token);
+    } else {
+      flush();
+      parts.push(token);
+    }
+  }
+  flush();
+
+  parts.push(html.slice(bodyEnd));
+  return { parts, segments: [...segments.values()] };
+}
+
+// ===================== PERSONALISATION =====================
+// A stand-in for the browser: every element exists, and whatever the script
+// writes into one is recorded as HTML against its id
+function stubDocument(written) {
+  const elements = new Map();
+  const noop = () => {};
+
+  function element(id) {
+    if (id && elements.has(id)) return elements.get(id);
+    const el = {
+      style: {},
+      classList: { add: noop, remove: noop, toggle: noop, contains: () => false },
+      addEventListener: noop,
+      appendChild: noop,
+      getAttribute: () => null,
+      setAttribute: noop,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      get textContent() { return ''; },
+      set textContent(value) { if (id) written[id] = escapeHtml(value); },
+      get innerHTML() { return id && written[id] ? written[id] : ''; },
+      set innerHTML(value) { if (id) written[id] = String(value); }
+    };
+    if (id) elements.set(id, el);
+    return el;
+  }
+
+  return {
+    readyState: 'complete',
+    body: element(null),
+    documentElement: element(null),
+    getElementById: element,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: () => element(null),
+    addEventListener: noop
+  };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// What initializeProspectus would write for this family, as { id: html };
+// empty if the page has no personalisation script or it fails here
+function personalisedText(html, data) {
+  const script = (html.match(/<script>([\s\S]*?)<\/script>/g) || [])
+    .map(s => s.slice('<script>'.length, -'</script>'.length))
+    .find(s => s.includes('function initializeProspectus'));
+  if (!script) return {};
+
+  const written = {};
+  const document = stubDocument(written);
+  const context = {
+    document,
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout: () => 0,
+    IntersectionObserver: class { observe() {} },
+    __data: data
+  };
+  context.window = context;
+  try {
+    vm.runInNewContext(`${script}\ninitializeProspectus(__data);`, context, { timeout: 1000 });
+  } catch (error) {
+    console.warn('⚠️ Could not work out the personalised text to translate:', error.message);
+    return {};
+  }
+  return written;
+}
+
+// ===================== OVERRIDES =====================
+// The translator's overrides for a language, by segment id
+async function loadOverrides(language) {
+  const overrides = await getTranslationStore().getOverrides(language);
+  return new Map(overrides.map(o => [o.segment, o]));
+}
+
+function overrideApplies(override, segment) {
+  return !!override && override.sourceHash === segmentId(segment.source);
+}
+
+// Changes whenever the language's provider, the glossary or an override for
+// the language does, so a render built before is not reused
+async function translationVersion(language) {
+  if (language === 'en') return null;
+  const overrides = (await getTranslationStore().getOverrides(language))
+    .map(o => [o.segment, o.sourceHash, o.translated])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  return segmentId(JSON.stringify([
+    providerNameFor(language),
+    (await translationCache.getGlossary()).version,
+    overrides
+  ]));
+}
+
+// Check a translator's override; returns an error message or null
+function validateOverride(translated) {
+  if (typeof translated !== 'string' || !translated.trim()) return 'translated must be text';
+  if (translated.length > MAX_OVERRIDE) return `translated must be at most ${MAX_OVERRIDE} characters`;
+  if (/<\s*\/?\s*(script|style|iframe|object|embed)\b|\son\w+\s*=|javascript:/i.test(translated)) {
+    return 'translated may only contain text and inline markup';
+  }
+  if (!isBalanced(translated)) return 'translated has unbalanced tags';
+  return null;
+}
+
+// ===================== TRANSLATION =====================
+// The page in language: { html, text, segments, overridden, untranslated }.
+// text is the translated personalisation for the page to apply
+// ({ id: html }); untranslated counts what was left in English because the
+// provider couldn't be reached.
+async function translatePage(html, language, data) {
+  if (language === 'en') return { html, text: {}, segments: 0, overridden: 0, untranslated: 0 };
+
+  const { parts, segments } = segmentPage(html);
+  const overrides = await loadOverrides(language);
+  const translated = new Map();
+  let overridden = 0;
+  let untranslated = 0;
+
+  const machine = [];
+  for (const segment of segments) {
+    const override = overrides.get(segment.id);
+    if (overrideApplies(override, segment)) {
+      translated.set(segment.id, override.translated);
+      overridden++;
+    } else {
+      machine.push(segment);
+    }
+  }
+  const results = await translationCache.resolveMany(machine.map(s => s.source), language, 'prospectus');
+  machine.forEach((segment, i) => {
+    if (results[i].source === 'failed') untranslated++;
+    translated.set(segment.id, results[i].text);
+  });
+
+  // The family's names are theirs in every language
+  const names = [data.firstName, data.familySurname]
+    .filter(name => name && LETTER_RE.test(name))
+    .map(term => ({ term: String(term), translations: {}, note: '' }));
+  const written = Object.entries(personalisedText(html, data));
+  const personal = await translationCache.resolveMany(
+    written.map(([, value]) => applyGlossary(value, names, language)),
+    language,
+    'prospectus-personal'
+  );
+  const text = {};
+  written.forEach(([id], i) => {
+    if (personal[i].source === 'failed') untranslated++;
+    else text[id] = personal[i].text;
+  });
+
+  return {
+    html: parts.map(part => (typeof part === 'string' ? part : translated.get(part.segment))).join(''),
+    text,
+    segments: segments.length,
+    overridden,
+    untranslated
+  };
+}
+
+// The segments of a page for translators: [{ id, name, source, machine,
+// override, stale }], machine being the cached machine translation if any
+// and stale whether the override was written for different English
+async function describeSegments(pages, language) {
+  const segments = new Map();
+  for (const html of pages) {
+    for (const segment of segmentPage(html).segments) {
+      if (!segments.has(segment.id)) segments.set(segment.id, segment);
+    }
+  }
+  const overrides = await loadOverrides(language);
+  const out = [];
+  for (const segment of segments.values()) {
+    const override = overrides.get(segment.id);
+    out.push({
+      id: segment.id,
+      name: segment.name,
+      source: segment.source,
+      machine: await translationCache.cached(segment.source, language, 'prospectus'),
+      override: override ? override.translated : null,
+      stale: !!override && !overrideApplies(override, segment)
+    });
+  }
+  return out;
+}
+
+// Set a translator's override for a segment of pages; returns null for a
+// segment the pages don't have, else { error } or { segment } as
+// describeSegments lists it
+async function saveOverride(pages, language, id, translated, updatedBy) {
+  const segment = (await describeSegments(pages, language)).find(s => s.id === id);
+  if (!segment) return null;
+  const error = validateOverride(translated);
+  if (error) return { error };
+  await getTranslationStore().putOverride({
+    language,
+    segment: id,
+    sourceHash: segmentId(segment.source),
+    source: segment.source,
+    translated: translated.trim(),
+    updatedBy
+  });
+  return { segment: { ...segment, override: translated.trim(), stale: false } };
+}
+
+// Back to the machine translation; false if there was no override
+async function removeOverride(language, id) {
+  return getTranslationStore().removeOverride(language, id);
+}
+
+// Translate every segment of pages into language ahead of the first family
+// who needs it; returns { segments, cached, translated, failed }
+async function precacheSegments(pages, language) {
+  const segments = new Map();
+  for (const html of pages) {
+    for (const segment of segmentPage(html).segments) segments.set(segment.id, segment.source);
+  }
+  const summary = { segments: segments.size, cached: 0, translated: 0, failed: 0 };
+  for (const { source } of await translationCache.resolveMany([...segments.values()], language, 'prospectus')) {
+    if (source === 'provider') summary.translated++;
+    else if (source === 'failed') summary.failed++;
+    else summary.cached++;
+  }
+  return summary;
+}
+
+module.exports = {
+  segmentPage,
+  personalisedText,
+  translationVersion,
+  translatePage,
+  describeSegments,
+  saveOverride,
+  removeOverride,
+  precacheSegments
+};
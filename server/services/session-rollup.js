@@ -0,0 +1,348 @@
+// Rolls tracking_events up into session_summaries (a row per visit) and
+// family_engagement_summary (a row per inquiry), which the dashboard reads
+// instead of aggregating raw events on every request. Each run picks up the
+// events stored since the last one (rollup_watermarks), recomputes the visits
+// they belong to and then the families of those visits. A visit is closed by
+// its page_unload, or once nothing has arrived for SESSION_IDLE_MINUTES; an
+// event arriving later simply reopens and recomputes it. Families are scored
+// (engagement-scoring.js) as they are rolled up, and score alert rules
+// (alerts.js) checked once the new scores are committed.
+//
+// Runs every SESSION_ROLLUP_MS (default 60000) and shortly after a visit ends.
+// Only one process rolls up at a time (an advisory lock), so several servers
+// can share the database. SESSION_ROLLUP=false leaves it to another process.
+// Nothing to do in JSON-only mode.
+
+const { getDb, withTransaction } = require('./database');
+const { DEFAULT_MODEL, getScoreModel, saveFamilyScore, scoreEngagement, signalsFrom } = require('./engagement-scoring');
+const { INGEST_LOCK } = require('./tracking-events');
+const { evaluateScoreChanges } = require('./alerts');
+const { pickNumber } = require('../utils');
+
+const ROLLUP_LOCK = 7301601;
+const EVENTS_PER_PASS = 5000;
+const AFTER_UNLOAD_MS = 2000;
+// tracking.js can't tell how long a video is, so one left open this long
+// counts as watched through
+const VIDEO_WATCHED_SEC = 60;
+
+// The event types the dashboard's section breakdown is built from; tracking.js
+// sends section/dwellSec, older builds sent currentSection/timeInSectionSec
+const SECTION_EVENT_TYPES = new Set(['section_exit', 'section_exit_enhanced', 'link_click', 'youtube_video_progress']);
+
+const idleMs = () => Number(process.env.SESSION_IDLE_MINUTES || 30) * 60 * 1000;
+const intervalMs = () => Number(process.env.SESSION_ROLLUP_MS || 60000);
+
+// ===================== ROLLUPS =====================
+// One visit from its events ({ event_type, event_data, timestamp }, oldest
+// first), as a session_summaries row
+function rollupSession(events, { now = Date.now(), idleAfterMs = idleMs(), model = DEFAULT_MODEL } = {}) {
+  const sections = new Map();
+  const videos = new Set();
+  let videosCompleted = 0;
+  let contactActions = 0;
+  let tierExpansions = 0;
+  let openVideo = null;
+
+  for (const event of events) {
+    const type = event.event_type || '';
+    const d = event.event_data || {};
+    if (SECTION_EVENT_TYPES.has(type)) {
+      const id = d.currentSection || d.section || 'unknown';
+      const s = sections.get(id) || { dwell_sec: 0, max_scroll_pct: 0, links: new Set(), video_sec: 0 };
+      s.dwell_sec += Math.round(pickNumber(d.timeInSectionSec ?? d.dwellSec));
+      s.max_scroll_pct = Math.max(s.max_scroll_pct, Math.round(pickNumber(d.maxScrollPct)));
+      if (type === 'link_click' && d.linkId) s.links.add(d.linkId);
+      s.video_sec += Math.round(pickNumber(d.videoWatchSec));
+      sections.set(id, s);
+    }
+    if (type === 'video_open' && d.youtubeId) {
+      videos.add(d.youtubeId);
+      openVideo = { id: d.youtubeId, at: new Date(event.timestamp) };
+    }
+    if (type === 'video_close' && openVideo && (!d.youtubeId || d.youtubeId === openVideo.id)) {
+      if (new Date(event.timestamp) - openVideo.at >= VIDEO_WATCHED_SEC * 1000) videosCompleted++;
+      openVideo = null;
+    }
+    if (type.startsWith('youtube_video_play') && d.videoId) videos.add(d.videoId);
+    if (type === 'youtube_video_complete') videosCompleted++;
+    if (type === 'cta_openmorning_click') contactActions++;
+    if (type === 'tier_expand') tierExpansions++;
+  }
+
+  const sectionTimes = {};
+  for (const [id, { links, ...s }] of sections) sectionTimes[id] = { ...s, clicks: links.size };
+  const totals = totalSections(sectionTimes);
+
+  const first = events[0];
+  const last = events[events.length - 1];
+  const start = first ? new Date(first.timestamp) : null;
+  const end = last ? new Date(last.timestamp) : null;
+  let endedBy = null;
+  if (last && last.event_type === 'page_unload') endedBy = 'unload';
+  else if (end && now - end.getTime() >= idleAfterMs) endedBy = 'idle';
+
+  const row = {
+    start_time: start,
+    end_time: end,
+    duration_seconds: start ? Math.round((end - start) / 1000) : 0,
+    total_events: events.length,
+    sections_visited: Object.keys(sectionTimes).length,
+    max_scroll_depth: totals.maxScroll,
+    section_times: sectionTimes,
+    videos_played: videos.size,
+    videos_completed: videosCompleted,
+    total_video_time: totals.videoSec,
+    contact_actions: contactActions,
+    tier_expansions: tierExpansions,
+    ended_by: endedBy
+  };
+  row.engagement_score = scoreEngagement(signalsFrom(row), model).score;
+  return row;
+}
+
+// A family from its session_summaries rows, as a family_engagement_summary
+// row (scored separately)
+function rollupFamily(sessions) {
+  const sectionTimes = {};
+  for (const session of sessions) {
+    for (const [id, s] of Object.entries(session.section_times || {})) {
+      const sum = sectionTimes[id] || { dwell_sec: 0, max_scroll_pct: 0, clicks: 0, video_sec: 0 };
+      sum.dwell_sec += s.dwell_sec || 0;
+      sum.max_scroll_pct = Math.max(sum.max_scroll_pct, s.max_scroll_pct || 0);
+      sum.clicks += s.clicks || 0;
+      sum.video_sec += s.video_sec || 0;
+      sectionTimes[id] = sum;
+    }
+  }
+  const totals = totalSections(sectionTimes);
+  const add = column => sessions.reduce((n, s) => n + Number(s[column] || 0), 0);
+  const times = column => sessions.map(s => s[column]).filter(Boolean).map(t => new Date(t).getTime());
+  const starts = times('start_time');
+  const ends = times('end_time');
+
+  return {
+    total_sessions: sessions.length,
+    total_duration_seconds: add('duration_seconds'),
+    total_events: add('total_events'),
+    sections_visited: Object.keys(sectionTimes).length,
+    section_times: sectionTimes,
+    max_scroll_depth: totals.maxScroll,
+    videos_played: add('videos_played'),
+    videos_completed: add('videos_completed'),
+    total_video_time: totals.videoSec,
+    contact_actions: add('contact_actions'),
+    tier_expansions: add('tier_expansions'),
+    first_seen: starts.length ? new Date(Math.min(...starts)) : null,
+    last_seen: ends.length ? new Date(Math.max(...ends)) : null
+  };
+}
+
+function totalSections(sectionTimes) {
+  const all = Object.values(sectionTimes);
+  return {
+    videoSec: all.reduce((n, s) => n + s.video_sec, 0),
+    maxScroll: all.reduce((n, s) => Math.max(n, s.max_scroll_pct), 0)
+  };
+}
+
+// ===================== STORAGE =====================
+const SESSION_COLUMNS = [
+  'start_time', 'end_time', 'duration_seconds', 'total_events', 'sections_visited',
+  'max_scroll_depth', 'section_times', 'videos_played', 'videos_completed',
+  'total_video_time', 'contact_actions', 'tier_expansions', 'engagement_score', 'ended_by'
+];
+const FAMILY_COLUMNS = [
+  'total_sessions', 'total_duration_seconds', 'total_events', 'sections_visited',
+  'section_times', 'max_scroll_depth', 'videos_played', 'videos_completed',
+  'total_video_time', 'contact_actions', 'tier_expansions', 'first_seen', 'last_seen'
+];
+
+const jsonb = (column, value) => (column === 'section_times' ? JSON.stringify(value) : value);
+
+async function saveSession(client, inquiryId, sessionId, row) {
+  const values = SESSION_COLUMNS.map(c => jsonb(c, row[c]));
+  await client.query(`
+    INSERT INTO session_summaries (inquiry_id, session_id, ${SESSION_COLUMNS.join(', ')}, updated_at)
+    VALUES ($1, $2, ${SESSION_COLUMNS.map((_, i) => `$${i + 3}`).join(', ')}, NOW())
+    ON CONFLICT (inquiry_id, session_id) DO UPDATE SET
+      ${SESSION_COLUMNS.map(c => `${c} = EXCLUDED.${c}`).join(', ')},
+      updated_at = NOW()
+  `, [inquiryId, sessionId, ...values]);
+}
+
+// Returns [{ inquiryId, from, to }] for the scores that changed
+async function saveFamilies(client, inquiryIds, model) {
+  const { rows } = await client.query(
+    'SELECT * FROM session_summaries WHERE inquiry_id = ANY($1) ORDER BY start_time, id',
+    [inquiryIds]
+  );
+
+  // Visits are numbered in the order they started
+  await client.query(`
+    UPDATE session_summaries s SET visit_number = n.visit_number
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY inquiry_id ORDER BY start_time, id) AS visit_number
+      FROM session_summaries WHERE inquiry_id = ANY($1)
+    ) n
+    WHERE s.id = n.id AND s.visit_number IS DISTINCT FROM n.visit_number
+  `, [inquiryIds]);
+
+  const scoreChanges = [];
+  for (const inquiryId of inquiryIds) {
+    const family = rollupFamily(rows.filter(r => r.inquiry_id === inquiryId));
+    await client.query(`
+      INSERT INTO family_engagement_summary (inquiry_id, ${FAMILY_COLUMNS.join(', ')}, updated_at)
+      VALUES ($1, ${FAMILY_COLUMNS.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+      ON CONFLICT (inquiry_id) DO UPDATE SET
+        ${FAMILY_COLUMNS.map(c => `${c} = EXCLUDED.${c}`).join(', ')},
+        updated_at = NOW()
+    `, [inquiryId, ...FAMILY_COLUMNS.map(c => jsonb(c, family[c]))]);
+    const score = scoreEngagement(signalsFrom(family), model);
+    const { changed, previous } = await saveFamilyScore(client, inquiryId, score);
+    if (changed) scoreChanges.push({ inquiryId, from: previous, to: score.score });
+  }
+  return scoreChanges;
+}
+
+// The newest event id below which every insert has committed. Serial ids are
+// handed out before commit, so a slow insert can still land under the newest
+// id already visible; waiting for the inserts in flight (they hold
+// INGEST_LOCK shared) closes that gap.
+async function committedEventBound(db) {
+  return withTransaction(db, async client => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [INGEST_LOCK]);
+    const { rows } = await client.query('SELECT COALESCE(MAX(id), 0) AS id FROM tracking_events');
+    return Number(rows[0].id);
+  });
+}
+
+// Up to EVENTS_PER_PASS new events. Returns null if another process is
+// rolling up, else what changed and whether it caught up with bound.
+async function rollupPass(client, bound, now, model) {
+  const { rows: [lock] } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [ROLLUP_LOCK]);
+  if (!lock.locked) return null;
+
+  const { rows: [mark] } = await client.query(
+    "SELECT last_event_id FROM rollup_watermarks WHERE name = 'sessions' FOR UPDATE"
+  );
+  const from = mark ? mark.last_event_id : 0;
+  const { rows: fresh } = await client.query(`
+    SELECT id, inquiry_id, session_id FROM tracking_events
+    WHERE id > $1 AND id <= $2
+    ORDER BY id
+    LIMIT $3
+  `, [from, bound, EVENTS_PER_PASS]);
+
+  const touched = new Map();
+  for (const e of fresh) {
+    if (e.inquiry_id && e.session_id) touched.set(`${e.inquiry_id} ${e.session_id}`, [e.inquiry_id, e.session_id]);
+  }
+
+  for (const [inquiryId, sessionId] of touched.values()) {
+    const { rows: events } = await client.query(`
+      SELECT event_type, event_data, timestamp FROM tracking_events
+      WHERE inquiry_id = $1 AND session_id = $2
+      ORDER BY timestamp, id
+    `, [inquiryId, sessionId]);
+    await saveSession(client, inquiryId, sessionId, rollupSession(events, { now, model }));
+  }
+
+  const families = [...new Set([...touched.values()].map(([inquiryId]) => inquiryId))];
+  const scoreChanges = families.length ? await saveFamilies(client, families, model) : [];
+
+  const done = fresh.length < EVENTS_PER_PASS;
+  let closed = 0;
+  if (done) {
+    const idle = await client.query(`
+      UPDATE session_summaries SET ended_by = 'idle', updated_at = NOW()
+      WHERE ended_by IS NULL AND end_time < $1
+    `, [new Date(now - idleMs())]);
+    closed = idle.rowCount;
+  }
+
+  await client.query(`
+    INSERT INTO rollup_watermarks (name, last_event_id, updated_at) VALUES ('sessions', $1, NOW())
+    ON CONFLICT (name) DO UPDATE SET last_event_id = EXCLUDED.last_event_id, updated_at = NOW()
+  `, [done ? Math.max(bound, from) : fresh[fresh.length - 1].id]);
+  return { sessions: touched.size, families: families.length, closed, done, scoreChanges };
+}
+
+async function rollupAll(db, now) {
+  const bound = await committedEventBound(db);
+  const model = await getScoreModel();
+  const totals = { sessions: 0, families: 0, closed: 0 };
+  for (;;) {
+    const pass = await withTransaction(db, client => rollupPass(client, bound, now, model));
+    if (!pass) return null;
+    totals.sessions += pass.sessions;
+    totals.families += pass.families;
+    totals.closed += pass.closed;
+    try {
+      await evaluateScoreChanges(pass.scoreChanges);
+    } catch (e) {
+      console.warn('⚠️ Score alert rules failed:', e.message);
+    }
+    if (pass.done) break;
+  }
+  if (totals.sessions || totals.closed) {
+    console.log(`📊 Rolled up ${totals.sessions} visit(s) for ${totals.families} families, closed ${totals.closed} idle`);
+  }
+  return totals;
+}
+
+// ===================== RUNNING =====================
+let pollTimer = null;
+let soonTimer = null;
+let queue = Promise.resolve();
+
+// Brings the summaries up to date with every event stored so far. Runs one at
+// a time; resolves to { sessions, families, closed }, or null with no
+// database or when another process holds the rollup.
+function runSessionRollup({ now = Date.now() } = {}) {
+  const db = getDb();
+  if (!db) return Promise.resolve(null);
+  const run = queue.then(() => rollupAll(db, now));
+  queue = run.catch(() => {});
+  return run;
+}
+
+function runInBackground() {
+  runSessionRollup().catch(e => console.warn('⚠️ Session rollup failed:', e.message));
+}
+
+// A visit has just ended: roll up soon rather than at the next interval
+function scheduleSessionRollup() {
+  if (!pollTimer || soonTimer) return;
+  soonTimer = setTimeout(() => {
+    soonTimer = null;
+    runInBackground();
+  }, AFTER_UNLOAD_MS);
+  soonTimer.unref();
+}
+
+function startSessionRollups() {
+  if (pollTimer || !getDb() || process.env.SESSION_ROLLUP === 'false') return;
+  pollTimer = setInterval(runInBackground, intervalMs());
+  pollTimer.unref();
+  console.log('📊 Session rollups started');
+  runInBackground();
+}
+
+async function stopSessionRollups() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  clearTimeout(soonTimer);
+  pollTimer = null;
+  soonTimer = null;
+  await queue;
+}
+
+module.exports = {
+  rollupSession,
+  rollupFamily,
+  runSessionRollup,
+  scheduleSessionRollup,
+  startSessionRollups,
+  stopSessionRollups
+};
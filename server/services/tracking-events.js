@@ -0,0 +1,214 @@
+// The events public/tracking.js sends to /api/track-engagement: what each
+// event type must carry, and storing a batch of them. Every event has an
+// idempotency key - the eventId tracking.js gives it, or for older pages a
+// hash of the event itself - so a batch sent twice (a retried fetch, the
+// beforeunload beacon) is only stored once.
+
+const crypto = require('crypto');
+const { getDb, withTransaction } = require('./database');
+
+const MAX_EVENTS = 500;
+const MAX_DATA_BYTES = 8 * 1024;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const INSERT_CHUNK = 200;
+// Held shared by every insert; session-rollup.js takes it exclusively to wait
+// for the inserts in flight
+const INGEST_LOCK = 7301401;
+
+// ===================== SCHEMA =====================
+// required / optional map data fields to a kind in FIELD_KINDS; name() is the
+// pp.v1.* name tracking.js gives the event (the bare event type is accepted
+// too, as older pages sent that)
+const EVENT_TYPES = {
+  page_load: { name: () => 'pp.v1.visit.start' },
+  page_unload: { name: () => 'pp.v1.visit.end' },
+  section_enter: {
+    required: { section: 'key' },
+    name: d => `pp.v1.section.enter.${d.section}`
+  },
+  section_exit: {
+    required: { section: 'key', dwellSec: 'seconds' },
+    optional: { reason: 'key' },
+    name: d => `pp.v1.section.exit.${d.section}`
+  },
+  tier_expand: {
+    required: { tier: 'key' },
+    name: d => `pp.v1.tier.expand.${d.tier}`
+  },
+  tier_exit: {
+    required: { tier: 'key', dwellSec: 'seconds' },
+    optional: { reason: 'key' },
+    name: d => `pp.v1.tier.exit.${d.tier}`
+  },
+  entry_point_interaction: {
+    required: { entryPoint: 'key', action: 'action' },
+    optional: { tier: 'key', dwellSec: 'seconds', reason: 'key', cardId: 'key' },
+    name: d => `pp.v1.entry.${d.action}.${d.entryPoint}`
+  },
+  video_open: {
+    required: { youtubeId: 'key' },
+    optional: { title: 'text' },
+    name: d => `pp.v1.video.open.${d.youtubeId}`
+  },
+  video_close: {
+    optional: { youtubeId: 'key' },
+    name: d => `pp.v1.video.close.${d.youtubeId || 'unknown'}`
+  },
+  cta_openmorning_click: {
+    optional: { label: 'text', href: 'text', section: 'key' },
+    name: () => 'pp.v1.cta.openmorning_click'
+  },
+  // No longer sent by tracking.js
+  heartbeat: {}
+};
+
+const FIELD_KINDS = {
+  key: v => typeof v === 'string' && /^[\w-]{1,100}$/.test(v),
+  seconds: v => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 24 * 60 * 60,
+  text: v => typeof v === 'string' && v.length <= 500,
+  action: v => v === 'expand' || v === 'exit'
+};
+
+const FIELD_DESCRIPTIONS = {
+  key: 'a short identifier',
+  seconds: 'a number of seconds',
+  text: 'text up to 500 characters',
+  action: '"expand" or "exit"'
+};
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Returns { event } tidied for storing, or { error }
+function validateEvent(event, now = Date.now()) {
+  if (!isPlainObject(event)) return { error: 'event must be an object' };
+  const { inquiryId, sessionId = null, eventType, eventId = null, data = {}, timestamp } = event;
+
+  if (typeof inquiryId !== 'string' || !inquiryId || inquiryId.length > 50) return { error: 'inquiryId is required (up to 50 characters)' };
+  if (sessionId !== null && (typeof sessionId !== 'string' || sessionId.length > 100)) return { error: 'sessionId must be text up to 100 characters' };
+  if (eventId !== null && (typeof eventId !== 'string' || !/^[\w.:-]{1,100}$/.test(eventId))) return { error: 'eventId must be a short identifier' };
+
+  const schema = Object.prototype.hasOwnProperty.call(EVENT_TYPES, eventType) ? EVENT_TYPES[eventType] : null;
+  if (!schema) return { error: `unknown eventType "${eventType}"` };
+
+  if (!isPlainObject(data)) return { error: 'data must be an object' };
+  if (Buffer.byteLength(JSON.stringify(data)) > MAX_DATA_BYTES) return { error: `data is over ${MAX_DATA_BYTES} bytes` };
+
+  for (const [field, kind] of Object.entries(schema.required || {})) {
+    if (!FIELD_KINDS[kind](data[field])) return { error: `${eventType} needs data.${field} as ${FIELD_DESCRIPTIONS[kind]}` };
+  }
+  for (const [field, kind] of Object.entries(schema.optional || {})) {
+    if (data[field] != null && !FIELD_KINDS[kind](data[field])) return { error: `data.${field} must be ${FIELD_DESCRIPTIONS[kind]}` };
+  }
+  if (data.name !== undefined && data.name !== eventType && (!schema.name || data.name !== schema.name(data))) {
+    return { error: `data.name "${data.name}" does not match ${eventType}` };
+  }
+
+  const at = typeof timestamp === 'string' || typeof timestamp === 'number' ? new Date(timestamp) : null;
+  if (!at || Number.isNaN(at.getTime())) return { error: 'timestamp must be a date' };
+  if (at.getTime() > now + MAX_CLOCK_SKEW_MS) return { error: 'timestamp is in the future' };
+
+  return { event: { inquiryId, sessionId, eventType, eventId, data, timestamp: at } };
+}
+
+function eventKey(event) {
+  if (event.eventId) return event.eventId;
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([event.sessionId, event.eventType, event.timestamp.toISOString(), event.data]))
+    .digest('hex');
+  return `h:${hash.slice(0, 40)}`;
+}
+
+// ===================== STORAGE =====================
+// Keys seen without a database, so duplicates are still reported
+const MAX_REMEMBERED_KEYS = 10000;
+const rememberedKeys = new Set();
+
+function remember(key) {
+  if (rememberedKeys.has(key)) return false;
+  rememberedKeys.add(key);
+  if (rememberedKeys.size > MAX_REMEMBERED_KEYS) rememberedKeys.delete(rememberedKeys.values().next().value);
+  return true;
+}
+
+// Multi-row inserts in one transaction; returns the "<inquiry> <key>" of each
+// row actually inserted, leaving out ones already stored
+async function insertEvents(db, events, { pageUrl, userAgent, ip }) {
+  const inserted = new Set();
+  await withTransaction(db, async client => {
+    await client.query('SELECT pg_advisory_xact_lock_shared($1)', [INGEST_LOCK]);
+    for (let i = 0; i < events.length; i += INSERT_CHUNK) {
+      const chunk = events.slice(i, i + INSERT_CHUNK);
+      const params = [];
+      const rows = chunk.map(e => {
+        params.push(e.inquiryId, e.sessionId, e.eventType, JSON.stringify(e.data), pageUrl, e.timestamp, userAgent, ip, e.key);
+        const n = params.length;
+        return `(${Array.from({ length: 9 }, (_, j) => `$${n - 8 + j}`).join(', ')})`;
+      });
+      const { rows: stored } = await client.query(`
+        INSERT INTO tracking_events (
+          inquiry_id, session_id, event_type, event_data,
+          page_url, timestamp, user_agent, ip_address, event_key
+        ) VALUES ${rows.join(', ')}
+        ON CONFLICT (inquiry_id, event_key) DO NOTHING
+        RETURNING inquiry_id, event_key
+      `, params);
+      for (const r of stored) inserted.add(`${r.inquiry_id} ${r.event_key}`);
+    }
+  });
+  return inserted;
+}
+
+// Validates and stores a batch. Returns { results, accepted }: a result per
+// event ({ index, eventId, status: accepted | duplicate | rejected, error })
+// and the events newly accepted. Throws if the database write fails, so the
+// whole batch can be sent again.
+async function ingestEvents(events, request = {}) {
+  const now = Date.now();
+  const results = [];
+  const fresh = [];
+  const inBatch = new Set();
+
+  events.forEach((raw, index) => {
+    const { event, error } = validateEvent(raw, now);
+    if (error) {
+      results.push({ index, eventId: raw && typeof raw.eventId === 'string' ? raw.eventId : null, status: 'rejected', error });
+      return;
+    }
+    event.key = eventKey(event);
+    const result = { index, eventId: event.key, status: 'accepted' };
+    results.push(result);
+    const scoped = `${event.inquiryId} ${event.key}`;
+    if (inBatch.has(scoped)) {
+      result.status = 'duplicate';
+      return;
+    }
+    inBatch.add(scoped);
+    fresh.push({ event, result, scoped });
+  });
+
+  const db = getDb();
+  if (db && fresh.length) {
+    const inserted = await insertEvents(db, fresh.map(f => f.event), {
+      pageUrl: request.pageUrl || null,
+      userAgent: request.userAgent || null,
+      ip: request.ip || null
+    });
+    for (const f of fresh) if (!inserted.has(f.scoped)) f.result.status = 'duplicate';
+  } else if (!db) {
+    for (const f of fresh) if (!remember(f.scoped)) f.result.status = 'duplicate';
+  }
+
+  return {
+    results,
+    accepted: fresh.filter(f => f.result.status === 'accepted').map(f => f.event)
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_EVENTS,
+  INGEST_LOCK,
+  validateEvent,
+  eventKey,
+  ingestEvents
+};
@@ -0,0 +1,92 @@
+// The translation glossary: terms the translation provider must leave alone
+// or render a fixed way. An entry is { term, translations: { <lang>: text },
+// note }; with no translation for the target language the term is kept as
+// written. translation-cache.js marks the terms before text goes to the
+// provider and unmarks them in what comes back, so the markers never reach a
+// page.
+//
+// The defaults are translator.js's BRAND_TOKENS, which the prospectus page
+// still protects on its own before calling /api/deepl.
+
+const crypto = require('crypto');
+
+const DEFAULT_GLOSSARY = [
+  { term: 'More House School', translations: {}, note: 'School name' },
+  { term: 'More House', translations: {}, note: 'School name' },
+  { term: 'Knightsbridge', translations: {}, note: 'Place name' }
+];
+
+const MAX_TERM = 200;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Check an edited glossary; returns { errors, entries } with entries tidied
+function validateGlossary(entries) {
+  const errors = [];
+  const seen = new Set();
+  const out = [];
+
+  if (!Array.isArray(entries)) return { errors: ['entries must be an array'], entries: null };
+
+  entries.forEach((entry, i) => {
+    const term = entry && typeof entry.term === 'string' ? entry.term.trim().replace(/\s+/g, ' ') : '';
+    if (!term || term.length > MAX_TERM) return errors.push(`entries[${i}].term is required (up to ${MAX_TERM} characters)`);
+    if (seen.has(term.toLowerCase())) return errors.push(`entries[${i}]: "${term}" is listed twice`);
+    seen.add(term.toLowerCase());
+
+    const translations = {};
+    for (const [lang, text] of Object.entries(entry.translations || {})) {
+      if (!/^[a-z]{2}(-[a-z]{2})?$/.test(lang)) errors.push(`entries[${i}]: "${lang}" is not a language code`);
+      else if (typeof text !== 'string' || !text.trim() || text.length > MAX_TERM) errors.push(`entries[${i}].translations.${lang} must be text up to ${MAX_TERM} characters`);
+      else translations[lang] = text.trim();
+    }
+    out.push({ term, translations, note: typeof entry.note === 'string' ? entry.note.trim() : '' });
+  });
+
+  return { errors, entries: errors.length ? null : out };
+}
+
+// Changes whenever a term or translation does; cached translations made
+// under another version are only served when the provider can't be reached
+function glossaryVersion(entries) {
+  const canonical = entries
+    .map(e => [e.term, Object.keys(e.translations).sort().map(l => [l, e.translations[l]])])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 12);
+}
+
+// Wrap glossary terms in the text parts of html (never inside tags) in spans
+// providers won't translate, swapping in the term's translation for lang
+function applyGlossary(html, entries, lang) {
+  if (!entries.length) return html;
+  const byTerm = new Map(entries.map(e => [e.term.toLowerCase(), e]));
+  const terms = entries.map(e => e.term).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?<![\\w])(?:${terms.map(t => escapeRegExp(t).replace(/ /g, '\\s+')).join('|')})(?![\\w])`, 'gi');
+
+  return html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<')) return part;
+    return part.replace(pattern, match => {
+      const entry = byTerm.get(match.replace(/\s+/g, ' ').toLowerCase());
+      const text = entry && entry.translations[lang] ? escapeHtml(entry.translations[lang]) : match;
+      return `<span class="notranslate" translate="no" data-glossary>${text}</span>`;
+    });
+  }).join('');
+}
+
+function unwrapGlossary(html) {
+  return html.replace(/<span class="notranslate" translate="no" data-glossary(?:="")?>([^<]*)<\/span>/g, '$1');
+}
+
+module.exports = {
+  DEFAULT_GLOSSARY,
+  validateGlossary,
+  glossaryVersion,
+  applyGlossary,
+  unwrapGlossary
+};
@@ -0,0 +1,198 @@
+// Machine translation behind one interface, so translation-cache.js does not
+// care who translates. A provider is { name, label, batchSize,
+// translateMany(htmls, lang) } and translateMany() takes and returns HTML, a
+// translation per input in order, leaving translate="no" spans alone.
+//   deepl  - DeepL (DEEPL_API_KEY, DEEPL_API_BASE)
+//   google - Google Cloud Translation v2 (GOOGLE_TRANSLATE_API_KEY,
+//            GOOGLE_TRANSLATE_API_BASE)
+//   pseudo - pseudo-localisation done locally: accented, bracketed English,
+//            for trying pages out in development without a key
+//
+// TRANSLATION_PROVIDER_<LANG> picks the provider for one language, e.g.
+// TRANSLATION_PROVIDER_ZH=google. Otherwise it is the language's provider in
+// server/services/languages.js, then TRANSLATION_PROVIDER, then deepl.
+
+const { getLanguage } = require('./languages');
+
+class TranslationProviderError extends Error {
+  constructor(message, { provider, status = null, details = null, unavailable = false, notConfigured = false } = {}) {
+    super(message);
+    this.name = 'TranslationProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+    // Worth waiting for the provider to come back rather than a bad request
+    this.unavailable = unavailable;
+    this.notConfigured = notConfigured;
+  }
+}
+
+// 429 too many requests, 456 DeepL quota exceeded
+function isUnavailableStatus(status) {
+  return status >= 500 || status === 429 || status === 456;
+}
+
+async function postForJson(provider, url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new TranslationProviderError(`${provider} unreachable: ${error.message}`, { provider, unavailable: true });
+  }
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new TranslationProviderError(`${provider} API error: ${response.status} - ${JSON.stringify(payload)}`, {
+      provider,
+      status: response.status,
+      details: payload,
+      unavailable: isUnavailableStatus(response.status)
+    });
+  }
+  return payload;
+}
+
+// ===================== DEEPL =====================
+const deepl = {
+  name: 'deepl',
+  label: 'DeepL',
+  // DeepL takes up to 50 texts a request
+  batchSize: 50,
+
+  async translateMany(htmls, lang) {
+    const apiKey = process.env.DEEPL_API_KEY;
+    if (!apiKey) {
+      throw new TranslationProviderError('DEEPL_API_KEY missing', { provider: 'deepl', notConfigured: true });
+    }
+
+    const language = getLanguage(lang);
+    if (!language || !language.deeplCode) {
+      throw new TranslationProviderError(`DeepL does not translate ${language ? language.name : lang}`, { provider: 'deepl', notConfigured: true });
+    }
+
+    // HTML-aware; translate="no" elements are left as they are
+    const form = new URLSearchParams();
+    for (const html of htmls) form.append('text', html);
+    form.append('target_lang', language.deeplCode);
+    form.append('tag_handling', 'html');
+    form.append('preserve_formatting', '1');
+    form.append('split_sentences', 'nonewlines');
+
+    const payload = await postForJson('deepl', process.env.DEEPL_API_BASE || 'https://api.deepl.com/v2/translate', {
+      method: 'POST',
+      headers: {
+        'Authorization': `DeepL-Auth-Key ${apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form
+    });
+    return htmls.map((html, i) => payload?.translations?.[i]?.text || html);
+  }
+};
+
+// ===================== GOOGLE =====================
+// Keeps class="notranslate" text as it is
+
+const google = {
+  name: 'google',
+  label: 'Google Translate',
+  batchSize: 100,
+
+  async translateMany(htmls, lang) {
+    const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+    if (!apiKey) {
+      throw new TranslationProviderError('GOOGLE_TRANSLATE_API_KEY missing', { provider: 'google', notConfigured: true });
+    }
+
+    const endpoint = process.env.GOOGLE_TRANSLATE_API_BASE || 'https://translation.googleapis.com/language/translate/v2';
+    const payload = await postForJson('google', `${endpoint}?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ q: htmls, source: 'en', target: (getLanguage(lang) || {}).googleCode || lang, format: 'html' })
+    });
+    return htmls.map((html, i) => payload?.data?.translations?.[i]?.translatedText || html);
+  }
+};
+
+// ===================== PSEUDO-LOCALISATION =====================
+const ACCENTED = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+function pseudoText(text) {
+  if (!/[a-z]/i.test(text)) return text;
+  const lead = text.match(/^\s*/)[0];
+  const trail = text.match(/\s*$/)[0];
+  const body = text.slice(lead.length, text.length - trail.length)
+    .split(/(&#?\w+;)/)
+    .map(part => (part.startsWith('&') ? part : part.replace(/[a-z]/gi, c => ACCENTED[c])))
+    .join('');
+  return `${lead}⟦${body}⟧${trail}`;
+}
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Accent the text of html, skipping tags, scripts, styles and translate="no"
+// elements
+function pseudoLocalise(html) {
+  let skipTag = null;
+  let skipDepth = 0;
+  return html.split(/(<[^>]*>)/).map(part => {
+    const tag = part.match(/^<(\/?)([a-z][\w-]*)/i);
+    if (tag) {
+      const [, closing, name] = tag;
+      const lower = name.toLowerCase();
+      if (skipTag) {
+        if (lower === skipTag) skipDepth += closing ? -1 : 1;
+        if (!skipDepth) skipTag = null;
+      } else if (!closing && !part.endsWith('/>') && !VOID_ELEMENTS.has(lower)
+        && (['script', 'style'].includes(lower) || /\btranslate="no"|\bclass="[^"]*\bnotranslate\b/i.test(part))) {
+        skipTag = lower;
+        skipDepth = 1;
+      }
+      return part;
+    }
+    return (skipTag || part.startsWith('<')) ? part : pseudoText(part);
+  }).join('');
+}
+
+const pseudo = {
+  name: 'pseudo',
+  label: 'Pseudo-localisation',
+  batchSize: 500,
+
+  async translateMany(htmls) {
+    return htmls.map(pseudoLocalise);
+  }
+};
+
+// ===================== SELECTION =====================
+const PROVIDERS = { deepl, google, pseudo };
+
+function providerNameFor(lang) {
+  return String(
+    process.env[`TRANSLATION_PROVIDER_${String(lang).toUpperCase()}`]
+    || (getLanguage(lang) || {}).provider
+    || process.env.TRANSLATION_PROVIDER
+    || 'deepl'
+  ).trim().toLowerCase();
+}
+
+function getProvider(lang) {
+  const name = providerNameFor(lang);
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new TranslationProviderError(`Unknown translation provider "${name}" for ${lang}`, { provider: name, notConfigured: true });
+  }
+  return provider;
+}
+
+module.exports = {
+  TranslationProviderError,
+  PROVIDERS,
+  providerNameFor,
+  getProvider,
+  pseudoLocalise
+};
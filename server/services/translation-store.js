@@ -0,0 +1,275 @@
+// Where translation-cache.js keeps translations and the glossary, and
+// prospectus-translation.js translators' overrides. Both backends share
+// get / put / touch / remove / count for cache entries, getGlossary /
+// saveGlossary and getOverrides / putOverride / removeOverride:
+//   json     - a file per entry in DATA_DIR/translation-cache/<lang>/, the
+//              glossary in DATA_DIR/translation-glossary.json and overrides
+//              in DATA_DIR/translation-overrides.json
+//   postgres - the translation_cache, translation_glossary and
+//              translation_overrides tables
+//
+// An entry is { key, language, context, sourceLength, translated, provider,
+// glossaryVersion, createdAt, lastUsedAt }. getGlossary returns null until a
+// glossary has been saved. An override is { language, segment, sourceHash,
+// source, translated, updatedBy, updatedAt }.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { getDb, withTransaction } = require('./database');
+
+// ===================== JSON BACKEND =====================
+function createJsonTranslationStore({
+  dir = path.join(DATA_DIR, 'translation-cache'),
+  glossaryFile = path.join(DATA_DIR, 'translation-glossary.json'),
+  overridesFile = path.join(DATA_DIR, 'translation-overrides.json')
+} = {}) {
+  const safe = s => String(s).replace(/[^a-z0-9_-]/gi, '_');
+  const entryPath = (language, key) => path.join(dir, safe(language), `${safe(key)}.json`);
+
+  async function readEntries() {
+    const out = [];
+    for (const language of await fs.readdir(dir).catch(() => [])) {
+      for (const f of await fs.readdir(path.join(dir, language)).catch(() => [])) {
+        try {
+          out.push(JSON.parse(await fs.readFile(path.join(dir, language, f), 'utf8')));
+        } catch {
+          // half-written or removed meanwhile
+        }
+      }
+    }
+    return out;
+  }
+
+  // { <lang>: { <segment>: override } }
+  async function readOverrides() {
+    try {
+      return JSON.parse(await fs.readFile(overridesFile, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async function writeOverrides(all) {
+    await fs.mkdir(path.dirname(overridesFile), { recursive: true });
+    await fs.writeFile(overridesFile, JSON.stringify(all, null, 2));
+  }
+
+  async function write(entry) {
+    await fs.mkdir(path.join(dir, safe(entry.language)), { recursive: true });
+    await fs.writeFile(entryPath(entry.language, entry.key), JSON.stringify(entry));
+  }
+
+  return {
+    kind: 'json',
+
+    async get(key, language) {
+      try {
+        return JSON.parse(await fs.readFile(entryPath(language, key), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+
+    async put(entry) {
+      await write(entry);
+    },
+
+    async touch(entry) {
+      await write({ ...entry, lastUsedAt: new Date().toISOString() });
+    },
+
+    // Removes entries matching every filter given; returns how many
+    async remove({ language, context, unusedBefore } = {}) {
+      let removed = 0;
+      for (const entry of await readEntries()) {
+        if (language && entry.language !== language) continue;
+        if (context && entry.context !== context) continue;
+        if (unusedBefore && new Date(entry.lastUsedAt) >= unusedBefore) continue;
+        await fs.unlink(entryPath(entry.language, entry.key)).catch(() => {});
+        removed++;
+      }
+      return removed;
+    },
+
+    async count() {
+      const byLanguage = {};
+      const entries = await readEntries();
+      for (const e of entries) byLanguage[e.language] = (byLanguage[e.language] || 0) + 1;
+      return { total: entries.length, byLanguage };
+    },
+
+    async getGlossary() {
+      try {
+        return JSON.parse(await fs.readFile(glossaryFile, 'utf8')).entries;
+      } catch {
+        return null;
+      }
+    },
+
+    async saveGlossary(entries, updatedBy) {
+      await fs.mkdir(path.dirname(glossaryFile), { recursive: true });
+      await fs.writeFile(glossaryFile, JSON.stringify({
+        entries,
+        updatedBy: updatedBy || null,
+        updatedAt: new Date().toISOString()
+      }, null, 2));
+    },
+
+    async getOverrides(language) {
+      return Object.values((await readOverrides())[language] || {});
+    },
+
+    async putOverride(override) {
+      const all = await readOverrides();
+      all[override.language] = all[override.language] || {};
+      all[override.language][override.segment] = {
+        ...override,
+        updatedBy: override.updatedBy || null,
+        updatedAt: new Date().toISOString()
+      };
+      await writeOverrides(all);
+    },
+
+    // Returns whether there was one
+    async removeOverride(language, segment) {
+      const all = await readOverrides();
+      if (!all[language] || !all[language][segment]) return false;
+      delete all[language][segment];
+      await writeOverrides(all);
+      return true;
+    }
+  };
+}
+
+// ===================== POSTGRES BACKEND =====================
+function fromRow(row) {
+  return {
+    key: row.cache_key,
+    language: row.language,
+    context: row.context,
+    sourceLength: row.source_length,
+    translated: row.translated,
+    provider: row.provider,
+    glossaryVersion: row.glossary_version,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastUsedAt: new Date(row.last_used_at).toISOString()
+  };
+}
+
+function overrideFromRow(row) {
+  return {
+    language: row.language,
+    segment: row.segment,
+    sourceHash: row.source_hash,
+    source: row.source,
+    translated: row.translated,
+    updatedBy: row.updated_by,
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+function createPostgresTranslationStore({ resolveDb = getDb } = {}) {
+  async function query(sql, params) {
+    const client = resolveDb();
+    if (!client) throw new Error('Database not connected');
+    return client.query(sql, params);
+  }
+
+  return {
+    kind: 'postgres',
+
+    async get(key) {
+      const { rows } = await query('SELECT * FROM translation_cache WHERE cache_key = $1', [key]);
+      return rows[0] ? fromRow(rows[0]) : null;
+    },
+
+    async put(entry) {
+      await query(`
+        INSERT INTO translation_cache (cache_key, language, context, source_length, translated, provider, glossary_version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (cache_key) DO UPDATE SET
+          translated = EXCLUDED.translated,
+          provider = EXCLUDED.provider,
+          glossary_version = EXCLUDED.glossary_version,
+          created_at = CURRENT_TIMESTAMP,
+          last_used_at = CURRENT_TIMESTAMP`,
+      [entry.key, entry.language, entry.context, entry.sourceLength, entry.translated, entry.provider, entry.glossaryVersion]);
+    },
+
+    async touch(entry) {
+      await query('UPDATE translation_cache SET last_used_at = CURRENT_TIMESTAMP WHERE cache_key = $1', [entry.key]);
+    },
+
+    async remove({ language, context, unusedBefore } = {}) {
+      const where = [];
+      const params = [];
+      if (language) { params.push(language); where.push(`language = $${params.length}`); }
+      if (context) { params.push(context); where.push(`context = $${params.length}`); }
+      if (unusedBefore) { params.push(unusedBefore); where.push(`last_used_at < $${params.length}`); }
+      const { rowCount } = await query(
+        `DELETE FROM translation_cache ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`, params);
+      return rowCount;
+    },
+
+    async count() {
+      const { rows } = await query('SELECT language, COUNT(*)::int AS n FROM translation_cache GROUP BY language');
+      const byLanguage = Object.fromEntries(rows.map(r => [r.language, r.n]));
+      return { total: rows.reduce((sum, r) => sum + r.n, 0), byLanguage };
+    },
+
+    async getGlossary() {
+      const { rows } = await query('SELECT term, translations, note FROM translation_glossary ORDER BY term');
+      return rows.map(r => ({ term: r.term, translations: r.translations || {}, note: r.note || '' }));
+    },
+
+    // Replaces the whole glossary
+    async saveGlossary(entries, updatedBy) {
+      await withTransaction(resolveDb(), async client => {
+        await client.query('DELETE FROM translation_glossary');
+        for (const e of entries) {
+          await client.query(
+            'INSERT INTO translation_glossary (term, translations, note, updated_by) VALUES ($1, $2, $3, $4)',
+            [e.term, JSON.stringify(e.translations), e.note || null, updatedBy || null]
+          );
+        }
+      });
+    },
+
+    async getOverrides(language) {
+      const { rows } = await query('SELECT * FROM translation_overrides WHERE language = $1 ORDER BY segment', [language]);
+      return rows.map(overrideFromRow);
+    },
+
+    async putOverride(o) {
+      await query(`
+        INSERT INTO translation_overrides (language, segment, source_hash, source, translated, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (language, segment) DO UPDATE SET
+          source_hash = EXCLUDED.source_hash,
+          source = EXCLUDED.source,
+          translated = EXCLUDED.translated,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP`,
+      [o.language, o.segment, o.sourceHash, o.source, o.translated, o.updatedBy || null]);
+    },
+
+    async removeOverride(language, segment) {
+      const { rowCount } = await query('DELETE FROM translation_overrides WHERE language = $1 AND segment = $2', [language, segment]);
+      return rowCount > 0;
+    }
+  };
+}
+
+const jsonStore = createJsonTranslationStore();
+const postgresStore = createPostgresTranslationStore();
+
+function getTranslationStore() {
+  return getDb() ? postgresStore : jsonStore;
+}
+
+module.exports = {
+  createJsonTranslationStore,
+  createPostgresTranslationStore,
+  getTranslationStore
+};
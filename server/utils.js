@@ -0,0 +1,217 @@
+// Small helpers shared by the routes and services: request details, geo
+// lookups, ids, slugs and display formatting. Nothing here touches storage.
+
+const geoip = require('geoip-lite');
+
+// ===== GEO/IP helpers =====================================
+function getClientIp(req) {
+  // Check Render-specific headers first
+  const renderIp = req.headers['x-render-forwarded-for'] || req.headers['x-forwarded-for'];
+  if (renderIp) {
+    const ip = renderIp.split(',')[0].trim();
+    return ip;
+  }
+  
+  // Fallback to other headers
+  const xfwd = (req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return (req.headers["cf-connecting-ip"] || xfwd || req.headers["x-real-ip"] || req.ip || "").trim();
+}
+
+function enrichGeo(ip) {
+  try {
+    if (!ip) return {};
+    if (ip.startsWith("10.") || ip.startsWith("192.168.") || ip.startsWith("127.") || ip.startsWith("172.")) return {};
+    const g = geoip.lookup(ip);
+    if (!g) return {};
+    const ll = Array.isArray(g.ll) ? g.ll : [];
+    const lat = ll[0];
+    const lon = ll[1];
+    
+    // Simplify to UK vs International for marketing purposes
+    const country = g.country || null;
+    let city = 'Unknown';
+    
+    if (country === 'GB') {
+      city = 'United Kingdom';
+    } else if (country) {
+      // Use country name for international
+      const countryNames = {
+        'US': 'United States',
+        'CA': 'Canada', 
+        'AU': 'Australia',
+        'DE': 'Germany',
+        'FR': 'France',
+        'ES': 'Spain',
+        'IT': 'Italy',
+        'NL': 'Netherlands'
+      };
+      city = countryNames[country] || country;
+    }
+    
+    return { 
+      country: country, 
+      city: city,
+      geo_lat: (lat ?? null), 
+      geo_lon: (lon ?? null) 
+    };
+  } catch {
+    return {};
+  }
+}
+
+// ===================== UTILITY FUNCTIONS =====================
+function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  const proto = req.headers['x-forwarded-proto'] || req.protocol || 'https';
+  const host = req.headers['x-forwarded-host'] || req.get('host');
+  return `${proto}://${host}`;
+}
+
+function generateInquiryId() {
+  return `INQ-${Date.now()}${Math.floor(Math.random() * 1000)}`;
+}
+
+function sanitise(s, fallback) {
+  return (s || fallback || '')
+    .toString()
+    .replace(/[^a-z0-9\- ]/gi, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+// suffix tells renders apart; prospectus-generator.js passes <lang>-<content hash>
+function generateFilename(inquiry, suffix = new Date().toISOString().split('T')[0]) {
+  const fam = sanitise(inquiry.familySurname, 'Family');
+  const first = sanitise(inquiry.firstName, 'Student');
+  return `More-House-School-${fam}-Family-${first}-${inquiry.entryYear}-${suffix}.html`;
+}
+
+function makeSlug(inquiry) {
+  const familyName = (inquiry.familySurname || inquiry.family_surname || 'Family')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+    
+  const shortId = String(inquiry.id || '')
+    .replace(/[^a-z0-9]/gi, '')
+    .slice(-6)
+    .toLowerCase() || Math.random().toString(36).slice(-6);
+    
+  return `the-${familyName}-family-${shortId}`;
+}
+
+function pickNumber(n, dflt = 0) {
+  const v = Number(n);
+  return Number.isFinite(v) ? v : dflt;
+}
+
+function prettySectionName(id) {
+  const PROSPECTUS_SECTION_NAMES = {
+    cover_page: 'Cover Page',
+    heads_welcome: "Head's Welcome",
+    academic_excellence: 'Academic Excellence',
+    about_more_house: 'About More House',
+    day_in_the_life: 'A Day at More House',
+    creative_arts_hero: 'Creative Arts',
+    your_journey: 'Your Journey',
+    london_extended_classroom: 'London Extended Classroom',
+    city_curriculum_days: 'City Curriculum Days',
+    values_hero: 'Values & Faith',
+    ethical_leaders: 'Ethical Leaders',
+    discover_video: 'Discover Video',
+    cta_begin_your_journey: 'Begin Your Journey'
+  };
+  return PROSPECTUS_SECTION_NAMES[id] || (id ? id.replace(/_/g, ' ') : 'Unknown Section');
+}
+
+function formatHM(totalSeconds) {
+  totalSeconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return `${m}m ${s.toString().padStart(2, '0')}s`;
+}
+
+function extractInterests(inquiry) {
+  const academic = [];
+  const creative = [];
+  
+  if (inquiry.sciences) academic.push('Sciences');
+  if (inquiry.mathematics) academic.push('Mathematics');
+  if (inquiry.english) academic.push('English');
+  if (inquiry.languages) academic.push('Languages');
+  if (inquiry.humanities) academic.push('Humanities');
+  if (inquiry.business) academic.push('Business');
+  
+  if (inquiry.drama) creative.push('Drama');
+  if (inquiry.music) creative.push('Music');
+  if (inquiry.art) creative.push('Art');
+  if (inquiry.creative_writing) creative.push('Creative Writing');
+  
+  return { academic, creative };
+}
+
+function extractPriorities(inquiry) {
+  const priorities = [];
+  
+  if (inquiry.academic_excellence) priorities.push('Academic Excellence');
+  if (inquiry.pastoral_care) priorities.push('Pastoral Care');
+  if (inquiry.university_preparation) priorities.push('University Preparation');
+  if (inquiry.personal_development) priorities.push('Personal Development');
+  if (inquiry.career_guidance) priorities.push('Career Guidance');
+  if (inquiry.extracurricular_opportunities) priorities.push('Extracurricular Opportunities');
+  
+  return priorities;
+}
+
+function getGeolocation(ipAddress) {
+  if (!ipAddress || ipAddress === '127.0.0.1' || ipAddress === '::1') {
+    return {
+      country: 'Unknown',
+      region: 'Unknown', 
+      city: 'Unknown',
+      latitude: null,
+      longitude: null,
+      timezone: 'Europe/London',
+      isp: 'Local'
+    };
+  }
+
+  const geo = geoip.lookup(ipAddress);
+  if (!geo) {
+    return {
+      country: 'Unknown',
+      region: 'Unknown',
+      city: 'Unknown', 
+      latitude: null,
+      longitude: null,
+      timezone: 'Europe/London',
+      isp: 'Unknown'
+    };
+  }
+
+  return {
+    country: geo.country || 'Unknown',
+    region: geo.region || 'Unknown',
+    city: geo.city || 'Unknown',
+    latitude: geo.ll ? geo.ll[0] : null,
+    longitude: geo.ll ? geo.ll[1] : null,
+    timezone: geo.timezone || 'Europe/London',
+    isp: 'Unknown'
+  };
+}
+
+module.exports = {
+  getClientIp,
+  enrichGeo,
+  getBaseUrl,
+  generateInquiryId,
+  sanitise,
+  generateFilename,
+  makeSlug,
+  pickNumber,
+  prettySectionName,
+  formatHM,
+  extractInterests,
+  extractPriorities,
+  getGeolocation
+};
@@ -0,0 +1,126 @@
+// The dashboards' live view: /api/track-engagement feeds the
+// /api/stream/activity Server-Sent Events stream and the "currently viewing"
+// list (server/services/activity-feed.js).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+const { trackingBatch } = require('./helpers/tracking');
+
+let app;
+let cookie;
+let feed;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  feed = require('../server/services/activity-feed');
+  await app.seedFamilies([{ id: 'INQ-LIVE', firstName: 'Grace', familySurname: 'Hopper' }]);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+// Opens the stream and collects { event, id, data } messages as they arrive
+async function openStream(headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${app.baseUrl}/api/stream/activity`, {
+    headers: { Cookie: cookie, ...headers },
+    signal: controller.signal
+  });
+  const messages = [];
+  const waiters = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  (async () => {
+    try {
+      for await (const chunk of res.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffered.indexOf('\n\n')) !== -1) {
+          const block = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n').filter(l => !l.startsWith(':')).map(l => {
+            const at = l.indexOf(': ');
+            return [l.slice(0, at), l.slice(at + 2)];
+          }));
+          if (!fields.event) continue;
+          messages.push({ event: fields.event, id: fields.id ? Number(fields.id) : null, data: JSON.parse(fields.data) });
+          for (const w of waiters.splice(0)) w();
+        }
+      }
+    } catch { /* aborted */ }
+  })();
+
+  async function waitFor(match, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = messages.find(match);
+      if (found) return found;
+      if (Date.now() > deadline) throw new Error(`No matching message in ${JSON.stringify(messages)}`);
+      await new Promise(resolve => {
+        waiters.push(resolve);
+        setTimeout(resolve, 100);
+      });
+    }
+  }
+
+  return { res, messages, waitFor, close: () => controller.abort() };
+}
+
+test('the stream needs a staff login', async () => {
+  const res = await app.request('GET', '/api/stream/activity');
+  assert.equal(res.status, 401);
+});
+
+test('tracked events are pushed to the stream as they arrive', async () => {
+  const stream = await openStream();
+  assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+  const first = await stream.waitFor(m => m.event === 'viewing');
+  assert.deepEqual(first.data, []);
+
+  const batch = trackingBatch('INQ-LIVE', 'S-live', [
+    ['page_load', { url: '/prospectus' }],
+    ['section_enter', { section: 'academics' }],
+    ['video_open', { youtubeId: 'yt-9', title: 'Sixth form life' }],
+    ['cta_openmorning_click', { section: 'academics' }]
+  ]);
+  assert.equal((await app.request('POST', '/api/track-engagement', { body: batch })).status, 200);
+
+  const opened = await stream.waitFor(m => m.event === 'activity' && m.data.type === 'opened');
+  assert.equal(opened.data.message, 'The Hopper family just opened their prospectus');
+  assert.equal(opened.data.childName, 'Grace');
+  assert.equal(opened.id, opened.data.id);
+  const video = await stream.waitFor(m => m.event === 'activity' && m.data.type === 'video');
+  assert.equal(video.data.message, 'The Hopper family watched a video: Sixth form life');
+  const click = await stream.waitFor(m => m.event === 'activity' && m.data.type === 'openmorning_click');
+  assert.equal(click.data.message, 'The Hopper family clicked Book an Open Morning');
+
+  const viewing = await stream.waitFor(m => m.event === 'viewing' && m.data.length === 1);
+  assert.equal(viewing.data[0].inquiryId, 'INQ-LIVE');
+  assert.equal(viewing.data[0].familyName, 'Hopper family');
+  assert.equal(viewing.data[0].section, 'academics');
+
+  const listed = await app.request('GET', '/api/activity/viewing', { cookie });
+  assert.deepEqual(listed.json.viewing.map(v => v.sessionId), ['S-live']);
+
+  // Leaving the page takes them off the list
+  const unload = trackingBatch('INQ-LIVE', 'S-live', [['page_unload']]);
+  unload.events[0].eventId = 'S-live-unload';
+  await app.request('POST', '/api/track-engagement', { body: unload });
+  await stream.waitFor(m => m.event === 'viewing' && m.data.length === 0 && stream.messages.indexOf(m) > stream.messages.indexOf(viewing));
+  stream.close();
+
+  // A dashboard reconnecting is sent what it missed
+  const again = await openStream({ 'Last-Event-ID': String(opened.id) });
+  const replayed = await again.waitFor(m => m.event === 'activity' && m.data.type === 'openmorning_click');
+  assert.equal(replayed.id, click.id);
+  assert.ok(!again.messages.some(m => m.id === opened.id));
+  again.close();
+});
+
+test('visits are counted as 1st, 2nd, 3rd', () => {
+  assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 111].map(feed.ordinal), ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '111th']);
+});
@@ -0,0 +1,164 @@
+// The admissions funnel and cohort views (server/services/admissions-analytics.js):
+// stage-to-stage conversion, median time in stage, cohorts by month, source
+// and entry year, the summary figures, and the filters the endpoints take.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+const HOUR = 60 * 60 * 1000;
+
+// Each sent their prospectus, then moved through moves by staff
+const seeded = (id, receivedAt, ageGroup, entryYear, hearAboutUs, moves) =>
+  ({ id, familySurname: id, receivedAt, ageGroup, entryYear, hearAboutUs, moves, status: 'prospectus_generated' });
+const FAMILIES = [
+  seeded('INQ-A1', '2027-01-05T10:00:00Z', '11-16', '2028', 'Friend', ['contacted', 'tour_booked', 'application_started']),
+  seeded('INQ-A2', '2027-01-20T10:00:00Z', '11-16', '2028', 'Search', ['contacted', 'not_interested']),
+  seeded('INQ-A3', '2027-03-02T10:00:00Z', '11-16', '2029', 'Friend', []),
+  seeded('INQ-A4', '2027-03-15T10:00:00Z', '9-11', null, 'friend ', ['high_interest'])
+];
+
+let app;
+let cookie;
+let analytics;
+let pipeline;
+let admissions;   // the default pipeline
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  analytics = require('../server/services/admissions-analytics');
+  pipeline = require('../server/services/pipeline');
+  const config = require('../server/services/pipeline-config');
+  admissions = config.validatePipeline(config.DEFAULT_PIPELINE).pipeline;
+  await app.seedFamilies(FAMILIES);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const get = (path, query = {}) => app.request('GET', `${path}?${new URLSearchParams(query)}`, { cookie });
+
+test('the funnel counts who reached each stage, converted, and how long stays lasted', () => {
+  const t0 = Date.parse('2027-01-01T09:00:00Z');
+  const at = h => new Date(t0 + h * HOUR).toISOString();
+  const family = (status, moves) => {
+    const inquiry = { status, receivedAt: at(0) };
+    const changes = moves.map(([fromStatus, toStatus, h]) => ({ fromStatus, toStatus, changedAt: at(h) }));
+    return { inquiry, pipeline: admissions, journey: pipeline.journeyFor(admissions, inquiry, changes, t0 + 100 * HOUR) };
+  };
+
+  const funnel = analytics.funnelFor(admissions, [
+    family('tour_booked', [['received', 'contacted', 2], ['contacted', 'tour_booked', 6]]),
+    family('not_interested', [['received', 'contacted', 4], ['contacted', 'not_interested', 5]]),
+    family('open_day_booked', [['received', 'open_day_booked', 10]]),
+    family('received', [])
+  ]);
+  const stage = key => funnel.stages.find(s => s.key === key);
+
+  assert.deepEqual(funnel.stages.map(s => s.reached), [4, 3, 2, 2, 1, 0, 0, 1]);
+  assert.equal(stage('new_inquiry').conversionRate, null);
+  assert.equal(stage('contacted').conversionRate, 75);
+  assert.equal(stage('high_interest').conversionRate, 66.7, 'a family that jumped ahead passed through it');
+  assert.equal(stage('not_interested').conversionRate, 25, 'a lost stage: of every family');
+  assert.deepEqual(funnel.stages.map(s => s.current), [1, 0, 0, 1, 1, 0, 0, 1]);
+
+  assert.equal(stage('new_inquiry').medianTimeMs, 4 * HOUR, 'stays of 2, 4 and 10 hours');
+  assert.equal(stage('new_inquiry').completedStays, 3, 'the family still there isn\'t counted');
+  assert.equal(stage('contacted').medianTimeMs, 2.5 * HOUR);
+  assert.equal(stage('tour_booked').medianTimeMs, null, 'nobody has moved on yet');
+  assert.deepEqual([funnel.families, funnel.won, funnel.lost, funnel.open], [4, 0, 1, 3]);
+});
+
+test('cohorts over time include the quiet periods', async () => {
+  const res = await get('/api/analytics/cohorts', { by: 'month' });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.json.cohorts.map(c => [c.key, c.enquiries]), [['2027-01', 2], ['2027-02', 0], ['2027-03', 2]]);
+  const january = res.json.cohorts[0];
+  assert.deepEqual([january.progressed, january.won, january.lost, january.open, january.progressedRate], [2, 0, 1, 1, 100]);
+
+  const days = await get('/api/analytics/cohorts', { by: 'day', from: '2027-01-04', to: '2027-01-07' });
+  assert.deepEqual(days.json.cohorts.map(c => [c.key, c.enquiries]), [['2027-01-04', 0], ['2027-01-05', 1], ['2027-01-06', 0]]);
+});
+
+test('cohorts by where families heard about us and by entry year', async () => {
+  const sources = await get('/api/analytics/cohorts', { by: 'hear_about_us' });
+  assert.deepEqual(sources.json.cohorts.map(c => [c.label, c.enquiries]), [['Friend', 2], ['Search', 1], ['friend', 1]]);
+
+  const years = await get('/api/analytics/cohorts', { by: 'entry_year' });
+  assert.deepEqual(years.json.cohorts.map(c => [c.key, c.label, c.enquiries]), [['2028', '2028', 2], ['2029', '2029', 1], [null, 'Not specified', 1]]);
+});
+
+test('the funnel endpoint takes date-range and segment filters', async () => {
+  const all = await get('/api/analytics/funnel');
+  assert.equal(all.status, 200, all.text);
+  assert.equal(all.json.pipeline.name, 'Admissions');
+  assert.equal(all.json.families, 4);
+  assert.deepEqual(all.json.stages.slice(0, 4).map(s => s.reached), [4, 3, 2, 1]);
+
+  const january = await get('/api/analytics/funnel', { from: '2027-01-01', to: '2027-02-01' });
+  assert.equal(january.json.families, 2);
+  assert.equal(january.json.filters.from, '2027-01-01T00:00:00.000Z');
+
+  const friends = await get('/api/analytics/funnel', { hearAboutUs: 'Friend', ageGroup: '11-16' });
+  assert.equal(friends.json.families, 2);
+  assert.equal((await get('/api/analytics/funnel', { hearAboutUs: 'friend' })).json.families, 1, 'as the cohorts spell it');
+  const seniors = await get('/api/analytics/funnel', { entryYear: '2028' });
+  assert.equal(seniors.json.families, 2);
+  assert.equal(seniors.json.stages.find(s => s.key === 'not_interested').reached, 1);
+});
+
+test('the summary counts temperatures, waits to be contacted and subjects', () => {
+  const t0 = Date.parse('2027-01-01T09:00:00Z');
+  const at = h => new Date(t0 + h * HOUR).toISOString();
+  const family = (id, moves, extra = {}) => {
+    const inquiry = { id, firstName: 'Ada', familySurname: id, status: moves.length ? moves.at(-1)[1] : 'received', receivedAt: at(0), ...extra };
+    const changes = moves.map(([fromStatus, toStatus, h]) => ({ fromStatus, toStatus, changedAt: at(h) }));
+    return { inquiry, pipeline: admissions, journey: pipeline.journeyFor(admissions, inquiry, changes, t0 + 100 * HOUR) };
+  };
+  const scores = new Map([
+    ['A', { score: 82, factors: [{ label: 'Open morning clicks', points: 20 }, { label: 'Visits', points: 0 }] }],
+    ['B', { score: 45, factors: [] }]
+  ]);
+
+  const summary = analytics.summaryFor([
+    family('A', [['received', 'contacted', 2]], { sciences: true, music: true }),
+    family('B', [['received', 'contacted', 30]], { sciences: true }),
+    family('C', [], { receivedAt: at(-24 * 60) })
+  ], scores, { now: t0 + 10 * 24 * HOUR });
+
+  assert.deepEqual([summary.enquiries, summary.recent], [3, 2]);
+  assert.deepEqual(summary.temperatures, { hot: 1, warm: 1, cold: 1 });
+  assert.deepEqual(summary.hot, [{ id: 'A', name: 'Ada A', score: 82, factors: [{ label: 'Open morning clicks', points: 20 }] }]);
+  assert.equal(summary.qualifiedRate, 66.7);
+  assert.deepEqual(summary.response, { progressed: 2, awaiting: 1, averageMs: 16 * HOUR, medianMs: 16 * HOUR, within24hRate: 50, timed: 2 });
+  assert.deepEqual(summary.subjects.slice(0, 2), [{ key: 'sciences', count: 2 }, { key: 'music', count: 1 }]);
+});
+
+test('the summary endpoint takes the filters; without a database every family is cold', async () => {
+  const res = await get('/api/analytics/summary');
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.enquiries, 4);
+  assert.deepEqual(res.json.temperatures, { hot: 0, warm: 0, cold: 4 });
+  assert.deepEqual([res.json.response.progressed, res.json.response.awaiting], [3, 1]);
+
+  assert.equal((await get('/api/analytics/summary', { ageGroup: '9-11' })).json.enquiries, 1);
+  assert.equal((await get('/api/analytics/summary', { from: 'soon' })).status, 400);
+});
+
+test('filters are checked; the figures are for staff', async () => {
+  const bad = await get('/api/analytics/funnel', { from: 'last week', pipeline: 'x' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.json.errors.length, 2);
+  assert.equal((await get('/api/analytics/cohorts', { from: '2027-02-01', to: '2027-01-01' })).status, 400);
+  assert.equal((await get('/api/analytics/cohorts', { by: 'week' })).status, 400);
+  for (const by of ['constructor', '__proto__', 'toString', '']) {
+    assert.equal((await get('/api/analytics/cohorts', { by })).status, 400, by);
+  }
+  assert.equal((await app.request('GET', '/api/analytics/cohorts?by=month&by=day', { cookie })).status, 400, 'one by only');
+  assert.equal((await get('/api/analytics/funnel', { pipeline: '99' })).status, 404);
+  assert.equal((await app.request('GET', '/api/analytics/funnel')).status, 401);
+  assert.equal((await app.request('GET', '/api/analytics/cohorts')).status, 401);
+  assert.equal((await app.request('GET', '/api/analytics/summary')).status, 401);
+});
@@ -0,0 +1,228 @@
+// Staff alert rules (server/services/alerts.js): what each trigger looks for,
+// quiet hours, and rules firing from /api/track-engagement by email, webhook
+// and dashboard in JSON-only mode. Score rules need the rollup, so the
+// database; see pipeline.postgres.test.js.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+const { trackingBatch } = require('./helpers/tracking');
+
+let app;
+let cookie;
+let alerts;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  alerts = require('../server/services/alerts');
+  await app.seedFamilies([{ id: 'INQ-ALERT', firstName: 'Grace', familySurname: 'Hopper' }]);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const ev = (eventType, data, at, sessionId = 'S-now') => ({ eventType, data, sessionId, timestamp: new Date(at) });
+
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('each trigger finds what it is set to look for', () => {
+  const { event_repeat, return_after_gap, dwell, score_crossed } = alerts.TRIGGERS;
+
+  const clicks = [ev('cta_openmorning_click', {}, NOW - 40 * DAY, 'S-old'), ev('cta_openmorning_click', {}, NOW)];
+  const twice = { eventType: 'cta_openmorning_click', count: 2 };
+  assert.equal(event_repeat.check(twice, { batch: clicks.slice(1), events: clicks, now: NOW })[0].detail, 'clicked Book an Open Morning 2 times');
+  assert.deepEqual(event_repeat.check({ ...twice, withinDays: 30 }, { batch: clicks.slice(1), events: clicks, now: NOW }), []);
+  // Only when the batch has one of them
+  assert.deepEqual(event_repeat.check(twice, { batch: [], events: clicks, now: NOW }), []);
+
+  const sessions = [
+    { sessionId: 'S-old', start: new Date(NOW - 20 * DAY), end: new Date(NOW - 20 * DAY + 60000) },
+    { sessionId: 'S-now', start: new Date(NOW), end: new Date(NOW) }
+  ];
+  const back = return_after_gap.check({ days: 14 }, { batch: [ev('page_load', {}, NOW)], sessions });
+  assert.deepEqual(back.map(f => [f.key, f.detail]), [['visit:S-now', 'came back after 19 days away']]);
+  assert.deepEqual(return_after_gap.check({ days: 21 }, { batch: [ev('page_load', {}, NOW)], sessions }), []);
+  assert.deepEqual(return_after_gap.check({ days: 1 }, { batch: [ev('page_load', {}, NOW)], sessions: sessions.slice(1) }), [], 'a first visit is not a return');
+
+  const tiers = [ev('tier_exit', { tier: 'sixthform', dwellSec: 200 }, NOW - DAY, 'S-old'), ev('tier_exit', { tier: 'sixthform', dwellSec: 150 }, NOW)];
+  const found = dwell.check({ tier: 'sixthform', minutes: 5 }, { batch: tiers.slice(1), events: tiers });
+  assert.equal(found[0].detail, 'has spent 6 minutes on the sixthform tier');
+  assert.deepEqual(dwell.check({ tier: 'sixthform', minutes: 10 }, { batch: tiers.slice(1), events: tiers }), []);
+
+  assert.equal(score_crossed.checkScore({ score: 70 }, { from: 65, to: 72 })[0].key, 'score:70');
+  assert.equal(score_crossed.checkScore({ score: 70 }, { from: null, to: 70 }).length, 1);
+  assert.deepEqual(score_crossed.checkScore({ score: 70 }, { from: 71, to: 80 }), []);
+  assert.deepEqual(score_crossed.checkScore({ score: 70 }, { from: 75, to: 60 }), []);
+});
+
+test('quiet hours hold alerts until they end, in the school\'s time zone', () => {
+  const quiet = alerts.quietHours('21:00-07:00');
+  assert.deepEqual(quiet, { start: 21 * 60, end: 7 * 60 });
+  // 22:30 in January (GMT) is quiet until 07:00 the next morning
+  assert.equal(alerts.quietUntil(Date.parse('2026-01-15T22:30:20Z'), quiet, 'Europe/London').toISOString(), '2026-01-16T07:00:00.000Z');
+  assert.equal(alerts.quietUntil(Date.parse('2026-01-15T12:00:00Z'), quiet, 'Europe/London'), null);
+  // 06:00 in July is 05:00 UTC; quiet until 07:00 BST
+  assert.equal(alerts.quietUntil(Date.parse('2026-07-01T05:00:00Z'), quiet, 'Europe/London').toISOString(), '2026-07-01T06:00:00.000Z');
+  assert.equal(alerts.quietHours('off'), null);
+  assert.equal(alerts.quietHours('soon'), null);
+});
+
+test('rules are checked before they are saved', () => {
+  const { validateRule } = alerts;
+  const ok = validateRule({ name: ' Keen ', trigger: { type: 'dwell', section: 'academics', minutes: 5 }, channel: 'email', target: { to: 'a@example.test, b@example.test' } });
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual(ok.rule, {
+    name: 'Keen',
+    enabled: true,
+    trigger: { type: 'dwell', section: 'academics', minutes: 5 },
+    channel: 'email',
+    target: { to: ['a@example.test', 'b@example.test'] },
+    cooldownMinutes: 1440,
+    respectQuietHours: true
+  });
+
+  const errors = input => validateRule(input).errors;
+  assert.match(errors({ name: 'x', trigger: { type: 'horoscope' }, channel: 'dashboard' })[0], /trigger.type must be one of/);
+  assert.deepEqual(errors({ name: 'x', trigger: { type: 'event_repeat', eventType: 'nap', count: 2 }, channel: 'dashboard' }), ['trigger.eventType must be a tracked event type']);
+  assert.deepEqual(errors({ name: 'x', trigger: { type: 'dwell', minutes: 5 }, channel: 'dashboard' }), ['a dwell trigger needs either trigger.section or trigger.tier']);
+  assert.deepEqual(errors({ name: 'x', trigger: { type: 'score_crossed', score: 70 }, channel: 'webhook', target: { url: 'ftp://x' } }), ['target.url must be an http(s) URL']);
+  assert.deepEqual(errors({ name: 'x', trigger: { type: 'score_crossed', score: 70 }, channel: 'email', target: { to: 'nobody' } }), ['target.to must be one or more email addresses']);
+  assert.deepEqual(errors({ name: 'x', trigger: { type: 'score_crossed', score: 70 }, channel: 'pigeon' }), ['channel must be one of email, webhook, dashboard']);
+
+  // An update only changes what it is given
+  const updated = validateRule({ enabled: false }, { ...ok.rule, id: 3 });
+  assert.equal(updated.rule.enabled, false);
+  assert.equal(updated.rule.name, 'Keen');
+});
+
+test('rules fire by email, webhook and dashboard, once each', async () => {
+  const add = async rule => {
+    const res = await app.request('POST', '/api/alerts/rules', { body: rule, cookie });
+    assert.equal(res.status, 201, res.text);
+    return res.json.rule;
+  };
+  const clicks = await add({ name: 'Open morning keen', trigger: { type: 'event_repeat', eventType: 'cta_openmorning_click', count: 2 }, channel: 'dashboard' });
+  const reading = await add({ name: 'Reading academics', trigger: { type: 'dwell', section: 'academics', minutes: 1 }, channel: 'email', target: { to: 'registrar@example.test' } });
+  const hook = await add({ name: 'CRM', trigger: { type: 'event_repeat', eventType: 'page_load', count: 1 }, channel: 'webhook', target: { url: `${app.fakes.url}/hooks/crm` } });
+  assert.equal(clicks.createdBy, 'admin@example.test');
+
+  const listed = await app.request('GET', '/api/alerts/rules', { cookie });
+  assert.deepEqual(listed.json.rules.map(r => r.name), ['Open morning keen', 'Reading academics', 'CRM']);
+  assert.equal(listed.json.triggers.dwell.settings.minutes.required, true);
+
+  const visit = () => trackingBatch('INQ-ALERT', 'S-alert', [
+    ['page_load', { url: '/prospectus' }],
+    ['section_exit', { section: 'academics', dwellSec: 75, reason: 'next' }],
+    ['cta_openmorning_click', { section: 'academics' }],
+    ['cta_openmorning_click', { section: 'academics' }]
+  ]);
+  assert.equal((await app.request('POST', '/api/track-engagement', { body: visit() })).status, 200);
+  await alerts.settleAlertEvaluations();
+
+  const fired = await eventually(async () => {
+    const res = await app.request('GET', '/api/inquiry/INQ-ALERT/alerts', { cookie });
+    const list = res.json.alerts;
+    return list.length === 3 && list.every(a => a.status === 'sent' || a.status === 'unread') ? list : null;
+  });
+  const byRule = Object.fromEntries(fired.map(a => [a.ruleId, a]));
+  assert.equal(byRule[clicks.id].message, 'The Hopper family clicked Book an Open Morning 2 times');
+  assert.equal(byRule[clicks.id].status, 'unread');
+  assert.equal(byRule[reading.id].message, 'The Hopper family has spent 1 minute on academics');
+
+  assert.equal(app.fakes.calls.mail.length, 1);
+  assert.deepEqual(app.fakes.calls.mail[0].to, ['registrar@example.test']);
+  assert.match(app.fakes.calls.mail[0].data, /The Hopper family has spent 1 minute on academics\.\r\n\r\nAlert rule: Reading academics/);
+  assert.equal(app.fakes.calls.webhooks.length, 1);
+  assert.equal(app.fakes.calls.webhooks[0].body.rule.name, 'CRM');
+  assert.equal(app.fakes.calls.webhooks[0].body.alert.inquiryId, 'INQ-ALERT');
+
+  // The same visit again (a resent batch) fires nothing new
+  const again = visit();
+  again.events.forEach((e, i) => { e.eventId = `S-alert-again-${i}`; });
+  await app.request('POST', '/api/track-engagement', { body: again });
+  await alerts.settleAlertEvaluations();
+  assert.equal((await app.request('GET', '/api/inquiry/INQ-ALERT/alerts', { cookie })).json.alerts.length, 3);
+  assert.equal(app.fakes.calls.mail.length, 1);
+
+  // Dashboard alerts are read
+  const unread = await app.request('GET', '/api/alerts?channel=dashboard&status=unread', { cookie });
+  assert.deepEqual(unread.json.alerts.map(a => a.id), [byRule[clicks.id].id]);
+  const read = await app.request('POST', `/api/alerts/${byRule[clicks.id].id}/read`, { cookie });
+  assert.equal(read.json.alert.status, 'read');
+  assert.equal(read.json.alert.readBy, 'admin@example.test');
+  assert.equal((await app.request('POST', `/api/alerts/${byRule[hook.id].id}/read`, { cookie })).status, 400);
+
+  // Registrars see alerts but may not mark them read
+  const staff = { email: 'registrar@example.test', password: 'registrar-password-1', role: 'registrar' };
+  assert.equal((await app.request('POST', '/api/staff-users', { body: { ...staff, name: 'Registrar' }, cookie })).status, 200);
+  const registrar = await app.login(staff);
+  assert.equal((await app.request('GET', '/api/alerts', { cookie: registrar })).status, 200);
+  assert.equal((await app.request('POST', `/api/alerts/${byRule[reading.id].id}/read`, { cookie: registrar })).status, 403);
+
+  // Rules can be switched off and deleted
+  const off = await app.request('PUT', `/api/alerts/rules/${hook.id}`, { body: { enabled: false }, cookie });
+  assert.equal(off.json.rule.enabled, false);
+  assert.equal(off.json.rule.name, 'CRM');
+  for (const rule of [clicks, reading, hook]) {
+    assert.equal((await app.request('DELETE', `/api/alerts/rules/${rule.id}`, { cookie })).status, 200);
+  }
+  assert.equal((await app.request('DELETE', `/api/alerts/rules/${hook.id}`, { cookie })).status, 404);
+});
+
+test('a webhook that fails leaves the alert failed, and quiet hours hold one', async () => {
+  const add = async rule => (await app.request('POST', '/api/alerts/rules', { body: rule, cookie })).json.rule;
+  await add({ name: 'Broken CRM', trigger: { type: 'event_repeat', eventType: 'video_open', count: 1 }, channel: 'webhook', target: { url: `${app.fakes.url}/hooks/broken` } });
+
+  app.fakes.setWebhookStatus(500);
+  try {
+    await app.request('POST', '/api/track-engagement', { body: trackingBatch('INQ-ALERT', 'S-video', [['video_open', { youtubeId: 'yt-1' }]]) });
+    await alerts.settleAlertEvaluations();
+    const failed = await eventually(async () => {
+      const list = (await app.request('GET', '/api/inquiry/INQ-ALERT/alerts', { cookie })).json.alerts;
+      return list.find(a => a.ruleName === 'Broken CRM' && a.status === 'failed');
+    });
+    assert.equal(failed.error, 'Webhook answered 500');
+  } finally {
+    app.fakes.setWebhookStatus(200);
+  }
+
+  // Quiet for the hour around now, wherever the clock is
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/London', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date()).map(p => [p.type, p.value]));
+  const local = Number(parts.hour) * 60 + Number(parts.minute);
+  const hhmm = m => `${String(Math.floor(((m + 1440) % 1440) / 60)).padStart(2, '0')}:${String(((m + 1440) % 1440) % 60).padStart(2, '0')}`;
+  process.env.ALERT_QUIET_HOURS = `${hhmm(local - 30)}-${hhmm(local + 30)}`;
+  try {
+    await add({ name: 'Overnight', trigger: { type: 'event_repeat', eventType: 'tier_expand', count: 1 }, channel: 'email', target: { to: 'registrar@example.test' } });
+    const mailBefore = app.fakes.calls.mail.length;
+    await app.request('POST', '/api/track-engagement', { body: trackingBatch('INQ-ALERT', 'S-late', [['tier_expand', { tier: 'senior' }]]) });
+    await alerts.settleAlertEvaluations();
+    const held = (await app.request('GET', '/api/inquiry/INQ-ALERT/alerts', { cookie })).json.alerts.find(a => a.ruleName === 'Overnight');
+    assert.equal(held.status, 'held');
+    assert.ok(Date.parse(held.deliverAfter) > Date.now());
+    assert.equal(app.fakes.calls.mail.length, mailBefore);
+  } finally {
+    process.env.ALERT_QUIET_HOURS = 'off';
+  }
+});
+
+test('only signed-in staff see or change rules', async () => {
+  assert.equal((await app.request('GET', '/api/alerts/rules')).status, 401);
+  assert.equal((await app.request('POST', '/api/alerts/rules', { body: {} })).status, 401);
+  const bad = await app.request('POST', '/api/alerts/rules', { body: { name: 'x', channel: 'dashboard' }, cookie });
+  assert.equal(bad.status, 400);
+  assert.match(bad.json.errors[0], /trigger.type/);
+  assert.equal((await app.request('GET', '/api/alerts?status=maybe', { cookie })).status, 400);
+});
@@ -0,0 +1,127 @@
+// The engagement score (server/services/engagement-scoring.js): points per
+// factor under configurable weights, and the routes staff change the weights
+// and read a family's breakdown through. Scores of real families need the
+// database; see pipeline.postgres.test.js.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+
+let app;
+let cookie;
+let DEFAULT_MODEL, scoreEngagement, signalsFrom, temperatureFor, validateModel;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  ({ DEFAULT_MODEL, scoreEngagement, signalsFrom, temperatureFor, validateModel } = require('../server/services/engagement-scoring'));
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const points = result => Object.fromEntries(result.factors.map(f => [f.factor, f.points]));
+
+test('each factor earns up to its weight and the points add up to the score', () => {
+  const result = scoreEngagement({
+    section_dwell: 7.5, // half of the 15 minutes
+    return_visits: 5, // capped at fullAt
+    video_completion: 0,
+    openmorning_cta: 1,
+    tier_expansions: 1
+  });
+
+  assert.deepEqual(points(result), {
+    section_dwell: 17.5,
+    return_visits: 20,
+    video_completion: 0,
+    openmorning_cta: 20,
+    tier_expansions: 3.3
+  });
+  assert.equal(result.score, 61);
+  assert.equal(result.temperature, 'warm');
+  assert.equal(result.modelVersion, 0);
+  assert.equal(scoreEngagement({}).score, 0);
+});
+
+test('weights are scaled so a full house is always 100', () => {
+  const model = { version: 3, factors: { ...DEFAULT_MODEL.factors, openmorning_cta: { weight: 0, fullAt: 1 }, section_dwell: { weight: 70, fullAt: 10 } } };
+  const full = scoreEngagement({ section_dwell: 10, return_visits: 3, video_completion: 2, openmorning_cta: 0, tier_expansions: 3 }, model);
+  assert.equal(full.score, 100);
+  assert.equal(full.modelVersion, 3);
+  assert.equal(points(full).openmorning_cta, 0);
+});
+
+test('signals come from a family or visit rollup', () => {
+  assert.deepEqual(signalsFrom({
+    section_times: { cover: { dwell_sec: 60 }, academics: { dwell_sec: 120 } },
+    total_sessions: 3,
+    videos_completed: 1,
+    contact_actions: 2,
+    tier_expansions: 4
+  }), { section_dwell: 3, return_visits: 2, video_completion: 1, openmorning_cta: 2, tier_expansions: 4 });
+  // A single visit has no return visits
+  assert.equal(signalsFrom({ section_times: {} }).return_visits, 0);
+  assert.deepEqual([70, 69, 40, 39].map(temperatureFor), ['hot', 'warm', 'warm', 'cold']);
+});
+
+test('staff weights are checked and fill in from the current model', () => {
+  const { errors, factors } = validateModel({ openmorning_cta: { weight: 40 } });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(factors.openmorning_cta, { weight: 40, fullAt: 1 });
+  assert.deepEqual(factors.section_dwell, DEFAULT_MODEL.factors.section_dwell);
+
+  assert.deepEqual(validateModel({ horoscope: { weight: 1 } }).errors, ['unknown factor "horoscope"']);
+  assert.match(validateModel({ return_visits: { weight: -1 } }).errors[0], /return_visits.weight/);
+  assert.match(validateModel({ return_visits: { fullAt: 0 } }).errors[0], /return_visits.fullAt/);
+  const none = Object.fromEntries(Object.keys(DEFAULT_MODEL.factors).map(id => [id, { weight: 0 }]));
+  assert.deepEqual(validateModel(none).errors, ['at least one factor needs a weight']);
+  assert.deepEqual(validateModel([]).errors, ['factors must be an object']);
+});
+
+test('admissions save new model versions and everyone can read the current one', async () => {
+  const initial = await app.request('GET', '/api/scoring/model', { cookie });
+  assert.equal(initial.status, 200, initial.text);
+  assert.equal(initial.json.model.version, 0);
+  assert.equal(initial.json.factors.section_dwell.label, 'Time reading sections');
+
+  const saved = await app.request('PUT', '/api/scoring/model', { body: { factors: { tier_expansions: { weight: 25, fullAt: 5 } } }, cookie });
+  assert.equal(saved.status, 200, saved.text);
+  assert.equal(saved.json.model.version, 1);
+  assert.equal(saved.json.model.savedBy, 'admin@example.test');
+  assert.deepEqual(saved.json.model.factors.tier_expansions, { weight: 25, fullAt: 5 });
+  // Nothing to rescore without the database
+  assert.equal(saved.json.rescore, null);
+
+  const current = await app.request('GET', '/api/scoring/model', { cookie });
+  assert.equal(current.json.model.version, 1);
+  const versions = await app.request('GET', '/api/scoring/model/versions', { cookie });
+  assert.deepEqual(versions.json.versions.map(v => v.version), [1]);
+
+  const stored = JSON.parse(await fs.readFile(path.join(app.dataDir, 'engagement-score-models.json'), 'utf8'));
+  assert.equal(stored.versions.length, 1);
+
+  const bad = await app.request('PUT', '/api/scoring/model', { body: { factors: { section_dwell: { weight: 'lots' } } }, cookie });
+  assert.equal(bad.status, 400);
+  assert.match(bad.json.errors[0], /section_dwell.weight/);
+  assert.equal((await app.request('PUT', '/api/scoring/model', { body: { factors: {} } })).status, 401);
+});
+
+test('a family has no score without the database', async () => {
+  const res = await app.request('GET', '/api/inquiry/INQ-1/score', { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.json, {
+    success: true,
+    inquiryId: 'INQ-1',
+    score: null,
+    temperature: null,
+    modelVersion: null,
+    factors: [],
+    scoredAt: null,
+    history: []
+  });
+  assert.equal((await app.request('GET', '/api/inquiry/INQ-1/score')).status, 401);
+});
@@ -0,0 +1,209 @@
+// Open mornings, tours and taster days (server/services/events.js): booking
+// from the family's prospectus link, the waitlist, confirmations through the
+// fake SMTP server, attendance, and the pipeline and timeline they update.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+let cookie;
+let events;
+let linkToken;
+let openMorning;
+
+const FAMILIES = [
+  { id: 'INQ-E1', firstName: 'Grace', parentName: 'Mary Hopper', status: 'new_inquiry' },
+  { id: 'INQ-E2', firstName: 'Ada', parentName: 'Anne Lovelace', status: 'contacted' },
+  { id: 'INQ-E3', firstName: 'Marie', parentName: 'Bronia Curie', status: 'application_started' }
+];
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  events = require('../server/services/events');
+  const { getInquiryRepository } = require('../server/services/inquiry-repository');
+  const prospectusLinks = require('../server/prospectus-links');
+  await app.seedFamilies(FAMILIES);
+  linkToken = prospectusLinks.signedLinkPaths(await getInquiryRepository().findById('INQ-E1')).token;
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const createEvent = body => app.request('POST', '/api/events', { cookie, body });
+const bookPublic = (eventId, body) => app.request('POST', `/api/public/events/${eventId}/bookings`, { body });
+const statusOf = async id => {
+  const { getInquiryRepository } = require('../server/services/inquiry-repository');
+  return (await getInquiryRepository().findById(id)).status;
+};
+const lastMail = () => app.fakes.calls.mail.at(-1).data.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+
+test('events and booking forms are checked', () => {
+  const { validateEvent, validateBookingDetails } = events;
+  const ok = validateEvent({ kind: 'open_morning', startsAt: '2030-03-14T09:30:00Z', capacity: 40 });
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.event.title, 'Open Morning');
+  assert.equal(ok.event.bookingOpen, true);
+
+  const bad = validateEvent({ kind: 'party', startsAt: 'soon', capacity: 0 }).errors;
+  assert.equal(bad.length, 3);
+  assert.deepEqual(validateEvent({ kind: 'tour', startsAt: '2030-03-14T09:30:00Z', endsAt: '2030-03-14T09:00:00Z', capacity: 5 }).errors,
+    ['endsAt must be a date and time after startsAt']);
+  const later = validateEvent({ capacity: 60 }, ok.event);
+  assert.equal(later.event.capacity, 60);
+  assert.equal(later.event.startsAt, ok.event.startsAt, 'fields left out are kept');
+
+  assert.deepEqual(validateBookingDetails({ parentName: ' Mary ', email: 'Mary@Example.test', attendees: 2 }).details,
+    { parentName: 'Mary', email: 'mary@example.test', phone: null, attendees: 2 });
+  assert.equal(validateBookingDetails({ parentName: 'Mary', email: 'nope', attendees: 9 }).errors.length, 2);
+});
+
+test('a family books from their prospectus link and moves to open_day_booked', async () => {
+  const created = await createEvent({
+    kind: 'open_morning',
+    title: 'Spring Open Morning',
+    location: 'Pont Street',
+    startsAt: new Date(Date.now() + 10 * DAY).toISOString(),
+    capacity: 3
+  });
+  assert.equal(created.status, 201, created.text);
+  openMorning = created.json.event;
+
+  const page = await app.request('GET', `/book/hopper-grace?t=${linkToken}`);
+  assert.equal(page.status, 200);
+  assert.match(page.text, /Visit More House/);
+
+  const family = await app.request('GET', `/api/public/family/hopper-grace?t=${linkToken}`);
+  assert.deepEqual(family.json.family, { firstName: 'Grace', parentName: 'Mary Hopper', email: 'grace@example.test', phone: '07700 900000' });
+  assert.equal((await app.request('GET', '/api/public/family/hopper-grace?t=forged')).status, 404);
+
+  const listed = await app.request('GET', '/api/public/events');
+  assert.deepEqual(listed.json.events.map(e => [e.title, e.placesLeft]), [['Spring Open Morning', 3]]);
+  assert.equal(listed.json.events[0].capacity, undefined, 'families see places left, not the bookings');
+
+  const booked = await bookPublic(openMorning.id, { parentName: 'Mary Hopper', email: 'grace@example.test', attendees: 2, slug: 'hopper-grace', t: linkToken });
+  assert.equal(booked.status, 201, booked.text);
+  assert.equal(booked.json.booking.status, 'booked');
+  assert.equal(await statusOf('INQ-E1'), 'open_day_booked');
+
+  const mail = lastMail();
+  assert.match(mail, /Your place at Spring Open Morning is confirmed/);
+  assert.ok(mail.includes(`/bookings/${booked.json.manageToken}`), 'the confirmation links to the booking');
+
+  const again = await bookPublic(openMorning.id, { parentName: 'Mary Hopper', email: 'GRACE@example.test', attendees: 1 });
+  assert.equal(again.status, 409);
+
+  const mine = await app.request('GET', `/api/public/bookings/${booked.json.manageToken}`);
+  assert.equal(mine.json.booking.event.title, 'Spring Open Morning');
+  assert.equal(mine.json.booking.attendees, 2);
+});
+
+test('a booking that doesn\'t fit joins the waitlist and is given the places when they come free', async () => {
+  const waiting = await app.request('POST', `/api/events/${openMorning.id}/bookings`, { cookie, body: { inquiryId: 'INQ-E2', attendees: 2 } });
+  assert.equal(waiting.status, 201, waiting.text);
+  assert.equal(waiting.json.booking.status, 'waitlisted');
+  assert.equal(waiting.json.booking.email, 'ada@example.test', 'staff bookings fill in from the inquiry');
+  assert.match(lastMail(), /waiting list/);
+  assert.equal(await statusOf('INQ-E2'), 'contacted', 'a waitlist place doesn\'t move the family on');
+
+  // One place left: a smaller booking behind them still fits
+  const single = await bookPublic(openMorning.id, { parentName: 'Someone Else', email: 'someone@example.test', attendees: 1 });
+  assert.equal(single.json.booking.status, 'booked');
+
+  const { bookings } = (await app.request('GET', `/api/events/${openMorning.id}/bookings`, { cookie })).json;
+  const mine = bookings.find(b => b.inquiryId === 'INQ-E1');
+  assert.equal(mine.manageToken, undefined, 'staff never see the family\'s manage link');
+  const manageToken = (await events.getEventStore().getBooking(mine.id)).manageToken;
+  const cancelled = await app.request('POST', `/api/public/bookings/${manageToken}/cancel`);
+  assert.equal(cancelled.status, 200, cancelled.text);
+  assert.equal(cancelled.json.booking.status, 'cancelled');
+
+  const promoted = await events.getEventStore().getBooking(waiting.json.booking.id);
+  assert.equal(promoted.status, 'booked');
+  assert.match(lastMail(), /A place has come up at Spring Open Morning/);
+  assert.equal(await statusOf('INQ-E2'), 'open_day_booked');
+
+  const event = (await app.request('GET', `/api/events/${openMorning.id}/bookings`, { cookie })).json.event;
+  assert.deepEqual([event.placesTaken, event.placesLeft, event.waitlisted], [3, 0, 0]);
+});
+
+test('staff mark attendance, and bookings sit on the family timeline', async () => {
+  const booking = (await app.request('GET', '/api/inquiry/INQ-E2/bookings', { cookie })).json.bookings[0];
+  assert.equal(booking.event.title, 'Spring Open Morning');
+
+  const marked = await app.request('PUT', `/api/bookings/${booking.id}/attendance`, { cookie, body: { attended: true } });
+  assert.equal(marked.status, 200, marked.text);
+  assert.equal(marked.json.booking.attended, true);
+  assert.equal(marked.json.booking.attendanceMarkedBy, 'admin@example.test');
+  assert.equal((await app.request('PUT', `/api/bookings/${booking.id}/attendance`, { cookie, body: { attended: 'yes' } })).status, 400);
+
+  const timeline = await app.request('GET', '/api/visits/INQ-E2/timeline', { cookie });
+  assert.deepEqual(timeline.json.items.map(i => i.type), ['event_attended', 'event_booked', 'event_waitlisted']);
+  assert.ok(timeline.json.items.every(i => i.title === 'Spring Open Morning'));
+
+  const cancelledFamily = await app.request('GET', '/api/visits/INQ-E1/timeline', { cookie });
+  assert.deepEqual(cancelledFamily.json.items.map(i => i.type), ['event_cancelled', 'event_booked']);
+
+  // An event deleted between reading the bookings and reading their events
+  const store = events.getEventStore();
+  const getEvent = store.getEvent;
+  store.getEvent = async () => null;
+  try {
+    assert.deepEqual(await events.bookingTimeline('INQ-E2'), []);
+  } finally {
+    store.getEvent = getEvent;
+  }
+
+  const { changes } = (await app.request('GET', '/api/inquiries/INQ-E2/status-history', { cookie })).json;
+  assert.deepEqual([changes[0].toStatus, changes[0].source, changes[0].changedBy], ['open_day_booked', 'event_booking', null]);
+  assert.match(changes[0].note, /^Given a place from the waiting list for "Spring Open Morning"/);
+});
+
+test('a tour books the family as tour_booked, but never moves them backwards', async () => {
+  const tour = (await createEvent({ kind: 'tour', startsAt: new Date(Date.now() + 5 * DAY).toISOString(), capacity: 10 })).json.event;
+  assert.equal(tour.title, 'Tour');
+
+  await app.request('POST', `/api/events/${tour.id}/bookings`, { cookie, body: { inquiryId: 'INQ-E3' } });
+  assert.equal(await statusOf('INQ-E3'), 'application_started');
+
+  // Already at open_day_booked, which is further on than tour_booked
+  await app.request('POST', `/api/events/${tour.id}/bookings`, { cookie, body: { inquiryId: 'INQ-E2' } });
+  assert.equal(await statusOf('INQ-E2'), 'open_day_booked');
+});
+
+test('more places give the waitlist theirs; closed and past events take no bookings', async () => {
+  const small = (await createEvent({ kind: 'taster_day', startsAt: new Date(Date.now() + 20 * DAY).toISOString(), capacity: 1 })).json.event;
+  await bookPublic(small.id, { parentName: 'A Parent', email: 'a@example.test', attendees: 1 });
+  const waiting = await bookPublic(small.id, { parentName: 'B Parent', email: 'b@example.test', attendees: 1 });
+  assert.equal(waiting.json.booking.status, 'waitlisted');
+
+  const bigger = await app.request('PUT', `/api/events/${small.id}`, { cookie, body: { capacity: 2 } });
+  assert.equal(bigger.json.event.placesTaken, 2);
+  assert.equal(bigger.json.event.waitlisted, 0);
+
+  await app.request('PUT', `/api/events/${small.id}`, { cookie, body: { bookingOpen: false } });
+  assert.equal((await bookPublic(small.id, { parentName: 'C Parent', email: 'c@example.test' })).status, 409);
+  assert.ok(!(await app.request('GET', '/api/public/events')).json.events.some(e => e.id === small.id));
+
+  const past = (await createEvent({ kind: 'tour', startsAt: new Date(Date.now() - DAY).toISOString(), capacity: 5 })).json.event;
+  assert.equal((await bookPublic(past.id, { parentName: 'C Parent', email: 'c@example.test' })).status, 409);
+  assert.equal((await app.request('POST', `/api/events/${past.id}/bookings`, { cookie, body: { inquiryId: 'INQ-E1' } })).status, 409);
+
+  assert.equal((await app.request('DELETE', `/api/events/${small.id}`, { cookie })).status, 409, 'families are still booked');
+  assert.equal((await app.request('DELETE', `/api/events/${past.id}`, { cookie })).status, 200);
+});
+
+test('staff need a login; the booking pages and their endpoints are public', async () => {
+  assert.equal((await app.request('GET', '/api/events')).status, 401);
+  assert.equal((await app.request('POST', '/api/events', { body: { kind: 'tour' } })).status, 401);
+  assert.equal((await app.request('PUT', '/api/bookings/1/attendance', { body: { attended: true } })).status, 401);
+  assert.equal((await createEvent({ kind: 'tour' })).status, 400);
+
+  assert.equal((await app.request('GET', '/book')).status, 200);
+  assert.equal((await app.request('GET', '/bookings/no-such-token')).status, 200);
+  assert.equal((await app.request('GET', '/api/public/bookings/no-such-token')).status, 404);
+});
@@ -0,0 +1,141 @@
+// Emails sent to a family from the server (server/services/family-emails.js):
+// the prospectus link and tracked links put into the body, sending through
+// the fake SMTP server, and the opens and clicks that come back on the
+// family's timeline.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { bootApp } = require('./helpers/app');
+
+let app;
+let cookie;
+let familyEmails;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  familyEmails = require('../server/services/family-emails');
+  await app.seedFamilies([
+    { id: 'INQ-MAIL', firstName: 'Grace', familySurname: 'Hopper' },
+    { id: 'INQ-NOLINK', firstName: 'Ada', familySurname: 'Lovelace', slug: null }
+  ]);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+// The text part of a message the fake SMTP server received
+function textPart(raw) {
+  const decoded = raw.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+  const at = decoded.indexOf('Content-Type: text/plain');
+  return decoded.slice(decoded.indexOf('\r\n\r\n', at) + 4, decoded.indexOf('\r\n--', at));
+}
+
+test('the prospectus link goes in the body and every link is tracked', () => {
+  const { withProspectusLink, trackLinks } = familyEmails;
+  const url = 'https://example.test/hopper-grace?t=abc';
+
+  assert.equal(withProspectusLink('Dear Grace,\nHere it is: {{prospectus_link}}', url, 'Grace'), `Dear Grace,\nHere it is: ${url}`);
+  assert.equal(
+    withProspectusLink('Dear Grace,\n\nBest wishes  \n', url, 'Grace'),
+    `Dear Grace,\n\nBest wishes\n\nYou can open Grace's personalised prospectus here:\n${url}`
+  );
+
+  const tracked = trackLinks(`See ${url}.\nOr https://www.morehouse.org.uk/visit (and ${url} again) <b>`, 'https://example.test/e/tok');
+  assert.deepEqual(tracked.links, [url, 'https://www.morehouse.org.uk/visit']);
+  assert.equal(tracked.text, 'See https://example.test/e/tok/0.\nOr https://example.test/e/tok/1 (and https://example.test/e/tok/0 again) <b>');
+  assert.match(tracked.html, /<a href="https:\/\/example\.test\/e\/tok\/0">https:\/\/example\.test\/hopper-grace\?t=abc<\/a>\.<br>/);
+  assert.match(tracked.html, /&lt;b&gt;/);
+  assert.match(tracked.html, /<img src="https:\/\/example\.test\/e\/tok\/open\.gif"/);
+});
+
+test('a sent email is kept against the family and its opens and clicks show on their timeline', async () => {
+  const sent = await app.request('POST', '/api/inquiry/INQ-MAIL/emails', {
+    cookie,
+    body: { subject: 'Your visit to More House', body: 'Dear Grace,\n\nThank you for your enquiry.', historyId: 42 }
+  });
+  assert.equal(sent.status, 201, sent.text);
+  assert.equal(sent.json.email.status, 'sent');
+  assert.equal(sent.json.email.to, 'grace@example.test');
+  assert.equal(sent.json.email.historyId, '42');
+  assert.equal(sent.json.email.trackingToken, undefined, 'the token stays private');
+
+  const message = app.fakes.calls.mail.at(-1);
+  assert.deepEqual(message.to, ['grace@example.test']);
+  const text = textPart(message.data);
+  assert.match(text, /Thank you for your enquiry\./);
+  const tracked = text.match(/personalised prospectus here:\r?\n(\S+)/)[1];
+  assert.match(tracked, new RegExp(`^${app.baseUrl}/e/[\\w-]+/0$`));
+  assert.match(message.data, /open\.gif/);
+
+  const pixel = await fetch(tracked.replace(/\/0$/, '/open.gif'));
+  assert.equal(pixel.status, 200);
+  assert.equal(pixel.headers.get('content-type'), 'image/gif');
+
+  const click = await fetch(tracked, { redirect: 'manual' });
+  assert.equal(click.status, 302);
+  assert.match(click.headers.get('location'), new RegExp(`^${app.baseUrl}/hopper-grace\\?t=`));
+
+  const list = await app.request('GET', '/api/inquiry/INQ-MAIL/emails', { cookie });
+  assert.equal(list.json.emails.length, 1);
+  assert.equal(list.json.emails[0].openCount, 1);
+  assert.equal(list.json.emails[0].clickCount, 1);
+  assert.ok(list.json.emails[0].firstOpenedAt);
+
+  const one = await app.request('GET', `/api/emails/${sent.json.email.id}`, { cookie });
+  assert.match(one.json.email.bodyHtml, /Thank you for your enquiry\./);
+
+  const timeline = await app.request('GET', '/api/visits/INQ-MAIL/timeline', { cookie });
+  assert.deepEqual(timeline.json.items.map(i => i.type).sort(), ['email_click', 'email_open', 'email_sent']);
+  assert.equal(timeline.json.items.find(i => i.type === 'email_click').url, click.headers.get('location'));
+  assert.ok(timeline.json.items.every(i => i.subject === 'Your visit to More House'));
+});
+
+test('a failed send is kept as failed', async () => {
+  // A port nothing listens on
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const port = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+
+  const smtpPort = process.env.SMTP_PORT;
+  process.env.SMTP_PORT = String(port);
+  try {
+    const res = await app.request('POST', '/api/inquiry/INQ-MAIL/emails', {
+      cookie,
+      body: { subject: 'Open Morning', body: 'Dear Grace,\n\nJoin us.' }
+    });
+    assert.equal(res.status, 502);
+    assert.equal(res.json.email.status, 'failed');
+    assert.ok(res.json.email.error);
+  } finally {
+    process.env.SMTP_PORT = smtpPort;
+  }
+
+  const timeline = await app.request('GET', '/api/visits/INQ-MAIL/timeline', { cookie });
+  assert.equal(timeline.json.items[0].type, 'email_failed');
+});
+
+test('sending checks its input and the family', async () => {
+  const send = (id, body) => app.request('POST', `/api/inquiry/${id}/emails`, { cookie, body });
+  assert.equal((await send('INQ-MAIL', { body: 'Hello' })).status, 400);
+  assert.equal((await send('INQ-MAIL', { subject: 'Hello', body: '  ' })).status, 400);
+  assert.equal((await send('INQ-MAIL', { subject: 'Hello', body: 'Hello', to: 'not-an-address' })).status, 400);
+  assert.equal((await send('INQ-MISSING', { subject: 'Hello', body: 'Hello' })).status, 404);
+  const noLink = await send('INQ-NOLINK', { subject: 'Hello', body: 'Hello' });
+  assert.equal(noLink.status, 409);
+  assert.match(noLink.json.error, /No prospectus/);
+});
+
+test('staff need a login to send; the tracking links are public', async () => {
+  const res = await app.request('POST', '/api/inquiry/INQ-MAIL/emails', { body: { subject: 'Hi', body: 'Hi' } });
+  assert.equal(res.status, 401);
+  assert.equal((await app.request('GET', '/api/visits/INQ-MAIL/timeline')).status, 401);
+
+  // Unknown tokens: the pixel still loads, a link has nowhere to go
+  const pixel = await app.request('GET', '/e/no-such-token/open.gif');
+  assert.equal(pixel.status, 200);
+  assert.equal((await app.request('GET', '/e/no-such-token/0')).status, 404);
+});
@@ -0,0 +1,141 @@
+// Boots server.js on a random port with its data in a temporary directory and
+// AI, translation and email pointed at the local fakes. Pass databaseUrl to run
+// against a throwaway Postgres; its public schema is dropped and re-migrated
+// first.
+// server.js reads its settings when it is first required, so boot once per
+// test file (node --test runs every file in its own process). The services
+// choose their stores the same way: require them once bootApp has resolved.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const { startFakeServices } = require('./fake-services');
+const migrations = require('../../server/migrations');
+
+const ADMIN_EMAIL = 'admin@example.test';
+const ADMIN_PASSWORD = 'test-password-123';
+
+async function resetDatabase(databaseUrl) {
+  const client = new Client({ connectionString: databaseUrl });
+  await client.connect();
+  try {
+    await client.query('DROP SCHEMA public CASCADE');
+    await client.query('CREATE SCHEMA public');
+    await migrations.migrateUp(client, { log: () => {} });
+  } finally {
+    await client.end();
+  }
+}
+
+async function bootApp({ databaseUrl = null } = {}) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'morehouse-test-'));
+  const fakes = await startFakeServices();
+
+  if (databaseUrl) await resetDatabase(databaseUrl);
+
+  // Empty strings rather than delete so dotenv cannot fill them back in from .env
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATA_DIR: path.join(tmpDir, 'data'),
+    PROSPECTUS_DIR: path.join(tmpDir, 'prospectuses'),
+    DATABASE_URL: databaseUrl || '',
+    DB_HOST: '',
+    DB_USER: '',
+    DB_NAME: '',
+    OPENAI_API_KEY: 'test-openai-key',
+    OPENAI_BASE_URL: `${fakes.url}/v1`,
+    ANTHROPIC_API_KEY: '',
+    DEEPL_API_KEY: 'test-deepl-key',
+    DEEPL_API_BASE: `${fakes.url}/v2/translate`,
+    GOOGLE_TRANSLATE_API_KEY: 'test-google-key',
+    GOOGLE_TRANSLATE_API_BASE: `${fakes.url}/language/translate/v2`,
+    TRANSLATION_PROVIDER: '',
+    SESSION_SECRET: 'test-session-secret',
+    PROSPECTUS_LINK_SECRET: 'test-link-secret',
+    PUBLIC_BASE_URL: '',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(fakes.smtpPort),
+    SMTP_SECURE: 'false',
+    SMTP_USER: '',
+    SMTP_PASS: '',
+    MAIL_FROM: 'More House Admissions <admissions@example.test>',
+    ALERT_QUIET_HOURS: 'off',
+    ADMIN_EMAIL,
+    ADMIN_PASSWORD
+  });
+
+  const serverModule = require('../../server');
+  const server = await serverModule.startServer({ port: 0 });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, cookie } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookie ? { Cookie: cookie } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* HTML or empty body */ }
+    return { status: res.status, headers: res.headers, text, json };
+  }
+
+  // As the seeded admin, or another staff account
+  async function login({ email = ADMIN_EMAIL, password = ADMIN_PASSWORD } = {}) {
+    const res = await request('POST', '/api/auth/login', {
+      body: { email, password }
+    });
+    if (res.status !== 200) throw new Error(`Staff login failed: ${res.status} ${res.text}`);
+    return res.headers.get('set-cookie').split(';')[0];
+  }
+
+  // Families straight into the inquiry store, over made-up contact details
+  // and a live prospectus link (slug: null for none). moves are the statuses
+  // staff then move each one through, in order.
+  async function seedFamilies(families) {
+    const { getInquiryRepository } = require('../../server/services/inquiry-repository');
+    const { setStatus } = require('../../server/services/pipeline');
+    for (const { moves = [], ...family } of families) {
+      const firstName = family.firstName || 'Grace';
+      const familySurname = family.familySurname || (family.parentName || 'Mary Hopper').split(' ').at(-1);
+      await getInquiryRepository().create({
+        firstName,
+        familySurname,
+        parentEmail: `${firstName.toLowerCase()}@example.test`,
+        contactNumber: '07700 900000',
+        ...(family.slug === null ? {} : {
+          slug: `${familySurname.toLowerCase()}-${firstName.toLowerCase()}`,
+          linkVersion: 1,
+          linkIssuedAt: new Date().toISOString()
+        }),
+        ...family
+      });
+      for (const status of moves) await setStatus(family.id, status, { changedBy: ADMIN_EMAIL });
+    }
+  }
+
+  async function stop() {
+    await serverModule.stopServer(server);
+    await fakes.close();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+
+  return {
+    ...serverModule,
+    baseUrl,
+    fakes,
+    dataDir: process.env.DATA_DIR,
+    prospectusDir: process.env.PROSPECTUS_DIR,
+    request,
+    login,
+    seedFamilies,
+    stop
+  };
+}
+
+module.exports = { bootApp };
@@ -0,0 +1,152 @@
+// Local stand-ins for OpenAI, DeepL and Google Translate so the suite never
+// leaves the machine. Point OPENAI_BASE_URL at `${url}/v1`, DEEPL_API_BASE at
+// `${url}/v2/translate` and GOOGLE_TRANSLATE_API_BASE at `${url}/language/translate/v2`.
+// setDeeplAvailable(false) makes DeepL answer 503 until it is switched back.
+// POSTs to `${url}/hooks/<name>` are kept in calls.webhooks (setWebhookStatus
+// changes the answer), and an SMTP server on smtpPort keeps each message in
+// calls.mail.
+
+const http = require('http');
+const net = require('net');
+
+const AI_NARRATIVE = 'Test narrative: the family spent most of their time on academics.';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+// Just enough SMTP for nodemailer: { from, to, data } per message
+function startFakeSmtp(mail) {
+  const server = net.createServer(socket => {
+    let buffered = '';
+    let message = null;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 fake.smtp.test ESMTP');
+
+    socket.on('data', chunk => {
+      buffered += chunk.toString('utf8');
+      for (;;) {
+        if (message && message.reading) {
+          const end = buffered.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          message.data = buffered.slice(0, end).replace(/^\.\./gm, '.');
+          buffered = buffered.slice(end + 5);
+          mail.push({ from: message.from, to: message.to, data: message.data });
+          message = null;
+          reply('250 2.0.0 Queued');
+          continue;
+        }
+        const end = buffered.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') reply('250 fake.smtp.test');
+        else if (verb === 'MAIL') {
+          message = { from: /<(.*)>/.exec(line)[1], to: [] };
+          reply('250 2.1.0 OK');
+        } else if (verb === 'RCPT') {
+          message.to.push(/<(.*)>/.exec(line)[1]);
+          reply('250 2.1.5 OK');
+        } else if (verb === 'DATA') {
+          message.reading = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+          return;
+        } else reply('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return server;
+}
+
+async function startFakeServices() {
+  const calls = { openai: [], deepl: [], google: [], webhooks: [], mail: [] };
+  let deeplAvailable = true;
+  let webhookStatus = 200;
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      calls.openai.push(JSON.parse(body || '{}'));
+      return sendJson(res, 200, {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: 'gpt-4o-mini',
+        choices: [{
+          index: 0,
+          finish_reason: 'stop',
+          message: {
+            role: 'assistant',
+            content: JSON.stringify({ narrative: AI_NARRATIVE, highlights: ['Academics held their attention'] })
+          }
+        }],
+        usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+      });
+    }
+
+    if (req.method === 'POST' && req.url === '/v2/translate') {
+      const form = new URLSearchParams(body);
+      const target = form.get('target_lang');
+      calls.deepl.push({ text: form.getAll('text'), targetLang: target });
+      if (!deeplAvailable) return sendJson(res, 503, { message: 'Service unavailable' });
+      return sendJson(res, 200, {
+        translations: form.getAll('text').map(text => ({
+          detected_source_language: 'EN',
+          text: `[${target}] ${text}`
+        }))
+      });
+    }
+
+    if (req.method === 'POST' && req.url.startsWith('/language/translate/v2?key=')) {
+      const { q, target } = JSON.parse(body || '{}');
+      const texts = [].concat(q);
+      calls.google.push({ text: texts, targetLang: target });
+      return sendJson(res, 200, {
+        data: { translations: texts.map(text => ({ translatedText: `[${target}] ${text}`, detectedSourceLanguage: 'en' })) }
+      });
+    }
+
+    if (req.method === 'POST' && req.url.startsWith('/hooks/')) {
+      calls.webhooks.push({ path: req.url, status: webhookStatus, body: JSON.parse(body || '{}') });
+      return sendJson(res, webhookStatus, { ok: webhookStatus < 400 });
+    }
+
+    sendJson(res, 404, { error: `Fake services: no route for ${req.method} ${req.url}` });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const smtp = startFakeSmtp(calls.mail);
+  await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url,
+    smtpPort: smtp.address().port,
+    calls,
+    setDeeplAvailable: available => { deeplAvailable = available; },
+    setWebhookStatus: status => { webhookStatus = status; },
+    close: async () => {
+      await new Promise(resolve => smtp.close(() => resolve()));
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { AI_NARRATIVE, startFakeServices };
@@ -0,0 +1,55 @@
+// Builds /api/track-engagement payloads shaped like the batches public/tracking.js
+// sends: { events: [{ inquiryId, sessionId, eventType, data, timestamp }], sessionInfo }.
+
+function trackingBatch(inquiryId, sessionId, events, startedAt = Date.now()) {
+  return {
+    events: events.map(([eventType, data = {}], i) => ({
+      inquiryId,
+      sessionId,
+      eventType,
+      data: { ...data, name: eventType },
+      timestamp: new Date(startedAt + i * 1000).toISOString()
+    })),
+    sessionInfo: { inquiryId, sessionId }
+  };
+}
+
+// Two visits: a long first look, then a short return to academics
+function sampleVisits(inquiryId) {
+  const t0 = Date.parse('2026-01-10T09:00:00Z');
+  return [
+    trackingBatch(inquiryId, 'S-first-visit', [
+      ['page_load', { url: '/prospectus' }],
+      ['section_enter', { section: 'cover' }],
+      ['section_exit', { section: 'cover', dwellSec: 20, reason: 'next' }],
+      ['section_enter', { section: 'academics' }],
+      ['video_open', { youtubeId: 'yt-123', title: 'Life at More House' }],
+      ['video_close', { youtubeId: 'yt-123' }],
+      ['section_exit', { section: 'academics', dwellSec: 45, reason: 'next' }],
+      ['tier_exit', { tier: 'sixth_form', dwellSec: 90 }],
+      ['cta_openmorning_click', { section: 'academics' }],
+      ['page_unload', {}]
+    ], t0),
+    trackingBatch(inquiryId, 'S-return-visit', [
+      ['page_load', { url: '/prospectus' }],
+      ['section_exit', { section: 'academics', dwellSec: 30, reason: 'scroll' }],
+      ['section_exit', { section: 'pastoral_care', dwellSec: 15, reason: 'hidden' }],
+      ['page_unload', {}]
+    ], t0 + 24 * 60 * 60 * 1000)
+  ];
+}
+
+// The same events in the { type, section, dwellSec, ... } form summariseEvents reads
+function flattenForSummary(batches) {
+  return batches.flatMap(b => b.events).map(e => ({
+    type: e.eventType,
+    ts: e.timestamp,
+    section: e.data.section ?? null,
+    dwellSec: e.data.dwellSec ?? null,
+    tier: e.data.tier ?? null,
+    youtubeId: e.data.youtubeId ?? null,
+    title: e.data.title ?? null
+  }));
+}
+
+module.exports = { trackingBatch, sampleVisits, flattenForSummary };
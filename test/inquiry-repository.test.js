@@ -0,0 +1,152 @@
+// The inquiry repository: camelCase/snake_case mapping, the JSON backend, the
+// dual backend's fallbacks and, with TEST_DATABASE_URL set, the Postgres one.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const migrations = require('../server/migrations');
+const {
+  fromRow,
+  toRow,
+  normaliseInquiry,
+  createJsonInquiryRepository,
+  createPostgresInquiryRepository,
+  createDualInquiryRepository
+} = require('../server/services/inquiry-repository');
+
+const INQUIRY = {
+  id: 'INQ-1000',
+  firstName: 'Ada',
+  familySurname: 'Lovelace',
+  parentName: 'Anne Lovelace',
+  parentEmail: 'anne@example.test',
+  contactNumber: '07700 900000',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  hearAboutUs: 'Friend',
+  language: 'fr',
+  sciences: true,
+  creative_writing: true,
+  receivedAt: '2026-01-10T09:00:00.000Z',
+  status: 'received',
+  ip: '203.0.113.7'
+};
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'morehouse-repo-'));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('toRow and fromRow map between record properties and columns', () => {
+  const row = toRow({ ...INQUIRY, prospectusPrettyPath: '/ignored', mathematics: undefined });
+  assert.equal(row.first_name, 'Ada');
+  assert.equal(row.hear_about_us, 'Friend');
+  assert.equal(row.ip_address, '203.0.113.7');
+  assert.equal(row.creative_writing, true);
+  assert.ok(row.received_at instanceof Date);
+  assert.ok(!('mathematics' in row));
+  assert.ok(!('prospectus_pretty_path' in row) && !('prospectusPrettyPath' in row));
+
+  const back = fromRow({ ...row, dwell_ms: '1500', slug: 'the-lovelace-family-001000' });
+  assert.equal(back.firstName, 'Ada');
+  assert.equal(back.receivedAt, INQUIRY.receivedAt);
+  assert.equal(back.dwellMs, 1500);
+  assert.equal(back.prospectusPrettyPath, '/the-lovelace-family-001000');
+  assert.ok(!('first_name' in back));
+});
+
+test('toRow drops an IP address Postgres would reject', () => {
+  assert.equal(toRow({ id: 'x', ip: 'unknown' }).ip_address, null);
+});
+
+test('normaliseInquiry reads snake_case records and keeps unknown properties', () => {
+  const inquiry = normaliseInquiry({ id: 'x', first_name: 'Ada', family_surname: 'L', source: 'fair' });
+  assert.deepEqual(inquiry, { id: 'x', firstName: 'Ada', familySurname: 'L', source: 'fair' });
+});
+
+test('the JSON backend creates, finds, lists, updates and removes inquiries', async () => {
+  const repo = createJsonInquiryRepository({ dir: path.join(tmpDir, 'json') });
+
+  await repo.create(INQUIRY);
+  await repo.create({ ...INQUIRY, id: 'INQ-2000', receivedAt: '2026-02-01T09:00:00.000Z' });
+  await assert.rejects(repo.create({ ...INQUIRY, firstName: 'Eve', receivedAt: '2026-03-01T09:00:00.000Z' }), /INQ-1000 already exists/);
+
+  assert.equal((await repo.findById('INQ-1000')).firstName, 'Ada');
+  assert.equal(await repo.findById('INQ-404'), null);
+  assert.deepEqual((await repo.list()).map(i => i.id), ['INQ-2000', 'INQ-1000']);
+
+  const updated = await repo.update('INQ-1000', {
+    slug: 'the-lovelace-family-001000',
+    prospectus_filename: 'ada.html',
+    status: 'prospectus_generated'
+  });
+  assert.equal(updated.prospectusFilename, 'ada.html');
+  assert.equal(updated.language, 'fr');
+  assert.ok(updated.updatedAt);
+  assert.equal(await repo.update('INQ-404', { status: 'contacted' }), null);
+
+  assert.equal((await repo.findBySlug('The-Lovelace-Family-001000')).id, 'INQ-1000');
+  assert.equal((await repo.findByProspectusFilename('ada.html')).id, 'INQ-1000');
+
+  assert.equal((await repo.remove('INQ-1000')).id, 'INQ-1000');
+  assert.equal(await repo.findById('INQ-1000'), null);
+  assert.equal(await repo.remove('INQ-1000'), null);
+});
+
+test('the dual backend writes JSON and reads it back when Postgres fails', async () => {
+  const json = createJsonInquiryRepository({ dir: path.join(tmpDir, 'dual') });
+  const postgres = createPostgresInquiryRepository({ resolveDb: () => null });
+  const repo = createDualInquiryRepository({ postgres, json });
+
+  assert.equal((await repo.create(INQUIRY)).id, 'INQ-1000');
+  assert.equal((await repo.update('INQ-1000', { status: 'contacted' })).status, 'contacted');
+  assert.equal((await repo.findById('INQ-1000')).status, 'contacted');
+  assert.equal((await repo.list()).length, 1);
+
+  // A delete that misses Postgres would leave the row to be read back
+  await assert.rejects(repo.remove('INQ-1000'), /Database not connected/);
+  assert.ok(await json.findById('INQ-1000'));
+});
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+test('the Postgres backend stores the same record the JSON backend does', { skip }, async () => {
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+  try {
+    // A schema of its own, so this can run alongside pipeline.postgres.test.js
+    await client.query('DROP SCHEMA IF EXISTS inquiry_repository_test CASCADE');
+    await client.query('CREATE SCHEMA inquiry_repository_test');
+    await client.query('SET search_path TO inquiry_repository_test');
+    await migrations.migrateUp(client, { log: () => {} });
+
+    const repo = createPostgresInquiryRepository({ resolveDb: () => client });
+    const created = await repo.create(INQUIRY);
+    assert.equal(created.firstName, 'Ada');
+    assert.equal(created.language, 'fr');
+    assert.equal(created.creative_writing, true);
+    assert.equal(created.receivedAt, INQUIRY.receivedAt);
+    await assert.rejects(repo.create({ ...INQUIRY, firstName: 'Eve' }), /INQ-1000 already exists/);
+    assert.equal((await repo.findById('INQ-1000')).firstName, 'Ada');
+
+    const updated = await repo.update('INQ-1000', { slug: 'the-lovelace-family-001000', status: 'contacted' });
+    assert.equal(updated.status, 'contacted');
+    assert.equal((await repo.findBySlug('the-lovelace-family-001000')).id, 'INQ-1000');
+    assert.equal(await repo.update('INQ-404', { status: 'contacted' }), null);
+
+    assert.equal((await repo.remove('INQ-1000')).id, 'INQ-1000');
+    assert.equal(await repo.findById('INQ-1000'), null);
+  } finally {
+    await client.query('DROP SCHEMA IF EXISTS inquiry_repository_test CASCADE').catch(() => {});
+    await client.end();
+  }
+});
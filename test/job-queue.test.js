@@ -0,0 +1,168 @@
+// Slow work runs as background jobs (server/services/job-queue.js): queued by
+// the routes, run by workers within each type's concurrency limit, retried
+// with backoff and reported through /api/jobs.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+
+process.env.JOB_POLL_MS = '50';
+process.env.JOB_RETRY_BASE_MS = '300';
+process.env.TRANSLATION_RETRY_AFTER_MS = '0';
+
+let app;
+let cookie;
+let jobQueue;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  jobQueue = require('../server/services/job-queue');
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+async function waitFor(check, what, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+async function batchStatus(batchId) {
+  const res = await app.request('GET', `/api/jobs?batch=${batchId}`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  return res.json;
+}
+
+const finished = batchId => waitFor(async () => {
+  const status = await batchStatus(batchId);
+  return status.finished && status;
+}, `batch ${batchId}`);
+
+test('translating the prospectus is queued a job per language and polled until done', async () => {
+  const from = app.fakes.calls.deepl.length;
+  const res = await app.request('POST', '/api/translations/precache', { body: { languages: ['fr', 'de'] }, cookie });
+  assert.equal(res.status, 202, res.text);
+  assert.equal(res.json.queued, 2);
+  assert.equal(res.json.statusUrl, `/api/jobs?batch=${res.json.batchId}`);
+
+  const status = await finished(res.json.batchId);
+  assert.deepEqual(status.counts, { queued: 0, running: 0, done: 2, failed: 0 });
+  const [job] = status.jobs;
+  assert.equal(job.type, 'translation_precache');
+  assert.equal(job.attempts, 1);
+  assert.ok(job.result.translated > 0);
+  assert.equal(job.createdBy, 'admin@example.test');
+  assert.ok(app.fakes.calls.deepl.length > from);
+
+  const one = await app.request('GET', `/api/jobs/${job.id}`, { cookie });
+  assert.equal(one.status, 200);
+  assert.equal(one.json.job.status, 'done');
+
+  // Kept in DATA_DIR without a database
+  const saved = JSON.parse(await fs.readFile(path.join(app.dataDir, 'jobs.json'), 'utf8'));
+  assert.ok(saved.jobs.some(j => j.id === job.id && j.status === 'done'));
+});
+
+test('a failed job is retried after a wait and succeeds once the provider is back', async () => {
+  app.fakes.setDeeplAvailable(false);
+  let batchId;
+  try {
+    const res = await app.request('POST', '/api/translations/precache', { body: { languages: 'it' }, cookie });
+    assert.equal(res.status, 202, res.text);
+    batchId = res.json.batchId;
+
+    const waiting = await waitFor(async () => {
+      const [job] = (await batchStatus(batchId)).jobs;
+      return job.status === 'queued' && job.attempts === 1 && job;
+    }, 'the first attempt to fail');
+    assert.match(waiting.lastError, /segments not translated/);
+    assert.ok(new Date(waiting.runAt) > new Date(waiting.updatedAt), 'the retry waits');
+  } finally {
+    app.fakes.setDeeplAvailable(true);
+  }
+
+  const [job] = (await finished(batchId)).jobs;
+  assert.equal(job.status, 'done');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.lastError, null);
+});
+
+test('a job that keeps failing is marked failed after its last attempt', async () => {
+  app.fakes.setDeeplAvailable(false);
+  try {
+    const res = await app.request('POST', '/api/translations/precache', { body: { languages: ['es'] }, cookie });
+    const status = await finished(res.json.batchId);
+    assert.equal(status.counts.failed, 1);
+    const [job] = status.jobs;
+    assert.equal(job.attempts, 3);
+    assert.match(job.lastError, /segments not translated/);
+    assert.ok(job.finishedAt);
+  } finally {
+    app.fakes.setDeeplAvailable(true);
+  }
+});
+
+test('no more jobs of a type run at once than its concurrency allows', async () => {
+  let running = 0;
+  let most = 0;
+  jobQueue.defineJob('test_slow', async ({ n }) => {
+    running++;
+    most = Math.max(most, running);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    running--;
+    return { n };
+  }, { concurrency: 2 });
+
+  const { batchId, jobs } = await jobQueue.enqueueBatch('test_slow', [1, 2, 3, 4, 5].map(n => ({ n })));
+  assert.equal(jobs.length, 5);
+  const status = await finished(batchId);
+  assert.equal(status.counts.done, 5);
+  assert.equal(most, 2);
+
+  await assert.rejects(jobQueue.enqueue('no_such_job'), /Unknown job type/);
+});
+
+test('job routes check their input and who is asking', async () => {
+  assert.equal((await app.request('GET', '/api/jobs')).status, 401);
+  assert.equal((await app.request('GET', '/api/jobs/999999', { cookie })).status, 404);
+  assert.equal((await app.request('GET', '/api/jobs?status=sleeping', { cookie })).status, 400);
+  const bad = await app.request('POST', '/api/translations/precache', { body: { languages: ['en'] }, cookie });
+  assert.equal(bad.status, 400);
+
+  // Family-by-family AI work needs the database
+  const bulk = await app.request('POST', '/api/ai/analyze-all-families', { body: {}, cookie });
+  assert.equal(bulk.status, 500);
+  const unknown = await app.request('POST', '/api/ai/analyze-all-families', { body: { analysisType: 'horoscope' }, cookie });
+  assert.equal(unknown.status, 400);
+});
+
+test('a jobs.json that isn\'t JSON stops the store rather than being saved over', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'morehouse-jobs-'));
+  try {
+    const fresh = jobQueue.createJsonJobStore({ file: path.join(dir, 'new', 'jobs.json') });
+    assert.equal((await fresh.add({ type: 'test_echo', payload: {} })).id, 1, 'no file yet is an empty queue');
+
+    const file = path.join(dir, 'jobs.json');
+    await fs.writeFile(file, '{"nextId": 4, "jobs": [');
+    const damaged = jobQueue.createJsonJobStore({ file });
+    await assert.rejects(damaged.add({ type: 'test_echo', payload: {} }), /Could not load jobs\.json/);
+    assert.equal(await fs.readFile(file, 'utf8'), '{"nextId": 4, "jobs": [');
+
+    // A write that fails is the caller's to see
+    await fs.writeFile(path.join(dir, 'blocked'), '');
+    const unwritable = jobQueue.createJsonJobStore({ file: path.join(dir, 'blocked', 'jobs.json') });
+    await assert.rejects(unwritable.add({ type: 'test_echo', payload: {} }), /ENOTDIR/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
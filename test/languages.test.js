@@ -0,0 +1,78 @@
+// The language registry (server/services/languages.js): every language has a
+// way to be translated, and right-to-left languages are laid out that way in
+// generated prospectuses and on the pages.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+const { LANGUAGES, TRANSLATED_LANGUAGES } = require('../server/services/languages');
+const { providerNameFor } = require('../server/services/translation-providers');
+
+const ENQUIRY = {
+  firstName: 'Ada',
+  familySurname: 'Lovelace',
+  parentName: 'Anne Isabella Milbanke',
+  parentEmail: 'anne@example.test',
+  contactNumber: '07700 900005',
+  hearAboutUs: 'Website',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  sciences: true
+};
+
+let app;
+
+before(async () => {
+  app = await bootApp();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+async function generated(language) {
+  const res = await app.request('POST', '/webhook', { body: { ...ENQUIRY, language } });
+  assert.equal(res.status, 200, res.text);
+  return fs.readFile(path.join(app.prospectusDir, res.json.prospectus.filename), 'utf8');
+}
+
+test('every language can be translated by its provider', () => {
+  for (const code of ['ja', 'ko', 'pt', 'tr', 'he', 'ur']) assert.ok(TRANSLATED_LANGUAGES.includes(code), code);
+
+  for (const language of LANGUAGES.filter(l => TRANSLATED_LANGUAGES.includes(l.code))) {
+    const provider = providerNameFor(language.code);
+    assert.ok(provider !== 'deepl' || language.deeplCode, `${language.code} has no DeepL code`);
+    assert.ok(['ltr', 'rtl'].includes(language.dir));
+  }
+  assert.deepEqual(LANGUAGES.filter(l => l.dir === 'rtl').map(l => l.code), ['ar', 'he', 'ur']);
+});
+
+test('right-to-left prospectuses are marked so from the first paint', async () => {
+  const hebrew = await generated('he');
+  assert.ok(hebrew.includes('<html lang="he" dir="rtl">'));
+  assert.ok(hebrew.includes('<script src="/languages.js"></script>'));
+  assert.ok(hebrew.includes('[dir="rtl"] .timeline-item:nth-child(even) .timeline-content'));
+  assert.ok(hebrew.includes('[dir="rtl"] .entry-card-info'));
+  assert.equal(app.fakes.calls.deepl.at(-1).targetLang, 'HE');
+
+  assert.ok((await generated('pt')).includes('<html lang="pt" dir="ltr">'));
+  assert.equal(app.fakes.calls.deepl.at(-1).targetLang, 'PT-PT');
+
+  // Unknown languages get the English prospectus
+  assert.ok((await generated('xx')).includes('<html lang="en" dir="ltr">'));
+});
+
+test('Urdu goes to Google, which DeepL does not offer', async () => {
+  const urdu = await generated('ur');
+  assert.ok(urdu.includes('<html lang="ur" dir="rtl">'));
+  assert.equal(app.fakes.calls.google.at(-1).targetLang, 'ur');
+});
+
+test('the pages get the languages, their direction and font fallbacks', async () => {
+  const script = await app.request('GET', '/languages.js');
+  assert.ok(script.text.includes('"code":"ur","name":"Urdu","nativeName":"اردو","flag":"🇵🇰","dir":"rtl"'));
+  assert.ok(script.text.includes('html[lang=\\"ja\\"] body'));
+  assert.ok(script.text.includes('Noto Sans JP'));
+});
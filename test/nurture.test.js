@@ -0,0 +1,227 @@
+// Nurture sequences (server/services/nurture.js): the step conditions, the
+// scheduler driven with a fake clock through the fake SMTP server, and the
+// pause when staff move a family on.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+// Passes are run by hand below with a fake clock rather than on the server's timer
+process.env.NURTURE_SCHEDULER = 'false';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SEQUENCE = {
+  name: 'Sixth form enquiries',
+  steps: [
+    { day: 2, subject: 'Did you see the sixth form, {{first_name}}?', body: 'Dear {{parent_name}},\n\nHave a look: {{prospectus_link}}', when: { notViewedSection: 'sixth-form' } },
+    { day: 7, subject: 'Join us for an open morning', body: 'Dear {{parent_name}},\n\nWe would love to see you.', when: { status: ['new_inquiry', 'contacted'] } },
+    { day: 21, subject: 'Checking in', body: 'Dear {{parent_name}},\n\nAny questions?', when: { minVisits: 1 } }
+  ]
+};
+
+let app;
+let cookie;
+let nurture;
+let sequenceId;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  nurture = require('../server/services/nurture');
+  await app.seedFamilies([
+    { id: 'INQ-N1', firstName: 'Grace', parentName: 'Mary Hopper', status: 'new_inquiry' },
+    { id: 'INQ-N2', firstName: 'Ada', parentName: 'Anne Lovelace', status: 'new_inquiry' }
+  ]);
+  process.env.PUBLIC_BASE_URL = app.baseUrl;
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const enrolment = async inquiryId => (await app.request('GET', `/api/inquiry/${inquiryId}/nurture`, { cookie })).json.enrollments[0];
+
+test('a step is sent only when its conditions hold', () => {
+  const { checkStep } = nurture;
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  const signals = {
+    status: 'contacted',
+    visits: 2,
+    lastVisitAt: new Date(now - 3 * DAY),
+    sections: new Set(['sixth-form']),
+    eventTypes: new Set(['section_enter', 'video_play'])
+  };
+
+  assert.equal(checkStep({ when: {} }, signals, now), null);
+  assert.equal(checkStep({ when: { status: ['new_inquiry', 'contacted'], minVisits: 2, withEvent: 'video_play' } }, signals, now), null);
+  assert.match(checkStep({ when: { status: ['tour_booked'] } }, signals, now), /status is contacted/);
+  assert.match(checkStep({ when: { viewedSection: 'sport' } }, signals, now), /hasn't opened/);
+  assert.match(checkStep({ when: { notViewedSection: 'sixth-form' } }, signals, now), /already opened/);
+  assert.match(checkStep({ when: { withoutEvent: 'video_play' } }, signals, now), /already has video_play/);
+  assert.match(checkStep({ when: { maxVisits: 1 } }, signals, now), /2 visits, more than 1/);
+  assert.equal(checkStep({ when: { quietForDays: 3 } }, signals, now), null);
+  assert.match(checkStep({ when: { quietForDays: 5 } }, signals, now), /in the last 5 days/);
+});
+
+test('a sequence is checked before it is saved', () => {
+  const { validateSequence } = nurture;
+  const ok = validateSequence({ ...SEQUENCE, steps: [{ ...SEQUENCE.steps[1], when: { status: ['tour-booked'] } }] });
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual(ok.sequence.steps[0].when.status, ['tour_booked']);
+  assert.equal(ok.sequence.enabled, true);
+  assert.equal(ok.sequence.autoEnrol, false);
+
+  const errors = validateSequence({
+    name: ' ',
+    steps: [{ day: 7, subject: 'A', body: 'B', when: { minVisits: -1, colour: 'red', withEvent: 'not_an_event' } }]
+  }).errors;
+  assert.ok(errors.some(e => /name is required/.test(e)));
+  assert.ok(errors.some(e => /minVisits must be a whole number/.test(e)));
+  assert.ok(errors.some(e => /colour is not a condition/.test(e)));
+  assert.ok(errors.some(e => /withEvent must be a tracked event type/.test(e)));
+  assert.deepEqual(validateSequence({ name: 'Out of order', steps: [SEQUENCE.steps[1], SEQUENCE.steps[0]] }).errors, ['steps must be in order of day']);
+  assert.match(validateSequence({ name: 'Empty', steps: [] }).errors[0], /steps must be a list/);
+});
+
+test('steps keep their spacing when one runs late', () => {
+  const enrolledAt = '2026-03-01T00:00:00.000Z';
+  const start = Date.parse(enrolledAt);
+  const sequence = { steps: SEQUENCE.steps };
+  assert.equal(nurture.nextRunAt(sequence, enrolledAt, 0, start + 2 * DAY).getTime(), start + 7 * DAY);
+  // Paused for ten days after day 2: day 7's step waits five days from then
+  assert.equal(nurture.nextRunAt(sequence, enrolledAt, 0, start + 12 * DAY).getTime(), start + 17 * DAY);
+  assert.equal(nurture.nextRunAt(sequence, enrolledAt, 2, start + 21 * DAY), null);
+});
+
+test('an enrolled family is sent each step on its day, and skips the ones that don\'t fit', async () => {
+  const created = await app.request('POST', '/api/nurture/sequences', { cookie, body: SEQUENCE });
+  assert.equal(created.status, 201, created.text);
+  sequenceId = created.json.sequence.id;
+
+  const enrolled = await app.request('POST', `/api/nurture/sequences/${sequenceId}/enrol`, {
+    cookie,
+    body: { inquiryIds: ['INQ-N1', 'INQ-N1', 'INQ-MISSING'] }
+  });
+  assert.equal(enrolled.status, 200, enrolled.text);
+  assert.equal(enrolled.json.enrolled.length, 1);
+  assert.deepEqual(enrolled.json.notFound, ['INQ-MISSING']);
+  const again = await app.request('POST', `/api/nurture/sequences/${sequenceId}/enrol`, { cookie, body: { inquiryIds: ['INQ-N1'] } });
+  assert.deepEqual(again.json.alreadyEnrolled, ['INQ-N1']);
+
+  const start = Date.parse(enrolled.json.enrolled[0].enrolledAt);
+  const mailBefore = app.fakes.calls.mail.length;
+
+  assert.equal((await nurture.runNurture({ now: start + DAY })).sent, 0, 'nothing is due on day 1');
+
+  assert.equal((await nurture.runNurture({ now: start + 2 * DAY })).sent, 1);
+  assert.equal(app.fakes.calls.mail.length, mailBefore + 1);
+  const first = app.fakes.calls.mail.at(-1);
+  assert.deepEqual(first.to, ['grace@example.test']);
+  assert.match(first.data, /Dear Mary Hopper/);
+  assert.match(first.data, new RegExp(`${app.baseUrl}/e/`), 'the prospectus link is tracked');
+  assert.equal((await nurture.runNurture({ now: start + 3 * DAY })).sent, 0, 'a step is sent once');
+
+  assert.equal((await nurture.runNurture({ now: start + 7 * DAY })).sent, 1);
+  assert.match(app.fakes.calls.mail.at(-1).data, /We would love to see you/);
+
+  // No visits are recorded without the database, so minVisits: 1 isn't met
+  assert.deepEqual(await nurture.runNurture({ now: start + 21 * DAY }), { sent: 0, skipped: 1, failed: 0, paused: 0, stopped: 0 });
+
+  const done = await enrolment('INQ-N1');
+  assert.equal(done.status, 'completed');
+  assert.equal(done.sequenceName, 'Sixth form enquiries');
+  assert.deepEqual(done.runs.map(r => r.outcome), ['sent', 'sent', 'skipped']);
+  assert.match(done.runs[2].reason, /0 visits, fewer than 1/);
+  assert.ok(done.runs[0].emailId);
+
+  const emails = await app.request('GET', '/api/inquiry/INQ-N1/emails', { cookie });
+  assert.equal(emails.json.emails.length, 2);
+  assert.ok(emails.json.emails.every(e => e.sentBy === 'nurture: Sixth form enquiries'));
+});
+
+test('moving a family to tour_booked pauses their sequence until staff resume it', async () => {
+  const enrolled = await app.request('POST', `/api/nurture/sequences/${sequenceId}/enrol`, { cookie, body: { inquiryIds: ['INQ-N2'] } });
+  const start = Date.parse(enrolled.json.enrolled[0].enrolledAt);
+
+  const moved = await app.request('PUT', '/api/inquiries/INQ-N2/status', { cookie, body: { status: 'tour_booked' } });
+  assert.equal(moved.status, 200, moved.text);
+  const paused = await enrolment('INQ-N2');
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.pauseReason, 'status:tour_booked');
+
+  assert.equal((await nurture.runNurture({ now: start + 10 * DAY })).sent, 0);
+
+  const tooSoon = await app.request('POST', `/api/nurture/enrollments/${paused.id}/resume`, { cookie });
+  assert.equal(tooSoon.status, 409);
+
+  // Back a stage at a time, as the pipeline allows
+  await app.request('PUT', '/api/inquiries/INQ-N2/status', { cookie, body: { status: 'high_interest' } });
+  await app.request('PUT', '/api/inquiries/INQ-N2/status', { cookie, body: { status: 'contacted' } });
+  const resumed = await app.request('POST', `/api/nurture/enrollments/${paused.id}/resume`, { cookie });
+  assert.equal(resumed.status, 200, resumed.text);
+  assert.equal(resumed.json.enrollment.status, 'active');
+
+  assert.equal((await nurture.runNurture({ now: start + 10 * DAY })).sent, 1, 'the overdue day 2 step goes out');
+  // Then day 7's five days later, not straight away
+  assert.equal((await nurture.runNurture({ now: start + 11 * DAY })).sent, 0);
+  assert.equal((await nurture.runNurture({ now: start + 15 * DAY })).sent, 1);
+
+  // The analytics dashboard sends the hyphenated form
+  await app.request('PUT', '/api/analytics/inquiries/INQ-N2/status', { cookie, body: { status: 'not-interested' } });
+  assert.equal((await enrolment('INQ-N2')).pauseReason, 'status:not_interested');
+
+  const stopped = await app.request('DELETE', `/api/nurture/enrollments/${paused.id}`, { cookie });
+  assert.equal(stopped.json.enrollment.status, 'stopped');
+  assert.equal((await nurture.runNurture({ now: start + 60 * DAY })).sent, 0);
+});
+
+test('a new enquiry joins sequences set to take every enquiry', async () => {
+  const auto = await app.request('POST', '/api/nurture/sequences', {
+    cookie,
+    body: { name: 'Everyone', autoEnrol: true, steps: [{ day: 1, subject: 'Welcome', body: 'Hello' }] }
+  });
+  assert.equal(auto.status, 201, auto.text);
+
+  const res = await app.request('POST', '/webhook', {
+    body: {
+      firstName: 'Marie',
+      familySurname: 'Curie',
+      parentName: 'Bronia Curie',
+      parentEmail: 'bronia@example.test',
+      contactNumber: '07700 900002',
+      hearAboutUs: 'Friend',
+      ageGroup: '16-18',
+      entryYear: '2027'
+    }
+  });
+  assert.equal(res.status, 200, res.text);
+
+  // Enrolment doesn't hold up the webhook's reply
+  let enrollments = [];
+  for (let i = 0; i < 50 && !enrollments.length; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    enrollments = (await app.request('GET', `/api/inquiry/${res.json.inquiryId}/nurture`, { cookie })).json.enrollments;
+  }
+  assert.deepEqual(enrollments.map(e => [e.sequenceName, e.enrolledBy]), [['Everyone', 'auto']]);
+});
+
+test('staff need a login, and admissions to change sequences', async () => {
+  assert.equal((await app.request('GET', '/api/nurture/sequences')).status, 401);
+  assert.equal((await app.request('POST', '/api/nurture/sequences', { body: SEQUENCE })).status, 401);
+
+  const list = await app.request('GET', '/api/nurture/sequences', { cookie });
+  assert.deepEqual(list.json.sequences.map(s => s.name), ['Sixth form enquiries', 'Everyone']);
+  assert.deepEqual(list.json.pauseStatuses, ['tour_booked', 'not_interested']);
+
+  const bad = await app.request('PUT', `/api/nurture/sequences/${sequenceId}`, { cookie, body: { steps: [] } });
+  assert.equal(bad.status, 400);
+  const off = await app.request('PUT', `/api/nurture/sequences/${sequenceId}`, { cookie, body: { enabled: false } });
+  assert.equal(off.json.sequence.enabled, false);
+  assert.equal(off.json.sequence.steps.length, 3, 'fields left out are kept');
+
+  assert.equal((await app.request('POST', `/api/nurture/sequences/${sequenceId}/enrol`, { cookie, body: { inquiryIds: [] } })).status, 400);
+  assert.equal((await app.request('DELETE', '/api/nurture/sequences/999', { cookie })).status, 404);
+  assert.equal((await app.request('DELETE', `/api/nurture/sequences/${sequenceId}`, { cookie })).status, 200);
+  assert.equal((await app.request('GET', `/api/nurture/sequences/${sequenceId}`, { cookie })).status, 404);
+});
@@ -0,0 +1,383 @@
+// Webhook → prospectus → tracking → summary against a real Postgres.
+// Set TEST_DATABASE_URL to a database the suite may wipe, e.g.
+//   TEST_DATABASE_URL=postgres://localhost/morehouse_test npm test
+// Its public schema is dropped and rebuilt from migrations/ on every run.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('pg');
+const { bootApp } = require('./helpers/app');
+const { AI_NARRATIVE } = require('./helpers/fake-services');
+const { sampleVisits } = require('./helpers/tracking');
+
+// Rolled up and nurtured by hand below rather than on the server's timers
+process.env.SESSION_ROLLUP = 'false';
+process.env.NURTURE_SCHEDULER = 'false';
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+const ENQUIRY = {
+  firstName: 'Grace',
+  familySurname: 'Hopper',
+  parentName: 'Mary Hopper',
+  parentEmail: 'mary@example.test',
+  contactNumber: '07700 900001',
+  hearAboutUs: 'Search',
+  ageGroup: '16-18',
+  entryYear: '2027'
+};
+
+let app;
+let db;
+let inquiryId;
+let cookie;
+
+before(async () => {
+  if (skip) return;
+  app = await bootApp({ databaseUrl: DATABASE_URL });
+  db = new Client({ connectionString: DATABASE_URL });
+  await db.connect();
+});
+
+after(async () => {
+  if (db) await db.end();
+  if (app) await app.stop();
+});
+
+test('POST /webhook stores the inquiry row with its slug', { skip }, async () => {
+  const res = await app.request('POST', '/webhook', { body: ENQUIRY });
+  assert.equal(res.status, 200, res.text);
+  inquiryId = res.json.inquiryId;
+
+  const row = (await db.query('SELECT * FROM inquiries WHERE id = $1', [inquiryId])).rows[0];
+  assert.ok(row, 'inquiry row missing');
+  assert.equal(row.first_name, 'Grace');
+  assert.equal(row.slug, res.json.prospectus.slug);
+  assert.equal(row.status, 'prospectus_generated');
+  assert.equal(row.link_version, 1);
+});
+
+test('replayed tracking batches land in tracking_events', { skip }, async () => {
+  const batches = sampleVisits(inquiryId);
+  for (const batch of batches) {
+    const res = await app.request('POST', '/api/track-engagement', { body: batch });
+    assert.equal(res.status, 200, res.text);
+  }
+
+  const count = await db.query('SELECT COUNT(*)::int AS n FROM tracking_events WHERE inquiry_id = $1', [inquiryId]);
+  assert.equal(count.rows[0].n, batches.reduce((n, b) => n + b.events.length, 0));
+});
+
+test('a batch sent again is not stored twice', { skip }, async () => {
+  const [batch] = sampleVisits(inquiryId);
+  const res = await app.request('POST', '/api/track-engagement', { body: batch });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.processed, 0);
+  assert.ok(res.json.results.every(r => r.status === 'duplicate'));
+
+  const count = await db.query('SELECT COUNT(*)::int AS n FROM tracking_events WHERE inquiry_id = $1', [inquiryId]);
+  assert.equal(count.rows[0].n, 14);
+});
+
+test('the rollup closes each visit and totals the family', { skip }, async () => {
+  const { runSessionRollup } = require('../server/services/session-rollup');
+  const totals = await runSessionRollup();
+  assert.deepEqual(totals, { sessions: 2, families: 1, closed: 0 });
+
+  const sessions = (await db.query(
+    'SELECT * FROM session_summaries WHERE inquiry_id = $1 ORDER BY visit_number',
+    [inquiryId]
+  )).rows;
+  assert.deepEqual(
+    sessions.map(s => [s.session_id, s.visit_number, s.ended_by, s.total_events]),
+    [['S-first-visit', 1, 'unload', 10], ['S-return-visit', 2, 'unload', 4]]
+  );
+
+  const family = (await db.query('SELECT * FROM family_engagement_summary WHERE inquiry_id = $1', [inquiryId])).rows[0];
+  assert.equal(family.total_sessions, 2);
+  assert.equal(family.total_events, 14);
+  assert.equal(family.section_times.academics.dwell_sec, 75);
+
+  // Nothing stored since: nothing to do
+  assert.deepEqual(await runSessionRollup(), { sessions: 0, families: 0, closed: 0 });
+});
+
+test('the live feed counts the return visit', { skip }, async () => {
+  const { itemsSince } = require('../server/services/activity-feed');
+  const visits = itemsSince(0).filter(i => i.inquiryId === inquiryId && (i.type === 'opened' || i.type === 'returned'));
+  assert.deepEqual(visits.map(i => i.message), [
+    'The Hopper family just opened their prospectus',
+    'The Hopper family returned for a 2nd visit'
+  ]);
+});
+
+test('buildEngagementSnapshot totals the section dwell per section', { skip }, async () => {
+  const snapshot = await app.buildEngagementSnapshot(db, inquiryId);
+  const bySection = Object.fromEntries(snapshot.sections.map(s => [s.section_id, s.dwell_seconds]));
+
+  assert.deepEqual(bySection, { academics: 75, cover: 20, pastoral_care: 15 });
+  assert.equal(snapshot.totals.time_on_page_ms, 110000);
+  assert.equal(snapshot.totals.total_visits, 2);
+  assert.equal(snapshot.hasData, true);
+});
+
+test('/api/inquiry/:id/overview reports visits, events and dwell', { skip }, async () => {
+  cookie = await app.login();
+  const res = await app.request('GET', `/api/inquiry/${inquiryId}/overview`, { cookie });
+  assert.equal(res.status, 200, res.text);
+
+  const o = res.json.overview;
+  assert.equal(o.inquiryId, inquiryId);
+  assert.equal(o.familyName, 'Hopper');
+  assert.equal(o.childName, 'Grace');
+  assert.equal(o.visits, 2);
+  assert.equal(o.events, 14);
+  assert.equal(o.totalDwellSec, 110);
+  assert.equal(new Date(o.firstSeen).toISOString(), '2026-01-10T09:00:00.000Z');
+});
+
+test('/api/visits/:id/sessions lists the rolled-up visits, newest first', { skip }, async () => {
+  const res = await app.request('GET', `/api/visits/${inquiryId}/sessions`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(
+    res.json.sessions.map(s => [s.session_id, s.events, s.duration_seconds, s.ended_by]),
+    [['S-return-visit', 4, 3, 'unload'], ['S-first-visit', 10, 9, 'unload']]
+  );
+});
+
+test('/api/section-data/:id breaks the dwell down by section', { skip }, async () => {
+  const res = await app.request('GET', `/api/section-data/${inquiryId}`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.json.sections.map(s => [s.section_id, s.dwell_seconds]), [['academics', 75], ['cover', 20], ['pastoral_care', 15]]);
+  assert.equal(res.json.totalDwellSeconds, 110);
+  assert.equal(res.json.visitCount, 2);
+});
+
+test('the family is scored as it is rolled up, and again when the model changes', { skip }, async () => {
+  const first = (await app.request('GET', `/api/inquiry/${inquiryId}/score`, { cookie })).json;
+  assert.equal(first.modelVersion, 0);
+  assert.equal(first.factors.find(f => f.factor === 'return_visits').value, 1);
+  assert.equal(Math.round(first.factors.reduce((n, f) => n + f.points, 0)), first.score);
+  assert.equal(first.history.length, 1);
+
+  const saved = await app.request('PUT', '/api/scoring/model', { body: { factors: { openmorning_cta: { weight: 0 } } }, cookie });
+  assert.equal(saved.status, 200, saved.text);
+  let status;
+  const deadline = Date.now() + 10000;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    status = (await app.request('GET', saved.json.rescore.statusUrl, { cookie })).json;
+  } while (!status.finished && Date.now() < deadline);
+  assert.deepEqual(status.counts, { queued: 0, running: 0, done: 1, failed: 0 });
+
+  const rescored = (await app.request('GET', `/api/inquiry/${inquiryId}/score`, { cookie })).json;
+  assert.equal(rescored.modelVersion, saved.json.model.version);
+  assert.equal(rescored.factors.find(f => f.factor === 'openmorning_cta').points, 0);
+  assert.deepEqual(rescored.history.map(h => h.modelVersion), [saved.json.model.version, 0]);
+});
+
+test('the per-session summary uses summariseEvents', { skip }, async () => {
+  const res = await app.request('GET', `/api/visits/${inquiryId}/S-return-visit/summary`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.summary, 'Most time in: academics (1m), pastoral care (0m).');
+});
+
+test('the engagement summary is written by the (fake) AI', { skip }, async () => {
+  const res = await app.request('POST', `/api/ai/engagement-summary/${inquiryId}`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.result.narrative, AI_NARRATIVE);
+  assert.equal(app.fakes.calls.openai.length, 1);
+
+  const stored = await db.query(
+    "SELECT insights_json FROM ai_family_insights WHERE inquiry_id = $1 AND analysis_type = 'engagement_summary'",
+    [inquiryId]
+  );
+  assert.equal(stored.rows[0].insights_json.narrative, AI_NARRATIVE);
+});
+
+test('analysing every family is queued as jobs the workers work through', { skip }, async () => {
+  const res = await app.request('POST', '/api/ai/analyze-all-families', { body: {}, cookie });
+  assert.equal(res.status, 202, res.text);
+  assert.equal(res.json.queued, 1);
+
+  let status;
+  const deadline = Date.now() + 10000;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    status = (await app.request('GET', res.json.statusUrl, { cookie })).json;
+  } while (!status.finished && Date.now() < deadline);
+  assert.deepEqual(status.counts, { queued: 0, running: 0, done: 1, failed: 0 });
+
+  const row = (await db.query('SELECT * FROM jobs WHERE batch_id = $1', [res.json.batchId])).rows[0];
+  assert.equal(row.type, 'engagement_summary');
+  assert.equal(row.payload.inquiryId, inquiryId);
+  assert.equal(row.result.narrative, AI_NARRATIVE);
+});
+
+test('an email sent to the family sits on their timeline with its opens', { skip }, async () => {
+  const sent = await app.request('POST', `/api/inquiry/${inquiryId}/emails`, {
+    body: { subject: 'Your visit', body: 'Dear Mary,\n\nHere is {{prospectus_link}} again.' },
+    cookie
+  });
+  assert.equal(sent.status, 201, sent.text);
+  const { rows: [email] } = await db.query('SELECT * FROM family_emails WHERE id = $1', [sent.json.email.id]);
+  assert.equal(email.status, 'sent');
+  assert.equal(email.to_address, 'mary@example.test');
+
+  const pixel = await app.request('GET', `/e/${email.tracking_token}/open.gif`);
+  assert.equal(pixel.status, 200);
+  const click = await app.request('GET', `/e/${email.tracking_token}/0`);
+  assert.equal(click.status, 302);
+  assert.equal(click.headers.get('location'), email.links[0]);
+
+  const res = await app.request('GET', `/api/visits/${inquiryId}/timeline`, { cookie });
+  assert.deepEqual(res.json.items.map(i => i.type), ['email_click', 'email_open', 'email_sent', 'visit', 'visit']);
+  const { rows: [counts] } = await db.query('SELECT open_count, click_count FROM family_emails WHERE id = $1', [email.id]);
+  assert.deepEqual(counts, { open_count: 1, click_count: 1 });
+});
+
+test('nurture steps are gated on the family\'s recorded visits', { skip }, async () => {
+  const { runNurture } = require('../server/services/nurture');
+  const created = await app.request('POST', '/api/nurture/sequences', {
+    cookie,
+    body: {
+      name: 'Engaged families',
+      steps: [
+        { day: 1, subject: 'Come and see us', body: 'Dear Mary,\n\n{{prospectus_link}}', when: { viewedSection: 'academics', minVisits: 2, withEvent: 'cta_openmorning_click' } },
+        { day: 1, subject: 'Our pastoral care', body: 'Dear Mary', when: { notViewedSection: 'pastoral_care' } }
+      ]
+    }
+  });
+  assert.equal(created.status, 201, created.text);
+  const enrolled = await app.request('POST', `/api/nurture/sequences/${created.json.sequence.id}/enrol`, { cookie, body: { inquiryIds: [inquiryId] } });
+  const start = Date.parse(enrolled.json.enrolled[0].enrolledAt);
+
+  process.env.PUBLIC_BASE_URL = app.baseUrl;
+  try {
+    assert.equal((await runNurture({ now: start + 24 * 60 * 60 * 1000 })).sent, 1);
+    assert.equal((await runNurture({ now: start + 24 * 60 * 60 * 1000 })).skipped, 1);
+  } finally {
+    process.env.PUBLIC_BASE_URL = '';
+  }
+
+  const { rows } = await db.query('SELECT step, outcome, reason, email_id FROM nurture_step_runs WHERE inquiry_id = $1 ORDER BY step', [inquiryId]);
+  assert.deepEqual(rows.map(r => [r.step, r.outcome]), [[0, 'sent'], [1, 'skipped']]);
+  assert.ok(rows[0].email_id);
+  assert.match(rows[1].reason, /already opened/);
+  const { rows: [enrolment] } = await db.query('SELECT status, next_run_at FROM nurture_enrollments WHERE inquiry_id = $1', [inquiryId]);
+  assert.deepEqual(enrolment, { status: 'completed', next_run_at: null });
+});
+
+test('an event booking takes the places under a row lock and hands them on when cancelled', { skip }, async () => {
+  const created = await app.request('POST', '/api/events', {
+    cookie,
+    body: { kind: 'open_morning', startsAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), capacity: 2 }
+  });
+  assert.equal(created.status, 201, created.text);
+  const eventId = created.json.event.id;
+
+  const walkIn = await app.request('POST', `/api/public/events/${eventId}/bookings`, { body: { parentName: 'Walk In', email: 'walk@example.test', attendees: 2 } });
+  assert.equal(walkIn.json.booking.status, 'booked');
+  const family = await app.request('POST', `/api/events/${eventId}/bookings`, { cookie, body: { inquiryId, attendees: 2 } });
+  assert.equal(family.json.booking.status, 'waitlisted');
+
+  const cancelled = await app.request('POST', `/api/public/bookings/${walkIn.json.manageToken}/cancel`);
+  assert.equal(cancelled.status, 200, cancelled.text);
+  const { rows } = await db.query('SELECT status, waitlisted_at, promoted_at FROM event_bookings WHERE event_id = $1 ORDER BY id', [eventId]);
+  assert.deepEqual(rows.map(r => r.status), ['cancelled', 'booked']);
+  assert.deepEqual(rows.map(r => Boolean(r.waitlisted_at)), [false, true], 'waitlisted_at only for the booking that waited');
+  assert.ok(rows[1].promoted_at);
+  const { rows: [inquiry] } = await db.query('SELECT status FROM inquiries WHERE id = $1', [inquiryId]);
+  assert.equal(inquiry.status, 'open_day_booked');
+
+  const res = await app.request('GET', `/api/visits/${inquiryId}/timeline`, { cookie });
+  assert.deepEqual(res.json.items.filter(i => i.type.startsWith('event_')).map(i => i.type), ['event_booked', 'event_waitlisted']);
+});
+
+test('status changes land in inquiry_status_changes and make up the journey', { skip }, async () => {
+  const moved = await app.request('PUT', `/api/inquiries/${inquiryId}/status`, { cookie, body: { status: 'application_started', note: 'Form sent' } });
+  assert.equal(moved.status, 200, moved.text);
+  const { rows } = await db.query('SELECT from_status, to_status, changed_by, source, note FROM inquiry_status_changes WHERE inquiry_id = $1 ORDER BY id', [inquiryId]);
+  assert.deepEqual(rows.map(r => [r.from_status, r.to_status, r.source]), [
+    ['received', 'prospectus_generated', 'prospectus'],
+    ['prospectus_generated', 'open_day_booked', 'event_booking'],
+    ['open_day_booked', 'application_started', 'staff']
+  ]);
+  assert.equal(rows[2].changed_by, 'admin@example.test');
+  assert.equal(rows[2].note, 'Form sent');
+
+  const res = await app.request('GET', `/api/inquiries/${inquiryId}/status-history`, { cookie });
+  assert.deepEqual(res.json.stages.map(s => s.status), ['new_inquiry', 'open_day_booked', 'application_started']);
+
+  // The change and the new status are one transaction: a row that can't be
+  // updated takes its change with it
+  await db.query("ALTER TABLE inquiries ADD CONSTRAINT test_refuse_status CHECK (status IS DISTINCT FROM 'application_complete') NOT VALID");
+  try {
+    const refused = await app.request('PUT', `/api/inquiries/${inquiryId}/status`, { cookie, body: { status: 'application_complete' } });
+    assert.equal(refused.status, 500);
+  } finally {
+    await db.query('ALTER TABLE inquiries DROP CONSTRAINT test_refuse_status');
+  }
+  const { rows: after } = await db.query('SELECT to_status FROM inquiry_status_changes WHERE inquiry_id = $1 ORDER BY id', [inquiryId]);
+  assert.deepEqual(after.map(r => r.to_status), ['prospectus_generated', 'open_day_booked', 'application_started']);
+  const { rows: [inquiry] } = await db.query('SELECT status FROM inquiries WHERE id = $1', [inquiryId]);
+  assert.equal(inquiry.status, 'application_started');
+});
+
+test('pipelines live in the pipelines table, with one default', { skip }, async () => {
+  const { rows: [change] } = await db.query('SELECT pipeline_id FROM inquiry_status_changes WHERE inquiry_id = $1 ORDER BY id DESC LIMIT 1', [inquiryId]);
+  const { rows: [seeded] } = await db.query('SELECT id, name FROM pipelines WHERE is_default');
+  assert.deepEqual([seeded.name, change.pipeline_id], ['Admissions', seeded.id]);
+
+  const created = await app.request('POST', '/api/pipelines', {
+    cookie,
+    body: { name: 'Junior', ageGroups: ['9-11'], isDefault: true, stages: [{ key: 'enquiry', label: 'Enquiry' }, { key: 'assessment_day', label: 'Assessment Day' }] }
+  });
+  assert.equal(created.status, 201, created.text);
+  const { rows } = await db.query('SELECT name FROM pipelines WHERE is_default');
+  assert.deepEqual(rows.map(r => r.name), ['Junior']);
+
+  await app.request('PUT', `/api/pipelines/${seeded.id}`, { cookie, body: { isDefault: true } });
+  assert.equal((await app.request('DELETE', `/api/pipelines/${created.json.pipeline.id}`, { cookie })).status, 200);
+  const { rows: left } = await db.query('SELECT name, is_default FROM pipelines');
+  assert.deepEqual(left, [{ name: 'Admissions', is_default: true }]);
+});
+
+test('the funnel, cohorts and summary are worked out from the inquiries table, status history and scores', { skip }, async () => {
+  const funnel = await app.request('GET', '/api/analytics/funnel?ageGroup=16-18', { cookie });
+  assert.equal(funnel.status, 200, funnel.text);
+  const stage = key => funnel.json.stages.find(s => s.key === key);
+  assert.ok(stage('application_started').reached >= 1);
+  assert.ok(stage('open_day_booked').completedStays >= 1);
+
+  const months = await app.request('GET', '/api/analytics/cohorts?by=month', { cookie });
+  assert.equal(months.status, 200, months.text);
+  assert.equal(months.json.cohorts.reduce((sum, c) => sum + c.enquiries, 0), months.json.families);
+
+  await db.query('UPDATE family_engagement_summary SET engagement_score = 75 WHERE inquiry_id = $1', [inquiryId]);
+  const summary = await app.request('GET', '/api/analytics/summary', { cookie });
+  assert.equal(summary.status, 200, summary.text);
+  assert.ok(summary.json.hot.some(f => f.id === inquiryId && f.score === 75), 'scores from the family rollup');
+  assert.equal(summary.json.temperatures.hot + summary.json.temperatures.warm + summary.json.temperatures.cold, summary.json.enquiries);
+});
+
+test('ids in the URL that aren\'t numbers are not found, as without a database', { skip }, async () => {
+  const notFound = async (method, url, options = {}) => {
+    const res = await app.request(method, url, { cookie, ...options });
+    assert.equal(res.status, 404, `${method} ${url}: ${res.text}`);
+  };
+  await notFound('POST', '/api/public/events/abc/bookings', { cookie: null, body: { parentName: 'Walk In', email: 'walk@example.test', attendees: 1 } });
+  await notFound('GET', '/api/events/abc/bookings');
+  await notFound('POST', '/api/bookings/abc/cancel');
+  await notFound('PUT', '/api/bookings/abc/attendance', { body: { attended: true } });
+  await notFound('GET', '/api/nurture/sequences/abc');
+  await notFound('PUT', '/api/nurture/sequences/abc', { body: { name: 'Renamed' } });
+  await notFound('DELETE', '/api/nurture/sequences/abc');
+  await notFound('POST', '/api/nurture/sequences/abc/enrol', { body: { inquiryIds: [inquiryId] } });
+  await notFound('POST', '/api/nurture/enrollments/abc/pause');
+  await notFound('GET', '/api/emails/abc');
+  await notFound('PUT', '/api/alerts/rules/abc', { body: { name: 'Renamed' } });
+  await notFound('DELETE', '/api/alerts/rules/abc');
+  await notFound('POST', '/api/alerts/abc/read');
+});
@@ -0,0 +1,217 @@
+// Webhook → prospectus → tracking → summary, in JSON-only mode (no database).
+// See pipeline.postgres.test.js for the same journey against Postgres.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+const { sampleVisits, flattenForSummary } = require('./helpers/tracking');
+
+const ENQUIRY = {
+  firstName: 'Ada',
+  familySurname: 'Lovelace',
+  parentName: 'Anne Lovelace',
+  parentEmail: 'anne@example.test',
+  contactNumber: '07700 900000',
+  hearAboutUs: 'Friend',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  sciences: true,
+  mathematics: true
+};
+
+let app;
+let enquiry;
+
+before(async () => {
+  app = await bootApp();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test('POST /webhook writes the prospectus and its slug-index entry', async () => {
+  const res = await app.request('POST', '/webhook', { body: ENQUIRY });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.success, true);
+  enquiry = res.json;
+
+  const { filename, slug, url } = enquiry.prospectus;
+  assert.match(enquiry.inquiryId, /^INQ-\d+$/);
+  assert.match(url, new RegExp(`/${slug}\\?t=`));
+
+  const html = await fs.readFile(path.join(app.prospectusDir, filename), 'utf8');
+  assert.ok(html.includes(`<meta name="inquiry-id" content="${enquiry.inquiryId}">`));
+  assert.ok(html.includes('<title>Ada Lovelace - More House School Prospectus 2027</title>'));
+  assert.ok(!html.includes('anne@example.test'), 'parent email must not be embedded in the page');
+
+  const slugIndex = JSON.parse(await fs.readFile(path.join(app.dataDir, 'slug-index.json'), 'utf8'));
+  assert.equal(slugIndex[slug], `/prospectuses/${filename}`);
+
+  const files = (await fs.readdir(app.dataDir)).filter(f => f.startsWith('inquiry-'));
+  const saved = JSON.parse(await fs.readFile(path.join(app.dataDir, files[0]), 'utf8'));
+  assert.equal(saved.id, enquiry.inquiryId);
+  assert.equal(saved.slug, slug);
+  assert.equal(saved.status, 'prospectus_generated');
+});
+
+test('the signed link serves the prospectus and the bare slug does not', async () => {
+  const { url, slug } = enquiry.prospectus;
+  const signed = await app.request('GET', new URL(url).pathname + new URL(url).search);
+  assert.equal(signed.status, 200);
+  assert.ok(signed.text.includes(enquiry.inquiryId));
+
+  const bare = await app.request('GET', `/${slug}`);
+  assert.equal(bare.status, 403);
+});
+
+test('the webhook keeps to the form\'s fields; a family\'s id or link can\'t be posted', async () => {
+  const { url } = enquiry.prospectus;
+  const inquiryFiles = async () => (await fs.readdir(app.dataDir)).filter(f => f.startsWith('inquiry-'));
+  const before = await inquiryFiles();
+
+  for (const body of [{ id: enquiry.inquiryId }, { linkVersion: 2 }, { slug: enquiry.prospectus.slug }]) {
+    const res = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: 'Eve', ...body } });
+    assert.equal(res.status, 400, res.text);
+    assert.match(res.json.error, new RegExp(Object.keys(body)[0]));
+  }
+  assert.deepEqual(await inquiryFiles(), before);
+  const signed = await app.request('GET', new URL(url).pathname + new URL(url).search);
+  assert.equal(signed.status, 200, 'the family\'s own link still works');
+  assert.ok(signed.text.includes('Ada'));
+
+  const res = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: 'Eve', prospectusUrl: '/elsewhere', schoolId: 9, sciences: 'yes' } });
+  assert.equal(res.status, 200, res.text);
+  const cookie = await app.login();
+  const saved = (await app.request('GET', '/api/inquiries', { cookie })).json.inquiries.find(i => i.id === res.json.inquiryId);
+  assert.deepEqual([saved.schoolId, saved.sciences, saved.prospectusUrl === '/elsewhere'], [2, true, false]);
+});
+
+test('a family\'s details are escaped in the page, and markup is refused at the form', async () => {
+  const refused = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: '<img src=x onerror=alert(1)>' } });
+  assert.equal(refused.status, 400);
+  assert.match(refused.json.error, /firstName/);
+
+  // Families added by staff don't come through the form
+  await app.seedFamilies([{ id: 'INQ-MARKUP', firstName: 'Ada</script><script>alert(1)//', familySurname: '"Lovelace$&', entryYear: '2027', ageGroup: '11-16' }]);
+  const cookie = await app.login();
+  const res = await app.request('POST', '/api/generate-prospectus/INQ-MARKUP?lang=en', { cookie });
+  assert.equal(res.status, 200, res.text);
+  const html = await fs.readFile(path.join(app.prospectusDir, res.json.prospectus.filename), 'utf8');
+  assert.ok(!html.includes('</script><script>alert(1)'), 'the name can\'t close a script tag');
+  assert.ok(html.includes('<title>Ada&lt;/script&gt;&lt;script&gt;alert(1)// &quot;Lovelace$&amp; - More House School Prospectus 2027</title>'));
+  assert.ok(html.includes('<meta name="student-name" content="Ada&lt;/script&gt;&lt;script&gt;alert(1)// &quot;Lovelace$&amp;">'));
+  assert.ok(html.includes('"firstName":"Ada\\u003c/script>\\u003cscript>alert(1)//"'));
+});
+
+test('non-English prospectuses are translated through DeepL', async () => {
+  const res = await app.request('POST', '/webhook', {
+    body: { ...ENQUIRY, firstName: 'Marie', familySurname: 'Curie', language: 'fr' }
+  });
+  assert.equal(res.status, 200, res.text);
+
+  assert.ok(app.fakes.calls.deepl.length > 0, 'expected the fake DeepL to be called');
+  assert.ok(app.fakes.calls.deepl.every(c => c.targetLang === 'FR'));
+
+  const html = await fs.readFile(path.join(app.prospectusDir, res.json.prospectus.filename), 'utf8');
+  assert.ok(html.includes('<meta name="language" content="fr">'));
+  assert.ok(html.includes('[FR] A Personal Welcome from Our Head'));
+});
+
+test('tracking.js batches are accepted by /api/track-engagement', async () => {
+  for (const batch of sampleVisits(enquiry.inquiryId)) {
+    const res = await app.request('POST', '/api/track-engagement', { body: batch });
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(res.json, {
+      success: true,
+      processed: batch.events.length,
+      inquiry: enquiry.inquiryId,
+      results: batch.events.map((e, index) => ({ index, eventId: res.json.results[index].eventId, status: 'accepted' }))
+    });
+  }
+});
+
+test('summariseEvents describes the replayed visits', () => {
+  const text = app.summariseEvents(flattenForSummary(sampleVisits(enquiry.inquiryId)));
+  assert.equal(text, [
+    'Most time in: academics (1m), cover (0m), pastoral care (0m).',
+    'Looked at tiers: sixth_form (2m).',
+    'Watched/opened videos: Life at More House.',
+    'Clicked “Book an Open Morning” 1 time.'
+  ].join(' '));
+});
+
+test('summariseEvents returns an empty string when nothing happened', () => {
+  assert.equal(app.summariseEvents([]), '');
+});
+
+test('/api/inquiry/:id/overview needs staff and has no engagement without a database', async () => {
+  const anonymous = await app.request('GET', `/api/inquiry/${enquiry.inquiryId}/overview`);
+  assert.equal(anonymous.status, 401);
+
+  const cookie = await app.login();
+  const res = await app.request('GET', `/api/inquiry/${enquiry.inquiryId}/overview`, { cookie });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.overview.familyName, 'Lovelace');
+  assert.equal(res.json.overview.childName, 'Ada');
+  assert.equal(res.json.overview.visits, 0);
+  assert.equal(res.json.overview.totalDwellSec, 0);
+});
+
+test('the family and analytics reads answer from the JSON records without a database', async () => {
+  const cookie = await app.login();
+  const get = url => app.request('GET', url, { cookie });
+
+  const family = await get(`/api/family/${enquiry.inquiryId}`);
+  assert.equal(family.status, 200, family.text);
+  assert.equal(family.json.family, 'Ada Lovelace');
+  assert.deepEqual(family.json.interests, ['sciences', 'mathematics']);
+  assert.deepEqual(family.json.sections, []);
+  assert.equal((await get('/api/family/INQ-404')).status, 404);
+
+  const raw = await get('/api/raw-family-data');
+  assert.equal(raw.status, 200, raw.text);
+  assert.equal(raw.json.find(f => f.id === enquiry.inquiryId).parent_email, ENQUIRY.parentEmail);
+
+  const listed = await get('/api/analytics/inquiries');
+  assert.equal(listed.status, 200, listed.text);
+  const row = listed.json.find(i => i.id === enquiry.inquiryId);
+  assert.equal(row.first_name, 'Ada');
+  assert.equal(row.engagement.engagementScore, 0);
+
+  const sections = await get(`/api/section-data/${enquiry.inquiryId}`);
+  assert.equal(sections.status, 200, sections.text);
+  assert.equal(sections.json.familyName, 'Ada Lovelace');
+  assert.equal(sections.json.hasData, false);
+  assert.equal((await get('/api/section-data/INQ-404')).status, 404);
+
+  for (const url of [
+    `/api/analytics/inquiries/${enquiry.inquiryId}/overall_summary`,
+    `/api/analytics/inquiries/${enquiry.inquiryId}/video_rollup`,
+    `/api/check-summary/${enquiry.inquiryId}`,
+    '/api/analytics/video-metrics',
+    '/api/analytics/geographical'
+  ]) {
+    const res = await get(url);
+    assert.equal(res.status, 200, `${url}: ${res.text}`);
+  }
+});
+
+test('pipeline status changes are saved to the JSON record without a database', async () => {
+  const cookie = await app.login();
+  const res = await app.request('PUT', `/api/inquiries/${enquiry.inquiryId}/status`, {
+    body: { status: 'contacted' },
+    cookie
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.inquiry.status, 'contacted');
+
+  const list = await app.request('GET', '/api/inquiries', { cookie });
+  const saved = list.json.inquiries.find(i => i.id === enquiry.inquiryId);
+  assert.equal(saved.status, 'contacted');
+
+  const missing = await app.request('PUT', '/api/inquiries/INQ-404/status', { body: { status: 'contacted' }, cookie });
+  assert.equal(missing.status, 404);
+});
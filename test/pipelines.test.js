@@ -0,0 +1,158 @@
+// Admin-defined pipelines (server/services/pipeline-config.js): a sixth-form
+// pipeline taking the 16-18 age group, its families moving through its own
+// stages with their required fields, and the default pipeline for everyone
+// else.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+const SIXTH_FORM = {
+  name: 'Sixth Form',
+  ageGroups: ['16-18'],
+  stages: [
+    { key: 'enquiry', label: 'Enquiry' },
+    { key: 'interview', label: 'Interview', colour: '#034674', eventKinds: ['open_morning'] },
+    { key: 'conditional_offer', label: 'Conditional Offer', colour: '#FF9F1C', requiredFields: ['offerConditions'] },
+    { key: 'gcse_results', label: 'GCSE Results', colour: '#059669' },
+    { key: 'accepted', label: 'Accepted', colour: '#10B981', terminal: true, won: true },
+    { key: 'declined', label: 'Declined', colour: '#9CA3AF', terminal: true, lost: true, pauseNurture: true }
+  ]
+};
+
+const enquiry = (firstName, ageGroup) => ({
+  firstName,
+  familySurname: 'Franklin',
+  parentName: 'Muriel Franklin',
+  parentEmail: `${firstName.toLowerCase()}@example.test`,
+  contactNumber: '07700 900000',
+  hearAboutUs: 'Friend',
+  ageGroup,
+  entryYear: '2027'
+});
+
+let app;
+let cookie;
+let config;
+let sixthFormId;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  config = require('../server/services/pipeline-config');
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const webhook = async body => (await app.request('POST', '/webhook', { body })).json.inquiryId;
+const setStatus = (id, status, body = {}) => app.request('PUT', `/api/inquiries/${id}/status`, { cookie, body: { status, ...body } });
+const history = id => app.request('GET', `/api/inquiries/${id}/status-history`, { cookie });
+
+test('pipelines are checked before they are saved', () => {
+  const check = (stages, extra = {}) => config.validatePipeline({ name: 'Test', ageGroups: [], isDefault: false, stages, ...extra }, null, { eventKinds: ['tour', 'open_morning'] }).errors;
+  assert.deepEqual(check(SIXTH_FORM.stages), []);
+
+  assert.equal(check([{ key: 'a', label: 'A' }]).length, 1, 'at least two stages');
+  assert.match(check([{ key: 'a', label: 'A' }, { key: 'a', label: 'B' }]).join(), /must be different \(a\)/);
+  assert.match(check([{ key: 'received', label: 'A' }, { key: 'b', label: 'B' }]).join(), /stages\[0\]\.key/);
+  assert.match(check([{ key: 'a', label: 'A' }, { key: 'b', label: 'B', won: true }]).join(), /must be terminal/);
+  assert.match(check([{ key: 'a', label: 'A', terminal: true }, { key: 'b', label: 'B' }]).join(), /first stage/);
+  assert.match(check([{ key: 'a', label: 'A' }, { key: 'b', label: 'B', colour: 'blue' }]).join(), /colour/);
+  assert.match(check([{ key: 'a', label: 'A', eventKinds: ['tour'] }, { key: 'b', label: 'B', eventKinds: ['tour'] }]).join(), /one stage only/);
+  assert.match(check([{ key: 'a', label: 'A' }, { key: 'b', label: 'B', eventKinds: ['gala'] }]).join(), /event kinds/);
+  assert.match(check(SIXTH_FORM.stages, { ageGroups: '16-18' }).join(), /ageGroups/);
+
+  const stage = config.validatePipeline({ name: 'Test', ageGroups: [], isDefault: false, stages: [{ key: 'Tour Booked', label: 'Tour' }, { key: 'b', label: 'B' }] }).pipeline.stages[0];
+  assert.deepEqual(stage, { key: 'tour_booked', label: 'Tour', colour: '#6B7280', terminal: false, won: false, lost: false, requiredFields: [], pauseNurture: false, eventKinds: [] });
+});
+
+test('admins add a pipeline for an age group; one pipeline per age group', async () => {
+  assert.equal((await app.request('POST', '/api/pipelines', { body: SIXTH_FORM })).status, 401);
+
+  const created = await app.request('POST', '/api/pipelines', { cookie, body: SIXTH_FORM });
+  assert.equal(created.status, 201, created.text);
+  assert.equal(created.json.pipeline.isDefault, false);
+  assert.equal(created.json.pipeline.createdBy, 'admin@example.test');
+  sixthFormId = created.json.pipeline.id;
+
+  const again = await app.request('POST', '/api/pipelines', { cookie, body: { ...SIXTH_FORM, name: 'Sixth Form again' } });
+  assert.equal(again.status, 409);
+  assert.match(again.json.error, /already takes 16-18/);
+  const invalid = await app.request('POST', '/api/pipelines', { cookie, body: { ...SIXTH_FORM, ageGroups: ['9-11'], stages: [] } });
+  assert.equal(invalid.status, 400);
+
+  const list = await app.request('GET', '/api/pipelines', { cookie });
+  assert.deepEqual(list.json.pipelines.map(p => [p.name, p.isDefault]), [['Admissions', true], ['Sixth Form', false]]);
+  assert.ok(list.json.eventKinds.open_morning);
+
+  const statuses = await app.request('GET', '/api/inquiries/statuses', { cookie });
+  assert.equal(statuses.json.statuses[0], 'new_inquiry', 'the default pipeline\'s on their own');
+  const sixthForm = statuses.json.pipelines.find(p => p.id === sixthFormId);
+  assert.deepEqual(sixthForm.transitions.accepted, ['gcse_results', 'declined']);
+});
+
+test('a sixth-form family moves through its stages, giving each its required fields', async () => {
+  const id = await webhook(enquiry('Rosalind', '16-18'));
+
+  const start = await history(id);
+  assert.equal(start.status, 200, start.text);
+  assert.equal(start.json.pipeline.name, 'Sixth Form');
+  assert.equal(start.json.status, 'enquiry');
+  assert.deepEqual(start.json.allowed, ['interview', 'conditional_offer', 'gcse_results', 'accepted', 'declined']);
+
+  const other = await setStatus(id, 'tour_booked');
+  assert.equal(other.status, 400, 'another pipeline\'s stage');
+  assert.match(other.json.error, /Invalid status/);
+
+  assert.equal((await setStatus(id, 'interview')).status, 200);
+  const missing = await setStatus(id, 'conditional_offer', { fields: { offerConditions: '  ' } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.json.missing, ['offerConditions']);
+  assert.match(missing.json.error, /Conditional Offer needs offerConditions/);
+
+  const offered = await setStatus(id, 'conditional-offer', { fields: { offerConditions: ' Six 7s at GCSE ', ignored: 'x' } });
+  assert.equal(offered.status, 200, offered.text);
+  assert.deepEqual(offered.json.change.fields, { offerConditions: 'Six 7s at GCSE' });
+  assert.equal(offered.json.change.pipelineId, sixthFormId);
+
+  const res = await history(id);
+  assert.deepEqual(res.json.stages.map(s => [s.status, s.label]), [['enquiry', 'Enquiry'], ['interview', 'Interview'], ['conditional_offer', 'Conditional Offer']]);
+  assert.deepEqual(res.json.stages.at(-1).fields, { offerConditions: 'Six 7s at GCSE' });
+});
+
+test('booking an event moves each family to their own pipeline\'s stage for it', async () => {
+  const { advanceForEvent } = require('../server/services/pipeline');
+  const sixthFormer = await webhook(enquiry('Dorothy', '16-18'));
+  const senior = await webhook(enquiry('Lise', '11-16'));
+
+  assert.equal((await advanceForEvent(sixthFormer, 'open_morning')).status, 'interview');
+  assert.equal((await advanceForEvent(senior, 'open_morning')).status, 'open_day_booked');
+  assert.equal(await advanceForEvent(sixthFormer, 'tour'), null, 'no sixth-form stage takes tours');
+});
+
+test('stages that pause nurture sequences come from every pipeline', async () => {
+  const list = await app.request('GET', '/api/nurture/sequences', { cookie });
+  assert.deepEqual(list.json.pauseStatuses, ['tour_booked', 'not_interested', 'declined']);
+});
+
+test('the default pipeline stays; families of a deleted pipeline follow it', async () => {
+  const [admissions] = (await app.request('GET', '/api/pipelines', { cookie })).json.pipelines;
+  assert.equal((await app.request('DELETE', `/api/pipelines/${admissions.id}`, { cookie })).status, 409);
+  assert.equal((await app.request('PUT', `/api/pipelines/${admissions.id}`, { cookie, body: { isDefault: false } })).status, 409);
+
+  const renamed = await app.request('PUT', `/api/pipelines/${sixthFormId}`, { cookie, body: { name: 'Sixth Form Entry' } });
+  assert.equal(renamed.status, 200, renamed.text);
+  assert.equal(renamed.json.pipeline.stages.length, SIXTH_FORM.stages.length, 'stages left out are kept');
+
+  const id = await webhook(enquiry('Hedy', '16-18'));
+  await setStatus(id, 'interview');
+  assert.equal((await app.request('DELETE', `/api/pipelines/${sixthFormId}`)).status, 401);
+  assert.equal((await app.request('DELETE', `/api/pipelines/${sixthFormId}`, { cookie })).status, 200);
+
+  const res = await history(id);
+  assert.equal(res.json.pipeline.name, 'Admissions');
+  assert.equal(res.json.allowed.length, res.json.pipeline.stages.length, 'a status the pipeline doesn\'t have may go anywhere');
+  assert.equal((await app.request('GET', `/api/pipelines`, { cookie })).json.pipelines.length, 1);
+});
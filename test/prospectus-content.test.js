@@ -0,0 +1,197 @@
+// Prospectus content management: the template split into blocks
+// (server/services/prospectus-blocks.js), and draft, preview and publish
+// through the API with prospectuses generated from the published version.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+const { parseTemplate, validateContent, assemblePage } = require('../server/services/prospectus-blocks');
+
+const TEMPLATE = require('fs').readFileSync(path.join(__dirname, '..', 'public', 'prospectus_template.html'), 'utf8');
+
+const OUTDOOR_BLOCK = {
+  type: 'custom',
+  key: 'outdoor_learning',
+  layout: 'text',
+  title: 'Outdoor Learning for {firstName}',
+  text: 'Hyde Park is our playing field.\n\nFieldwork <every> term.',
+  interests: ['outdoor_education'],
+  ageGroups: []
+};
+
+const CONTENT = {
+  sections: [
+    { type: 'template', key: 'cta_begin_your_journey' },
+    OUTDOOR_BLOCK,
+    { type: 'template', key: 'academic_excellence', fields: { tagline: 'Edited tagline' }, image: 'https://example.test/hero.jpg' },
+    { type: 'template', key: 'discover_video', enabled: false }
+  ]
+};
+
+const ENQUIRY = {
+  firstName: 'Dorothy',
+  familySurname: 'Hodgkin',
+  parentName: 'John Crowfoot',
+  parentEmail: 'john@example.test',
+  contactNumber: '07700 900004',
+  hearAboutUs: 'Website',
+  ageGroup: '11-16',
+  entryYear: '2027'
+};
+
+let app;
+let cookie;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+async function prospectusHtml(webhookResponse) {
+  return fs.readFile(path.join(app.prospectusDir, webhookResponse.json.prospectus.filename), 'utf8');
+}
+
+test('the template splits into its sections and reassembles unchanged', () => {
+  const parsed = parseTemplate(TEMPLATE);
+  assert.equal(parsed.sections[0].key, 'cover_page');
+  assert.equal(parsed.sections.at(-1).key, 'cta_begin_your_journey');
+
+  const hero = parsed.sections.find(s => s.key === 'academic_excellence');
+  assert.deepEqual(hero.fields.map(f => f.name), ['title', 'tagline']);
+  assert.match(hero.image, /^https:\/\/personalisedprospectus\.s3/);
+
+  assert.equal(assemblePage(parsed, null, {}), TEMPLATE);
+});
+
+test('content is checked against the template', () => {
+  const parsed = parseTemplate(TEMPLATE);
+  const { errors } = validateContent({
+    sections: [
+      { type: 'template', key: 'no_such_section' },
+      { type: 'template', key: 'cover_page', fields: { nope: 'x' } },
+      { type: 'custom', key: 'cover_page', title: 'Clash' },
+      { ...OUTDOOR_BLOCK, interests: ['knitting'] },
+      { ...OUTDOOR_BLOCK, key: 'banner', layout: 'hero', image: 'javascript:alert(1)' }
+    ]
+  }, parsed);
+
+  assert.equal(errors.length, 5, errors.join('\n'));
+  assert.ok(errors.some(e => e.includes('no section "no_such_section"')));
+  assert.ok(errors.some(e => e.includes('unknown interests knitting')));
+  assert.ok(errors.some(e => e.includes('image must be an http(s) URL')));
+
+  const { content } = validateContent(CONTENT, parsed);
+  assert.equal(content.sections[0].enabled, true);
+  assert.equal(content.sections[3].enabled, false);
+});
+
+test('blocks follow the content order, edits and interests', () => {
+  const parsed = parseTemplate(TEMPLATE);
+  const { content } = validateContent(CONTENT, parsed);
+
+  const page = assemblePage(parsed, content, { firstName: 'Dorothy', outdoor_education: true });
+  // cover_page isn't listed, so it keeps its place at the start
+  const order = ['cover_page', 'cta_begin_your_journey', 'outdoor_learning', 'academic_excellence']
+    .map(key => page.indexOf(`data-track-section="${key}"`));
+  assert.deepEqual(order, order.slice().sort((a, b) => a - b));
+  assert.ok(order.every(i => i > 0));
+
+  assert.ok(page.includes('Outdoor Learning for Dorothy'));
+  assert.ok(page.includes('<p>Fieldwork &lt;every&gt; term.</p>'));
+  assert.ok(page.includes('id="academicHeroTagline">Edited tagline</p>'));
+  assert.ok(page.includes("url('https://example.test/hero.jpg')"));
+  assert.ok(page.includes('<div data-content-hidden="discover_video" style="display: none;">'));
+
+  assert.ok(!assemblePage(parsed, content, { firstName: 'Dorothy' }).includes('outdoor_learning'));
+});
+
+test('drafts are previewed, and only published content reaches prospectuses', async () => {
+  const saved = await app.request('PUT', '/api/prospectus-content/draft', { body: CONTENT, cookie });
+  assert.equal(saved.status, 200, saved.text);
+  assert.equal(saved.json.draft.version, 1);
+
+  const preview = await app.request('GET', '/api/prospectus-content/preview?interests=outdoor_education', { cookie });
+  assert.equal(preview.status, 200);
+  assert.ok(preview.text.includes('Outdoor Learning for Sophie'));
+  assert.ok(!preview.text.includes('<script src="/tracking.js'), 'previews are not tracked');
+
+  const unpublished = await app.request('POST', '/webhook', { body: { ...ENQUIRY, outdoor_education: true } });
+  assert.equal(unpublished.status, 200, unpublished.text);
+  assert.ok(!(await prospectusHtml(unpublished)).includes('outdoor_learning'));
+
+  const published = await app.request('POST', '/api/prospectus-content/publish', { cookie });
+  assert.equal(published.status, 200, published.text);
+  assert.equal(published.json.published.version, 1);
+
+  const interested = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: 'Mary', outdoor_education: true } });
+  const html = await prospectusHtml(interested);
+  assert.ok(html.includes('Outdoor Learning for Mary'));
+  assert.ok(html.includes('Edited tagline'));
+
+  const other = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: 'Grace' } });
+  assert.ok(!(await prospectusHtml(other)).includes('outdoor_learning'));
+
+  // The family generated before publishing gets the new content on regeneration
+  const regenerated = await app.request('POST', `/api/generate-prospectus/${unpublished.json.inquiryId}`, { cookie });
+  assert.equal(regenerated.json.prospectus.cached, false);
+  assert.equal(regenerated.json.prospectus.contentVersion, 1);
+});
+
+test('invalid drafts are refused, and content editing needs staff', async () => {
+  const invalid = await app.request('PUT', '/api/prospectus-content/draft', {
+    body: { sections: [{ type: 'template', key: 'no_such_section' }] },
+    cookie
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.json.errors.length, 1);
+
+  const versions = await app.request('GET', '/api/prospectus-content/versions', { cookie });
+  assert.deepEqual(versions.json.versions.map(v => v.version), [1]);
+
+  const anonymous = await app.request('GET', '/api/prospectus-content');
+  assert.equal(anonymous.status, 401);
+
+  const missing = await app.request('POST', '/api/prospectus-content/publish', { body: { version: 99 }, cookie });
+  assert.equal(missing.status, 404);
+});
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+test('the Postgres content store keeps versions like the JSON one', { skip }, async () => {
+  const { Client } = require('pg');
+  const migrations = require('../server/migrations');
+  const { createPostgresContentStore } = require('../server/services/prospectus-content');
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+  try {
+    // A schema of its own, so this can run alongside pipeline.postgres.test.js
+    await client.query('DROP SCHEMA IF EXISTS prospectus_content_test CASCADE');
+    await client.query('CREATE SCHEMA prospectus_content_test');
+    await client.query('SET search_path TO prospectus_content_test');
+    await migrations.migrateUp(client, { log: () => {} });
+
+    const store = createPostgresContentStore({ resolveDb: () => client });
+    assert.equal(await store.getPublished(), null);
+
+    const first = await store.saveDraft(CONTENT, 'a@example.test');
+    const second = await store.saveDraft({ sections: [] }, 'b@example.test');
+    assert.equal((await store.getDraft()).version, second.version);
+    assert.deepEqual((await store.getVersion(first.version)).document, CONTENT);
+
+    await store.publish(second.version, 'b@example.test');
+    await store.publish(first.version, 'a@example.test');
+    assert.equal((await store.getPublished()).version, first.version);
+    assert.equal(await store.publish(9999), null);
+  } finally {
+    await client.query('DROP SCHEMA IF EXISTS prospectus_content_test CASCADE').catch(() => {});
+    await client.end();
+  }
+});
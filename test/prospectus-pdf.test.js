@@ -0,0 +1,85 @@
+// PDF export of the personalised prospectus (server/services/prospectus-pdf.js).
+// The end-to-end test needs a headless Chrome puppeteer can launch and is
+// skipped where there is none.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const { bootApp } = require('./helpers/app');
+const { preparePrintHtml } = require('../server/services/prospectus-pdf');
+
+const ENQUIRY = {
+  firstName: 'Caroline',
+  familySurname: 'Herschel',
+  parentName: 'Isaac Herschel',
+  parentEmail: 'isaac@example.test',
+  contactNumber: '07700 900003',
+  hearAboutUs: 'Website',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  sciences: true
+};
+
+async function browserUnavailable() {
+  try {
+    const browser = await require('puppeteer').launch({
+      headless: true,
+      args: process.env.PDF_CHROME_NO_SANDBOX === '1' ? ['--no-sandbox'] : []
+    });
+    await browser.close();
+    return false;
+  } catch (e) {
+    return `headless Chrome unavailable: ${e.message.split('\n')[0]}`;
+  }
+}
+
+let app;
+let cookie;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test('the print copy links back to the online prospectus and hides interactive parts', () => {
+  const html = preparePrintHtml(
+    '<html><head><title>P</title></head><body class="x"><main></main></body></html>',
+    { onlineUrl: 'https://example.test/the-herschel-family-1?t=a&b' }
+  );
+
+  assert.match(html, /<style id="pdf-export">[\s\S]*#lang-switcher[\s\S]*<\/style>\n<\/head>/);
+  assert.match(html, /<body class="x">\s*<div class="pdf-online-link">/);
+  assert.ok(html.includes('href="https://example.test/the-herschel-family-1?t=a&amp;b"'));
+});
+
+test('?format=pdf downloads a PDF, cached until the inquiry is deleted', async t => {
+  const skip = await browserUnavailable();
+  if (skip) return t.skip(skip);
+
+  const created = await app.request('POST', '/webhook', { body: ENQUIRY });
+  assert.equal(created.status, 200, created.text);
+  const inquiryId = created.json.inquiryId;
+
+  const res = await app.request('GET', `/api/download/${inquiryId}?format=pdf`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(res.headers.get('content-disposition'), /Caroline-Herschel-Prospectus-2027\.pdf/);
+  assert.ok(res.text.startsWith('%PDF'));
+
+  const pdfs = async () => (await fs.readdir(app.prospectusDir)).filter(f => f.includes('Herschel') && f.endsWith('.pdf'));
+  assert.equal((await pdfs()).length, 1);
+
+  // The family's signed download link serves the same cached PDF
+  const download = new URL(created.json.prospectus.downloadUrl);
+  const family = await app.request('GET', `${download.pathname}${download.search}&format=pdf`);
+  assert.equal(family.status, 200, family.text);
+  assert.equal((await pdfs()).length, 1);
+
+  const removed = await app.request('DELETE', `/api/analytics/inquiries/${inquiryId}`, { cookie });
+  assert.equal(removed.status, 200, removed.text);
+  assert.deepEqual(await pdfs(), []);
+});
@@ -0,0 +1,113 @@
+// Prospectus renders are reused while their inputs are unchanged, and staff can
+// list, open and restore earlier renders (server/services/prospectus-renders.js).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const { bootApp } = require('./helpers/app');
+
+const ENQUIRY = {
+  firstName: 'Mary',
+  familySurname: 'Somerville',
+  parentName: 'William Somerville',
+  parentEmail: 'william@example.test',
+  contactNumber: '07700 900002',
+  hearAboutUs: 'Open morning',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  mathematics: true,
+  language: 'fr'
+};
+
+let app;
+let cookie;
+let inquiryId;
+
+async function prospectusFiles() {
+  return (await fs.readdir(app.prospectusDir)).filter(f => f.includes('Somerville'));
+}
+
+async function history() {
+  const res = await app.request('GET', `/api/inquiries/${inquiryId}/prospectus-renders`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  return res.json.renders;
+}
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  const res = await app.request('POST', '/webhook', { body: ENQUIRY });
+  assert.equal(res.status, 200, res.text);
+  inquiryId = res.json.inquiryId;
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test('downloads reuse the render instead of building and translating again', async () => {
+  const deeplCalls = app.fakes.calls.deepl.length;
+  assert.ok(deeplCalls > 0);
+
+  for (let i = 0; i < 2; i++) {
+    const res = await app.request('GET', `/api/download/${inquiryId}`, { cookie });
+    assert.equal(res.status, 200);
+    assert.ok(res.text.includes('<meta name="language" content="fr">'));
+  }
+
+  assert.equal(app.fakes.calls.deepl.length, deeplCalls);
+  assert.equal((await prospectusFiles()).length, 1);
+
+  const renders = await history();
+  assert.equal(renders.length, 1);
+  assert.equal(renders[0].language, 'fr');
+  assert.equal(renders[0].current, true);
+  assert.match(renders[0].contentHash, /^[0-9a-f]{64}$/);
+  assert.match(renders[0].templateVersion, /^[0-9a-f]{12}$/);
+});
+
+test('a new language is a new render; the first stays current for its own language', async () => {
+  const res = await app.request('POST', `/api/generate-prospectus/${inquiryId}?lang=en`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.prospectus.cached, false);
+
+  const again = await app.request('POST', `/api/generate-prospectus/${inquiryId}?lang=en`, { cookie });
+  assert.equal(again.json.prospectus.cached, true);
+  assert.equal(again.json.prospectus.renderId, res.json.prospectus.renderId);
+
+  const renders = await history();
+  assert.deepEqual(renders.map(r => [r.language, r.current]), [['en', true], ['fr', true]]);
+});
+
+test('force=1 rebuilds, and an earlier render can be viewed and restored', async () => {
+  const first = (await history()).find(r => r.language === 'en');
+
+  const forced = await app.request('POST', `/api/generate-prospectus/${inquiryId}?lang=en&force=1`, { cookie });
+  assert.equal(forced.status, 200, forced.text);
+  assert.notEqual(forced.json.prospectus.renderId, first.id);
+
+  const view = await app.request('GET', `/api/inquiries/${inquiryId}/prospectus-renders/${first.id}`, { cookie });
+  assert.equal(view.status, 200);
+  assert.ok(view.text.includes(`<meta name="generated-date" content="${first.createdAt}">`));
+
+  const restore = await app.request('POST', `/api/inquiries/${inquiryId}/prospectus-renders/${first.id}/restore`, { cookie });
+  assert.equal(restore.status, 200, restore.text);
+  assert.equal(restore.json.prospectus.filename, first.filename);
+
+  // Pinned: regenerating without force keeps serving the restored render
+  const regen = await app.request('POST', `/api/generate-prospectus/${inquiryId}?lang=en`, { cookie });
+  assert.equal(regen.json.prospectus.renderId, first.id);
+
+  const renders = await history();
+  const restored = renders.find(r => r.id === first.id);
+  assert.equal(restored.current, true);
+  assert.equal(restored.pinned, true);
+});
+
+test('render history needs staff and a known render', async () => {
+  const anonymous = await app.request('GET', `/api/inquiries/${inquiryId}/prospectus-renders`);
+  assert.equal(anonymous.status, 401);
+
+  const missing = await app.request('POST', `/api/inquiries/${inquiryId}/prospectus-renders/en-nope/restore`, { cookie });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,178 @@
+// Prospectuses are translated on the server (server/services/prospectus-translation.js):
+// segment by segment through the translation cache, with the personalised text
+// the page writes in the browser translated too, and translators' overrides
+// taking the place of the machine translation.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { bootApp } = require('./helpers/app');
+
+process.env.TRANSLATION_RETRY_AFTER_MS = '0';
+
+const ENQUIRY = {
+  firstName: 'Grace',
+  familySurname: 'Hopper',
+  parentName: 'Mary Hopper',
+  parentEmail: 'mary@example.test',
+  contactNumber: '07700 900006',
+  hearAboutUs: 'Website',
+  ageGroup: '11-16',
+  entryYear: '2027',
+  sciences: true
+};
+
+let app;
+let cookie;
+let segmentPage;
+let personalisedText;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  ({ segmentPage, personalisedText } = require('../server/services/prospectus-translation'));
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+async function enquire(fields) {
+  const res = await app.request('POST', '/webhook', { body: { ...ENQUIRY, ...fields } });
+  assert.equal(res.status, 200, res.text);
+  return res.json;
+}
+
+function readProspectus(filename) {
+  return fs.readFile(path.join(app.prospectusDir, filename), 'utf8');
+}
+
+function linkPath(prospectus) {
+  const url = new URL(prospectus.url);
+  return url.pathname + url.search;
+}
+
+const sentToDeepl = from => app.fakes.calls.deepl.slice(from).flatMap(c => c.text);
+
+test('pages are cut into segments between block tags, leaving untranslatable parts alone', () => {
+  const { parts, segments } = segmentPage(`<html><head><title>T</title></head><body>
+    <h1 data-no-translate>More House</h1>
+    <p>Hello <strong>there</strong>,
+       friend</p>
+    <div data-translate="motto"><p>One</p><p>Two</p></div>
+    <script>var s = 'Not text';</script>
+    <ul><li>Item</li><li>22%</li></ul>
+    <p>Hello <strong>there</strong>, friend</p>
+  </body></html>`);
+
+  assert.deepEqual(segments.map(s => s.source), [
+    'Hello <strong>there</strong>, friend',
+    '<p>One</p><p>Two</p>',
+    'Item'
+  ]);
+  assert.equal(segments[1].id, 'motto');
+  assert.equal(parts.filter(p => typeof p !== 'string').length, 4);
+  assert.ok(parts.includes('<h1 data-no-translate>More House</h1>'));
+});
+
+test('the text the page personalises in the browser is worked out on the server', async () => {
+  const template = await fs.readFile(path.join(__dirname, '..', 'public', 'prospectus_template.html'), 'utf8');
+  const text = personalisedText(template, { firstName: 'Grace', ageGroup: '11-16', entryYear: '2027', sciences: true });
+  assert.equal(text.personalizedCover, 'Prepared especially for Grace joining in 2027');
+  assert.equal(text.dayTitle, 'Grace&#39;s Day at More House');
+  assert.match(text.headsWelcomeMessage, /^<p><strong>Dear Grace and Family,<\/strong><\/p>/);
+});
+
+test('a prospectus is served already translated, segments shared between families', async () => {
+  const from = app.fakes.calls.deepl.length;
+  const { prospectus } = await enquire({ language: 'fr' });
+  const html = await readProspectus(prospectus.filename);
+
+  assert.ok(html.includes('<meta name="prospectus-translated" content="fr">'));
+  assert.ok(html.includes('[FR] A Personal Welcome from Our Head'));
+  assert.ok(html.includes('<h1 class="cover-title" data-no-translate>MORE HOUSE SCHOOL</h1>'));
+  assert.ok(!html.includes('dispatchEvent'), 'the browser is no longer asked to translate the page');
+
+  // Personalised text is translated with the family's name kept as it is
+  assert.ok(html.includes('"personalizedCover":"[FR] Prepared especially for Grace joining in 2027"'));
+  assert.ok(sentToDeepl(from).some(t => t.includes('<span class="notranslate" translate="no" data-glossary>Grace</span>')));
+  // Requests carry many segments each, not one request per segment
+  assert.ok(app.fakes.calls.deepl.length - from < 10);
+
+  // The next French family only needs their own text translated
+  const next = app.fakes.calls.deepl.length;
+  await enquire({ firstName: 'Ada', familySurname: 'Lovelace', language: 'fr' });
+  assert.ok(!sentToDeepl(next).includes('A Personal Welcome from Our Head'));
+});
+
+test('translators can override a segment', async () => {
+  const anonymous = await app.request('GET', '/api/translations/segments?lang=fr');
+  assert.equal(anonymous.status, 401);
+  assert.equal((await app.request('GET', '/api/translations/segments?lang=en', { cookie })).status, 400);
+
+  const list = await app.request('GET', '/api/translations/segments?lang=fr', { cookie });
+  assert.equal(list.status, 200, list.text);
+  const heading = list.json.segments.find(s => s.source === 'A Personal Welcome from Our Head');
+  assert.equal(heading.machine, '[FR] A Personal Welcome from Our Head');
+  assert.equal(heading.override, null);
+
+  const unsafe = await app.request('PUT', `/api/translations/segments/${heading.id}`, {
+    body: { lang: 'fr', translated: '<img src=x onerror="alert(1)">' },
+    cookie
+  });
+  assert.equal(unsafe.status, 400);
+  const unknown = await app.request('PUT', '/api/translations/segments/0000000000000000', {
+    body: { lang: 'fr', translated: 'Bonjour' },
+    cookie
+  });
+  assert.equal(unknown.status, 404);
+
+  const saved = await app.request('PUT', `/api/translations/segments/${heading.id}`, {
+    body: { lang: 'fr', translated: 'Un mot de bienvenue de notre directrice' },
+    cookie
+  });
+  assert.equal(saved.status, 200, saved.text);
+  assert.equal(saved.json.segment.override, 'Un mot de bienvenue de notre directrice');
+
+  // The override changes the render's inputs, so the family gets a new page
+  const { prospectus } = await enquire({ language: 'fr' });
+  const html = await readProspectus(prospectus.filename);
+  assert.ok(html.includes('Un mot de bienvenue de notre directrice'));
+  assert.ok(!html.includes('[FR] A Personal Welcome from Our Head'));
+
+  const removed = await app.request('DELETE', `/api/translations/segments/${heading.id}?lang=fr`, { cookie });
+  assert.equal(removed.status, 200, removed.text);
+  const again = await app.request('DELETE', `/api/translations/segments/${heading.id}?lang=fr`, { cookie });
+  assert.equal(again.status, 404);
+});
+
+test('the picker loads the page in another language without moving the family link', async () => {
+  const { prospectus } = await enquire({ language: 'fr' });
+
+  const german = await app.request('GET', `${linkPath(prospectus)}&lang=de`);
+  assert.equal(german.status, 200);
+  assert.ok(german.text.includes('<meta name="prospectus-translated" content="de">'));
+  assert.ok(german.text.includes('[DE] A Personal Welcome from Our Head'));
+
+  const french = await app.request('GET', linkPath(prospectus));
+  assert.ok(french.text.includes('<meta name="prospectus-translated" content="fr">'));
+});
+
+test('a page built while the provider is away is rebuilt once it is back', async () => {
+  const { prospectus } = await enquire({ language: 'fr' });
+  app.fakes.setDeeplAvailable(false);
+  let partial;
+  try {
+    partial = await app.request('GET', `${linkPath(prospectus)}&lang=it`);
+  } finally {
+    app.fakes.setDeeplAvailable(true);
+  }
+  assert.equal(partial.status, 200);
+  assert.ok(partial.text.includes('<meta name="prospectus-translated" content="it">'));
+  assert.ok(partial.text.includes('A Personal Welcome from Our Head'));
+  assert.ok(!partial.text.includes('[IT] A Personal Welcome from Our Head'));
+
+  const complete = await app.request('GET', `${linkPath(prospectus)}&lang=it`);
+  assert.ok(complete.text.includes('[IT] A Personal Welcome from Our Head'));
+});
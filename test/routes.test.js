@@ -0,0 +1,34 @@
+// The app must register each method + path once; see server/routes/index.js.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The AI client is created when its module loads
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-openai-key';
+const { findDuplicateRoutes, assertUniqueRoutes } = require('../server/routes');
+
+test('the app registers every method + path once', () => {
+  const { app } = require('../server');
+  assert.deepEqual(findDuplicateRoutes(app), []);
+  assert.doesNotThrow(() => assertUniqueRoutes(app));
+});
+
+test('a route registered twice is reported, across routers and param names', () => {
+  const app = express();
+  const a = express.Router();
+  const b = express.Router();
+  a.get('/api/download/:id', (req, res) => res.end());
+  a.post('/api/download/:id', (req, res) => res.end());
+  b.get('/api/download/:inquiryId', (req, res) => res.end());
+  b.get(['/api/track', '/api/tracking'], (req, res) => res.end());
+  app.use(a);
+  app.use(b);
+  app.get('/api/tracking', (req, res) => res.end());
+
+  assert.deepEqual(findDuplicateRoutes(app), [
+    { method: 'GET', path: '/api/download/:id', count: 2 },
+    { method: 'GET', path: '/api/tracking', count: 2 }
+  ]);
+  assert.throws(() => assertUniqueRoutes(app), /Duplicate route definitions: GET \/api\/download\/:id \(x2\)/);
+});
@@ -0,0 +1,99 @@
+// Visits and families rolled up from tracking events
+// (server/services/session-rollup.js); the database side runs in
+// pipeline.postgres.test.js.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleVisits } = require('./helpers/tracking');
+const { rollupSession, rollupFamily } = require('../server/services/session-rollup');
+
+// The rows tracking_events holds for each of the sample visits
+const visitRows = () => sampleVisits('INQ-1').map(batch => batch.events.map(e => ({
+  event_type: e.eventType,
+  event_data: e.data,
+  timestamp: new Date(e.timestamp)
+})));
+
+const NOW = Date.parse('2026-02-01T00:00:00Z');
+
+test('a visit is rolled up into its sections, videos and contact actions', () => {
+  const [first] = visitRows();
+  const session = rollupSession(first, { now: NOW });
+
+  assert.deepEqual(session.section_times, {
+    cover: { dwell_sec: 20, max_scroll_pct: 0, video_sec: 0, clicks: 0 },
+    academics: { dwell_sec: 45, max_scroll_pct: 0, video_sec: 0, clicks: 0 }
+  });
+  assert.equal(session.total_events, 10);
+  assert.equal(session.sections_visited, 2);
+  assert.equal(session.videos_played, 1);
+  assert.equal(session.contact_actions, 1);
+  assert.equal(session.duration_seconds, 9);
+  assert.equal(session.start_time.toISOString(), '2026-01-10T09:00:00.000Z');
+  assert.equal(session.ended_by, 'unload');
+  assert.ok(session.engagement_score > 0);
+});
+
+test('a visit without page_unload stays open until it has been idle long enough', () => {
+  const [first] = visitRows();
+  const events = first.filter(e => e.event_type !== 'page_unload');
+  const lastSeen = events[events.length - 1].timestamp.getTime();
+
+  assert.equal(rollupSession(events, { now: lastSeen + 60000, idleAfterMs: 30 * 60000 }).ended_by, null);
+  assert.equal(rollupSession(events, { now: lastSeen + 30 * 60000, idleAfterMs: 30 * 60000 }).ended_by, 'idle');
+
+  // Coming back to the page after leaving it reopens the visit
+  const reopened = [...first, { event_type: 'page_load', event_data: {}, timestamp: new Date(lastSeen + 5000) }];
+  assert.equal(rollupSession(reopened, { now: lastSeen + 6000 }).ended_by, null);
+});
+
+test('older section events and link clicks count towards the same sections', () => {
+  const at = new Date(NOW);
+  const session = rollupSession([
+    { event_type: 'section_exit_enhanced', event_data: { currentSection: 'sport', timeInSectionSec: 12, maxScrollPct: 80 }, timestamp: at },
+    { event_type: 'link_click', event_data: { currentSection: 'sport', linkId: 'fixtures' }, timestamp: at },
+    { event_type: 'link_click', event_data: { currentSection: 'sport', linkId: 'fixtures' }, timestamp: at },
+    { event_type: 'youtube_video_progress', event_data: { currentSection: 'sport', videoWatchSec: 30 }, timestamp: at },
+    { event_type: 'dwell', event_data: null, timestamp: at }
+  ], { now: NOW });
+
+  assert.deepEqual(session.section_times, { sport: { dwell_sec: 12, max_scroll_pct: 80, video_sec: 30, clicks: 1 } });
+  assert.equal(session.max_scroll_depth, 80);
+  assert.equal(session.total_video_time, 30);
+});
+
+test('videos left open a minute count as watched, and tier expansions are counted', () => {
+  const at = seconds => new Date(NOW + seconds * 1000);
+  const session = rollupSession([
+    { event_type: 'video_open', event_data: { youtubeId: 'yt-1' }, timestamp: at(0) },
+    { event_type: 'video_close', event_data: { youtubeId: 'yt-1' }, timestamp: at(90) },
+    { event_type: 'video_open', event_data: { youtubeId: 'yt-2' }, timestamp: at(100) },
+    { event_type: 'video_close', event_data: {}, timestamp: at(110) },
+    { event_type: 'tier_expand', event_data: { tier: 'sixth_form' }, timestamp: at(120) },
+    { event_type: 'entry_point_interaction', event_data: { entryPoint: 'sixth_form', action: 'expand' }, timestamp: at(120) }
+  ], { now: NOW });
+
+  assert.equal(session.videos_played, 2);
+  assert.equal(session.videos_completed, 1);
+  assert.equal(session.tier_expansions, 1);
+});
+
+test('a family adds up its visits', () => {
+  const sessions = visitRows().map(events => rollupSession(events, { now: NOW }));
+  const family = rollupFamily(sessions);
+
+  assert.equal(family.total_sessions, 2);
+  assert.equal(family.total_events, 14);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(family.section_times).map(([id, s]) => [id, s.dwell_sec])),
+    { cover: 20, academics: 75, pastoral_care: 15 }
+  );
+  assert.equal(family.sections_visited, 3);
+  assert.equal(family.contact_actions, 1);
+  assert.equal(family.tier_expansions, 0);
+  assert.equal(family.first_seen.toISOString(), '2026-01-10T09:00:00.000Z');
+  assert.equal(family.last_seen.toISOString(), '2026-01-11T09:00:03.000Z');
+
+  assert.equal(rollupFamily([]).total_sessions, 0);
+  assert.equal(rollupFamily([]).first_seen, null);
+});
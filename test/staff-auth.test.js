@@ -0,0 +1,54 @@
+// Staff sessions (server/auth.js): a signed-in cookie carries who the staff
+// member is, but what they may do comes from their account on each request,
+// so demoting or deactivating someone applies to the session they already
+// have.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+const REGISTRAR = { email: 'rosalind@example.test', password: 'registrar-password-1' };
+
+let app;
+let cookie;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const me = staffCookie => app.request('GET', '/api/auth/me', { cookie: staffCookie });
+const updateStaff = (id, body) => app.request('PUT', `/api/staff-users/${id}`, { cookie, body });
+
+test('a role change applies to the session already signed in', async () => {
+  const created = await app.request('POST', '/api/staff-users', { cookie, body: { ...REGISTRAR, name: 'Rosalind', role: 'admissions' } });
+  assert.equal(created.status, 200, created.text);
+  const { id } = created.json.user;
+  const staffCookie = await app.login(REGISTRAR);
+  assert.equal((await me(staffCookie)).json.user.role, 'admissions');
+
+  assert.equal((await updateStaff(id, { role: 'registrar' })).status, 200);
+  const demoted = await me(staffCookie);
+  assert.equal(demoted.status, 200, demoted.text);
+  assert.equal(demoted.json.user.role, 'registrar');
+  const write = await app.request('POST', '/api/alerts/1/read', { cookie: staffCookie });
+  assert.equal(write.status, 403, 'registrars are read-only');
+
+  assert.equal((await updateStaff(id, { role: 'admissions' })).status, 200);
+  assert.equal((await me(staffCookie)).json.user.role, 'admissions');
+});
+
+test('a deactivated account is signed out of the session it has', async () => {
+  const { id } = (await app.request('GET', '/api/staff-users', { cookie })).json.users.find(u => u.email === REGISTRAR.email);
+  const staffCookie = await app.login(REGISTRAR);
+
+  assert.equal((await updateStaff(id, { active: false })).status, 200);
+  assert.equal((await me(staffCookie)).status, 401);
+  const page = await app.request('GET', '/dashboard.html', { cookie: staffCookie });
+  assert.equal(page.status, 302);
+  await assert.rejects(app.login(REGISTRAR), /401/);
+});
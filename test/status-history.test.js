@@ -0,0 +1,154 @@
+// Pipeline status changes (server/services/pipeline.js): the allowed moves
+// in the default pipeline, the status history with who made each change and
+// why, and the journey built from it.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+
+const HOUR = 60 * 60 * 1000;
+
+const ENQUIRY = {
+  firstName: 'Ada',
+  familySurname: 'Lovelace',
+  parentName: 'Anne Lovelace',
+  parentEmail: 'anne@example.test',
+  contactNumber: '07700 900000',
+  hearAboutUs: 'Friend',
+  ageGroup: '11-16',
+  entryYear: '2027'
+};
+
+let app;
+let cookie;
+let pipeline;
+let admissions;   // the default pipeline
+let inquiryId;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  pipeline = require('../server/services/pipeline');
+  const config = require('../server/services/pipeline-config');
+  admissions = config.validatePipeline(config.DEFAULT_PIPELINE).pipeline;
+  const res = await app.request('POST', '/webhook', { body: ENQUIRY });
+  inquiryId = res.json.inquiryId;
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const setStatus = (status, note) => app.request('PUT', `/api/inquiries/${inquiryId}/status`, { cookie, body: { status, note } });
+const history = () => app.request('GET', `/api/inquiries/${inquiryId}/status-history`, { cookie });
+
+test('families move forwards, back one stage, or out and back in', () => {
+  const check = (from, to) => pipeline.checkTransition(admissions, from, to);
+  const allowed = from => pipeline.allowedTransitions(admissions, from);
+  assert.equal(check('new_inquiry', 'open_day_booked'), null);
+  assert.equal(check('tour_booked', 'high_interest'), null, 'one stage back puts a mistake right');
+  assert.match(check('application_started', 'contacted'), /only one stage back/);
+  assert.match(check('contacted', 'contacted'), /already at contacted/);
+  assert.match(check('contacted', 'accepted'), /Invalid status/);
+
+  assert.equal(check('application_started', 'not_interested'), null);
+  assert.equal(check('not_interested', 'tour_booked'), null);
+  assert.match(check('not_interested', 'application_complete'), /can't move straight/);
+  assert.deepEqual(allowed('application_complete'), ['application_started', 'not_interested']);
+  assert.equal(allowed(null).length, admissions.stages.length, 'a status from before the pipeline may go anywhere');
+
+  const { findStage } = require('../server/services/pipeline-config');
+  assert.equal(findStage(admissions, 'prospectus_generated').key, 'new_inquiry');
+  assert.equal(findStage(admissions, 'high-interest').key, 'high_interest');
+  assert.equal(findStage(admissions, 'accepted'), null);
+});
+
+test('a status posted with the enquiry is ignored: families start at the first stage', async () => {
+  const posted = await app.request('POST', '/webhook', { body: { ...ENQUIRY, firstName: 'Eve', status: 'application_complete' } });
+  assert.equal(posted.status, 200, posted.text);
+  const res = await app.request('GET', `/api/inquiries/${posted.json.inquiryId}/status-history`, { cookie });
+  assert.equal(res.json.status, 'new_inquiry');
+  assert.deepEqual(res.json.changes.map(c => [c.fromStatus, c.toStatus, c.source]), [['received', 'prospectus_generated', 'prospectus']]);
+});
+
+test('each change is recorded with who made it, the status it replaced and the note', async () => {
+  const moved = await setStatus('contacted', '  Called Anne, left a message  ');
+  assert.equal(moved.status, 200, moved.text);
+  assert.deepEqual(
+    [moved.json.change.fromStatus, moved.json.change.toStatus, moved.json.change.changedBy, moved.json.change.note],
+    ['prospectus_generated', 'contacted', 'admin@example.test', 'Called Anne, left a message']
+  );
+
+  // The dashboard's names work on its route
+  const dashboard = await app.request('PUT', `/api/analytics/inquiries/${inquiryId}/status`, { cookie, body: { status: 'high-interest' } });
+  assert.equal(dashboard.status, 200, dashboard.text);
+  assert.equal(dashboard.json.status, 'high_interest');
+
+  const res = await history();
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.status, 'high_interest');
+  assert.deepEqual(res.json.changes.map(c => [c.fromStatus, c.toStatus]), [['contacted', 'high_interest'], ['prospectus_generated', 'contacted'], ['received', 'prospectus_generated']]);
+  const sent = res.json.changes.at(-1);
+  assert.deepEqual([sent.source, sent.changedBy], ['prospectus', null], 'sending the prospectus is recorded too');
+  assert.deepEqual(res.json.stages.map(s => s.status), ['new_inquiry', 'contacted', 'high_interest'], 'without being a stage of its own');
+  assert.deepEqual(res.json.allowed, ['contacted', 'tour_booked', 'open_day_booked', 'application_started', 'application_complete', 'not_interested']);
+});
+
+test('moves the pipeline doesn\'t allow are refused and leave no trace', async () => {
+  await setStatus('application_started');
+
+  const back = await setStatus('contacted');
+  assert.equal(back.status, 409);
+  assert.match(back.json.error, /only one stage back/);
+  assert.ok(back.json.allowed.includes('open_day_booked'));
+
+  const legacy = await app.request('PUT', `/api/analytics/inquiries/${inquiryId}/status`, { cookie, body: { status: 'maybe later' } });
+  assert.equal(legacy.status, 400, 'the dashboard route no longer takes any string');
+  assert.equal((await setStatus('not_interested', 'x'.repeat(1001))).status, 400, 'a note too long to keep');
+
+  const res = await history();
+  assert.equal(res.json.status, 'application_started');
+  assert.equal(res.json.changes.length, 4);
+});
+
+test('the journey gives the time spent at each stage', () => {
+  const t0 = Date.parse('2027-01-01T09:00:00Z');
+  const at = h => new Date(t0 + h * HOUR).toISOString();
+  const stages = pipeline.journeyFor(admissions, { status: 'contacted', receivedAt: at(0) }, [
+    { fromStatus: 'received', toStatus: 'prospectus_generated', changedAt: at(0.5), changedBy: null, source: 'prospectus', note: null },
+    { fromStatus: 'prospectus_generated', toStatus: 'contacted', changedAt: at(2), changedBy: 'a@example.test', source: 'staff', note: null },
+    { fromStatus: 'contacted', toStatus: 'high_interest', changedAt: at(26), changedBy: 'a@example.test', source: 'staff', note: null },
+    { fromStatus: 'high_interest', toStatus: 'contacted', changedAt: at(28), changedBy: 'a@example.test', source: 'staff', note: 'Clicked the wrong one' }
+  ], t0 + 30 * HOUR);
+
+  assert.deepEqual(stages.map(s => [s.status, s.durationMs / HOUR]), [
+    ['new_inquiry', 2],
+    ['contacted', 24],
+    ['high_interest', 2],
+    ['contacted', 2]
+  ]);
+  assert.equal(stages[3].leftAt, null);
+  assert.deepEqual(pipeline.timeInStage(stages), { new_inquiry: 2 * HOUR, contacted: 26 * HOUR, high_interest: 2 * HOUR });
+
+  const finished = pipeline.journeyFor(admissions, { status: 'not_interested', receivedAt: at(0) }, [
+    { fromStatus: null, toStatus: 'not_interested', changedAt: at(5), changedBy: null, source: 'staff', note: null }
+  ], t0 + 100 * HOUR);
+  assert.equal(finished.at(-1).durationMs, null, 'no clock runs once the journey has ended');
+});
+
+test('generating the prospectus again keeps the family\'s status', async () => {
+  const before = (await history()).json.changes.length;
+  const res = await app.request('POST', `/api/generate-prospectus/${inquiryId}`, { cookie });
+  assert.equal(res.status, 200, res.text);
+  assert.equal((await history()).json.status, 'application_started');
+  assert.equal((await history()).json.changes.length, before);
+});
+
+test('registrars read the history; only admissions change the status', async () => {
+  assert.equal((await app.request('GET', `/api/inquiries/${inquiryId}/status-history`)).status, 401);
+  assert.equal((await app.request('GET', '/api/inquiries/INQ-404/status-history', { cookie })).status, 404);
+  assert.equal((await app.request('PUT', `/api/inquiries/${inquiryId}/status`, { body: { status: 'not_interested' } })).status, 401);
+
+  const statuses = await app.request('GET', '/api/inquiries/statuses', { cookie });
+  assert.deepEqual(statuses.json.transitions.new_inquiry, admissions.stages.slice(1).map(s => s.key));
+});
@@ -0,0 +1,128 @@
+// /api/track-engagement checks each event against the pp.v1.* schema
+// (server/services/tracking-events.js), answers per event, and stores a
+// resent event only once.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+const { trackingBatch } = require('./helpers/tracking');
+const { validateEvent } = require('../server/services/tracking-events');
+
+let app;
+
+before(async () => {
+  app = await bootApp();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const event = (eventType, data = {}, extra = {}) => ({
+  inquiryId: 'INQ-1',
+  sessionId: 'S-1',
+  eventType,
+  data,
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+test('events are checked against the schema for their type', () => {
+  assert.ok(validateEvent(event('section_exit', { name: 'pp.v1.section.exit.academics', section: 'academics', dwellSec: 12, reason: 'next' })).event);
+  assert.ok(validateEvent(event('video_close', { name: 'pp.v1.video.close.unknown' })).event);
+  assert.ok(validateEvent(event('page_load', { name: 'page_load' })).event, 'the bare event type is an accepted name');
+
+  const error = e => validateEvent(e).error;
+  assert.match(error(event('section_scrolled')), /unknown eventType/);
+  assert.match(error(event('toString')), /unknown eventType/);
+  assert.match(error(event('page_load', {}, { timestamp: undefined })), /timestamp must be a date/);
+  assert.match(error(event('page_load', {}, { timestamp: 'yesterday-ish' })), /timestamp must be a date/);
+  assert.match(error(event('page_load', {}, { timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString() })), /future/);
+  assert.match(error(event('section_exit', { section: 'academics' })), /needs data.dwellSec/);
+  assert.match(error(event('section_exit', { section: 'academics', dwellSec: -4 })), /needs data.dwellSec/);
+  assert.match(error(event('section_enter', { name: 'pp.v1.section.enter.cover', section: 'academics' })), /does not match/);
+  assert.match(error(event('entry_point_interaction', { entryPoint: 'senior', action: 'open' })), /data.action/);
+  assert.match(error(event('page_load', {}, { inquiryId: '' })), /inquiryId/);
+  assert.match(error(event('page_load', { notes: 'x'.repeat(9000) })), /data is over/);
+});
+
+test('the endpoint accepts and rejects event by event', async () => {
+  const res = await app.request('POST', '/api/track-engagement', {
+    body: {
+      events: [
+        event('page_load', { name: 'pp.v1.visit.start' }, { eventId: 'S-1-1' }),
+        event('page_load', {}, { timestamp: undefined, eventId: 'S-1-2' }),
+        event('mystery'),
+        event('section_enter', { name: 'pp.v1.section.enter.cover', section: 'cover' }, { eventId: 'S-1-4' })
+      ],
+      sessionInfo: { inquiryId: 'INQ-1', sessionId: 'S-1' }
+    }
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.processed, 2);
+  assert.deepEqual(res.json.results.map(r => [r.index, r.eventId, r.status]), [
+    [0, 'S-1-1', 'accepted'],
+    [1, 'S-1-2', 'rejected'],
+    [2, null, 'rejected'],
+    [3, 'S-1-4', 'accepted']
+  ]);
+  assert.match(res.json.results[1].error, /timestamp/);
+});
+
+test('a resent batch is reported as duplicates and not counted again', async () => {
+  const batch = trackingBatch('INQ-2', 'S-2', [
+    ['section_enter', { section: 'academics' }],
+    ['section_exit', { section: 'academics', dwellSec: 45 }]
+  ]);
+  batch.events.forEach((e, i) => { e.eventId = `S-2-${i + 1}`; });
+
+  const first = await app.request('POST', '/api/track-engagement', { body: batch });
+  assert.deepEqual(first.json.results.map(r => r.status), ['accepted', 'accepted']);
+
+  // A retried fetch, then the beforeunload beacon with one new event
+  const again = await app.request('POST', '/api/track-engagement', { body: batch });
+  assert.equal(again.json.processed, 0);
+  assert.deepEqual(again.json.results.map(r => r.status), ['duplicate', 'duplicate']);
+
+  const unload = trackingBatch('INQ-2', 'S-2', [['page_unload', { name: 'pp.v1.visit.end' }]]);
+  unload.events[0].eventId = 'S-2-3';
+  const beacon = await fetch(`${app.baseUrl}/api/track-engagement`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+    body: JSON.stringify({ ...unload, events: [...batch.events, ...unload.events] })
+  });
+  assert.equal(beacon.status, 200);
+  assert.deepEqual((await beacon.json()).results.map(r => r.status), ['duplicate', 'duplicate', 'accepted']);
+});
+
+test('pages without eventIds are deduplicated by the event itself', async () => {
+  const batch = trackingBatch('INQ-3', 'S-3', [['tier_exit', { tier: 'senior', dwellSec: 30 }]]);
+  batch.events.push({ ...batch.events[0] });
+
+  const first = await app.request('POST', '/api/track-engagement', { body: batch });
+  assert.deepEqual(first.json.results.map(r => r.status), ['accepted', 'duplicate']);
+  assert.match(first.json.results[0].eventId, /^h:[0-9a-f]{40}$/);
+
+  const again = await app.request('POST', '/api/track-engagement', { body: batch });
+  assert.deepEqual(again.json.results.map(r => r.status), ['duplicate', 'duplicate']);
+});
+
+test('malformed requests are refused as a whole', async () => {
+  const notJson = await fetch(`${app.baseUrl}/api/track-engagement`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: '{"events": ['
+  });
+  assert.equal(notJson.status, 400);
+
+  const notArray = await app.request('POST', '/api/track-engagement', { body: { events: 'page_load' } });
+  assert.equal(notArray.status, 400);
+
+  const tooMany = await app.request('POST', '/api/track-engagement', {
+    body: { events: Array.from({ length: 501 }, () => event('page_load')) }
+  });
+  assert.equal(tooMany.status, 413);
+
+  const empty = await app.request('POST', '/api/track-engagement', { body: { events: [] } });
+  assert.equal(empty.status, 200);
+});
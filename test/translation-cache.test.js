@@ -0,0 +1,162 @@
+// Translations are cached by text, language and context (translation-cache.js),
+// glossary terms are protected from DeepL, and cached translations are still
+// served while DeepL is down.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+const { applyGlossary, unwrapGlossary, validateGlossary } = require('../server/services/translation-glossary');
+
+// Retry DeepL straight away once the fake is switched back on
+process.env.TRANSLATION_RETRY_AFTER_MS = '0';
+
+const PAGE = '<h2>Welcome to More House School</h2><p>Our campus in Knightsbridge.</p>';
+
+let app;
+let cookie;
+let translationCache;
+
+before(async () => {
+  app = await bootApp();
+  cookie = await app.login();
+  translationCache = require('../translation-cache');
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+function translatePage(html, lang = 'fr') {
+  return app.request('POST', '/api/deepl', { body: { html, target_lang: lang } });
+}
+
+test('glossary terms are wrapped in text only and unwrapped afterwards', () => {
+  const entries = [
+    { term: 'More House', translations: {}, note: '' },
+    { term: 'Knightsbridge', translations: { fr: 'Knightsbridge (Londres)' }, note: '' }
+  ];
+  const marked = applyGlossary('<a title="More House">More  House in knightsbridge</a>', entries, 'fr');
+  assert.equal(marked, '<a title="More House"><span class="notranslate" translate="no" data-glossary>More  House</span> in '
+    + '<span class="notranslate" translate="no" data-glossary>Knightsbridge (Londres)</span></a>');
+  assert.equal(unwrapGlossary(marked), '<a title="More House">More  House in Knightsbridge (Londres)</a>');
+
+  const { errors } = validateGlossary([{ term: 'More House' }, { term: 'more house' }, { term: 'X', translations: { french: 'Y' } }]);
+  assert.equal(errors.length, 2, errors.join('\n'));
+});
+
+test('a page is translated once and then served from the cache', async () => {
+  const before = app.fakes.calls.deepl.length;
+  const first = await translatePage(PAGE);
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.json.translated, `[FR] ${PAGE}`);
+  assert.equal(app.fakes.calls.deepl.length, before + 1);
+  assert.match(app.fakes.calls.deepl.at(-1).text[0], /data-glossary>More House School<\/span>/);
+
+  // The cache outlives the process's memory
+  translationCache.clearMemoryCache();
+  const second = await translatePage(PAGE);
+  assert.equal(second.json.translated, first.json.translated);
+  assert.equal(app.fakes.calls.deepl.length, before + 1);
+
+  await translatePage(PAGE, 'de');
+  assert.equal(app.fakes.calls.deepl.length, before + 2);
+
+  const stats = await app.request('GET', '/api/translations/cache', { cookie });
+  assert.equal(stats.status, 200, stats.text);
+  assert.equal(stats.json.stats.mode, 'json');
+  assert.ok(stats.json.stats.entries.byLanguage.fr >= 1);
+});
+
+test('editing the glossary re-translates cached pages with it', async () => {
+  const invalid = await app.request('PUT', '/api/translations/glossary', { body: { entries: [{ term: '' }] }, cookie });
+  assert.equal(invalid.status, 400);
+
+  const current = await app.request('GET', '/api/translations/glossary', { cookie });
+  const entries = current.json.entries.map(e => e.term === 'Knightsbridge'
+    ? { ...e, translations: { fr: 'Knightsbridge (Londres)' } }
+    : e);
+  const saved = await app.request('PUT', '/api/translations/glossary', { body: { entries }, cookie });
+  assert.equal(saved.status, 200, saved.text);
+  assert.notEqual(saved.json.version, current.json.version);
+
+  const calls = app.fakes.calls.deepl.length;
+  const res = await translatePage(PAGE);
+  assert.equal(app.fakes.calls.deepl.length, calls + 1);
+  assert.ok(res.json.translated.includes('Our campus in Knightsbridge (Londres).'));
+});
+
+test('cached translations are served while DeepL is down', async () => {
+  // Make the cached French page stale, then take DeepL away
+  const current = await app.request('GET', '/api/translations/glossary', { cookie });
+  await app.request('PUT', '/api/translations/glossary', {
+    body: { entries: [...current.json.entries, { term: 'Hyde Park' }] },
+    cookie
+  });
+  app.fakes.setDeeplAvailable(false);
+  try {
+    const cached = await translatePage(PAGE);
+    assert.equal(cached.status, 200);
+    assert.ok(cached.json.translated.includes('Knightsbridge (Londres)'));
+
+    const uncached = await translatePage('<p>Something new</p>');
+    assert.equal(uncached.status, 502);
+
+    assert.equal(await translationCache.translate('Pastoral Care', 'fr', 'prospectus_pastoral'), 'Pastoral Care');
+  } finally {
+    app.fakes.setDeeplAvailable(true);
+  }
+  assert.equal(await translationCache.translate('Pastoral Care', 'fr', 'prospectus_pastoral'), '[FR] Pastoral Care');
+});
+
+test('admins can clear the cache by language', async () => {
+  const anonymous = await app.request('DELETE', '/api/translations/cache?lang=de');
+  assert.equal(anonymous.status, 401);
+
+  const cleared = await app.request('DELETE', '/api/translations/cache?lang=de', { cookie });
+  assert.equal(cleared.status, 200, cleared.text);
+  assert.equal(cleared.json.removed, 1);
+
+  const calls = app.fakes.calls.deepl.length;
+  await translatePage(PAGE, 'de');
+  assert.equal(app.fakes.calls.deepl.length, calls + 1);
+
+  const recent = await app.request('DELETE', '/api/translations/cache?unusedForDays=30', { cookie });
+  assert.equal(recent.json.removed, 0);
+});
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+test('the Postgres translation store matches the JSON one', { skip }, async () => {
+  const { Client } = require('pg');
+  const migrations = require('../server/migrations');
+  const { createPostgresTranslationStore } = require('../server/services/translation-store');
+
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query('DROP SCHEMA IF EXISTS translation_store_test CASCADE');
+    await client.query('CREATE SCHEMA translation_store_test');
+    await client.query('SET search_path TO translation_store_test');
+    await migrations.migrateUp(client, { log: () => {} });
+
+    const store = createPostgresTranslationStore({ resolveDb: () => client });
+    assert.deepEqual((await store.getGlossary()).map(e => e.term), ['Knightsbridge', 'More House', 'More House School']);
+
+    const entry = { key: 'a'.repeat(64), language: 'fr', context: 'web', sourceLength: 5, translated: 'Bonjour', provider: 'deepl', glossaryVersion: 'v1' };
+    await store.put(entry);
+    await store.put({ ...entry, key: 'b'.repeat(64), language: 'de', translated: 'Hallo' });
+    assert.equal((await store.get(entry.key)).translated, 'Bonjour');
+    assert.equal((await store.get(entry.key)).provider, 'deepl');
+    assert.deepEqual(await store.count(), { total: 2, byLanguage: { fr: 1, de: 1 } });
+
+    assert.equal(await store.remove({ language: 'fr' }), 1);
+    assert.equal(await store.remove({ unusedBefore: new Date(Date.now() - 60000) }), 0);
+
+    await store.saveGlossary([{ term: 'Hyde Park', translations: { fr: 'Hyde Park' }, note: '' }], 'a@example.test');
+    assert.deepEqual(await store.getGlossary(), [{ term: 'Hyde Park', translations: { fr: 'Hyde Park' }, note: '' }]);
+  } finally {
+    await client.query('DROP SCHEMA IF EXISTS translation_store_test CASCADE').catch(() => {});
+    await client.end();
+  }
+});
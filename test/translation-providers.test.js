@@ -0,0 +1,82 @@
+// Translation providers (server/services/translation-providers.js): chosen per
+// language from the environment, with the supported languages defined once in
+// server/services/languages.js.
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/app');
+const { pseudoLocalise, providerNameFor } = require('../server/services/translation-providers');
+
+let app;
+
+before(async () => {
+  app = await bootApp();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+afterEach(() => {
+  for (const name of ['TRANSLATION_PROVIDER', 'TRANSLATION_PROVIDER_ZH', 'TRANSLATION_PROVIDER_ES']) process.env[name] = '';
+});
+
+function translatePage(html, lang) {
+  return app.request('POST', '/api/deepl', { body: { html, target_lang: lang } });
+}
+
+test('pseudo-localisation accents text and leaves markup and protected terms alone', () => {
+  const html = '<p class="intro">Welcome to <span class="notranslate" translate="no">More House</span> &amp; Hyde Park</p>'
+    + '<script>var lang = "en";</script><br>';
+  assert.equal(
+    pseudoLocalise(html),
+    '<p class="intro">⟦Ŵéļçöɱé ţö⟧ <span class="notranslate" translate="no">More House</span> ⟦&amp; Ĥýðé Þáŕķ⟧</p>'
+      + '<script>var lang = "en";</script><br>'
+  );
+});
+
+test('the provider is chosen per language', async () => {
+  assert.equal(providerNameFor('zh'), 'deepl');
+  process.env.TRANSLATION_PROVIDER = 'pseudo';
+  process.env.TRANSLATION_PROVIDER_ZH = 'Google';
+  assert.equal(providerNameFor('zh'), 'google');
+  assert.equal(providerNameFor('fr'), 'pseudo');
+
+  const deeplCalls = app.fakes.calls.deepl.length;
+  const zh = await translatePage('<p>Our Sixth Form</p>', 'zh');
+  assert.equal(zh.status, 200, zh.text);
+  assert.equal(zh.json.translated, '[zh-CN] <p>Our Sixth Form</p>');
+  assert.equal(app.fakes.calls.google.at(-1).targetLang, 'zh-CN');
+
+  const fr = await translatePage('<p>Our Sixth Form</p>', 'fr');
+  assert.equal(fr.json.translated, '<p>⟦Öúŕ Šíẋţĥ Ƒöŕɱ⟧</p>');
+  assert.equal(app.fakes.calls.deepl.length, deeplCalls);
+});
+
+test('moving a language to another provider translates it again', async () => {
+  const first = await translatePage('<p>Open Morning</p>', 'es');
+  assert.equal(first.json.translated, '[ES] <p>Open Morning</p>');
+
+  process.env.TRANSLATION_PROVIDER_ES = 'pseudo';
+  const second = await translatePage('<p>Open Morning</p>', 'es');
+  assert.equal(second.json.translated, '<p>⟦Öþéñ Ṁöŕñíñĝ⟧</p>');
+
+  process.env.TRANSLATION_PROVIDER_ES = 'nonesuch';
+  const misconfigured = await translatePage('<p>Something else</p>', 'es');
+  assert.equal(misconfigured.status, 500);
+  assert.match(misconfigured.json.error, /Unknown translation provider "nonesuch"/);
+});
+
+test('only languages in the registry are accepted, and the pages get the same list', async () => {
+  const unsupported = await translatePage('<p>Hello</p>', 'xx');
+  assert.equal(unsupported.status, 400);
+
+  const script = await app.request('GET', '/languages.js');
+  assert.equal(script.status, 200);
+  assert.match(script.headers.get('content-type'), /javascript/);
+  assert.ok(script.text.includes('"code":"ar"') && script.text.includes('"dir":"rtl"'));
+
+  const cookie = await app.login();
+  const stats = await app.request('GET', '/api/translations/cache', { cookie });
+  assert.deepEqual(stats.json.languages.map(l => [l.code, l.provider]).slice(0, 2), [['en', null], ['zh', 'deepl']]);
+});
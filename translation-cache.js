@@ -1,71 +1,274 @@
-// translation-cache.js - NO CACHING VERSION
-const fs = require('fs').promises;
-const path = require('path');
+// translation-cache.js - machine translations (by the provider configured for
+// the language, server/services/translation-providers.js) cached by a hash of
+// the source text, target language and context, in Postgres when connected or
+// in DATA_DIR/translation-cache otherwise (server/services/translation-store.js).
+//
+// Edited template text hashes differently, so it is translated afresh; the
+// old entries stop being used and cleanupCache() drops them once they have
+// gone unused for TRANSLATION_CACHE_MAX_AGE_DAYS. invalidate() clears a
+// language or context straight away.
+//
+// Glossary terms (server/services/translation-glossary.js) are protected from
+// the provider. Editing the glossary, or moving a language to another
+// provider, makes existing entries stale: they are re-translated on next use,
+// but stale entries are still served while the provider is unreachable, as
+// are fresh ones.
+const crypto = require('crypto');
+const { getTranslationStore } = require('./server/services/translation-store');
+const { TranslationProviderError, getProvider } = require('./server/services/translation-providers');
+const {
+    DEFAULT_GLOSSARY,
+    validateGlossary,
+    glossaryVersion,
+    applyGlossary,
+    unwrapGlossary
+} = require('./server/services/translation-glossary');
+
+const MEMORY_CACHE_SIZE = 500;
+const GLOSSARY_TTL_MS = 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_BATCH_CHARS = 30000;
+
+function cacheKey(text, targetLang, context) {
+    return crypto.createHash('sha256').update(`${targetLang}\n${context}\n${text}`).digest('hex');
+}
 
 class TranslationCache {
     constructor() {
-        console.log('Translation system initialized - NO CACHING');
+        this.memory = new Map();
+        this.glossary = null;
+        this.glossaryLoadedAt = 0;
+        this.downUntil = {};
+        this.counters = { memoryHits: 0, storeHits: 0, providerCalls: {}, staleServed: 0, failures: 0 };
     }
 
-    // Main translation function - calls DeepL directly every time
-    async translate(text, targetLang, context = '') {
-        // Don't translate if already in English or if target is English
-        if (!text || targetLang === 'en') return text;
+    // ===================== GLOSSARY =====================
+    async loadGlossary() {
+        if (this.glossary && Date.now() - this.glossaryLoadedAt < GLOSSARY_TTL_MS) return this.glossary;
+        let entries = null;
+        try {
+            entries = await getTranslationStore().getGlossary();
+        } catch (error) {
+            console.warn('⚠️ Could not load translation glossary:', error.message);
+        }
+        if (!entries) entries = this.glossary ? this.glossary.entries : DEFAULT_GLOSSARY;
+        this.glossary = { entries, version: glossaryVersion(entries) };
+        this.glossaryLoadedAt = Date.now();
+        return this.glossary;
+    }
 
-        // Always call DeepL directly - NO CACHING
-        console.log(`→ Translating to ${targetLang}: ${context || 'general'} (DIRECT CALL)`);
-        
+    async getGlossary() {
+        return this.loadGlossary();
+    }
+
+    // Replaces the glossary; returns { errors } or { glossary }
+    async saveGlossary(entries, updatedBy) {
+        const checked = validateGlossary(entries);
+        if (checked.errors.length) return { errors: checked.errors };
+        await getTranslationStore().saveGlossary(checked.entries, updatedBy);
+        this.glossary = null;
+        this.memory.clear();
+        return { errors: [], glossary: await this.loadGlossary() };
+    }
+
+    // ===================== PROVIDERS =====================
+    async callProvider(provider, htmls, targetLang) {
+        if (Date.now() < (this.downUntil[provider.name] || 0)) {
+            throw new TranslationProviderError(`${provider.label} unavailable, waiting before retrying`, {
+                provider: provider.name,
+                unavailable: true
+            });
+        }
+        this.counters.providerCalls[provider.name] = (this.counters.providerCalls[provider.name] || 0) + 1;
         try {
-            // Get DeepL credentials from environment
-            const DEEPL_API_KEY = process.env.DEEPL_API_KEY;
-            const DEEPL_ENDPOINT = 'https://api.deepl.com/v2/translate';
-            
-            if (!DEEPL_API_KEY) {
-                throw new Error('DEEPL_API_KEY not configured');
+            const translated = await provider.translateMany(htmls, targetLang);
+            delete this.downUntil[provider.name];
+            return translated;
+        } catch (error) {
+            if (error.unavailable && Date.now() >= (this.downUntil[provider.name] || 0)) {
+                this.downUntil[provider.name] = Date.now() + Number(process.env.TRANSLATION_RETRY_AFTER_MS || 30000);
             }
+            throw error;
+        }
+    }
 
-            // Build form data for DeepL
-            const form = new URLSearchParams();
-            form.append('text', text);
-            form.append('target_lang', targetLang.toUpperCase());
-            form.append('tag_handling', 'html');
-            form.append('preserve_formatting', '1');
-            form.append('split_sentences', 'nonewlines');
-
-            // Call DeepL API directly
-            const response = await fetch(DEEPL_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `DeepL-Auth-Key ${DEEPL_API_KEY}`,
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: form
-            });
+    // Split texts into requests of at most batchSize texts and
+    // MAX_BATCH_CHARS characters (a longer text goes on its own)
+    batches(items, batchSize) {
+        const out = [];
+        let current = [];
+        let chars = 0;
+        for (const item of items) {
+            if (current.length && (current.length >= batchSize || chars + item.text.length > MAX_BATCH_CHARS)) {
+                out.push(current);
+                current = [];
+                chars = 0;
+            }
+            current.push(item);
+            chars += item.text.length;
+        }
+        if (current.length) out.push(current);
+        return out;
+    }
+
+    // ===================== CACHE =====================
+    remember(entry) {
+        this.memory.delete(entry.key);
+        this.memory.set(entry.key, entry);
+        if (this.memory.size > MEMORY_CACHE_SIZE) this.memory.delete(this.memory.keys().next().value);
+    }
+
+    async readEntry(key, targetLang) {
+        const remembered = this.memory.get(key);
+        if (remembered) return { entry: remembered, from: 'memory' };
+        try {
+            const entry = await getTranslationStore().get(key, targetLang);
+            return { entry, from: 'store' };
+        } catch (error) {
+            console.warn('⚠️ Translation cache read failed:', error.message);
+            return { entry: null, from: 'store' };
+        }
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`DeepL API error: ${response.status} - ${JSON.stringify(errorData)}`);
+    // The cached translation of text, fresh or not, without calling the
+    // provider; null when there is none
+    async cached(text, targetLang, context = '') {
+        const lang = targetLang.toLowerCase();
+        const { entry } = await this.readEntry(cacheKey(text, lang, context), lang);
+        return entry ? entry.translated : null;
+    }
+
+    // Translate texts, returning { text, source } for each in order, where
+    // source is 'source', 'cache', 'provider' or 'stale-cache'. Texts that
+    // aren't cached go to the provider in as few requests as it allows. A
+    // text that can't be translated comes back as it is with source 'failed'
+    // and the error.
+    async resolveMany(texts, targetLang, context = '') {
+        if (targetLang === 'en') return texts.map(text => ({ text, source: 'source' }));
+        const lang = targetLang.toLowerCase();
+        const glossary = await this.loadGlossary();
+        const results = new Array(texts.length);
+
+        let provider = null;
+        let providerError = null;
+        try {
+            provider = getProvider(lang);
+        } catch (error) {
+            providerError = error;
+        }
+
+        // Uncached texts by key, each with the positions it appears at
+        const pending = new Map();
+        for (let i = 0; i < texts.length; i++) {
+            const text = texts[i];
+            if (!text) {
+                results[i] = { text, source: 'source' };
+                continue;
+            }
+            const key = cacheKey(text, lang, context);
+            if (pending.has(key)) {
+                pending.get(key).indexes.push(i);
+                continue;
+            }
+            const { entry, from } = await this.readEntry(key, lang);
+            if (entry && provider && entry.glossaryVersion === glossary.version && (entry.provider || 'deepl') === provider.name) {
+                this.counters[from === 'memory' ? 'memoryHits' : 'storeHits']++;
+                this.remember(entry);
+                if (Date.now() - new Date(entry.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+                    entry.lastUsedAt = new Date().toISOString();
+                    getTranslationStore().touch(entry).catch(error => {
+                        console.warn('⚠️ Translation cache touch failed:', error.message);
+                    });
+                }
+                results[i] = { text: entry.translated, source: 'cache' };
+                continue;
+            }
+            pending.set(key, { key, text, entry, indexes: [i] });
+        }
+
+        const settle = (item, result) => {
+            for (const i of item.indexes) results[i] = result;
+        };
+        // Stale entries are better than nothing while the provider is away
+        const fallBack = (item, error) => {
+            if (item.entry) {
+                this.counters.staleServed++;
+                console.warn(`⚠️ ${error.message}; serving the cached ${lang} translation`);
+                settle(item, { text: item.entry.translated, source: 'stale-cache' });
+            } else {
+                settle(item, { text: item.text, source: 'failed', error });
+            }
+        };
+
+        if (!provider) {
+            for (const item of pending.values()) fallBack(item, providerError);
+            return results;
+        }
+
+        for (const batch of this.batches([...pending.values()], provider.batchSize)) {
+            console.log(`→ Translating ${batch.length} text(s) to ${lang} with ${provider.label}: ${context || 'general'}`);
+            let translated;
+            try {
+                translated = await this.callProvider(provider, batch.map(item => applyGlossary(item.text, glossary.entries, lang)), lang);
+            } catch (error) {
+                this.counters.failures++;
+                batch.forEach(item => fallBack(item, error));
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            for (let j = 0; j < batch.length; j++) {
+                const item = batch[j];
+                const fresh = {
+                    key: item.key,
+                    language: lang,
+                    context,
+                    sourceLength: item.text.length,
+                    translated: unwrapGlossary(translated[j]),
+                    provider: provider.name,
+                    glossaryVersion: glossary.version,
+                    createdAt: now,
+                    lastUsedAt: now
+                };
+                this.remember(fresh);
+                try {
+                    await getTranslationStore().put(fresh);
+                } catch (error) {
+                    console.warn('⚠️ Translation cache write failed:', error.message);
+                }
+                settle(item, { text: fresh.translated, source: 'provider' });
             }
+            console.log(`💾 Cached ${batch.length} new ${lang} translation(s)`);
+        }
+        return results;
+    }
 
-            const data = await response.json();
-            const translation = data?.translations?.[0]?.text || text;
+    // Translate one text, returning { text, source } as resolveMany does.
+    // Throws a TranslationProviderError when the provider fails and nothing is
+    // cached.
+    async resolve(text, targetLang, context = '') {
+        const [result] = await this.resolveMany([text], targetLang, context);
+        if (result.error) throw result.error;
+        return result;
+    }
 
-            console.log(`✅ Translation completed for ${targetLang}`);
-            return translation;
-            
+    // Main translation function - the original text if it can't be translated
+    async translate(text, targetLang, context = '') {
+        try {
+            return (await this.resolve(text, targetLang, context)).text;
         } catch (error) {
             console.error('Translation error:', error.message);
             return text; // Return original on error
         }
     }
 
-    // Translate multiple items - no caching
+    // Translate multiple items
     async translateBatch(items, targetLang) {
         const results = [];
         for (const item of items) {
             const translated = await this.translate(
-                item.text, 
-                targetLang, 
+                item.text,
+                targetLang,
                 item.context || ''
             );
             results.push(translated);
@@ -73,25 +276,58 @@ class TranslationCache {
         return results;
     }
 
-    // Dummy methods to maintain compatibility
+    // Warm the cache; texts is { context: text } or an array of strings
+    async precache(texts, targetLang) {
+        const items = Array.isArray(texts)
+            ? texts.map(text => ({ text, context: '' }))
+            : Object.entries(texts).map(([context, text]) => ({ text, context }));
+        const summary = { cached: 0, translated: 0, failed: 0 };
+        for (const item of items) {
+            try {
+                const { source } = await this.resolve(item.text, targetLang, item.context);
+                if (source === 'provider') summary.translated++;
+                else summary.cached++;
+            } catch (error) {
+                summary.failed++;
+                console.error(`Pre-cache failed for ${item.context || item.text}:`, error.message);
+            }
+        }
+        return summary;
+    }
+
+    // Drop entries for a language and/or context (all entries with neither)
+    async invalidate({ language, context } = {}) {
+        this.memory.clear();
+        return getTranslationStore().remove({ language: language ? language.toLowerCase() : undefined, context });
+    }
+
+    // Drop entries nobody has used for a while
+    async cleanupCache({ unusedForDays = Number(process.env.TRANSLATION_CACHE_MAX_AGE_DAYS || 90) } = {}) {
+        const unusedBefore = new Date(Date.now() - unusedForDays * 24 * 60 * 60 * 1000);
+        this.memory.clear();
+        const removed = await getTranslationStore().remove({ unusedBefore });
+        if (removed) console.log(`🧹 Removed ${removed} translation(s) unused for ${unusedForDays} days`);
+        return removed;
+    }
+
     clearMemoryCache() {
-        console.log('No cache to clear - using direct translation');
+        this.memory.clear();
     }
 
     async getStats() {
+        const store = getTranslationStore();
+        const glossary = await this.loadGlossary();
         return {
-            memoryCacheSize: 0,
-            fileCacheSize: 0,
-            mode: 'direct_translation_no_cache'
+            mode: store.kind,
+            memoryCacheSize: this.memory.size,
+            entries: await store.count(),
+            glossaryVersion: glossary.version,
+            glossaryTerms: glossary.entries.length,
+            unavailableProviders: Object.keys(this.downUntil).filter(name => Date.now() < this.downUntil[name]),
+            ...this.counters
         };
     }
-
-    // No-op methods for compatibility
-    async get() { return null; }
-    async set() { return; }
-    async precache() { return; }
-    async cleanupCache() { return; }
 }
 
 // Export singleton instance
-module.exports = new TranslationCache();
\ No newline at end of file
+module.exports = new TranslationCache();